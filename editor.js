@@ -0,0 +1,529 @@
+import * as THREE from 'three';
+import {
+    OrbitControls
+} from 'three/addons/controls/OrbitControls.js';
+import {
+    TransformControls
+} from 'three/addons/controls/TransformControls.js';
+import {
+    loadLevel,
+    buildLevel
+} from './src/levelBuilder.js';
+import {
+    validateLevel
+} from './src/levelFormat.js';
+import {
+    generateCastle
+} from './src/castleGenerator.js';
+import {
+    addElement,
+    duplicateElement,
+    elementAnchor,
+    elementModes,
+    formatLevel,
+    getElement,
+    loadEditedLevel,
+    moveElement,
+    removeElement,
+    rotateElement,
+    sameSource,
+    scaleElement,
+    setElementField,
+    setMaterialField,
+    snap,
+    storeEditedLevel
+} from './src/levelEdits.js';
+import {
+    createEditHistory
+} from './src/editHistory.js';
+import {
+    createEditorToolbar,
+    createOutliner,
+    createPropertyPanel,
+    objectSource
+} from './src/editorPanels.js';
+
+// Level editor: place, move, turn and resize the walls, floors, props and
+// lights of a level with a gizmo, edit their fields and materials, and
+// export the result as a level file. P play-tests the level as it stands;
+// the game's editor key comes back here with it.
+// Every edit makes a new level document (see levelEdits.js), which is
+// validated, kept in the undo history and rebuilt from scratch; levels are
+// small enough for that to be instant.
+
+const params = new URLSearchParams(window.location.search);
+
+const parentDiv = document.getElementById('renderDiv');
+let canvas = document.getElementById('threeRenderCanvas');
+if (!canvas) {
+    canvas = document.createElement('canvas');
+    canvas.id = 'threeRenderCanvas';
+    parentDiv.appendChild(canvas);
+}
+
+const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    canvas
+});
+renderer.setPixelRatio(window.devicePixelRatio);
+renderer.setSize(parentDiv.clientWidth, parentDiv.clientHeight);
+renderer.shadowMap.enabled = true;
+
+const scene = new THREE.Scene();
+scene.background = new THREE.Color(0x1c1c24);
+
+// Flat, even light so every corner can be seen; the level's own lights add
+// to it
+scene.add(new THREE.HemisphereLight(0xffffff, 0x404050, 1.5));
+const sunLight = new THREE.DirectionalLight(0xffffff, 1.0);
+sunLight.position.set(-50, 100, 30);
+scene.add(sunLight);
+
+const camera = new THREE.PerspectiveCamera(
+    60,
+    parentDiv.clientWidth / parentDiv.clientHeight,
+    0.1,
+    2000
+);
+camera.position.set(0, 80, 120);
+
+const orbit = new OrbitControls(camera, renderer.domElement);
+orbit.update();
+
+// The gizmo moves a stand-in at the selection's anchor with the selected
+// meshes attached to it; letting go turns what it did into an edit
+const proxy = new THREE.Object3D();
+proxy.name = 'editorSelection';
+scene.add(proxy);
+const transform = new TransformControls(camera, renderer.domElement);
+scene.add(transform.getHelper());
+transform.addEventListener('dragging-changed', (event) => {
+    orbit.enabled = !event.value;
+    if (!event.value) commitTransform();
+});
+
+let grid = 1;
+let gridHelper = null;
+function setGrid(size) {
+    grid = size;
+    if (gridHelper) {
+        scene.remove(gridHelper);
+        gridHelper.dispose();
+    }
+    gridHelper = new THREE.GridHelper(200, Math.round(200 / grid), 0x55557a, 0x2e2e3c);
+    scene.add(gridHelper);
+    transform.setTranslationSnap(grid);
+}
+
+// =========================
+// Panels
+// =========================
+
+const toolbar = createEditorToolbar({
+    grid,
+    onAction: runAction,
+    onGrid: setGrid,
+    onImport: importLevel
+});
+
+const outliner = createOutliner({
+    onSelect: source => select(source)
+});
+
+const properties = createPropertyPanel({
+    onField: (key, value) => {
+        if (!selection) return;
+        const { source } = selection;
+        let next = setElementField(history.current, source, key, value);
+        // A spot light needs somewhere to point
+        const element = getElement(next, source);
+        if (key === 'type' && value === 'spot' && !element.target) {
+            next = setElementField(next, source, 'target', [element.position[0], 0, element.position[2]]);
+        }
+        apply(next, source);
+    },
+    onMaterialField: (id, key, value) => {
+        apply(setMaterialField(history.current, id, key, value), selection && selection.source);
+    }
+});
+
+const HINT = 'Click to select · W/E/R move, rotate, scale · F frames · P plays';
+
+// =========================
+// Level
+// =========================
+
+// The level to edit: the one being play-tested (?edited), a generated
+// castle (?seed=) or a level file (?level=, the castle by default)
+async function loadStartLevel() {
+    const stored = params.has('edited') ? loadEditedLevel() : null;
+    if (stored) return validateLevel(stored);
+    if (params.get('seed') !== null) return generateCastle(params.get('seed'));
+    const name = params.get('level') || 'castle';
+    return loadLevel(new URL(`./levels/${encodeURIComponent(name)}.json`, import.meta.url).href);
+}
+
+let level;
+try {
+    level = await loadStartLevel();
+} catch (error) {
+    toolbar.setStatus(`Failed to load level: ${error.message}`, true);
+    throw error;
+}
+const history = createEditHistory(level);
+
+let built = null; // What buildLevel() returned for the current level
+let selection = null; // { source, anchor, objects: [{ object, parent }] }
+let selectionBox = null;
+let mode = 'translate';
+
+function disposeBuilt() {
+    const disposed = new Set();
+    built.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material && !disposed.has(object.material)) {
+            disposed.add(object.material);
+            object.material.dispose();
+        }
+        if (object.isLight) object.dispose();
+    });
+    scene.remove(built.group);
+}
+
+// Lights have nothing to click on, so each gets a small ball in its colour
+function addLightMarkers() {
+    const geometry = new THREE.SphereGeometry(0.3, 12, 8);
+    built.group.traverse(object => {
+        if (!object.isLight || !object.userData.levelLight) return;
+        const marker = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: object.color
+        }));
+        marker.userData.levelLight = object.userData.levelLight;
+        object.add(marker);
+    });
+}
+
+// Build the current level afresh and select source in it, if given
+function rebuild(source = null) {
+    deselect();
+    if (built) disposeBuilt();
+    built = buildLevel(history.current, null, {
+        merge: false
+    });
+    addLightMarkers();
+    scene.add(built.group);
+    outliner.refresh(built.group);
+    toolbar.setHistory(history.canUndo(), history.canRedo());
+    if (source && getElement(history.current, source)) select(source);
+    else clearSelection();
+}
+
+// Keep next as the current level if it is a valid one
+function apply(next, source = null) {
+    try {
+        validateLevel(next);
+    } catch (error) {
+        toolbar.setStatus(error.message, true);
+        rebuild(selection && selection.source);
+        return false;
+    }
+    history.push(next);
+    toolbar.setStatus(HINT);
+    rebuild(source);
+    return true;
+}
+
+// =========================
+// Selection
+// =========================
+
+// The level element a clicked object belongs to, e.g. a light's marker
+function sourceOf(object) {
+    for (let current = object; current; current = current.parent) {
+        const source = objectSource(current);
+        if (source) return source;
+    }
+    return null;
+}
+
+// Every built object of one element: a wall with openings is several boxes
+function objectsOf(source) {
+    const objects = [];
+    built.group.traverse(object => {
+        if (!sameSource(objectSource(object), source)) return;
+        if (object.parent && sameSource(objectSource(object.parent), source)) return;
+        objects.push(object);
+    });
+    return objects;
+}
+
+function roomOffset(roomIndex) {
+    return built.rooms[history.current.rooms[roomIndex].id].position;
+}
+
+function applyMode() {
+    const allowed = selection ? elementModes(selection.source) : ['translate', 'rotate', 'scale'];
+    transform.setMode(allowed.includes(mode) ? mode : 'translate');
+    // Walls and boxes only turn about the vertical, a quarter at a time
+    transform.showX = transform.mode !== 'rotate';
+    transform.showZ = transform.mode !== 'rotate';
+    transform.setRotationSnap(Math.PI / 2);
+    toolbar.setMode(transform.mode, allowed);
+}
+
+function select(source) {
+    deselect();
+    const anchor = elementAnchor(history.current, source);
+    if (!anchor) return;
+    const offset = roomOffset(source.room);
+    proxy.position.set(anchor.x + offset.x, anchor.y + offset.y, anchor.z + offset.z);
+    proxy.rotation.set(0, 0, 0);
+    proxy.scale.set(1, 1, 1);
+    proxy.updateMatrixWorld();
+    const objects = objectsOf(source);
+    selection = {
+        source,
+        anchor: proxy.position.clone(),
+        objects: objects.map(object => ({ object, parent: object.parent }))
+    };
+    objects.forEach(object => proxy.attach(object));
+    selectionBox = new THREE.BoxHelper(proxy, 0xffdd33);
+    scene.add(selectionBox);
+    transform.attach(proxy);
+    applyMode();
+    outliner.select(source);
+    properties.show(history.current, source, getElement(history.current, source));
+    toolbar.setSelected(true);
+}
+
+// Put the selected meshes back where they came from
+function deselect() {
+    transform.detach();
+    if (selectionBox) {
+        scene.remove(selectionBox);
+        selectionBox.dispose();
+        selectionBox = null;
+    }
+    if (!selection) return;
+    selection.objects.forEach(({ object, parent }) => parent.attach(object));
+    selection = null;
+}
+
+function clearSelection() {
+    deselect();
+    applyMode();
+    outliner.select(null);
+    properties.clear();
+    toolbar.setSelected(false);
+}
+
+// Turn what the gizmo did into an edit; doing nothing just puts it back
+function commitTransform() {
+    if (!selection) return;
+    const { source, anchor } = selection;
+    const level = history.current;
+    if (transform.mode === 'translate') {
+        const delta = proxy.position.clone().sub(anchor);
+        if (delta.lengthSq() > 1e-8) {
+            apply(moveElement(level, source, { x: delta.x, y: delta.y, z: delta.z }), source);
+            return;
+        }
+    } else if (transform.mode === 'rotate') {
+        const turns = Math.round(proxy.rotation.y / (Math.PI / 2));
+        if (turns) {
+            apply(rotateElement(level, source, turns), source);
+            return;
+        }
+    } else {
+        const { x, y, z } = proxy.scale;
+        if (Math.abs(x - 1) + Math.abs(y - 1) + Math.abs(z - 1) > 1e-6) {
+            apply(scaleElement(level, source, { x: Math.abs(x), y: Math.abs(y), z: Math.abs(z) }, grid), source);
+            return;
+        }
+    }
+    proxy.position.copy(anchor);
+    proxy.rotation.set(0, 0, 0);
+    proxy.scale.set(1, 1, 1);
+}
+
+// Click (not drag) on something to select it, on nothing to let go
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let pointerStart = null;
+renderer.domElement.addEventListener('pointerdown', (event) => {
+    // The gizmo's own listener has already seen the press
+    pointerStart = transform.axis ? null : { x: event.clientX, y: event.clientY };
+});
+renderer.domElement.addEventListener('pointerup', (event) => {
+    const start = pointerStart;
+    pointerStart = null;
+    if (!start || Math.hypot(event.clientX - start.x, event.clientY - start.y) > 4) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects([built.group, proxy], true).find(h => sourceOf(h.object));
+    if (hit) select(sourceOf(hit.object));
+    else clearSelection();
+});
+
+// Point the camera at the selection, or the whole level
+function frame() {
+    const box = new THREE.Box3().setFromObject(selection ? proxy : built.group);
+    if (box.isEmpty()) return;
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = box.getSize(new THREE.Vector3()).length() / 2;
+    const direction = camera.position.clone().sub(orbit.target).normalize();
+    orbit.target.copy(center);
+    camera.position.copy(center).addScaledVector(direction, Math.max(radius * 2, 3));
+    orbit.update();
+}
+
+// =========================
+// Actions
+// =========================
+
+const ADDED_LISTS = {
+    addFloor: 'floors',
+    addWall: 'walls',
+    addProp: 'props',
+    addLight: 'lights'
+};
+
+// New things go in the selection's room, else whichever room the camera
+// is looking at, at the grid point it orbits
+function addNew(list) {
+    const level = history.current;
+    const target = orbit.target;
+    let roomIndex = selection ? selection.source.room : -1;
+    if (roomIndex < 0) {
+        const inside = built.layout.rooms
+            .map((room, index) => ({ room, index }))
+            .filter(({ room }) => room.bounds &&
+                target.x >= room.bounds.min.x && target.x <= room.bounds.max.x &&
+                target.z >= room.bounds.min.z && target.z <= room.bounds.max.z);
+        roomIndex = inside.length ? inside[0].index : 0;
+    }
+    const offset = roomOffset(roomIndex);
+    const at = {
+        x: snap(target.x - offset.x, grid),
+        y: snap(target.y - offset.y, grid),
+        z: snap(target.z - offset.z, grid)
+    };
+    const selected = selection && getElement(level, selection.source);
+    const material = selected && selected.material ? selected.material : Object.keys(level.materials)[0];
+    const added = addElement(level, roomIndex, list, at, material);
+    apply(added.level, added.source);
+}
+
+function undo() {
+    const state = history.undo();
+    if (state) rebuild(selection && selection.source);
+}
+
+function redo() {
+    const state = history.redo();
+    if (state) rebuild(selection && selection.source);
+}
+
+function exportLevel() {
+    const blob = new Blob([formatLevel(history.current)], {
+        type: 'application/json'
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${(history.current.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importLevel(file) {
+    file.text()
+        .then(text => {
+            history.reset(validateLevel(JSON.parse(text)));
+            rebuild();
+            frame();
+            toolbar.setStatus(`Imported ${file.name}`);
+        })
+        .catch(error => toolbar.setStatus(`Could not import ${file.name}: ${error.message}`, true));
+}
+
+// Hand the level to the game, which starts straight into it
+function playTest() {
+    storeEditedLevel(history.current);
+    const url = new URL('./index.html', import.meta.url);
+    url.search = params.has('debug') ? '?edited&debug' : '?edited';
+    window.location.href = url.href;
+}
+
+function runAction(action) {
+    if (action === 'translate' || action === 'rotate' || action === 'scale') {
+        mode = action;
+        applyMode();
+    } else if (ADDED_LISTS[action]) {
+        addNew(ADDED_LISTS[action]);
+    } else if (action === 'duplicate' && selection) {
+        const copy = duplicateElement(history.current, selection.source, grid);
+        apply(copy.level, copy.source);
+    } else if (action === 'delete' && selection) {
+        apply(removeElement(history.current, selection.source));
+    } else if (action === 'undo') {
+        undo();
+    } else if (action === 'redo') {
+        redo();
+    } else if (action === 'export') {
+        exportLevel();
+    } else if (action === 'play') {
+        playTest();
+    }
+}
+
+const KEY_ACTIONS = {
+    KeyW: 'translate',
+    KeyE: 'rotate',
+    KeyR: 'scale',
+    Delete: 'delete',
+    Backspace: 'delete',
+    KeyP: 'play'
+};
+
+window.addEventListener('keydown', (event) => {
+    const ctrl = event.ctrlKey || event.metaKey;
+    if (ctrl && event.code === 'KeyZ') runAction(event.shiftKey ? 'redo' : 'undo');
+    else if (ctrl && event.code === 'KeyY') runAction('redo');
+    else if (ctrl && event.code === 'KeyD') runAction('duplicate');
+    else if (ctrl) return;
+    else if (KEY_ACTIONS[event.code]) runAction(KEY_ACTIONS[event.code]);
+    else if (event.code === 'KeyF') frame();
+    else if (event.code === 'Escape') clearSelection();
+    else return;
+    event.preventDefault();
+});
+
+// =========================
+// Rendering
+// =========================
+
+function onWindowResize() {
+    const width = parentDiv.clientWidth;
+    const height = parentDiv.clientHeight;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+}
+
+window.addEventListener('resize', onWindowResize);
+
+function animate() {
+    requestAnimationFrame(animate);
+    if (selectionBox) selectionBox.update();
+    renderer.render(scene, camera);
+}
+
+setGrid(grid);
+rebuild();
+frame();
+toolbar.setStatus(HINT);
+animate();
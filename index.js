@@ -1,7 +1,4 @@
 import * as THREE from 'three';
-import {
-    OrbitControls
-} from 'three/addons/controls/OrbitControls.js';
 import {
     EffectComposer
 } from 'three/addons/postprocessing/EffectComposer.js';
@@ -14,11 +11,126 @@ import {
 import {
     SMAAPass
 } from 'three/addons/postprocessing/SMAAPass.js';
+import {
+    BokehPass
+} from 'three/addons/postprocessing/BokehPass.js';
+import {
+    boxesOverlap
+} from './src/collision.js';
+import {
+    createInputManager
+} from './src/input.js';
+import {
+    createTouchControls,
+    isTouchDevice,
+    hasTouchScreen
+} from './src/touchControls.js';
+import {
+    loadLevel,
+    buildLevel
+} from './src/levelBuilder.js';
+import {
+    validateLevel
+} from './src/levelFormat.js';
+import {
+    loadEditedLevel
+} from './src/levelEdits.js';
+import {
+    createAssetLibrary
+} from './src/assets.js';
+import {
+    generateCastle,
+    seededLevelName
+} from './src/castleGenerator.js';
+import {
+    createNetworkClient
+} from './src/network.js';
+import {
+    NET_DEFAULTS
+} from './src/netProtocol.js';
+import {
+    createGraphicsSettings
+} from './src/graphicsSettings.js';
+import {
+    createSaveManager
+} from './src/saveGame.js';
+import {
+    createAudioSystem
+} from './src/audio.js';
+import {
+    createSky
+} from './src/sky.js';
+import {
+    createSkyDebugPanel
+} from './src/skyDebugPanel.js';
+import {
+    createHud
+} from './src/hud.js';
+import {
+    createSimulation
+} from './src/simulation.js';
+import {
+    createCameraRig
+} from './src/cameraRig.js';
+import {
+    createVisibility
+} from './src/visibility.js';
+import {
+    createVisibilityDebug
+} from './src/visibilityDebug.js';
+import {
+    createPhotoPanel
+} from './src/photoPanel.js';
+import {
+    createRecorder,
+    createReplayer,
+    parseReplay,
+    replayDuration
+} from './src/replay.js';
+import {
+    createReplayPanel
+} from './src/replayPanel.js';
+import {
+    createCommandRegistry,
+    registerSimulationCommands
+} from './src/devCommands.js';
+import {
+    DEV_VIEWS,
+    createDevViews
+} from './src/devViews.js';
+import {
+    createDevOverlay
+} from './src/devOverlay.js';
+import {
+    interpolate
+} from './src/gameLoop.js';
+import {
+    createTerminal
+} from './src/terminal.js';
+import {
+    createTerminalOverlay
+} from './src/terminalOverlay.js';
+import {
+    createInventoryPanel
+} from './src/inventoryPanel.js';
+import {
+    createStateMachine
+} from './src/stateMachine.js';
+import {
+    createSettings
+} from './src/settings.js';
+import {
+    createMenus
+} from './src/menus.js';
+
+// Offline play: the service worker stores every file the game needs
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register(new URL('./sw.js', import.meta.url))
+        .catch(error => console.warn('Could not register the service worker', error));
+}
 
 // Initialize loading manager
 const loadingManager = new THREE.LoadingManager();
-const textureLoader = new THREE.TextureLoader(loadingManager);
-let assetsLoaded = false;
 
 const parentDiv = document.getElementById('renderDiv');
 let canvas = document.getElementById('threeRenderCanvas');
@@ -28,43 +140,78 @@ if (!canvas) {
     parentDiv.appendChild(canvas);
 }
 
-// Create loading screen
-const loadingScreen = document.createElement('div');
-loadingScreen.style.position = 'absolute';
-loadingScreen.style.top = '0';
-loadingScreen.style.left = '0';
-loadingScreen.style.width = '100%';
-loadingScreen.style.height = '100%';
-loadingScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-loadingScreen.style.color = 'white';
-loadingScreen.style.display = 'flex';
-loadingScreen.style.justifyContent = 'center';
-loadingScreen.style.alignItems = 'center';
-loadingScreen.style.fontSize = '24px';
-loadingScreen.innerHTML = 'Loading... 0%';
-parentDiv.appendChild(loadingScreen);
+// Persistent settings and the DOM menus for every game state
+const settings = createSettings();
+const menus = createMenus(settings);
+
+// Game flow: boot -> loading -> title -> playing <-> paused, playing -> gameOver,
+// playing <-> photo, and title, paused or gameOver -> replay -> title. Only
+// playing and replay run the simulation; photo mode and replays also read
+// game input, to fly the camera.
+const gameState = createStateMachine({
+    initial: 'boot',
+    states: {
+        boot: {
+            to: ['loading']
+        },
+        loading: {
+            to: ['title'],
+            enter: () => menus.show('loading')
+        },
+        title: {
+            to: ['playing', 'replay'],
+            enter: () => {
+                stopRecording();
+                stopGhost();
+                refreshSaveButtons();
+                menus.show('title');
+            }
+        },
+        playing: {
+            to: ['paused', 'gameOver', 'title', 'photo'],
+            enter: () => menus.show(null)
+        },
+        paused: {
+            to: ['playing', 'title', 'replay'],
+            enter: () => menus.show('paused')
+        },
+        gameOver: {
+            to: ['playing', 'title', 'replay'],
+            enter: () => {
+                refreshSaveButtons();
+                menus.show('gameOver');
+            }
+        },
+        photo: {
+            to: ['playing', 'title'],
+            enter: () => {
+                menus.show(null);
+                enterPhotoMode();
+            },
+            exit: exitPhotoMode
+        },
+        replay: {
+            to: ['title'],
+            enter: () => {
+                menus.show(null);
+                enterReplay();
+            },
+            exit: exitReplay
+        }
+    }
+});
+gameState.transition('loading');
 
 // Loading manager events
 loadingManager.onProgress = function(url, itemsLoaded, itemsTotal) {
-    const progress = ((itemsLoaded / itemsTotal) * 100).toFixed(0);
-    loadingScreen.innerHTML = `Loading... ${progress}%`;
+    menus.setLoadingProgress((itemsLoaded / itemsTotal) * 100);
 };
 
-loadingManager.onLoad = function() {
-    assetsLoaded = true;
-    loadingScreen.style.display = 'none';
-};
-// Force remove loading screen after 1 second
-setTimeout(() => {
-    assetsLoaded = true;
-    loadingScreen.style.display = 'none';
-}, 1000);
-
 // Initialize the scene
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x111111); // Dark grey background
 
-// Clock for animation
+// Real time between displayed frames, fed to the game loop
 const clock = new THREE.Clock();
 
 // Initialize the camera
@@ -74,8 +221,11 @@ const camera = new THREE.PerspectiveCamera(
     0.1,
     1000
 );
-camera.position.set(120, 60, 120); // Position camera further back and up
-camera.lookAt(0, 0, 0);
+
+// Sound is heard from the camera; its files start loading straight away
+const audio = createAudioSystem(camera, loadingManager, settings, {
+    baseUrl: import.meta.url
+});
 
 // Initialize the renderer with HDR
 const renderer = new THREE.WebGLRenderer({
@@ -91,6 +241,11 @@ renderer.outputEncoding = THREE.sRGBEncoding;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 0.8; // Darker overall exposure
 
+// Models and texture sets from the asset manifest start loading straight away
+const assets = createAssetLibrary(renderer, loadingManager, {
+    baseUrl: import.meta.url
+});
+
 // Initialize post-processing
 const composer = new EffectComposer(renderer);
 
@@ -98,6 +253,15 @@ const composer = new EffectComposer(renderer);
 const renderPass = new RenderPass(scene, camera);
 composer.addPass(renderPass);
 
+// Depth of field, only switched on in photo mode
+const bokehPass = new BokehPass(scene, camera, {
+    focus: 8,
+    aperture: 0,
+    maxblur: 0.015
+});
+bokehPass.enabled = false;
+composer.addPass(bokehPass);
+
 // Add subtle bloom effect
 const bloomPass = new UnrealBloomPass(
     new THREE.Vector2(window.innerWidth, window.innerHeight),
@@ -117,186 +281,7 @@ composer.addPass(smaaPass);
 // Initialize composer size
 composer.setSize(parentDiv.clientWidth, parentDiv.clientHeight);
 
-// Define sky colors for environmental lighting
-const skyColor = new THREE.Color(0x1a0033); // Dark purple sky
-const groundColor = new THREE.Color(0x000033); // Very dark blue ground reflection
-
-// Create sky dome with improved colors
-const vertexShader = `
-varying vec3 vWorldPosition;
-void main() {
-    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
-    vWorldPosition = worldPosition.xyz;
-    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
-}`;
-const fragmentShader = `
-uniform vec3 topColor;
-uniform vec3 bottomColor;
-uniform float offset;
-uniform float exponent;
-varying vec3 vWorldPosition;
-void main() {
-    float h = normalize( vWorldPosition + offset ).y;
-    gl_FragColor = vec4( mix( bottomColor, topColor, max( pow( max( h, 0.0 ), exponent ), 0.0 ) ), 1.0 );
-}`;
-const uniforms = {
-    topColor: {
-        value: skyColor
-    },
-    bottomColor: {
-        value: groundColor
-    },
-    offset: {
-        value: 33
-    },
-    exponent: {
-        value: 0.6
-    },
-};
-const skyGeo = new THREE.SphereGeometry(500, 32, 15);
-const skyMat = new THREE.ShaderMaterial({
-    uniforms: uniforms,
-    vertexShader: vertexShader,
-    fragmentShader: fragmentShader,
-    side: THREE.BackSide,
-});
-const sky = new THREE.Mesh(skyGeo, skyMat);
-scene.add(sky);
-
-// Modify OrbitControls setup
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.25;
-controls.screenSpacePanning = false;
-controls.maxPolarAngle = Math.PI / 2;
-controls.minDistance = 50;
-controls.maxDistance = 200;
-controls.target.set(0, 20, 0); // Look at the middle of the castle
-
-// Create flat terrain
-function createCastle() {
-    const castleGroup = new THREE.Group();
-
-    // Floor material (dark stone)
-    const floorMaterial = new THREE.MeshStandardMaterial({
-        color: 0x1a1a1a,
-        roughness: 0.9,
-        metalness: 0.1
-    });
-    // Wall material (darker stone)
-    const wallMaterial = new THREE.MeshStandardMaterial({
-        color: 0x0a0a0a,
-        roughness: 0.8,
-        metalness: 0.2
-    });
-    // Create ground floor
-    const groundFloor = new THREE.Mesh(
-        new THREE.BoxGeometry(100, 1, 100),
-        floorMaterial
-    );
-    groundFloor.position.y = -0.5;
-    groundFloor.receiveShadow = true;
-    castleGroup.add(groundFloor);
-    // Create outer walls
-    const wallHeight = 20;
-    const wallThickness = 2;
-    // North wall
-    const northWall = new THREE.Mesh(
-        new THREE.BoxGeometry(100, wallHeight, wallThickness),
-        wallMaterial
-    );
-    northWall.position.set(0, wallHeight / 2, -50 + wallThickness / 2);
-    northWall.castShadow = true;
-    northWall.receiveShadow = true;
-    castleGroup.add(northWall);
-    // South wall
-    const southWall = new THREE.Mesh(
-        new THREE.BoxGeometry(100, wallHeight, wallThickness),
-        wallMaterial
-    );
-    southWall.position.set(0, wallHeight / 2, 50 - wallThickness / 2);
-    southWall.castShadow = true;
-    southWall.receiveShadow = true;
-    castleGroup.add(southWall);
-    // East wall
-    const eastWall = new THREE.Mesh(
-        new THREE.BoxGeometry(wallThickness, wallHeight, 100),
-        wallMaterial
-    );
-    eastWall.position.set(50 - wallThickness / 2, wallHeight / 2, 0);
-    eastWall.castShadow = true;
-    eastWall.receiveShadow = true;
-    castleGroup.add(eastWall);
-    // West wall
-    const westWall = new THREE.Mesh(
-        new THREE.BoxGeometry(wallThickness, wallHeight, 100),
-        wallMaterial
-    );
-    westWall.position.set(-50 + wallThickness / 2, wallHeight / 2, 0);
-    westWall.castShadow = true;
-    westWall.receiveShadow = true;
-    castleGroup.add(westWall);
-    // Create second floor
-    const secondFloor = new THREE.Mesh(
-        new THREE.BoxGeometry(100, 1, 100),
-        floorMaterial
-    );
-    secondFloor.position.y = wallHeight;
-    secondFloor.receiveShadow = true;
-    castleGroup.add(secondFloor);
-    // Hidden computer room (small room in corner)
-    const computerRoomSize = 20;
-    const computerRoomHeight = 10;
-    // Computer room walls
-    const computerRoom = new THREE.Group();
-    computerRoom.position.set(-40, 0, -40); // Position in corner
-    // Computer room floor
-    const computerRoomFloor = new THREE.Mesh(
-        new THREE.BoxGeometry(computerRoomSize, 1, computerRoomSize),
-        new THREE.MeshStandardMaterial({
-            color: 0x0f0f0f
-        })
-    );
-    computerRoomFloor.position.y = 0.5;
-    computerRoom.add(computerRoomFloor);
-    // Computer room walls
-    const computerRoomWalls = new THREE.Mesh(
-        new THREE.BoxGeometry(computerRoomSize, computerRoomHeight, computerRoomSize),
-        new THREE.MeshStandardMaterial({
-            color: 0x080808,
-            transparent: true,
-            opacity: 0.95
-        })
-    );
-    computerRoomWalls.position.y = computerRoomHeight / 2;
-    computerRoom.add(computerRoomWalls);
-    // Add some computer-like objects
-    for (let i = 0; i < 3; i++) {
-        const computer = new THREE.Mesh(
-            new THREE.BoxGeometry(2, 1, 1),
-            new THREE.MeshStandardMaterial({
-                color: 0x333333
-            })
-        );
-        computer.position.set(-5 + i * 5, 3, -5);
-        computerRoom.add(computer);
-    }
-    castleGroup.add(computerRoom);
-    scene.add(castleGroup);
-    // Add point lights inside the castle
-    const pointLight1 = new THREE.PointLight(0xffffff, 2, 100);
-    pointLight1.position.set(0, 10, 0);
-    castleGroup.add(pointLight1);
-    const pointLight2 = new THREE.PointLight(0xffffff, 2, 100);
-    pointLight2.position.set(-30, 10, -30);
-    castleGroup.add(pointLight2);
-    const pointLight3 = new THREE.PointLight(0xffffff, 2, 100);
-    pointLight3.position.set(30, 10, 30);
-    castleGroup.add(pointLight3);
-    return castleGroup;
-}
-
-// Setup improved lighting system
+// Lighting; the day/night cycle moves and recolours all of it
 const sunLight = new THREE.DirectionalLight(0x2b1a45, 2.0); // Increased intensity
 sunLight.position.set(-50, 200, -50);
 sunLight.castShadow = true;
@@ -312,378 +297,1747 @@ sunLight.shadow.bias = -0.001;
 scene.add(sunLight);
 
 // Add hemisphere light to simulate sky and ground bounce light
-const hemiLight = new THREE.HemisphereLight(skyColor, groundColor, 1.0); // Increased intensity
+const hemiLight = new THREE.HemisphereLight(0x1a0033, 0x000033, 1.0); // Dark purple sky, very dark blue ground
 scene.add(hemiLight);
 // Add ambient light for better overall visibility
 const ambientLight = new THREE.AmbientLight(0x404040, 1.0);
 scene.add(ambientLight);
 // Reduce fog density for better visibility
-scene.fog = new THREE.FogExp2(0x000000, 0.001);
+const fog = new THREE.FogExp2(0x000000, 0.001);
+scene.fog = fog;
+
+// Sky dome with stars, moon and rain
+const sky = createSky(scene, {
+    sunLight,
+    hemiLight,
+    ambientLight,
+    fog
+});
 
-// Create initial scene
-const castle = createCastle();
+// Load the level named by ?level= (the castle by default), generate a
+// castle from ?seed= so a layout can be shared as a link, or play-test the
+// one in the level editor with ?edited (see editor.js), and build it
+const castleSeed = new URLSearchParams(window.location.search).get('seed');
+const playTesting = new URLSearchParams(window.location.search).has('edited');
+const levelName = playTesting ? 'edited' : castleSeed !== null ? seededLevelName(castleSeed) :
+    new URLSearchParams(window.location.search).get('level') || 'castle';
+
+function loadPlayTestLevel() {
+    const edited = loadEditedLevel();
+    if (!edited) throw new Error('nothing to play-test; open the level editor first');
+    return validateLevel(edited);
+}
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
+let level;
+try {
+    if (playTesting) level = loadPlayTestLevel();
+    else level = castleSeed !== null ? generateCastle(castleSeed) : await loadLevel(new URL(`./levels/${encodeURIComponent(levelName)}.json`, import.meta.url).href, loadingManager);
+} catch (error) {
+    menus.setLoadingError(`Failed to load level: ${error.message}`);
+    throw error;
+}
+const {
+    group: castle,
+    rooms: castleRooms,
+    roomParts,
+    doors: doorMeshes,
+    pickups: pickupMeshes,
+    bodies: bodyMeshes,
+    breakables: breakableMeshes,
+    layout: levelLayout
+} = buildLevel(level, assets);
+scene.add(castle);
+
+// The game world itself: collision, the player, doors, enemies and the rest,
+// updated in fixed ticks by its game loop. Everything drawn here follows it.
+const sim = createSimulation(levelLayout);
+const gameLoop = sim.loop;
+const player = sim.player;
+
+// Where the camera sits: the player's eyes, over their shoulder or off on
+// its own (see the Camera section)
+const cameraRig = createCameraRig(camera, {
+    world: sim.world,
+    player
+});
+cameraRig.update(0);
+
+// Keyboard, gamepad and on-screen controls mapped to named actions
+const input = createInputManager();
 
-    if (assetsLoaded) {
-        applyControls(); // Apply camera controls
-        controls.update();
+// =========================
+// World Interaction
+// =========================
+
+// Game events: doors, clues, lights and anything else scripted in level data
+const gameEvents = sim.events;
+const emitGameEvent = sim.emit;
+const doorSystem = sim.doors;
+
+// alpha blends between the last two ticks
+function syncDoorMeshes(alpha = 1) {
+    doorSystem.doors.forEach((door) => {
+        const mesh = doorMeshes[door.id];
+        const room = castleRooms[door.definition.roomId];
+        const center = interpolate(door.previousCenter, door.center, alpha);
+        mesh.position.set(
+            center.x - room.position.x,
+            center.y - room.position.y,
+            center.z - room.position.z
+        );
+    });
+}
+
+// Level lights can be recoloured or dimmed by scripted events
+gameEvents.on('light:set', (event) => {
+    const light = castle.getObjectByName(event.light);
+    if (!light || !light.isLight) return;
+    if (event.color !== undefined) light.color.set(event.color);
+    if (event.intensity !== undefined) light.intensity = event.intensity;
+});
+
+// The terminal the overlay is showing, so commands typed into it can be
+// recorded (see Recording and Replay)
+let openTerminalId = null;
+
+const terminalOverlay = createTerminalOverlay({
+    onOpen: () => input.setEnabled(false),
+    onCommand: (line) => recorder.action({
+        type: 'terminal',
+        id: openTerminalId,
+        line
+    }),
+    onClose: () => {
+        if (!gameState.is('playing')) return;
+        input.setEnabled(true);
+        lockPointer();
     }
+});
 
-    composer.render();
+// Health, objectives, prompts, toasts and the minimap
+const hud = createHud(levelLayout, {
+    touch: isTouchDevice()
+});
+
+gameEvents.on('clue:revealed', (event) => hud.toast(`Clue: ${event.text}`, 4));
+gameEvents.on('door:locked', (event) => {
+    const door = doorSystem.doors.get(event.door);
+    hud.toast(door && door.definition.key ? 'Locked. There must be a key somewhere.' : 'It won\'t budge. Locked.');
+});
+gameEvents.on('terminal:open', (event) => {
+    // A replay types its own commands
+    if (!gameState.is('playing')) return;
+    openTerminalId = event.id;
+    terminalOverlay.open(event.terminal, {
+        name: `${event.id} — ${event.source}`
+    });
+});
+gameEvents.on('objective:completed', (event) => hud.toast(`Objective complete: ${event.text}`));
+
+// Toasts count down in game time, so they wait out pauses
+gameLoop.register({
+    name: 'hud',
+    priority: 60,
+    update: (dt) => hud.update(dt)
+});
+
+// 'Use terminal' reads as "Press E to use terminal"
+function promptText(target) {
+    const action = sim.promptFor(target);
+    const key = isTouchDevice() ? 'Use' : input.keyLabel('interact');
+    return `Press ${key} to ${action.charAt(0).toLowerCase()}${action.slice(1)}`;
 }
 
-// Handle window resize
-function onWindowResize() {
-    const width = parentDiv.clientWidth;
-    const height = parentDiv.clientHeight;
+// feet: where the player is drawn this frame
+function updateHud(feet = player.position) {
+    hud.setHealth(sim.health, sim.settings.maxHealth);
+    hud.setStamina(player.stamina, player.settings.maxStamina, player.winded);
+    const objective = sim.objectives.current();
+    hud.setObjective(objective ? objective.text : null);
+    const target = sim.interactionTarget;
+    hud.setPrompt(target && !terminalOverlay.isOpen() ? promptText(target) : null);
+    hud.drawMap({
+        position: feet,
+        yaw: player.yaw,
+        doors: doorSystem.doors,
+        enemies
+    });
+}
 
-    // Update camera
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
+// =========================
+// Items
+// =========================
 
-    // Update renderer and composer
-    renderer.setSize(width, height);
-    composer.setSize(width, height);
+const inventory = sim.inventory;
 
-    // Update post-processing passes
-    bloomPass.resolution.set(width, height);
-    smaaPass.setSize(width, height);
+// Pickups turn slowly and bob so they stand out; taken ones disappear
+function syncPickupMeshes(time = gameLoop.time) {
+    levelLayout.pickups.forEach((pickup, i) => {
+        const mesh = pickupMeshes[pickup.id];
+        mesh.visible = sim.pickupCounts[pickup.id] > 0;
+        mesh.rotation.y = time * 1.5 + i;
+        mesh.position.y = pickup.localCenter.y + 0.05 + Math.sin(time * 2 + i) * 0.05;
+    });
 }
 
-// Add event listeners
-window.addEventListener('resize', onWindowResize);
-const resizeObserver = new ResizeObserver(onWindowResize);
-resizeObserver.observe(parentDiv);
+const inventoryPanel = createInventoryPanel(inventory, {
+    baseUrl: import.meta.url,
+    closeKeys: () => input.actions.inventory.keys,
+    onOpen: () => input.setEnabled(false),
+    onClose: () => {
+        if (!gameState.is('playing')) return;
+        input.setEnabled(true);
+        lockPointer();
+    },
+    onUse: (slot) => {
+        recorder.action({
+            type: 'useItem',
+            slot
+        });
+        sim.useItem(slot);
+    }
+});
 
-// Start animation
-animate();
+gameEvents.on('inventory:changed', () => inventoryPanel.render());
+gameEvents.on('item:picked', (event) => {
+    hud.toast(event.count > 1 ? `Picked up ${event.name} x${event.count}` : `Picked up ${event.name}`, 2);
+});
+gameEvents.on('inventory:full', () => hud.toast('Your bag is full.', 2));
+gameEvents.on('item:required', (event) => hud.toast(event.message || `You need the ${event.name}.`));
+gameEvents.on('item:used', (event) => {
+    if (event.message) hud.toast(event.message, 2);
+});
+gameEvents.on('door:unlocked', (event) => {
+    hud.toast(`Unlocked with the ${inventory.definition(event.item).name}.`, 2);
+});
 
 // =========================
-// Mobile Controls Integration
+// Loose Props and Rubble
+// =========================
+
+const physics = sim.physics;
+const debrisMeshes = new Map(); // Debris body id -> mesh
+const fromQuaternion = new THREE.Quaternion();
+const toQuaternion = new THREE.Quaternion();
+
+// Rubble is drawn in the broken wall's material, in the wall's room group
+// alongside the loose props
+function createDebrisMesh(body) {
+    const wall = breakableMeshes[body.userData.debris];
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(body.size.x, body.size.y, body.size.z), wall.material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    castleRooms[wall.userData.levelBox.roomId].add(mesh);
+    return mesh;
+}
+
+// alpha blends between the last two ticks; meshes sit in their room groups
+function placeBodyMesh(mesh, body, alpha) {
+    const room = mesh.parent.position;
+    const position = interpolate(body.previousPosition, body.position, alpha);
+    mesh.position.set(position.x - room.x, position.y - room.y, position.z - room.z);
+    const from = body.previousOrientation;
+    const to = body.orientation;
+    fromQuaternion.set(from.x, from.y, from.z, from.w);
+    toQuaternion.set(to.x, to.y, to.z, to.w);
+    mesh.quaternion.slerpQuaternions(fromQuaternion, toQuaternion, alpha);
+}
+
+function syncBodyMeshes(alpha = 1) {
+    const present = new Set();
+    physics.bodies.forEach(body => {
+        let mesh = bodyMeshes[body.id];
+        if (body.userData.debris) {
+            if (!debrisMeshes.has(body.id)) debrisMeshes.set(body.id, createDebrisMesh(body));
+            mesh = debrisMeshes.get(body.id);
+            present.add(body.id);
+        }
+        if (mesh && mesh.parent) placeBodyMesh(mesh, body, alpha);
+    });
+    // Debris is gone once the world is reset or loaded
+    debrisMeshes.forEach((mesh, id) => {
+        if (present.has(id)) return;
+        mesh.parent.remove(mesh);
+        mesh.geometry.dispose();
+        debrisMeshes.delete(id);
+    });
+    physics.breakables.forEach((breakable, id) => {
+        if (breakableMeshes[id]) breakableMeshes[id].visible = !breakable.broken;
+    });
+}
+
+gameEvents.on('prop:picked', () => {
+    const key = isTouchDevice() ? 'Throw' : input.keyLabel('throw');
+    hud.toast(`Press ${key} to throw it`, 2);
+});
+
 // =========================
+// Enemies
+// =========================
+
+const enemies = sim.enemies;
 
-// Create a container for the D-pad
-const dpadContainer = document.createElement('div');
-dpadContainer.id = 'dpadContainer';
-document.body.appendChild(dpadContainer);
-
-// Create directional buttons
-const directions = ['up', 'down', 'left', 'right'];
-directions.forEach(direction => {
-    const button = document.createElement('button');
-    button.id = `${direction}Button`;
-    button.classList.add('dpad-button');
-    // Set the appropriate icon based on direction
-    let iconUrl = '';
-    switch (direction) {
-        case 'up':
-            iconUrl = 'https://play.rosebud.ai/assets/up_chevron.png?RI99';
-            break;
-        case 'down':
-            iconUrl = 'https://play.rosebud.ai/assets/down_chevron.png?ImyT';
-            break;
-        case 'left':
-            iconUrl = 'https://play.rosebud.ai/assets/left_chevron.png?Sydw';
-            break;
-        case 'right':
-            iconUrl = 'https://play.rosebud.ai/assets/right_chevron.png?mPwf';
-            break;
-    }
-    button.style.backgroundImage = `url('${iconUrl}')`;
-    dpadContainer.appendChild(button);
-});
-
-// Create a container for the Jump button
-const jumpContainer = document.createElement('div');
-jumpContainer.id = 'jumpContainer';
-document.body.appendChild(jumpContainer);
-
-// Create Jump button
-const jumpButton = document.createElement('button');
-jumpButton.id = 'jumpButton';
-jumpButton.classList.add('jump-button');
-jumpButton.style.backgroundImage = `url('https://play.rosebud.ai/assets/Up-Arrow.png?EXsR')`;
-jumpContainer.appendChild(jumpButton);
-
-// Inject CSS styles dynamically
-const styles = `
-/* D-Pad Container */
-#dpadContainer {
-    position: fixed;
-    bottom: 150px; /* Moved up further */
-    left: 30px; /* Moved inward */
-    width: 150px; /* Increased size */
-    height: 150px; /* Increased size */
-    display: grid;
-    grid-template-areas:
-        ".   up   ."
-        "left  . right"
-        ".  down  .";
-    grid-gap: 10px; /* Spacing between buttons */
-    z-index: 1000;
-}
-
-/* Positioning each button in the grid */
-#upButton {
-    grid-area: up;
-}
-
-#downButton {
-    grid-area: down;
-}
-
-#leftButton {
-    grid-area: left;
-}
-
-#rightButton {
-    grid-area: right;
-}
-
-/* D-Pad Buttons */
-.dpad-button {
-    width: 50px; /* Consistent size */
-    height: 50px; /* Consistent size */
-    margin: 0; /* Remove margin as grid-gap handles spacing */
-    background-color: rgba(0, 0, 0, 0.5); /* Dark semi-transparent background */
-    background-size: 60%; /* Uniform icon size */
-    background-repeat: no-repeat;
-    background-position: center;
-    border: none;
-    border-radius: 12px; /* Rounded corners */
-    opacity: 0.9; /* Higher opacity */
-    transition: 
-        opacity 0.2s, 
-        transform 0.1s, 
-        box-shadow 0.2s, 
-        filter 0.2s; /* Smooth transitions */
-    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3); /* Initial shadow */
-}
-
-/* Active State for D-Pad Buttons */
-.dpad-button:active {
-    opacity: 1;
-    transform: scale(0.95);
-    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.5); /* Shadow becomes more pronounced */
-    filter: brightness(1.1); /* Slight brightness increase */
-}
-
-/* Jump Button Container */
-#jumpContainer {
-    position: fixed;
-    bottom: 150px; /* Moved up further */
-    right: 30px; /* Moved inward */
-    width: 80px; /* Maintained size */
-    height: 80px; /* Maintained size */
-    display: flex;
-    justify-content: center;
-    align-items: center;
-    z-index: 1000;
-}
-
-/* Jump Button */
-.jump-button {
-    width: 70px; /* Increased size */
-    height: 70px; /* Increased size */
-    background-color: rgba(0, 0, 0, 0.5); /* Dark semi-transparent background */
-    background-size: 60%; /* Uniform icon size */
-    background-repeat: no-repeat;
-    background-position: center;
-    border: none;
-    border-radius: 35px; /* Fully rounded */
-    opacity: 0.9; /* Higher opacity */
-    transition: 
-        opacity 0.2s, 
-        transform 0.1s, 
-        box-shadow 0.2s, 
-        filter 0.2s; /* Smooth transitions */
-    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3); /* Initial shadow */
-    background-image: url('https://play.rosebud.ai/assets/Up-Arrow.png?EXsR'); /* Jump button icon */
-}
-
-/* Active State for Jump Button */
-.jump-button:active {
-    opacity: 1;
-    transform: scale(0.95);
-    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.5); /* Shadow becomes more pronounced */
-    filter: brightness(1.1); /* Slight brightness increase */
-}
-
-/* Responsive Adjustments */
-@media (max-width: 600px) {
-    /* D-Pad Container */
-    #dpadContainer {
-        bottom: 120px; /* Increased from 80px to move up on smaller screens */
-        left: 25px;
-        width: 120px;
-        height: 120px;
-    }
-
-    /* D-Pad Buttons */
-    .dpad-button {
-        width: 40px;
-        height: 40px;
-        background-size: 60%; /* Ensure uniform size */
-    }
-
-    /* Jump Button Container */
-    #jumpContainer {
-        bottom: 120px; /* Increased from 80px */
-        right: 25px;
-        width: 60px;
-        height: 60px;
-    }
-
-    /* Jump Button */
-    .jump-button {
-        width: 60px;
-        height: 60px;
-        background-size: 60%; /* Ensure uniform size */
-    }
-}
-`;
-
-// Append the styles to the head
-const styleSheet = document.createElement("style");
-styleSheet.type = "text/css";
-styleSheet.innerText = styles;
-document.head.appendChild(styleSheet);
-
-// Define keysPressed object with standardized key names
-const keysPressed = {
-    up: false,
-    down: false,
-    left: false,
-    right: false,
-    jump: false,
+// Eyes glow brighter and redder the more alert an enemy is
+const ENEMY_EYE_COLORS = {
+    idle: 0xff8800,
+    patrol: 0xff8800,
+    return: 0xff8800,
+    investigate: 0xffee00,
+    chase: 0xff0000,
+    attack: 0xff0000
 };
+const enemyBodyMaterial = new THREE.MeshStandardMaterial({
+    color: 0x1a1a22,
+    roughness: 0.8
+});
+
+function createEnemyMesh(enemy) {
+    const { radius, height, eyeHeight } = enemy.body.settings;
+    const group = new THREE.Group();
+    group.name = enemy.id;
+    const body = new THREE.Mesh(
+        new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12),
+        enemyBodyMaterial
+    );
+    body.position.y = height / 2;
+    body.castShadow = true;
+    group.add(body);
+    const eyeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        emissive: ENEMY_EYE_COLORS.idle,
+        emissiveIntensity: 3
+    });
+    [-0.12, 0.12].forEach((x) => {
+        const eyeMesh = new THREE.Mesh(new THREE.SphereGeometry(0.05, 8, 8), eyeMaterial);
+        eyeMesh.position.set(x, eyeHeight, -radius + 0.02);
+        group.add(eyeMesh);
+    });
+    group.userData.eyeMaterial = eyeMaterial;
+    scene.add(group);
+    return group;
+}
+const enemyMeshes = enemies.map(createEnemyMesh);
 
-// Helper functions to handle button presses
-function addButtonListeners(buttonId, key) {
-    const button = document.getElementById(buttonId);
-    if (!button) return;
+function disposeEnemyMesh(group) {
+    scene.remove(group);
+    group.traverse((object) => {
+        if (object.isMesh) object.geometry.dispose();
+    });
+    group.userData.eyeMaterial.dispose();
+}
 
-    // Prevent default to avoid unwanted scrolling or other behaviors
-    button.addEventListener('touchstart', (event) => {
-        event.preventDefault();
-        keysPressed[key] = true;
-    }, {
-        passive: false
+function syncEnemyMeshes(alpha = 1) {
+    // Guards spawned from the developer console get a mesh when they first
+    // appear, and lose it again when a reset takes them away
+    while (enemyMeshes.length < enemies.length) enemyMeshes.push(createEnemyMesh(enemies[enemyMeshes.length]));
+    while (enemyMeshes.length > enemies.length) disposeEnemyMesh(enemyMeshes.pop());
+    enemies.forEach((enemy, i) => {
+        const mesh = enemyMeshes[i];
+        const position = interpolate(enemy.body.previousPosition, enemy.body.position, alpha);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.rotation.y = enemy.body.yaw;
+        mesh.userData.eyeMaterial.emissive.setHex(ENEMY_EYE_COLORS[enemy.state]);
     });
+}
 
-    button.addEventListener('touchend', (event) => {
-        event.preventDefault();
-        keysPressed[key] = false;
-    }, {
-        passive: false
+gameEvents.on('enemy:attack', () => {
+    if (!sim.dead) hud.toast('You were hit!', 1.5);
+});
+gameEvents.on('enemy:spotted', () => hud.toast('You have been spotted!', 2));
+
+// =========================
+// Co-op
+// =========================
+
+// ?multiplayer joins the co-op server the page came from (see
+// server/server.js); ?server=ws://host:port/net names another one
+const serverUrl = new URLSearchParams(window.location.search).get('server') ||
+    (new URLSearchParams(window.location.search).has('multiplayer') ?
+        `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}${NET_DEFAULTS.path}` : null);
+const network = serverUrl ? createNetworkClient(sim, {
+    url: serverUrl,
+    level: levelName
+}) : null;
+
+// =========================
+// Level Editor
+// =========================
+
+// While play-testing or with ?debug, the editor key (and a pause menu
+// button) opens the level editor on the level being played. The query
+// string goes along, so ?edited, ?level= and ?seed= pick the same level.
+const editorAvailable = playTesting || new URLSearchParams(window.location.search).has('debug');
+
+function openEditor() {
+    const url = new URL('./editor.html', import.meta.url);
+    url.search = window.location.search;
+    window.location.href = url.href;
+}
+
+// Other players get a capsule like the guards, in their own colour
+const REMOTE_PLAYER_COLORS = [0x3fa7ff, 0x66dd77, 0xffcc33, 0xff66cc, 0x9f7aff];
+const remotePlayerMeshes = new Map(); // Player id -> group
+
+// A player's capsule body, standing on the group's origin and facing -z
+function createPlayerMesh(name, color) {
+    const { radius, height, eyeHeight } = player.settings;
+    const group = new THREE.Group();
+    group.name = name;
+    const material = new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.6
+    });
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12), material);
+    body.position.y = height / 2;
+    body.castShadow = true;
+    group.add(body);
+    // A visor shows which way they are looking
+    const visor = new THREE.Mesh(new THREE.BoxGeometry(radius * 1.2, 0.12, 0.1), new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        emissive: 0xffffff,
+        emissiveIntensity: 1.5
+    }));
+    visor.position.set(0, eyeHeight, -radius);
+    group.add(visor);
+    scene.add(group);
+    return group;
+}
+
+function createRemotePlayerMesh(id) {
+    return createPlayerMesh(`player${id}`, REMOTE_PLAYER_COLORS[(id - 1) % REMOTE_PLAYER_COLORS.length]);
+}
+
+function syncRemotePlayerMeshes() {
+    if (!network) return;
+    const present = new Set();
+    network.remotePlayers().forEach(remote => {
+        if (!remotePlayerMeshes.has(remote.id)) remotePlayerMeshes.set(remote.id, createRemotePlayerMesh(remote.id));
+        const mesh = remotePlayerMeshes.get(remote.id);
+        mesh.position.set(remote.position.x, remote.position.y, remote.position.z);
+        mesh.rotation.y = remote.yaw;
+        present.add(remote.id);
     });
+    remotePlayerMeshes.forEach((mesh, id) => {
+        if (present.has(id)) return;
+        scene.remove(mesh);
+        mesh.traverse(object => {
+            if (!object.isMesh) return;
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        remotePlayerMeshes.delete(id);
+    });
+}
+
+gameEvents.on('net:connected', () => hud.toast('Joined the co-op game', 2));
+gameEvents.on('net:player-joined', (event) => hud.toast(`Player ${event.id} joined`, 2));
+gameEvents.on('net:player-left', (event) => hud.toast(`Player ${event.id} left`, 2));
+gameEvents.on('net:disconnected', () => hud.toast('Lost the connection to the co-op server', 4));
+gameEvents.on('net:error', (event) => hud.toast(event.message, 4));
+if (network) network.connect();
+
+// =========================
+// Camera
+// =========================
+
+// V steps through the views; ?debug adds a camera that flies free of the
+// player. The chosen view is kept with the other settings.
+const CAMERA_VIEWS = ['firstPerson', 'thirdPerson'].concat(
+    new URLSearchParams(window.location.search).has('debug') ? ['freeFly'] : []
+);
+settings.define('cameraView', 'firstPerson');
+settings.bind('cameraView', (view) => cameraRig.setMode(view));
+
+function cycleCameraView() {
+    const next = CAMERA_VIEWS[(CAMERA_VIEWS.indexOf(cameraRig.mode) + 1) % CAMERA_VIEWS.length];
+    if (next !== 'freeFly') settings.set('cameraView', next);
+    cameraRig.setMode(next);
+}
+
+// The player's own body, seen from behind and in photos
+const localPlayerMesh = createPlayerMesh('localPlayer', 0xd8d8d8);
+localPlayerMesh.visible = false;
+
+function syncLocalPlayerMesh(feet) {
+    localPlayerMesh.visible = cameraRig.showsPlayer();
+    localPlayerMesh.position.set(feet.x, feet.y, feet.z);
+    localPlayerMesh.rotation.y = player.yaw;
+}
+
+// Look and movement steer the free camera rather than the player; jump and
+// crouch rise and sink. look is in pixels, as for player.look.
+function steerFreeCamera(look, delta) {
+    cameraRig.look(look.x, look.y);
+    cameraRig.fly({
+        forward: input.value('moveY'),
+        strafe: input.value('moveX'),
+        up: input.value('jump') - input.value('crouch')
+    }, delta, input.isDown('sprint'));
+}
+
+// =========================
+// Photo Mode
+// =========================
+
+// Photo mode pauses the game and frees the camera. The panel's exposure,
+// bloom and depth of field only last until play resumes.
+let exposureBeforePhoto = renderer.toneMappingExposure;
+let viewBeforePhoto = 'firstPerson';
 
-    // Also handle mouse events for desktop compatibility
-    button.addEventListener('mousedown', (event) => {
-        event.preventDefault();
-        keysPressed[key] = true;
+const photoPanel = createPhotoPanel({
+    onChange: applyPhotoSettings,
+    onSave: savePhoto,
+    onClose: () => gameState.transition('playing')
+});
+
+function applyPhotoSettings(values) {
+    cameraRig.zoom(values.fov);
+    renderer.toneMappingExposure = values.exposure;
+    bloomPass.strength = values.bloom;
+    bloomPass.enabled = values.bloom > 0;
+    bokehPass.enabled = values.blur > 0;
+    bokehPass.uniforms.focus.value = values.focus;
+    bokehPass.uniforms.aperture.value = values.blur * 0.0002;
+}
+
+function enterPhotoMode() {
+    viewBeforePhoto = cameraRig.mode;
+    exposureBeforePhoto = renderer.toneMappingExposure;
+    cameraRig.setMode('photo');
+    photoPanel.open({
+        fov: Math.round(cameraRig.pose.fov),
+        exposure: renderer.toneMappingExposure,
+        bloom: bloomPass.enabled ? bloomPass.strength : 0
     });
+}
+
+function exitPhotoMode() {
+    photoPanel.close();
+    renderer.toneMappingExposure = exposureBeforePhoto;
+    bloomPass.strength = settings.get('bloomStrength');
+    bloomPass.enabled = bloomPass.strength > 0;
+    bokehPass.enabled = false;
+    cameraRig.setMode(viewBeforePhoto);
+}
+
+// The drawing buffer is only readable straight after a render, so draw the
+// shot again and grab it before the browser clears it
+function savePhoto() {
+    composer.render();
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            console.warn('Could not capture the photo');
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `shredded-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.png`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }, 'image/png');
+}
+
+function renderPhoto(delta) {
+    const feet = interpolate(player.previousPosition, player.position, gameLoop.alpha);
+    cameraRig.update(delta, feet);
+    syncLocalPlayerMesh(feet);
+    applyVisibility();
+    applySky();
+    composer.render();
+}
+
+// Without pointer lock, dragging on the view looks around instead (in photo
+// mode and replays)
+let photoDragging = false;
+canvas.addEventListener('mousedown', () => {
+    if (gameState.is('photo', 'replay')) photoDragging = true;
+});
+window.addEventListener('mouseup', () => {
+    photoDragging = false;
+});
 
-    button.addEventListener('mouseup', (event) => {
-        event.preventDefault();
-        keysPressed[key] = false;
+// =========================
+// Visibility
+// =========================
+
+// Only rooms that could be seen through open doorways and the portals in
+// view are drawn, and only their lights and those of the rooms next door
+// are on (see visibility.js)
+const visibility = createVisibility(levelLayout);
+const viewFrustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+const portalBox = new THREE.Box3();
+
+function applyVisibility() {
+    if (!visibility.enabled) return;
+    camera.updateMatrixWorld();
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    viewFrustum.setFromProjectionMatrix(viewProjection);
+    const result = visibility.update(camera.position, {
+        inView: portal => viewFrustum.intersectsBox(portalBox.set(portal.min, portal.max)),
+        isOpen: isDoorOpen
+    });
+    Object.keys(roomParts).forEach((id) => {
+        if (!visibility.cells.has(id)) return;
+        const parts = roomParts[id];
+        parts.shell.visible = result.shells.has(id);
+        parts.contents.visible = result.visible.has(id);
+        parts.lights.forEach((light) => {
+            light.visible = result.lit.has(id);
+        });
     });
+    if (visibilityDebug) visibilityDebug.update(result);
+}
+
+// A door lets the view through as soon as it starts to open
+function isDoorOpen(id) {
+    const door = doorSystem.doors.get(id);
+    return !door || door.progress > 0;
+}
+
+// ?debug adds outlines of the cells and portals, coloured by what is drawn
+const visibilityDebug = new URLSearchParams(window.location.search).has('debug') && visibility.enabled ?
+    createVisibilityDebug(scene, visibility, {
+        isOpen: isDoorOpen,
+        onChange: () => {
+            needsRender = true;
+        }
+    }) : null;
+
+// =========================
+// Time of Day and Weather
+// =========================
+
+const dayNight = sim.dayNight;
 
-    button.addEventListener('mouseleave', (event) => {
-        event.preventDefault();
-        keysPressed[key] = false;
+// Rain stops at the first roof overhead
+function isSheltered() {
+    const hit = sim.world.raycast(camera.position, { x: 0, y: 1, z: 0 }, 200, collider => Boolean(collider.userData.levelBox));
+    return Boolean(hit);
+}
+
+function applySky(alpha = gameLoop.alpha) {
+    sky.apply(dayNight.sample(), {
+        camera,
+        time: gameLoop.time + alpha * gameLoop.dt,
+        sheltered: isSheltered()
     });
+    if (skyDebugPanel) skyDebugPanel.update();
 }
 
-// Map buttons to standardized keys
-addButtonListeners('upButton', 'up');
-addButtonListeners('downButton', 'down');
-addButtonListeners('leftButton', 'left');
-addButtonListeners('rightButton', 'right');
-addButtonListeners('jumpButton', 'jump');
+// ?debug adds a panel for jumping to any time and forcing the weather
+const skyDebugPanel = new URLSearchParams(window.location.search).has('debug') ?
+    createSkyDebugPanel(dayNight, {
+        onChange: () => {
+            applySky();
+            needsRender = true;
+        }
+    }) : null;
+applySky();
 
 // =========================
-// Keyboard Controls Integration
+// Sound
 // =========================
 
-// Add event listeners for keyboard controls
-window.addEventListener('keydown', (event) => {
-    switch (event.code) {
-        case 'ArrowUp':
-        case 'KeyW':
-            keysPressed.up = true;
-            break;
-        case 'ArrowDown':
-        case 'KeyS':
-            keysPressed.down = true;
-            break;
-        case 'ArrowLeft':
-        case 'KeyA':
-            keysPressed.left = true;
-            break;
-        case 'ArrowRight':
-        case 'KeyD':
-            keysPressed.right = true;
-            break;
-        case 'Space':
-            keysPressed.jump = true;
-            break;
-        default:
-            break;
+audio.attach(scene);
+audio.addReverbZones(levelLayout.rooms);
+levelLayout.sounds.forEach((sound) => {
+    audio.addEmitter(sound.sound, sound.position, {
+        volume: sound.volume,
+        distance: sound.distance
+    });
+});
+
+gameEvents.on('footstep', (event) => {
+    // The player's own steps are heard at the ears, everyone else's in place
+    const own = event.id === 'player';
+    audio.play('footstep', own ? null : event.position, {
+        volume: event.running ? 1 : 0.6,
+        detune: (Math.random() - 0.5) * 300
+    });
+});
+['door:opened', 'door:closed'].forEach((type) => {
+    gameEvents.on(type, (event) => {
+        const door = doorSystem.doors.get(event.door);
+        if (door) audio.play('door', door.center);
+    });
+});
+gameEvents.on('door:locked', (event) => {
+    const door = doorSystem.doors.get(event.door);
+    if (door) audio.play('door', door.center, { volume: 0.4, detune: 600 });
+});
+gameEvents.on('enemy:spotted', () => audio.play('alert'));
+// Props knocking about thud lower and louder the harder they hit
+gameEvents.on('physics:impact', (event) => {
+    audio.play('door', event.position, {
+        volume: Math.min(1, event.impulse / 150),
+        detune: -1200 + Math.random() * 400
+    });
+});
+gameEvents.on('physics:broken', (event) => {
+    audio.play('door', event.position, { detune: -1800 });
+});
+
+// Reverb follows the room the player is in; the music turns tense while
+// anyone is hunting them
+gameLoop.register({
+    name: 'sound',
+    priority: 70,
+    update: () => {
+        audio.update(player.eyePosition());
+        const hunted = enemies.some(enemy => enemy.state === 'chase' || enemy.state === 'attack');
+        audio.setLayer('music', hunted ? 'musicDanger' : null);
     }
 });
 
-window.addEventListener('keyup', (event) => {
-    switch (event.code) {
-        case 'ArrowUp':
-        case 'KeyW':
-            keysPressed.up = false;
-            break;
-        case 'ArrowDown':
-        case 'KeyS':
-            keysPressed.down = false;
-            break;
-        case 'ArrowLeft':
-        case 'KeyA':
-            keysPressed.left = false;
-            break;
-        case 'ArrowRight':
-        case 'KeyD':
-            keysPressed.right = false;
-            break;
-        case 'Space':
-            keysPressed.jump = false;
-            break;
-        default:
-            break;
+// Whether the last press came from a finger. Touch screens look by dragging
+// instead, and a touchscreen laptop goes back to pointer lock as soon as its
+// mouse is used again.
+let touchPressed = isTouchDevice();
+window.addEventListener('pointerdown', (event) => {
+    touchPressed = event.pointerType === 'touch';
+}, true);
+
+// Mouse look through pointer lock
+function lockPointer() {
+    if (touchPressed || !canvas.requestPointerLock || document.pointerLockElement === canvas) return;
+    const request = canvas.requestPointerLock();
+    // Browsers refuse a lock requested too soon after the last one was released
+    if (request && request.catch) request.catch(() => {});
+}
+
+canvas.addEventListener('click', () => {
+    if (gameState.is('playing')) lockPointer();
+});
+document.addEventListener('mousemove', (event) => {
+    if (document.pointerLockElement !== canvas && !photoDragging) return;
+    input.addLookDelta(event.movementX, event.movementY);
+});
+// Escape releases the pointer lock before the page sees the key, so losing
+// the lock mid-game is what pauses it. Touch screens never lock the pointer
+// and pause with their Pause button instead (see src/touchControls.js).
+document.addEventListener('pointerlockchange', () => {
+    if (document.pointerLockElement !== canvas && gameState.is('playing') && !terminalOverlay.isOpen() && !inventoryPanel.isOpen() &&
+        !(devOverlay && devOverlay.isOpen())) {
+        gameState.transition('paused');
     }
 });
 
 // =========================
-// End of Mobile and Keyboard Controls Integration
+// Game Flow and Menus
+// =========================
+
+const initialLightState = [];
+castle.traverse((object) => {
+    if (!object.isLight) return;
+    initialLightState.push({
+        light: object,
+        color: object.color.clone(),
+        intensity: object.intensity
+    });
+});
+
+// Put the player and the castle back the way the level file describes them.
+// A run being recorded ends here: what follows is a different run.
+function resetWorld() {
+    stopRecording();
+    terminalOverlay.close();
+    inventoryPanel.close();
+    sim.reset();
+    cameraRig.snap();
+    syncDoorMeshes();
+    syncPickupMeshes();
+    syncBodyMeshes();
+    initialLightState.forEach(({ light, color, intensity }) => {
+        light.color.copy(color);
+        light.intensity = intensity;
+    });
+    syncEnemyMeshes();
+    hud.clearToasts();
+}
+
+function startGame() {
+    resetWorld();
+    if (ghost) ghost.replayer.restart();
+    if (network) network.resync();
+    gameState.transition('playing');
+}
+
+// =========================
+// Saving and Loading
 // =========================
 
-// Function to apply controls based on keysPressed
-function applyControls() {
-    const moveSpeed = 1.0; // Adjust as needed
-    const verticalSpeed = 1.0; // Speed for moving up/down
+// Each piece of progress is its own save section, so saves made before a
+// system existed still load; that system simply keeps its fresh state
+const saveManager = createSaveManager({
+    level: levelName
+});
+saveManager.register('player', {
+    save: () => ({
+        position: { ...player.position },
+        yaw: player.yaw,
+        pitch: player.pitch,
+        health: sim.health
+    }),
+    load: (data) => {
+        player.reset(data.position, data.yaw);
+        player.pitch = data.pitch || 0;
+        if (data.health !== undefined) sim.health = Math.max(1, Math.min(sim.settings.maxHealth, data.health));
+    }
+});
+// Enemies come back calm, wherever they were standing
+saveManager.register('enemies', {
+    save: () => {
+        const positions = {};
+        enemies.forEach(enemy => {
+            positions[enemy.id] = {
+                position: { ...enemy.body.position },
+                yaw: enemy.body.yaw
+            };
+        });
+        return positions;
+    },
+    load: (data) => {
+        enemies.forEach(enemy => {
+            if (data[enemy.id]) enemy.body.reset(data[enemy.id].position, data[enemy.id].yaw);
+        });
+        syncEnemyMeshes();
+    }
+});
+saveManager.register('doors', {
+    save: () => doorSystem.getState(),
+    load: (data) => {
+        doorSystem.setState(data);
+        syncDoorMeshes();
+    }
+});
+// Where the loose props lie and which walls are down
+saveManager.register('physics', {
+    save: () => physics.getState(),
+    load: (data) => {
+        physics.setState(data);
+        syncBodyMeshes();
+    }
+});
+saveManager.register('lights', {
+    save: () => {
+        const lights = {};
+        initialLightState.forEach(({ light }) => {
+            if (light.name) {
+                lights[light.name] = {
+                    color: `#${light.color.getHexString()}`,
+                    intensity: light.intensity
+                };
+            }
+        });
+        return lights;
+    },
+    load: (data) => {
+        initialLightState.forEach(({ light }) => {
+            const saved = data[light.name];
+            if (!saved) return;
+            light.color.set(saved.color);
+            light.intensity = saved.intensity;
+        });
+    }
+});
+saveManager.register('terminals', {
+    save: () => {
+        const unlocked = {};
+        Object.keys(sim.terminals).forEach(id => {
+            unlocked[id] = sim.terminals[id].unlocked;
+        });
+        return unlocked;
+    },
+    load: (data) => {
+        Object.keys(data).forEach(id => {
+            if (!levelLayout.terminals[id]) return;
+            sim.terminals[id] = createTerminal(levelLayout.terminals[id], {
+                emit: emitGameEvent,
+                unlocked: data[id]
+            });
+        });
+    }
+});
+saveManager.register('interactables', {
+    save: () => {
+        const enabled = {};
+        sim.interaction.interactables.forEach(interactable => {
+            enabled[interactable.id] = interactable.enabled;
+        });
+        return enabled;
+    },
+    load: (data) => {
+        sim.interaction.interactables.forEach(interactable => {
+            if (data[interactable.id] !== undefined) interactable.enabled = Boolean(data[interactable.id]);
+        });
+    }
+});
+saveManager.register('clues', {
+    save: () => sim.revealedClues.map(clue => ({ ...clue })),
+    load: (data) => {
+        sim.revealedClues.length = 0;
+        data.forEach(clue => sim.revealedClues.push({ ...clue }));
+    }
+});
+saveManager.register('checkpoints', {
+    save: () => Array.from(sim.reachedCheckpoints),
+    load: (data) => data.forEach(id => sim.reachedCheckpoints.add(id))
+});
+saveManager.register('inventory', {
+    save: () => ({
+        items: inventory.getState(),
+        pickups: { ...sim.pickupCounts }
+    }),
+    load: (data) => {
+        inventory.setState(data.items || []);
+        Object.keys(data.pickups || {}).forEach(id => {
+            if (sim.pickupCounts[id] !== undefined) sim.pickupCounts[id] = data.pickups[id];
+        });
+        syncPickupMeshes();
+    }
+});
+saveManager.register('objectives', {
+    save: () => sim.objectives.getState(),
+    load: (data) => sim.objectives.setState(data)
+});
+saveManager.register('environment', {
+    save: () => dayNight.getState(),
+    load: (data) => {
+        dayNight.setState(data);
+        applySky();
+    }
+});
+saveManager.register('settings', {
+    save: () => settings.toJSON(),
+    load: (data) => settings.assign(data)
+});
+
+// Start playing from a save, leaving the current game alone if it is unusable
+function loadGame(save) {
+    let checked;
+    try {
+        checked = saveManager.check(save);
+    } catch (error) {
+        console.warn('Could not load save', error);
+        menus.setText(menus.visible, error.message);
+        return;
+    }
+    stopGhost();
+    resetWorld();
+    saveManager.restore(checked);
+    cameraRig.snap();
+    if (network) network.resync();
+    gameState.transition('playing');
+    hud.toast(checked.label ? `Loaded: ${checked.label}` : 'Game loaded', 2);
+}
 
-    if (keysPressed.up) {
-        camera.position.z -= moveSpeed;
+function autosave(label) {
+    try {
+        saveManager.write('auto', saveManager.capture(label));
+    } catch (error) {
+        // Storage can be full or disabled; the game carries on without saving
+        console.warn('Autosave failed', error);
     }
-    if (keysPressed.down) {
-        camera.position.z += moveSpeed;
+}
+
+// Reaching a checkpoint for the first time autosaves, except in a replay
+gameEvents.on('checkpoint:reached', (event) => {
+    if (gameState.is('playing')) autosave(event.label || event.id);
+    hud.toast('Checkpoint reached', 2);
+});
+
+// Offer to pick up from the latest save wherever there is one
+function refreshSaveButtons() {
+    const hasSave = Boolean(saveManager.latest());
+    menus.setButtonVisible('continueButton', hasSave);
+    menus.setButtonVisible('loadLastSaveButton', hasSave);
+}
+
+function describeSave(entry) {
+    const name = entry.slot === 'auto' ? 'Autosave' : `Slot ${entry.slot.replace('slot', '')}`;
+    if (!entry.save) return `${name}: Empty`;
+    const time = entry.savedAt.toLocaleString(undefined, {
+        dateStyle: 'short',
+        timeStyle: 'short'
+    });
+    return `${name}: ${entry.label || 'Saved game'} (${time})`;
+}
+
+function downloadSave(save) {
+    const blob = new Blob([saveManager.exportSave(save)], {
+        type: 'application/json'
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `shredded-${save.level || 'save'}-${save.savedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+const importField = document.createElement('input');
+importField.type = 'file';
+importField.accept = 'application/json,.json';
+importField.style.display = 'none';
+document.body.appendChild(importField);
+importField.addEventListener('change', () => {
+    const file = importField.files[0];
+    importField.value = '';
+    if (!file) return;
+    file.text()
+        .then(text => loadGame(saveManager.importSave(text)))
+        .catch(error => menus.setText('saves', error.message));
+});
+
+// Slot list for saving (pause menu) or loading (title and pause menus)
+let savesReturn = null;
+function showSaveSlots(mode, text = '') {
+    if (menus.visible !== 'saves') savesReturn = menus.visible;
+    const close = () => menus.show(savesReturn);
+    const buttons = saveManager.list()
+        .filter(entry => mode === 'load' ? entry.save : entry.slot !== 'auto')
+        .map(entry => ({
+            label: describeSave(entry),
+            onClick: () => {
+                if (mode === 'load') {
+                    loadGame(entry.save);
+                    return;
+                }
+                try {
+                    saveManager.write(entry.slot, saveManager.capture(currentLocation()));
+                    showSaveSlots(mode, 'Game saved.');
+                } catch (error) {
+                    menus.setText('saves', `Could not save: ${error.message}`);
+                }
+            }
+        }));
+    if (mode === 'save') {
+        buttons.push({
+            label: 'Export to File',
+            onClick: () => downloadSave(saveManager.capture(currentLocation()))
+        });
+    } else {
+        buttons.push({
+            label: 'Import from File',
+            onClick: () => importField.click()
+        });
     }
-    if (keysPressed.left) {
-        camera.position.x -= moveSpeed;
+    buttons.push({
+        label: 'Back',
+        onClick: close
+    });
+    menus.defineScreen('saves', {
+        heading: mode === 'save' ? 'Save Game' : 'Load Game',
+        text: text || (mode === 'load' && buttons.length === 2 ? 'No saved games yet.' : ''),
+        buttons,
+        onBack: close
+    });
+    menus.show('saves');
+}
+
+// Saves are labelled with the room the player is standing in
+function currentLocation() {
+    const body = player.bodyBox();
+    const checkpoint = levelLayout.checkpoints.find(c => boxesOverlap(body, c));
+    if (checkpoint) return checkpoint.label;
+    const room = levelLayout.rooms
+        .map(room => ({
+            id: room.id,
+            distance: Math.hypot(room.position.x - player.position.x, room.position.z - player.position.z)
+        }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return room ? room.id : levelLayout.name;
+}
+
+// =========================
+// Recording and Replay
+// =========================
+
+// A run is recorded from the start of the level (see replay.js): F9 or the
+// Recordings menu starts one over and F9 again, a reset or the title screen
+// ends it. The last run can be watched back, raced as a ghost or exported,
+// and exported runs checked headlessly with tools/checkReplay.js. Co-op
+// games are shared with other players, so nothing is recorded there.
+const recorder = createRecorder(sim, {
+    level: levelName,
+    seed: castleSeed
+});
+let lastRecording = null;
+
+function startRecording() {
+    if (gameState.is('playing')) {
+        resetWorld();
+        if (ghost) ghost.replayer.restart();
+    } else {
+        startGame();
     }
-    if (keysPressed.right) {
-        camera.position.x += moveSpeed;
+    recorder.start();
+    hud.toast('Recording from the start', 2);
+}
+
+function stopRecording() {
+    const recording = recorder.stop();
+    if (!recording || !recording.ticks) return;
+    lastRecording = recording;
+    hud.toast(`Recorded ${replayDuration(recording).toFixed(1)} s`, 2);
+}
+
+function describeRecording(recording) {
+    const time = new Date(recording.recordedAt).toLocaleString(undefined, {
+        dateStyle: 'short',
+        timeStyle: 'short'
+    });
+    return `${replayDuration(recording).toFixed(1)} s on ${recording.level} (${time})`;
+}
+
+// Only runs on the level being played can be shown on it
+function matchesLevel(recording) {
+    if (recording.level === levelName) return true;
+    menus.setText('recordings', `That run was recorded on ${recording.level}. Open that level to play it back.`);
+    return false;
+}
+
+function downloadRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], {
+        type: 'application/json'
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `shredded-run-${recording.level}-${recording.recordedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+const recordingImportField = document.createElement('input');
+recordingImportField.type = 'file';
+recordingImportField.accept = 'application/json,.json';
+recordingImportField.style.display = 'none';
+document.body.appendChild(recordingImportField);
+recordingImportField.addEventListener('change', () => {
+    const file = recordingImportField.files[0];
+    recordingImportField.value = '';
+    if (!file) return;
+    file.text()
+        .then((text) => {
+            lastRecording = parseReplay(text);
+            showRecordings(`Imported a run of ${describeRecording(lastRecording)}.`);
+        })
+        .catch(error => menus.setText('recordings', error.message));
+});
+
+// The recordings screen, from the title and pause menus
+let recordingsReturn = null;
+function showRecordings(text = '') {
+    if (menus.visible !== 'recordings') recordingsReturn = menus.visible;
+    const close = () => menus.show(recordingsReturn);
+    const buttons = [recorder.recording ? {
+        label: 'Stop Recording',
+        onClick: () => {
+            stopRecording();
+            showRecordings();
+        }
+    } : {
+        label: 'Record a New Run',
+        onClick: startRecording
+    }];
+    if (lastRecording) {
+        buttons.push({
+            label: 'Watch Replay',
+            onClick: () => {
+                if (matchesLevel(lastRecording)) gameState.transition('replay');
+            }
+        }, {
+            label: 'Race the Ghost',
+            onClick: () => {
+                if (!matchesLevel(lastRecording)) return;
+                startGhost(lastRecording);
+                startGame();
+            }
+        }, {
+            label: 'Export to File',
+            onClick: () => downloadRecording(lastRecording)
+        });
     }
-    if (keysPressed.jump) {
-        camera.position.y += verticalSpeed;
+    buttons.push({
+        label: 'Import from File',
+        onClick: () => recordingImportField.click()
+    }, {
+        label: 'Back',
+        onClick: close
+    });
+    let status = lastRecording ? `Last run: ${describeRecording(lastRecording)}. Watching or racing it starts the level over.` :
+        'No runs yet. Record one, or import one from a file.';
+    if (recorder.recording) status = 'Recording this run.';
+    menus.defineScreen('recordings', {
+        heading: 'Recordings',
+        text: text || status,
+        buttons,
+        onBack: close
+    });
+    menus.show('recordings');
+}
+
+const recordingsButton = network ? [] : [{
+    label: 'Recordings',
+    onClick: () => showRecordings()
+}];
+
+// Watching: the recording drives the world, with the usual drawing on top.
+// The camera follows the runner or flies free, and a paused replay is
+// still drawn every frame so the free camera keeps moving.
+let replay = null;
+
+const replayPanel = createReplayPanel({
+    onSeek: seekReplay,
+    onCamera: (free) => cameraRig.setMode(free ? 'freeFly' : settings.get('cameraView')),
+    onClose: () => gameState.transition('title')
+});
+
+function enterReplay() {
+    stopGhost();
+    replay = createReplayer(sim, lastRecording, {
+        reset: resetWorld
+    });
+    replay.restart();
+    cameraRig.setMode(settings.get('cameraView'));
+    replayPanel.open(lastRecording);
+}
+
+function exitReplay() {
+    replay.dispose();
+    replay = null;
+    replayPanel.close();
+    cameraRig.setMode(settings.get('cameraView'));
+    // The recording brought its own day length and weather settings
+    dayNight.settings.dayLength = settings.get('dayLength');
+    dayNight.settings.autoWeather = settings.get('dynamicWeather');
+}
+
+// Skipping ahead runs every tick in between at once, without their sounds
+function seekReplay(tick) {
+    audio.setSilenced(true);
+    replay.seek(tick);
+    audio.setSilenced(false);
+    hud.clearToasts();
+    cameraRig.snap();
+}
+
+function playReplay(frameTime, delta) {
+    const values = replayPanel.values;
+    const look = readLook(delta);
+    if (values.free) steerFreeCamera(look, delta);
+    // Play again from the start once it has finished
+    if (values.playing && replay.finished) seekReplay(0);
+    if (values.playing) gameLoop.advance(frameTime * values.speed);
+    else gameLoop.render();
+    replayPanel.setTick(replay.tick);
+    if (values.playing && replay.finished) replayPanel.setPlaying(false);
+}
+
+// Racing: a second simulation of the level plays the recording alongside
+// the live one, a tick for each of its ticks, and is drawn as a see-through
+// runner. It starts over whenever the live run does (see startGame()).
+let ghost = null; // { sim, replayer }
+
+const ghostMesh = createPlayerMesh('ghost', 0x88ccff);
+ghostMesh.traverse((object) => {
+    if (!object.isMesh) return;
+    object.material.transparent = true;
+    object.material.opacity = 0.35;
+    object.material.depthWrite = false;
+    object.castShadow = false;
+});
+ghostMesh.visible = false;
+
+function startGhost(recording) {
+    const ghostSim = createSimulation(levelLayout, {
+        tickRate: recording.tickRate
+    });
+    ghost = {
+        sim: ghostSim,
+        replayer: createReplayer(ghostSim, recording)
+    };
+    ghostMesh.visible = true;
+}
+
+function stopGhost() {
+    ghost = null;
+    ghostMesh.visible = false;
+}
+
+gameLoop.register({
+    name: 'ghost',
+    priority: 12,
+    update: () => {
+        if (ghost) ghost.sim.step();
     }
-}
\ No newline at end of file
+});
+
+function syncGhostMesh(alpha) {
+    if (!ghost) return;
+    const runner = ghost.sim.player;
+    const feet = interpolate(runner.previousPosition, runner.position, alpha);
+    ghostMesh.position.set(feet.x, feet.y, feet.z);
+    ghostMesh.rotation.y = runner.yaw;
+}
+
+// =========================
+// Developer Overlay
+// =========================
+
+// ?debug adds an overlay on the backquote key: frame stats, debug views, the
+// scene inspector and a console. The commands are set up either way so
+// other systems can register their own (see src/devCommands.js).
+const devCommands = createCommandRegistry();
+registerSimulationCommands(devCommands, sim);
+
+const devViews = new URLSearchParams(window.location.search).has('debug') ? createDevViews(scene, sim) : null;
+const devOverlay = devViews ? createDevOverlay({
+    renderer,
+    scene,
+    commands: devCommands,
+    views: devViews,
+    // A run changed by hand is no longer one the recording could replay
+    onCommand: () => {
+        if (!recorder.recording) return;
+        stopRecording();
+        hud.toast('Console commands are not recorded', 2);
+    },
+    onChange: () => {
+        needsRender = true;
+    }
+}) : null;
+
+if (devViews) {
+    devCommands.register('view', {
+        usage: 'view <name> [on|off]',
+        description: `switch a debug view: ${DEV_VIEWS.join(', ')}`,
+        run(args) {
+            if (!args.length) return DEV_VIEWS.map(name => `  ${name.padEnd(16)} ${devViews.active[name] ? 'on' : 'off'}`);
+            devViews.set(args[0], args[1] === undefined ? !devViews.active[args[0]] : args[1] === 'on');
+            return [`${args[0]} ${devViews.active[args[0]] ? 'on' : 'off'}`];
+        }
+    });
+}
+devCommands.register('reset', {
+    usage: 'reset',
+    description: 'put the level back as it started',
+    run() {
+        resetWorld();
+        return ['level reset'];
+    }
+});
+
+// Look tuning, live and for this session only: the graphics settings put
+// bloom back when changed, and photo mode sets both while it is open
+function readLevel(text) {
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < 0) throw new Error('expected a number, 0 or more');
+    return value;
+}
+devCommands.register('exposure', {
+    usage: 'exposure [value]',
+    description: 'show or set the tone mapping exposure',
+    run(args) {
+        if (args.length) renderer.toneMappingExposure = readLevel(args[0]);
+        return [`exposure ${renderer.toneMappingExposure}`];
+    }
+});
+devCommands.register('bloom', {
+    usage: 'bloom [strength]',
+    description: 'show or set the bloom strength, 0 for none',
+    run(args) {
+        if (args.length) {
+            bloomPass.strength = readLevel(args[0]);
+            bloomPass.enabled = bloomPass.strength > 0;
+        }
+        return [`bloom ${bloomPass.enabled ? bloomPass.strength : 'off'}`];
+    }
+});
+
+menus.defineScreen('title', {
+    heading: 'Shredded',
+    text: 'Something is hidden in the castle. Find it.',
+    buttons: [{
+        id: 'continueButton',
+        label: 'Continue',
+        onClick: () => loadGame(saveManager.latest())
+    }, {
+        label: 'New Game',
+        onClick: startGame
+    }, {
+        label: 'Load Game',
+        onClick: () => showSaveSlots('load')
+    },
+    ...recordingsButton, {
+        label: 'Settings',
+        onClick: () => menus.openSettings()
+    }]
+});
+
+menus.defineScreen('paused', {
+    heading: 'Paused',
+    text: castleSeed !== null ? `Castle seed: ${castleSeed}` : '',
+    buttons: [{
+        label: 'Resume',
+        onClick: () => gameState.transition('playing')
+    }, {
+        label: 'Save Game',
+        onClick: () => showSaveSlots('save')
+    }, {
+        label: 'Load Game',
+        onClick: () => showSaveSlots('load')
+    },
+    ...recordingsButton, {
+        label: 'Settings',
+        onClick: () => menus.openSettings()
+    },
+    ...(editorAvailable ? [{
+        label: 'Back to Editor',
+        onClick: openEditor
+    }] : []), {
+        label: 'Quit to Title',
+        onClick: () => gameState.transition('title')
+    }]
+});
+
+menus.defineScreen('gameOver', {
+    heading: 'Shredded',
+    buttons: [{
+        label: 'Try Again',
+        onClick: startGame
+    }, {
+        id: 'loadLastSaveButton',
+        label: 'Load Last Save',
+        onClick: () => loadGame(saveManager.latest())
+    }, {
+        label: 'Title Screen',
+        onClick: () => gameState.transition('title')
+    }]
+});
+
+gameEvents.on('player:died', (event) => {
+    if (!gameState.is('playing')) return;
+    menus.setText('gameOver', event.message || 'You did not make it out of the castle.');
+    gameState.transition('gameOver');
+});
+
+// Look and key binding settings
+settings.define('lookSensitivity', 1);
+settings.define('invertLookY', false);
+menus.addSettingsSection({
+    title: 'Controls',
+    items: [{
+        type: 'select',
+        key: 'cameraView',
+        label: 'Camera',
+        options: [
+            { value: 'firstPerson', label: 'First person' },
+            { value: 'thirdPerson', label: 'Over the shoulder' }
+        ]
+    }, {
+        type: 'range',
+        key: 'lookSensitivity',
+        label: 'Look sensitivity',
+        min: 0.2,
+        max: 3,
+        step: 0.1,
+        format: value => `${value.toFixed(1)}x`
+    }, {
+        type: 'toggle',
+        key: 'invertLookY',
+        label: 'Invert look up/down'
+    }, {
+        type: 'keybindings',
+        input: input,
+        actions: [
+            { action: 'moveForward', label: 'Move forward' },
+            { action: 'moveBackward', label: 'Move backward' },
+            { action: 'moveLeft', label: 'Move left' },
+            { action: 'moveRight', label: 'Move right' },
+            { action: 'jump', label: 'Jump' },
+            { action: 'sprint', label: 'Sprint' },
+            { action: 'crouch', label: 'Crouch' },
+            { action: 'interact', label: 'Interact' },
+            { action: 'throw', label: 'Throw' },
+            { action: 'inventory', label: 'Inventory' },
+            { action: 'cameraView', label: 'Change camera' },
+            { action: 'photo', label: 'Photo mode' },
+            { action: 'record', label: 'Record a run' },
+            ...(editorAvailable ? [{ action: 'editor', label: 'Level editor' }] : []),
+            ...(devOverlay ? [{ action: 'devConsole', label: 'Developer console' }] : []),
+            { action: 'pause', label: 'Pause' }
+        ]
+    }, {
+        type: 'button',
+        label: 'Key bindings',
+        text: 'Reset to defaults',
+        onClick: () => input.resetBindings()
+    }]
+});
+
+// How fast the day goes by and whether the weather changes by itself
+settings.define('dayLength', 24);
+settings.define('dynamicWeather', true);
+settings.bind('dayLength', (minutes) => {
+    dayNight.settings.dayLength = minutes;
+});
+settings.bind('dynamicWeather', (enabled) => {
+    dayNight.settings.autoWeather = enabled;
+});
+menus.addSettingsSection({
+    title: 'Time and Weather',
+    items: [{
+        type: 'select',
+        key: 'dayLength',
+        label: 'Length of a day',
+        options: [
+            { value: 0, label: 'Time stands still' },
+            { value: 12, label: '12 minutes' },
+            { value: 24, label: '24 minutes' },
+            { value: 48, label: '48 minutes' },
+            { value: 120, label: '2 hours' }
+        ]
+    }, {
+        type: 'toggle',
+        key: 'dynamicWeather',
+        label: 'Changing weather'
+    }]
+});
+
+let needsRender = true;
+let lastStateChange = 0;
+let frameDelta = 0; // Real seconds since the last displayed frame, for the camera
+
+// Quality presets and the individual render settings, applied live
+const graphics = createGraphicsSettings(settings, {
+    renderer,
+    composer,
+    scene,
+    fog,
+    shadowLights: [sunLight],
+    bloomPass,
+    smaaPass
+}, {
+    onChange: () => {
+        needsRender = true;
+    }
+});
+menus.addSettingsSection(graphics.settingsSection);
+menus.addSettingsSection(audio.settingsSection);
+gameState.onChange((state) => {
+    const playing = state === 'playing';
+    const running = playing || state === 'replay';
+    lastStateChange = performance.now();
+    needsRender = true;
+    input.setEnabled(running || state === 'photo');
+    if (touchControls) touchControls.setVisible(running || state === 'photo');
+    hud.setVisible(running);
+    // Menus have the theme; in play the castle's own sounds take over
+    audio.setLayer('music', state === 'title' || state === 'paused' ? 'musicTheme' : null);
+    audio.setLayer('ambience', state === 'title' ? null : 'ambienceCastle');
+    if (running) {
+        if (playing) lockPointer();
+        clock.getDelta(); // Do not count the time spent in menus
+        gameLoop.start();
+        graphics.resetSamples();
+    } else {
+        gameLoop.stop();
+        terminalOverlay.close();
+        inventoryPanel.close();
+        if (document.pointerLockElement === canvas) document.exitPointerLock();
+    }
+});
+
+// Pause toggling and gamepad menu navigation. Escape and Start are global
+// actions, so they still report while game input is disabled.
+function handleMenuInput() {
+    if (input.wasPressed('devConsole') && devOverlay) devOverlay.toggle();
+    // The open inventory takes the gamepad; its keys go to the panel itself
+    if (inventoryPanel.isOpen()) {
+        if (input.wasPressed('inventory') || input.wasPressed('pause') || input.wasPressed('menuBack')) inventoryPanel.close();
+        if (input.wasPressed('menuUp')) inventoryPanel.moveSelection(0, -1);
+        if (input.wasPressed('menuDown')) inventoryPanel.moveSelection(0, 1);
+        if (input.wasPressed('menuLeft')) inventoryPanel.moveSelection(-1, 0);
+        if (input.wasPressed('menuRight')) inventoryPanel.moveSelection(1, 0);
+        if (input.wasPressed('menuAccept')) inventoryPanel.useSelected();
+        return;
+    }
+    if (input.wasPressed('inventory') && gameState.is('playing') && !terminalOverlay.isOpen()) {
+        inventoryPanel.open();
+        return;
+    }
+    // Ignore the key press that caused the last state change
+    if (input.wasPressed('pause') && performance.now() - lastStateChange > 250) {
+        if (menus.visible === 'settings' || menus.visible === 'saves' || menus.visible === 'recordings') menus.back();
+        else if (gameState.is('playing') && !terminalOverlay.isOpen()) gameState.transition('paused');
+        else if (gameState.is('paused') || gameState.is('photo')) gameState.transition('playing');
+        else if (gameState.is('replay')) gameState.transition('title');
+    }
+    if (input.wasPressed('record') && gameState.is('playing') && !terminalOverlay.isOpen() && !network) {
+        if (recorder.recording) stopRecording();
+        else startRecording();
+    }
+    if (input.wasPressed('photo') && performance.now() - lastStateChange > 250) {
+        if (gameState.is('playing') && !terminalOverlay.isOpen()) gameState.transition('photo');
+        else if (gameState.is('photo')) gameState.transition('playing');
+    }
+    if (input.wasPressed('editor') && editorAvailable) {
+        openEditor();
+        return;
+    }
+    if (gameState.is('playing', 'photo', 'replay')) return;
+    if (input.wasPressed('menuUp')) menus.moveFocus(-1);
+    if (input.wasPressed('menuDown')) menus.moveFocus(1);
+    if (input.wasPressed('menuAccept')) menus.activateFocused();
+    if (input.wasPressed('menuBack')) menus.back();
+}
+
+// Draw the world between its last two ticks, so motion stays smooth at any
+// refresh rate
+gameLoop.register({
+    name: 'render',
+    priority: 100,
+    render: (alpha) => {
+        const feet = interpolate(player.previousPosition, player.position, alpha);
+        cameraRig.update(frameDelta, feet);
+        syncLocalPlayerMesh(feet);
+        applyVisibility();
+        syncDoorMeshes(alpha);
+        syncBodyMeshes(alpha);
+        syncEnemyMeshes(alpha);
+        syncRemotePlayerMeshes();
+        syncGhostMesh(alpha);
+        syncPickupMeshes(gameLoop.time + alpha * gameLoop.dt);
+        applySky(alpha);
+        updateHud(feet);
+        composer.render();
+    }
+});
+
+// Animation loop: input and look every frame, the simulation in fixed ticks
+function animate() {
+    requestAnimationFrame(animate);
+
+    const frameTime = clock.getDelta();
+    frameDelta = Math.min(frameTime, gameLoop.settings.maxFrameTime);
+    input.update();
+    handleMenuInput();
+    if (devOverlay) devOverlay.update(frameTime);
+
+    if (gameState.is('playing')) {
+        applyControls(frameDelta);
+        gameLoop.advance(frameTime); // Runs the ticks due, then renders
+        graphics.recordFrame(frameTime);
+    } else if (gameState.is('photo')) {
+        // The world stands still but the camera keeps moving
+        steerFreeCamera(readLook(frameDelta), frameDelta);
+        renderPhoto(frameDelta);
+    } else if (gameState.is('replay')) {
+        playReplay(frameTime, frameDelta);
+    } else if (needsRender) {
+        // Menus sit over a still frame; nothing moves until play resumes
+        composer.render();
+        needsRender = false;
+    }
+}
+
+// Handle window resize
+function onWindowResize() {
+    const width = parentDiv.clientWidth;
+    const height = parentDiv.clientHeight;
+
+    // Update camera
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Update renderer and composer
+    renderer.setSize(width, height);
+    composer.setSize(width, height);
+
+    // Update post-processing passes
+    bloomPass.resolution.set(width, height);
+    smaaPass.setSize(width, height);
+    needsRender = true;
+}
+
+// Add event listeners
+window.addEventListener('resize', onWindowResize);
+const resizeObserver = new ResizeObserver(onWindowResize);
+resizeObserver.observe(parentDiv);
+
+// Start animation
+animate();
+
+// =========================
+// Mobile Controls Integration
+// =========================
+
+// Floating thumbstick, drag-to-look and action buttons on touch screens;
+// a touchscreen laptop gets them once a finger is used
+const touchControls = hasTouchScreen() ? createTouchControls(input, {
+    baseUrl: import.meta.url,
+    surface: canvas
+}) : null;
+if (touchControls) touchControls.setVisible(false);
+
+// =========================
+// End of Mobile Controls Integration
+// =========================
+
+// Gamepad right-stick look speed in pixels of mouse movement per second
+const gamepadLookSpeed = 900;
+
+// This frame's mouse, touch and right-stick look in pixels, with the look
+// settings applied
+function readLook(delta) {
+    const look = input.consumeLookDelta();
+    const sensitivity = settings.get('lookSensitivity');
+    const invertY = settings.get('invertLookY') ? -1 : 1;
+    return {
+        x: (look.x + input.value('lookX') * gamepadLookSpeed * delta) * sensitivity,
+        y: (look.y + input.value('lookY') * gamepadLookSpeed * delta) * sensitivity * invertY
+    };
+}
+
+// Look follows the mouse every frame; movement is handed to the next tick
+function applyControls(delta) {
+    const look = readLook(delta);
+    if (input.wasPressed('cameraView')) cycleCameraView();
+    const controls = sim.controls;
+    if (cameraRig.mode === 'freeFly') {
+        // The player stands still while the camera is away
+        steerFreeCamera(look, delta);
+        controls.forward = 0;
+        controls.strafe = 0;
+        controls.run = false;
+        controls.jump = false;
+        return;
+    }
+    player.look(look.x, look.y);
+    controls.forward = input.value('moveY');
+    controls.strafe = input.value('moveX');
+    controls.run = input.isDown('sprint');
+    controls.jump = input.isDown('jump');
+    // Held until a tick handles it, even when this frame runs none
+    if (input.wasPressed('interact')) controls.interact = true;
+    if (input.wasPressed('throw')) controls.throw = true;
+}
+
+// Everything is built; hand over to the title screen once the sounds,
+// models and textures are in, or straight into the level when play-testing.
+// Any that failed are listed first.
+function finishLoading() {
+    gameState.transition('title');
+    if (playTesting) startGame();
+}
+
+const [, assetErrors] = await Promise.all([audio.ready, assets.ready]);
+if (assetErrors.length) {
+    menus.setLoadingWarnings(
+        assetErrors.map(error => `Could not load ${error.kind} "${error.id}": ${error.message}`),
+        finishLoading
+    );
+} else {
+    finishLoading();
+}
@@ -0,0 +1,113 @@
+// Written by tools/writePrecache.js; run it again rather than editing this.
+self.PRECACHE = {
+    version: '3d02ba77449e',
+    files: [
+        './',
+        'assets/models/computer.gltf',
+        'assets/textures/metal-color.png',
+        'assets/textures/metal-normal.png',
+        'assets/textures/metal-roughness.png',
+        'assets/textures/stone-color.png',
+        'assets/textures/stone-normal.png',
+        'assets/textures/stone-roughness.png',
+        'assets/textures/wood-color.png',
+        'assets/textures/wood-normal.png',
+        'assets/textures/wood-roughness.png',
+        'editor.html',
+        'editor.js',
+        'icons/app-192.png',
+        'icons/app-512.png',
+        'icons/controls/jump.svg',
+        'icons/items/bandage.svg',
+        'icons/items/chisel.svg',
+        'icons/items/gate-key.svg',
+        'index.html',
+        'index.js',
+        'levels/castle.json',
+        'manifest.webmanifest',
+        'sounds/alert.wav',
+        'sounds/ambience-castle.wav',
+        'sounds/door.wav',
+        'sounds/footstep.wav',
+        'sounds/hum.wav',
+        'sounds/music-danger.wav',
+        'sounds/music-theme.wav',
+        'src/assets.js',
+        'src/audio.js',
+        'src/cameraRig.js',
+        'src/castleGenerator.js',
+        'src/collision.js',
+        'src/dayNight.js',
+        'src/devCommands.js',
+        'src/devOverlay.js',
+        'src/devViews.js',
+        'src/doors.js',
+        'src/editHistory.js',
+        'src/editorPanels.js',
+        'src/enemy.js',
+        'src/events.js',
+        'src/gameLoop.js',
+        'src/graphicsSettings.js',
+        'src/hud.js',
+        'src/input.js',
+        'src/interaction.js',
+        'src/inventory.js',
+        'src/inventoryPanel.js',
+        'src/levelBuilder.js',
+        'src/levelEdits.js',
+        'src/levelFormat.js',
+        'src/menus.js',
+        'src/minimap.js',
+        'src/navGrid.js',
+        'src/netProtocol.js',
+        'src/network.js',
+        'src/objectives.js',
+        'src/photoPanel.js',
+        'src/physics.js',
+        'src/player.js',
+        'src/random.js',
+        'src/replay.js',
+        'src/replayPanel.js',
+        'src/saveGame.js',
+        'src/sceneInspector.js',
+        'src/settings.js',
+        'src/simulation.js',
+        'src/sky.js',
+        'src/skyDebugPanel.js',
+        'src/stateMachine.js',
+        'src/terminal.js',
+        'src/terminalOverlay.js',
+        'src/touchControls.js',
+        'src/visibility.js',
+        'src/visibilityDebug.js',
+        'vendor/basis/basis_transcoder.js',
+        'vendor/basis/basis_transcoder.wasm',
+        'vendor/draco/draco_decoder.js',
+        'vendor/draco/draco_decoder.wasm',
+        'vendor/draco/draco_wasm_wrapper.js',
+        'vendor/three/build/three.core.js',
+        'vendor/three/build/three.module.js',
+        'vendor/three/examples/jsm/controls/OrbitControls.js',
+        'vendor/three/examples/jsm/controls/TransformControls.js',
+        'vendor/three/examples/jsm/libs/ktx-parse.module.js',
+        'vendor/three/examples/jsm/libs/zstddec.module.js',
+        'vendor/three/examples/jsm/loaders/DRACOLoader.js',
+        'vendor/three/examples/jsm/loaders/GLTFLoader.js',
+        'vendor/three/examples/jsm/loaders/KTX2Loader.js',
+        'vendor/three/examples/jsm/math/ColorSpaces.js',
+        'vendor/three/examples/jsm/postprocessing/BokehPass.js',
+        'vendor/three/examples/jsm/postprocessing/EffectComposer.js',
+        'vendor/three/examples/jsm/postprocessing/MaskPass.js',
+        'vendor/three/examples/jsm/postprocessing/Pass.js',
+        'vendor/three/examples/jsm/postprocessing/RenderPass.js',
+        'vendor/three/examples/jsm/postprocessing/SMAAPass.js',
+        'vendor/three/examples/jsm/postprocessing/ShaderPass.js',
+        'vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js',
+        'vendor/three/examples/jsm/shaders/BokehShader.js',
+        'vendor/three/examples/jsm/shaders/CopyShader.js',
+        'vendor/three/examples/jsm/shaders/LuminosityHighPassShader.js',
+        'vendor/three/examples/jsm/shaders/SMAAShader.js',
+        'vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+        'vendor/three/examples/jsm/utils/WorkerPool.js'
+    ]
+};
@@ -0,0 +1,381 @@
+// The co-op game world on the server: one player body per connection, moved
+// only by the inputs its client sends, against the level's walls and doors.
+// Inputs are applied one per tick in the order they were sent, exactly as
+// the client's own prediction applied them, and every snapshot tells each
+// client the last input that went in. Doors are shared: a door one client
+// opens opens for everyone, but only a locked door the player could have
+// unlocked where they stood (see lockSpots()), and teleports stay inside the
+// level.
+
+import {
+    createCollisionWorld,
+    boxesOverlap
+} from '../src/collision.js';
+import {
+    createPlayer
+} from '../src/player.js';
+import {
+    createDoorSystem
+} from '../src/doors.js';
+import {
+    createGameLoop
+} from '../src/gameLoop.js';
+import {
+    NET_PROTOCOL,
+    NET_DEFAULTS,
+    encodeMessage,
+    decodeMessage,
+    playerState
+} from '../src/netProtocol.js';
+
+export const GAME_SERVER_DEFAULTS = {
+    snapshotRate: NET_DEFAULTS.snapshotRate,
+    maxPendingInputs: NET_DEFAULTS.maxPendingInputs,
+    catchUpInputs: 3, // Inputs applied per tick once a player falls behind
+    lockReach: 3.5 // Metres from the eyes to a key's door or a terminal: interaction reach and padding
+};
+
+const finite = (value, fallback = 0) => Number.isFinite(value) ? value : fallback;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const clampUnit = value => clamp(finite(value), -1, 1);
+
+function boxDistance(point, box) {
+    return Math.hypot(
+        point.x - clamp(point.x, box.min.x, box.max.x),
+        point.y - clamp(point.y, box.min.y, box.max.y),
+        point.z - clamp(point.z, box.min.z, box.max.z)
+    );
+}
+
+// The box around everything in the level; teleports are kept inside it
+function levelBounds(layout) {
+    const min = { ...layout.spawns[0].position };
+    const max = { ...layout.spawns[0].position };
+    layout.rooms.forEach(room => {
+        if (!room.bounds) return;
+        ['x', 'y', 'z'].forEach(axis => {
+            min[axis] = Math.min(min[axis], room.bounds.min[axis]);
+            max[axis] = Math.max(max[axis], room.bounds.max[axis]);
+        });
+    });
+    return { min, max };
+}
+
+// Every event a terminal can fire: its locks' and its files'
+function terminalEvents(terminal) {
+    const events = [];
+    Object.values(terminal.locks || {}).forEach(lock => events.push(...(lock.events || [])));
+    const visit = (node) => {
+        events.push(...(node.events || []));
+        Object.values(node.children || {}).forEach(visit);
+    };
+    visit(terminal.filesystem);
+    return events;
+}
+
+// Where a player has to stand for a door's lock to change (type is
+// 'door:unlock' or 'door:lock'): at the door itself when it has a key, or
+// at a terminal or switch whose events do it. The server keeps no
+// inventories or terminal screens, so it takes a client's word for the key
+// or the code, but not for where they were. Map of door id -> [box].
+function lockSpots(layout, type) {
+    const spots = new Map();
+    const add = (id, box) => {
+        if (!spots.has(id)) spots.set(id, []);
+        spots.get(id).push(box);
+    };
+    if (type === 'door:unlock') {
+        layout.doors.forEach(door => {
+            if (!door.key) return;
+            const half = { x: door.size.x / 2, y: door.size.y / 2, z: door.size.z / 2 };
+            add(door.id, {
+                min: { x: door.center.x - half.x, y: door.center.y - half.y, z: door.center.z - half.z },
+                max: { x: door.center.x + half.x, y: door.center.y + half.y, z: door.center.z + half.z }
+            });
+        });
+    }
+    layout.boxes.forEach(box => {
+        const interact = box.prop && box.prop.interact;
+        if (!interact) return;
+        const events = (interact.events || []).slice();
+        if (interact.type === 'terminal' && layout.terminals[interact.terminal]) {
+            events.push(...terminalEvents(layout.terminals[interact.terminal]));
+        }
+        events.forEach(event => {
+            if (event.type === type) add(event.door, box);
+        });
+    });
+    return spots;
+}
+
+// layout is the expanded level; options: { levelName (what clients must ask
+// for), log(text) } plus GAME_SERVER_DEFAULTS and LOOP_DEFAULTS overrides
+export function createGameServer(layout, options = {}) {
+    const settings = { ...GAME_SERVER_DEFAULTS, ...options };
+    const log = options.log || (() => {});
+    const loop = createGameLoop(options);
+    const spawn = layout.spawns[0];
+    const bounds = levelBounds(layout);
+    const unlockSpots = lockSpots(layout, 'door:unlock');
+    const relockSpots = lockSpots(layout, 'door:lock');
+
+    // Loose props are simulated by each client on its own, so the server
+    // leaves them out rather than hold players against crates they moved
+    const world = createCollisionWorld();
+    layout.boxes.forEach((box) => {
+        if (box.solid && box.mass === null) world.add(box.min, box.max, { levelBox: box });
+    });
+
+    const players = new Map(); // id -> { id, connection, player, queue, ack }
+    const connections = new Set(); // Every open connection, welcomed or not
+    let nextId = 1;
+
+    // Doors wait for anyone standing in them
+    const doors = createDoorSystem(world, layout.doors, {
+        isBlocked: (box) => Array.from(players.values()).some(entry => boxesOverlap(box, entry.player.bodyBox()))
+    });
+
+    function send(connection, message) {
+        connection.send(encodeMessage(message));
+    }
+
+    function broadcast(message, except = null) {
+        players.forEach(entry => {
+            if (entry !== except) send(entry.connection, message);
+        });
+    }
+
+    function describe(entry) {
+        return {
+            id: entry.id,
+            ...playerState(entry.player)
+        };
+    }
+
+    // =========================
+    // Connections
+    // =========================
+
+    // connection: a WebSocket-like object from webSocket.js. Nothing is
+    // simulated for it until its hello names the right level.
+    function addConnection(connection) {
+        let entry = null;
+        connections.add(connection);
+
+        connection.onmessage = ({ data }) => {
+            let message;
+            try {
+                message = decodeMessage(data);
+            } catch (error) {
+                log(`Dropping a bad message: ${error.message}`);
+                return;
+            }
+            if (!entry) {
+                entry = welcome(connection, message);
+                return;
+            }
+            handleMessage(entry, message);
+        };
+        connection.onclose = () => {
+            connections.delete(connection);
+            if (!entry) return;
+            players.delete(entry.id);
+            broadcast({
+                type: 'left',
+                id: entry.id
+            });
+            log(`Player ${entry.id} left`);
+        };
+    }
+
+    function refuse(connection, message) {
+        send(connection, {
+            type: 'error',
+            message
+        });
+        connection.close(1008, message);
+        return null;
+    }
+
+    function welcome(connection, hello) {
+        if (hello.type !== 'hello') return refuse(connection, 'Expected hello');
+        if (hello.protocol !== NET_PROTOCOL) return refuse(connection, `Protocol ${hello.protocol} is not supported (the server speaks ${NET_PROTOCOL})`);
+        if (hello.level !== settings.levelName) return refuse(connection, `The server is running "${settings.levelName}", not "${hello.level}"`);
+
+        const entry = {
+            id: nextId++,
+            connection,
+            player: createPlayer(world, {
+                spawn: spawn.position,
+                yaw: spawn.heading
+            }),
+            queue: [],
+            ack: 0
+        };
+        players.set(entry.id, entry);
+        send(connection, {
+            type: 'welcome',
+            id: entry.id,
+            level: settings.levelName,
+            tickRate: loop.settings.tickRate,
+            players: Array.from(players.values()).map(describe),
+            doors: doors.getState()
+        });
+        broadcast({
+            type: 'joined',
+            id: entry.id
+        }, entry);
+        log(`Player ${entry.id} joined`);
+        return entry;
+    }
+
+    // Door requests wait in the queue with the inputs, so they are judged
+    // from where the player was when they made them
+    function handleMessage(entry, message) {
+        switch (message.type) {
+            case 'input':
+            case 'teleport':
+            case 'door':
+                entry.queue.push(message);
+                if (entry.queue.length > settings.maxPendingInputs) entry.queue.shift();
+                break;
+            default:
+                log(`Player ${entry.id} sent an unknown "${message.type}" message`);
+        }
+    }
+
+    function doorMessage(door) {
+        return {
+            type: 'door',
+            id: door.id,
+            open: door.target === 1,
+            locked: door.locked
+        };
+    }
+
+    function withinReach(entry, spots) {
+        const eyes = entry.player.eyePosition();
+        return (spots || []).some(box => boxDistance(eyes, box) <= settings.lockReach);
+    }
+
+    // A client changed a door. Its lock only changes from a spot that could
+    // change it, and a door that stays locked stays shut; a refused client
+    // is told how the door really is.
+    function changeDoor(entry, request) {
+        const door = doors.doors.get(request.id);
+        if (!door) return;
+        let locked = door.locked;
+        if (Boolean(request.locked) !== door.locked) {
+            const spots = request.locked ? relockSpots : unlockSpots;
+            if (withinReach(entry, spots.get(door.id))) locked = Boolean(request.locked);
+        }
+        const open = Boolean(request.open) && (!locked || door.target === 1);
+        const accepted = locked === Boolean(request.locked) && open === Boolean(request.open);
+        if (!accepted) {
+            log(`Refused player ${entry.id} changing ${door.id}`);
+            send(entry.connection, doorMessage(door));
+            return;
+        }
+        doors.setLocked(door.id, locked);
+        if (open) doors.open(door.id, { force: true });
+        else doors.close(door.id);
+        broadcast(doorMessage(door), entry);
+    }
+
+    // =========================
+    // Ticking
+    // =========================
+
+    function applyCommand(entry, command, dt) {
+        const player = entry.player;
+        if (command.type === 'door') {
+            changeDoor(entry, command);
+            return;
+        }
+        if (command.type === 'teleport') {
+            const position = command.position || {};
+            player.reset({
+                x: clamp(finite(position.x, spawn.position.x), bounds.min.x, bounds.max.x),
+                y: clamp(finite(position.y, spawn.position.y), bounds.min.y, bounds.max.y),
+                z: clamp(finite(position.z, spawn.position.z), bounds.min.z, bounds.max.z)
+            }, finite(command.yaw));
+        } else {
+            player.yaw = finite(command.yaw, player.yaw);
+            player.pitch = finite(command.pitch, player.pitch);
+            player.update(dt, {
+                forward: clampUnit(command.forward),
+                strafe: clampUnit(command.strafe),
+                run: Boolean(command.run),
+                jump: Boolean(command.jump)
+            });
+        }
+        entry.ack = finite(command.seq, entry.ack);
+    }
+
+    loop.register({
+        name: 'players',
+        priority: 10,
+        update: (dt) => {
+            players.forEach(entry => {
+                // A player with nothing queued waits for their next input
+                // rather than being moved on without it
+                const count = entry.queue.length > settings.catchUpInputs ? settings.catchUpInputs : 1;
+                entry.queue.splice(0, count).forEach(command => applyCommand(entry, command, dt));
+            });
+        }
+    });
+    loop.register({
+        name: 'doors',
+        priority: 20,
+        update: (dt) => doors.update(dt)
+    });
+
+    const ticksPerSnapshot = Math.max(1, Math.round(loop.settings.tickRate / settings.snapshotRate));
+    loop.register({
+        name: 'snapshots',
+        priority: 100,
+        update: () => {
+            if (loop.tick % ticksPerSnapshot !== 0 || players.size === 0) return;
+            const states = Array.from(players.values()).map(describe);
+            players.forEach(entry => send(entry.connection, {
+                type: 'snapshot',
+                time: loop.time,
+                ack: entry.ack,
+                players: states
+            }));
+        }
+    });
+
+    // Run in real time until stopped
+    let timer = null;
+    let lastTime = 0;
+
+    function start() {
+        if (timer) return;
+        loop.start();
+        lastTime = performance.now();
+        timer = setInterval(() => {
+            const time = performance.now();
+            loop.advance((time - lastTime) / 1000);
+            lastTime = time;
+        }, 1000 / loop.settings.tickRate);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        loop.stop();
+        connections.forEach(connection => connection.close(1001, 'Server shutting down'));
+    }
+
+    return {
+        settings,
+        loop,
+        world,
+        doors,
+        players,
+        addConnection,
+        start,
+        stop
+    };
+}
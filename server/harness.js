@@ -0,0 +1,355 @@
+// End-to-end check of co-op play: starts the server on a free port, connects
+// two headless game clients to it over real WebSockets (with some simulated
+// lag) and walks them around, then checks that prediction agrees with the
+// server, that each client sees the other where the server says it is, that
+// doors opened on one client open on the other (but locked ones cannot be
+// forced), that teleports stay inside the level, that a client asking for
+// the wrong level or from another site's page is turned away, that frames
+// breaking the WebSocket protocol close the connection and that the server
+// shuts down with a connection open that never said hello.
+//
+//   node server/harness.js [--latency 50] [--level castle | --seed text]
+//
+// Exits with status 1 if any check fails.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import {
+    fileURLToPath
+} from 'node:url';
+import {
+    startServer
+} from './server.js';
+import {
+    connectWebSocket
+} from './webSocket.js';
+import {
+    createSimulation
+} from '../src/simulation.js';
+import {
+    validateLevel,
+    expandLevel
+} from '../src/levelFormat.js';
+import {
+    generateCastle
+} from '../src/castleGenerator.js';
+import {
+    createNetworkClient
+} from '../src/network.js';
+import {
+    NET_PROTOCOL,
+    NET_DEFAULTS,
+    encodeMessage,
+    decodeMessage
+} from '../src/netProtocol.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArguments(args) {
+    const options = { latency: 50, level: 'castle', seed: null };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        if (!(name in options)) throw new Error(`Unknown argument "${args[i]}"`);
+        options[name] = name === 'latency' ? Number(args[i + 1]) : args[i + 1];
+    }
+    return options;
+}
+
+const wait = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// A socket whose messages each way are held back by the latency
+function laggySocket(url, latency) {
+    const socket = connectWebSocket(url);
+    const delay = fn => setTimeout(fn, latency);
+    const wrapper = {
+        send: text => delay(() => {
+            if (socket.readyState === 1) socket.send(text);
+        }),
+        close: (code, reason) => socket.close(code, reason)
+    };
+    socket.onopen = event => wrapper.onopen && wrapper.onopen(event);
+    socket.onmessage = event => delay(() => wrapper.onmessage && wrapper.onmessage(event));
+    socket.onclose = event => delay(() => wrapper.onclose && wrapper.onclose(event));
+    socket.onerror = event => wrapper.onerror && wrapper.onerror(event);
+    return wrapper;
+}
+
+// A game client without the graphics, run in real time like the browser's
+function createHeadlessClient(layout, url, levelName, latency) {
+    const sim = createSimulation(layout);
+    const events = [];
+    sim.events.on('*', event => {
+        if (event.type.startsWith('net:')) events.push(event);
+    });
+    const network = createNetworkClient(sim, {
+        url,
+        level: levelName,
+        createSocket: target => laggySocket(target, latency),
+        now: () => performance.now() / 1000
+    });
+    sim.loop.start();
+    let lastTime = performance.now();
+    const timer = setInterval(() => {
+        const time = performance.now();
+        sim.loop.advance((time - lastTime) / 1000);
+        lastTime = time;
+    }, 1000 / 60);
+    return {
+        sim,
+        network,
+        events,
+        stop: () => {
+            clearInterval(timer);
+            network.disconnect();
+        }
+    };
+}
+
+// A bare socket speaking the protocol by hand, to send what the game never
+// would; messages holds what the server sent back
+function createRawClient(url) {
+    const socket = connectWebSocket(url);
+    const client = {
+        socket,
+        messages: [],
+        open: false,
+        send: message => socket.send(encodeMessage(message))
+    };
+    socket.onopen = () => {
+        client.open = true;
+    };
+    socket.onmessage = ({ data }) => client.messages.push(decodeMessage(data));
+    return client;
+}
+
+// One WebSocket frame made by hand, masked as a client's should be unless
+// told otherwise
+function rawFrame(opcode, payload, { fin = true, mask = true } = {}) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    else if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!mask) return Buffer.concat([header, payload]);
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lengthBytes);
+    const body = Buffer.from(payload);
+    for (let i = 0; i < length; i++) body[i] ^= key[i % 4];
+    return Buffer.concat([header, body]);
+}
+
+// Send frames on a fresh connection and resolve with the code the server
+// closes it with, or null if it stays open
+function closeCodeFor(port, frames) {
+    return new Promise(resolve => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write([
+            `GET ${NET_DEFAULTS.path} HTTP/1.1`,
+            `Host: 127.0.0.1:${port}`,
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+            'Sec-WebSocket-Version: 13',
+            '',
+            ''
+        ].join('\r\n')));
+        const finish = (code) => {
+            clearTimeout(timer);
+            socket.destroy();
+            resolve(code);
+        };
+        const timer = setTimeout(() => finish(null), 1000);
+        let received = Buffer.alloc(0);
+        let upgraded = false;
+        socket.on('error', () => {});
+        socket.on('data', (chunk) => {
+            received = Buffer.concat([received, chunk]);
+            if (!upgraded) {
+                const end = received.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                upgraded = true;
+                received = received.subarray(end + 4);
+                frames.forEach(frame => socket.write(frame));
+            }
+            // The server's frames are unmasked and a close is short
+            if (received.length >= 4 && (received[0] & 0x0f) === 0x8) finish(received.readUInt16BE(2));
+        });
+    });
+}
+
+async function waitFor(check, seconds, what) {
+    const end = performance.now() + seconds * 1000;
+    while (!check()) {
+        if (performance.now() > end) throw new Error(`Timed out waiting for ${what}`);
+        await wait(0.02);
+    }
+}
+
+async function run(options) {
+    const server = await startServer({
+        port: 0,
+        level: options.level,
+        seed: options.seed
+    });
+    const url = `ws://127.0.0.1:${server.port}${NET_DEFAULTS.path}`;
+    const layout = options.seed !== null ? expandLevel(generateCastle(options.seed)) :
+        expandLevel(validateLevel(JSON.parse(await fs.readFile(path.join(ROOT, 'levels', `${options.level}.json`), 'utf8'))));
+
+    const results = [];
+    const check = (name, passed, detail = '') => {
+        results.push(passed);
+        console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    // Connected but never says hello, until the server shuts down
+    const silent = createRawClient(url);
+
+    const a = createHeadlessClient(layout, url, server.levelName, options.latency);
+    const b = createHeadlessClient(layout, url, server.levelName, options.latency);
+    const clients = [a, b];
+    let closed = false;
+    try {
+        a.network.connect();
+        b.network.connect();
+        await waitFor(() => a.network.connected && b.network.connected, 5, 'both clients to connect');
+        check('both clients connected with their own ids', a.network.id !== b.network.id, `${a.network.id} and ${b.network.id}`);
+
+        // A walks and runs ahead while B turns and strafes
+        const startA = { ...a.sim.player.position };
+        a.sim.controls.forward = 1;
+        a.sim.controls.run = true;
+        b.sim.player.yaw = Math.PI / 2;
+        b.sim.controls.strafe = 1;
+        let worstCorrection = 0;
+        const started = performance.now();
+        while (performance.now() - started < 1500) {
+            worstCorrection = Math.max(worstCorrection, a.network.correction, b.network.correction);
+            await wait(0.01);
+        }
+        a.sim.controls.forward = 0;
+        a.sim.controls.run = false;
+        b.sim.controls.strafe = 0;
+        await wait(0.5 + options.latency * 3 / 1000);
+
+        const serverA = server.game.players.get(a.network.id).player.position;
+        const serverB = server.game.players.get(b.network.id).player.position;
+        check('the walking player moved', distance(startA, a.sim.player.position) > 3,
+            `${distance(startA, a.sim.player.position).toFixed(2)} m`);
+        check('prediction needed no corrections on the way', worstCorrection < 0.05, `${worstCorrection.toFixed(3)} m at worst`);
+        check('prediction agrees with the server', distance(a.sim.player.position, serverA) < 0.05 &&
+            distance(b.sim.player.position, serverB) < 0.05,
+        `${distance(a.sim.player.position, serverA).toFixed(3)} m and ${distance(b.sim.player.position, serverB).toFixed(3)} m`);
+        // Roughly a round trip and a snapshot's worth of ticks stay in flight
+        const inFlight = Math.ceil((options.latency * 2 / 1000 + 1 / NET_DEFAULTS.snapshotRate + 0.1) * a.sim.loop.settings.tickRate);
+        check('inputs are acknowledged as they go', a.network.pendingInputs() <= inFlight && b.network.pendingInputs() <= inFlight,
+            `${a.network.pendingInputs()} and ${b.network.pendingInputs()} in flight`);
+
+        const seenByB = b.network.remotePlayers();
+        const seenByA = a.network.remotePlayers();
+        check('each client sees the other', seenByA.length === 1 && seenByB.length === 1 &&
+            seenByA[0].id === b.network.id && seenByB[0].id === a.network.id);
+        check('remote players are where the server has them', seenByB.length === 1 && seenByA.length === 1 &&
+            distance(seenByB[0].position, serverA) < 0.1 && distance(seenByA[0].position, serverB) < 0.1,
+        seenByB.length ? `${distance(seenByB[0].position, serverA).toFixed(3)} m` : 'nobody seen');
+
+        // Doors follow whoever moved them
+        const door = layout.doors.find(candidate => !candidate.startsOpen && !candidate.locked);
+        if (door) {
+            a.sim.doors.open(door.id, { force: true });
+            await waitFor(() => b.sim.doors.doors.get(door.id).target === 1, 2, `${door.id} to open for B`)
+                .catch(() => {});
+            check(`opening ${door.id} on one client opens it on the other`,
+                b.sim.doors.doors.get(door.id).target === 1 && server.game.doors.doors.get(door.id).target === 1);
+        }
+
+        // ...but a locked door only opens where it could have been unlocked
+        const lockedDoor = layout.doors.find(candidate => !candidate.startsOpen && candidate.locked);
+        if (lockedDoor) {
+            a.sim.doors.open(lockedDoor.id, { force: true });
+            await wait(0.3 + options.latency * 3 / 1000);
+            check(`forcing ${lockedDoor.id} open from a client is refused`,
+                server.game.doors.doors.get(lockedDoor.id).target === 0 &&
+                a.sim.doors.doors.get(lockedDoor.id).target === 0 && b.sim.doors.doors.get(lockedDoor.id).target === 0);
+        }
+
+        // Teleports far outside the level are held at its edge
+        const cheat = createRawClient(url);
+        await waitFor(() => cheat.open, 2, 'the raw client to connect');
+        cheat.send({ type: 'hello', protocol: NET_PROTOCOL, level: server.levelName });
+        await waitFor(() => cheat.messages.some(message => message.type === 'welcome'), 2, 'the raw client to be welcomed');
+        const cheatId = cheat.messages.find(message => message.type === 'welcome').id;
+        cheat.send({ type: 'teleport', seq: 1, position: { x: 1e308, y: 1e308, z: -1e308 }, yaw: 0 });
+        await waitFor(() => cheat.messages.some(message => message.type === 'snapshot' && message.ack === 1), 2,
+            'the teleport to go in').catch(() => {});
+        const cheatState = cheat.messages.filter(message => message.type === 'snapshot' && message.ack === 1).pop();
+        const cheatPosition = cheatState && cheatState.players.find(state => state.id === cheatId).position;
+        check('a teleport outside the level is kept inside it', Boolean(cheatPosition) &&
+            [cheatPosition.x, cheatPosition.y, cheatPosition.z].every(value => Number.isFinite(value) && Math.abs(value) < 1000),
+        cheatPosition ? `${cheatPosition.x.toFixed(1)} ${cheatPosition.y.toFixed(1)} ${cheatPosition.z.toFixed(1)}` : 'no snapshot');
+        cheat.socket.close();
+        await waitFor(() => !a.network.remotes.has(cheatId), 3, 'the raw client to leave').catch(() => {});
+
+        // A client on a different level is turned away
+        const stranger = createHeadlessClient(layout, url, 'not-this-level', options.latency);
+        clients.push(stranger);
+        stranger.network.connect();
+        await waitFor(() => stranger.events.some(event => event.type === 'net:error'), 2, 'the wrong level to be refused')
+            .catch(() => {});
+        check('a client on the wrong level is refused', !stranger.network.connected &&
+            stranger.events.some(event => event.type === 'net:error'));
+
+        // ...and so is a page from another site
+        const foreign = connectWebSocket(url, { headers: { Origin: 'http://example.com' } });
+        const refusal = await Promise.race([
+            new Promise((resolve) => {
+                foreign.onopen = () => resolve('it was let in');
+                foreign.onerror = ({ error }) => resolve(error.message);
+            }),
+            wait(2).then(() => 'no answer')
+        ]);
+        foreign.close();
+        check('a page from another origin is refused', refusal.includes('403'), refusal);
+
+        // Frames that break the protocol end the connection
+        const text = Buffer.from('{}');
+        const half = Buffer.alloc(600 * 1024, 32);
+        const frameChecks = [
+            ['an unmasked frame', [rawFrame(0x1, text, { mask: false })], 1002],
+            ['a fragmented ping', [rawFrame(0x9, text, { fin: false })], 1002],
+            ['a ping over 125 bytes', [rawFrame(0x9, Buffer.alloc(126))], 1002],
+            ['a continuation with no message started', [rawFrame(0x0, text)], 1002],
+            ['a new message before the last one ended', [rawFrame(0x1, text, { fin: false }), rawFrame(0x1, text)], 1002],
+            ['a message over the size limit in fragments', [rawFrame(0x1, half, { fin: false }), rawFrame(0x0, half)], 1009],
+            ['a ping between fragments', [rawFrame(0x1, text, { fin: false }), rawFrame(0x9, text), rawFrame(0x0, text)], null]
+        ];
+        for (const [what, frames, expected] of frameChecks) {
+            const code = await closeCodeFor(server.port, frames);
+            check(expected ? `${what} is closed with ${expected}` : `${what} is fine`, code === expected, code === null ? 'still open' : `closed with ${code}`);
+        }
+
+        b.stop();
+        await waitFor(() => a.network.remotes.size === 0, 3, 'B to leave').catch(() => {});
+        check('the other client hears when a player leaves', a.network.remotes.size === 0);
+
+        a.stop();
+        closed = await Promise.race([server.close().then(() => true), wait(5).then(() => false)]);
+        check('the server shuts down with a connection that never said hello', closed && silent.open);
+    } finally {
+        clients.forEach(client => client.stop());
+        if (!closed) await Promise.race([server.close(), wait(5)]);
+    }
+    return results.every(Boolean);
+}
+
+try {
+    const passed = await run(parseArguments(process.argv.slice(2)));
+    console.log(passed ? 'All checks passed' : 'Some checks failed');
+    process.exit(passed ? 0 : 1);
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
@@ -0,0 +1,176 @@
+// Local co-op server. Serves the game's files and runs the shared world on a
+// WebSocket at /net, all on one port:
+//
+//   node server/server.js [--port 8080] [--host 127.0.0.1] [--level castle | --seed text]
+//
+// then open http://localhost:8080/?multiplayer in two windows (add the same
+// &seed= when the server runs a generated castle). It only listens on
+// localhost unless told otherwise. Needs nothing beyond Node itself.
+
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import {
+    fileURLToPath
+} from 'node:url';
+import {
+    acceptWebSocket
+} from './webSocket.js';
+import {
+    createGameServer
+} from './gameServer.js';
+import {
+    validateLevel,
+    expandLevel
+} from '../src/levelFormat.js';
+import {
+    generateCastle,
+    seededLevelName
+} from '../src/castleGenerator.js';
+import {
+    NET_DEFAULTS
+} from '../src/netProtocol.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ktx2': 'image/ktx2',
+    '.gltf': 'model/gltf+json',
+    '.glb': 'model/gltf-binary',
+    '.wasm': 'application/wasm',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav'
+};
+
+// The level the server runs and the name clients must ask for
+async function loadServerLevel({ level = 'castle', seed = null }) {
+    if (seed !== null) {
+        return {
+            name: seededLevelName(seed),
+            layout: expandLevel(generateCastle(seed))
+        };
+    }
+    if (!/^[\w-]+$/.test(level)) throw new Error(`Bad level name "${level}"`);
+    const text = await fs.readFile(path.join(ROOT, 'levels', `${level}.json`), 'utf8');
+    return {
+        name: level,
+        layout: expandLevel(validateLevel(JSON.parse(text)))
+    };
+}
+
+async function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let file = path.join(ROOT, decodeURIComponent(url.pathname));
+    // Nothing outside the repository, and no dotfiles such as .git
+    const inside = file === ROOT || file.startsWith(ROOT + path.sep);
+    if (!inside || path.relative(ROOT, file).split(path.sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403).end();
+        return;
+    }
+    try {
+        if ((await fs.stat(file)).isDirectory()) file = path.join(file, 'index.html');
+        const body = await fs.readFile(file);
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+}
+
+// options: { port (0 picks a free one), host, level, seed, log(text) }.
+// Resolves to { url, port, levelName, game, close() } once listening.
+export async function startServer(options = {}) {
+    const log = options.log || (() => {});
+    const { name, layout } = await loadServerLevel(options);
+    const game = createGameServer(layout, {
+        levelName: name,
+        log
+    });
+
+    const server = http.createServer((request, response) => {
+        serveFile(request, response).catch(() => response.writeHead(500).end());
+    });
+    server.on('upgrade', (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== NET_DEFAULTS.path) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = acceptWebSocket(request, socket, head);
+        if (connection) game.addConnection(connection);
+    });
+
+    const host = options.host || '127.0.0.1';
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port !== undefined ? options.port : NET_DEFAULTS.port, host, resolve);
+    });
+    game.start();
+    const port = server.address().port;
+    log(`Serving "${name}" on http://${host}:${port}/`);
+
+    return {
+        url: `http://${host}:${port}/`,
+        port,
+        levelName: name,
+        game,
+        close: () => new Promise(resolve => {
+            game.stop();
+            server.close(() => resolve());
+            server.closeAllConnections();
+        })
+    };
+}
+
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        switch (args[i]) {
+            case '--port':
+                options.port = Number(value);
+                i++;
+                break;
+            case '--host':
+                options.host = value;
+                i++;
+                break;
+            case '--level':
+                options.level = value;
+                i++;
+                break;
+            case '--seed':
+                options.seed = value;
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+    return options;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        const server = await startServer({
+            ...parseArguments(process.argv.slice(2)),
+            log: text => console.log(text)
+        });
+        const stop = () => server.close().then(() => process.exit(0));
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
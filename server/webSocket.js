@@ -0,0 +1,305 @@
+// Just enough of the WebSocket protocol (RFC 6455) for the co-op server and
+// its test clients, on Node's own http and crypto modules: the opening
+// handshake (refusing pages from other origins), text frames (fragmented or
+// not, up to MAX_MESSAGE_BYTES a message), ping/pong and the closing
+// handshake. Frames that break the protocol close the connection with 1002.
+// Both ends hand back the same small object as the browser's WebSocket:
+// send(), close(), readyState and onopen, onmessage, onclose and onerror
+// handlers.
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const MAX_CONTROL_BYTES = 125;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+export const READY_STATES = {
+    CONNECTING: 0,
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3
+};
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// A single frame; clients must mask what they send, servers must not
+function encodeFrame(opcode, payload, masked) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (masked ? 4 : 0));
+    header[0] = 0x80 | opcode;
+    header[1] = (masked ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    else if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!masked) return Buffer.concat([header, payload]);
+
+    const mask = crypto.randomBytes(4);
+    mask.copy(header, 2 + lengthBytes);
+    const body = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) body[i] = payload[i] ^ mask[i % 4];
+    return Buffer.concat([header, body]);
+}
+
+// Read one frame from the front of the buffer: { frame, rest } or null when
+// more bytes are needed
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = Boolean(buffer[0] & 0x80);
+    const opcode = buffer[0] & 0x0f;
+    const masked = Boolean(buffer[1] & 0x80);
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const long = buffer.readBigUInt64BE(2);
+        length = long > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(long);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) return { frame: { tooBig: true }, rest: Buffer.alloc(0) };
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return {
+        frame: { fin, opcode, masked, payload },
+        rest: buffer.subarray(offset + length)
+    };
+}
+
+// Wrap an upgraded socket. masked: true on the client end.
+function createConnection(socket, masked, head = Buffer.alloc(0)) {
+    const connection = {
+        readyState: READY_STATES.OPEN,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        onerror: null
+    };
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let closeInfo = null;
+
+    function write(opcode, payload) {
+        if (socket.writable) socket.write(encodeFrame(opcode, payload, masked));
+    }
+
+    function send(text) {
+        if (connection.readyState !== READY_STATES.OPEN) return;
+        write(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    function close(code = 1000, reason = '') {
+        if (connection.readyState !== READY_STATES.OPEN) return;
+        connection.readyState = READY_STATES.CLOSING;
+        closeInfo = { code, reason };
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        write(OPCODES.close, payload);
+        // Give the other end a moment to answer before hanging up
+        setTimeout(() => socket.destroy(), 1000).unref();
+    }
+
+    function handleFrame(frame) {
+        if (frame.tooBig) {
+            close(1009, 'Message too big');
+            return;
+        }
+        // Clients must mask every frame they send (RFC 6455 section 5.1)
+        if (!masked && !frame.masked) {
+            close(1002, 'Unmasked frame');
+            return;
+        }
+        // Control frames come whole and short (section 5.5)
+        if (frame.opcode >= OPCODES.close && (!frame.fin || frame.payload.length > MAX_CONTROL_BYTES)) {
+            close(1002, 'Bad control frame');
+            return;
+        }
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                // Nothing more is read once closing
+                if (connection.readyState !== READY_STATES.OPEN) return;
+                // A continuation carries on a message, anything else starts one
+                // (section 5.4)
+                if ((frame.opcode === OPCODES.continuation) !== (fragments.length > 0)) {
+                    close(1002, 'Unexpected fragment');
+                    return;
+                }
+                fragmentBytes += frame.payload.length;
+                if (fragmentBytes > MAX_MESSAGE_BYTES) {
+                    fragments = [];
+                    close(1009, 'Message too big');
+                    return;
+                }
+                fragments.push(frame.payload);
+                if (!frame.fin) return;
+                const data = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                fragmentBytes = 0;
+                if (connection.onmessage) connection.onmessage({ data });
+                break;
+            }
+            case OPCODES.ping:
+                write(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                if (connection.readyState === READY_STATES.OPEN) {
+                    closeInfo = {
+                        code: frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005,
+                        reason: frame.payload.subarray(2).toString('utf8')
+                    };
+                    connection.readyState = READY_STATES.CLOSING;
+                    write(OPCODES.close, frame.payload.subarray(0, 2));
+                }
+                socket.end();
+                break;
+            default:
+                close(1002, 'Unknown opcode');
+        }
+    }
+
+    function receive(chunk) {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+        let decoded;
+        while ((decoded = decodeFrame(buffered))) {
+            buffered = decoded.rest;
+            handleFrame(decoded.frame);
+        }
+    }
+
+    socket.setNoDelay(true);
+    socket.on('data', receive);
+    socket.on('error', (error) => {
+        if (connection.onerror) connection.onerror({ error });
+    });
+    socket.on('close', () => {
+        connection.readyState = READY_STATES.CLOSED;
+        const info = closeInfo || { code: 1006, reason: '' };
+        if (connection.onclose) connection.onclose(info);
+    });
+    if (head.length) setImmediate(() => receive(head));
+
+    connection.send = send;
+    connection.close = close;
+    return connection;
+}
+
+// Finish the handshake for an http server's 'upgrade' event. Returns the
+// connection, or null when the request was not a WebSocket one or came from
+// a page served by anyone else: browsers let any site open a socket to
+// localhost, but they always say which site it is in Origin.
+export function acceptWebSocket(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const origin = request.headers.origin;
+    if (origin !== undefined && origin !== `http://${request.headers.host}`) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return createConnection(socket, false, head);
+}
+
+// Open a client connection to a ws:// URL; onopen fires once it is up.
+// options.headers are added to the handshake (e.g. an Origin).
+export function connectWebSocket(url, options = {}) {
+    const target = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+    const pendingConnection = {
+        readyState: READY_STATES.CONNECTING,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        onerror: null,
+        send() {
+            throw new Error('WebSocket is not open yet');
+        },
+        close() {
+            request.destroy();
+        }
+    };
+
+    const request = http.request({
+        hostname: target.hostname,
+        port: target.port || 80,
+        path: target.pathname + target.search,
+        headers: {
+            ...options.headers,
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+    const fail = (error) => {
+        pendingConnection.readyState = READY_STATES.CLOSED;
+        if (pendingConnection.onerror) pendingConnection.onerror({ error });
+        if (pendingConnection.onclose) pendingConnection.onclose({ code: 1006, reason: error.message });
+    };
+    request.on('error', fail);
+    request.on('response', (response) => {
+        response.resume();
+        fail(new Error(`Server answered ${response.statusCode} instead of upgrading`));
+    });
+    request.on('upgrade', (response, socket, head) => {
+        if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+            socket.destroy();
+            fail(new Error('Bad handshake'));
+            return;
+        }
+        const connection = createConnection(socket, true, head);
+        // Hand the handlers set so far over to the live connection
+        ['onopen', 'onmessage', 'onclose', 'onerror'].forEach(name => {
+            connection[name] = pendingConnection[name];
+            Object.defineProperty(pendingConnection, name, {
+                get: () => connection[name],
+                set: (handler) => {
+                    connection[name] = handler;
+                }
+            });
+        });
+        Object.defineProperty(pendingConnection, 'readyState', {
+            get: () => connection.readyState
+        });
+        pendingConnection.send = connection.send;
+        pendingConnection.close = connection.close;
+        if (connection.onopen) connection.onopen({});
+    });
+    request.end();
+    return pendingConnection;
+}
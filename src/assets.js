@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import {
+    GLTFLoader
+} from 'three/addons/loaders/GLTFLoader.js';
+import {
+    DRACOLoader
+} from 'three/addons/loaders/DRACOLoader.js';
+import {
+    KTX2Loader
+} from 'three/addons/loaders/KTX2Loader.js';
+
+// Models and textures: glTF/GLB models (Draco-compressed meshes and KTX2
+// textures decode with the copies in vendor/) and PBR texture sets of colour,
+// normal and roughness maps that level materials ask for by id.
+//
+// Everything in the manifest loads through the loading manager, so it counts
+// towards the loading screen, and each asset is cached by its id after the
+// first request. An asset that fails to load resolves to null with a warning
+// and is listed in errors; whatever asked for it keeps its placeholder.
+// tools/generateAssets.js writes the built-in files.
+
+export const ASSET_MANIFEST = {
+    textures: {
+        stone: {
+            color: 'assets/textures/stone-color.png',
+            normal: 'assets/textures/stone-normal.png',
+            roughness: 'assets/textures/stone-roughness.png'
+        },
+        wood: {
+            color: 'assets/textures/wood-color.png',
+            normal: 'assets/textures/wood-normal.png',
+            roughness: 'assets/textures/wood-roughness.png'
+        },
+        metal: {
+            color: 'assets/textures/metal-color.png',
+            normal: 'assets/textures/metal-normal.png',
+            roughness: 'assets/textures/metal-roughness.png'
+        }
+    },
+    models: {
+        computer: {
+            url: 'assets/models/computer.gltf'
+        }
+    }
+};
+
+export const ASSET_DEFAULTS = {
+    dracoPath: 'vendor/draco/',
+    basisPath: 'vendor/basis/',
+    anisotropy: 8 // Upper limit; the GPU's own maximum applies below it
+};
+
+// renderer is needed to pick a KTX2 target format; options: { baseUrl,
+// manifest } plus any ASSET_DEFAULTS override
+export function createAssetLibrary(renderer, manager, options = {}) {
+    const config = { ...ASSET_DEFAULTS, ...options };
+    const manifest = options.manifest || ASSET_MANIFEST;
+    const baseUrl = options.baseUrl || document.baseURI;
+    const resolve = url => new URL(url, baseUrl).href;
+
+    const textureLoader = new THREE.TextureLoader(manager);
+    const ktx2Loader = new KTX2Loader(manager)
+        .setTranscoderPath(resolve(config.basisPath))
+        .detectSupport(renderer);
+    const dracoLoader = new DRACOLoader(manager).setDecoderPath(resolve(config.dracoPath));
+    const gltfLoader = new GLTFLoader(manager)
+        .setDRACOLoader(dracoLoader)
+        .setKTX2Loader(ktx2Loader);
+    const anisotropy = Math.min(config.anisotropy, renderer.capabilities.getMaxAnisotropy());
+
+    const textureSets = new Map(); // id -> Promise of { map, normalMap, roughnessMap } or null
+    const models = new Map(); // id -> Promise of the glTF scene or null
+    const errors = []; // { kind, id, message }
+
+    function failed(kind, id, error) {
+        console.warn(`Could not load ${kind} "${id}"`, error);
+        errors.push({
+            kind,
+            id,
+            message: error && error.message ? error.message : String(error)
+        });
+        return null;
+    }
+
+    // Tiled in both directions; only colour maps hold sRGB values
+    function loadTexture(url, colorSpace) {
+        const loader = url.endsWith('.ktx2') ? ktx2Loader : textureLoader;
+        return loader.loadAsync(resolve(url)).then(texture => {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.colorSpace = colorSpace;
+            texture.anisotropy = anisotropy;
+            return texture;
+        });
+    }
+
+    function textureSet(id) {
+        if (textureSets.has(id)) return textureSets.get(id);
+        const entry = manifest.textures[id];
+        const loading = !entry ? Promise.resolve(failed('texture set', id, new Error('not in the asset manifest'))) :
+            Promise.all([
+                loadTexture(entry.color, THREE.SRGBColorSpace),
+                entry.normal ? loadTexture(entry.normal, THREE.NoColorSpace) : null,
+                entry.roughness ? loadTexture(entry.roughness, THREE.NoColorSpace) : null
+            ]).then(([map, normalMap, roughnessMap]) => ({
+                map,
+                normalMap,
+                roughnessMap
+            }), error => failed('texture set', id, error));
+        textureSets.set(id, loading);
+        return loading;
+    }
+
+    function model(id) {
+        if (models.has(id)) return models.get(id);
+        const entry = manifest.models[id];
+        const loading = !entry ? Promise.resolve(failed('model', id, new Error('not in the asset manifest'))) :
+            gltfLoader.loadAsync(resolve(entry.url)).then(gltf => {
+                gltf.scene.name = id;
+                return gltf.scene;
+            }, error => failed('model', id, error));
+        models.set(id, loading);
+        return loading;
+    }
+
+    // Everything in the manifest starts loading straight away
+    const ready = Promise.all([
+        ...Object.keys(manifest.textures).map(textureSet),
+        ...Object.keys(manifest.models).map(model)
+    ]).then(() => errors);
+
+    return {
+        ready,
+        errors,
+        textureSet,
+        model
+    };
+}
+
+// Give a material a loaded texture set, keeping its colour as a tint
+export function applyTextureSet(material, set) {
+    material.map = set.map;
+    if (set.normalMap) material.normalMap = set.normalMap;
+    if (set.roughnessMap) material.roughnessMap = set.roughnessMap;
+    material.needsUpdate = true;
+}
+
+// Stretch a copy of a model (authored in a unit box centred on its origin)
+// to size; shadow flags apply to every mesh in it
+export function fitModel(source, size, { castShadow = false, receiveShadow = false } = {}) {
+    const model = source.clone();
+    model.scale.set(size.x, size.y, size.z);
+    model.traverse(object => {
+        if (!object.isMesh) return;
+        object.castShadow = castShadow;
+        object.receiveShadow = receiveShadow;
+    });
+    return model;
+}
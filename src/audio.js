@@ -0,0 +1,376 @@
+import * as THREE from 'three';
+
+// Sound: a Web Audio listener on the camera, positional sources in the
+// world, reverb that follows the room the listener stands in, and music and
+// ambience layers that crossfade from one track to the next.
+//
+//   sources -> sfx bus ---------------------------> listener (master volume)
+//                      \-> room reverbs -> wet ---/
+//   ambience -> ambience bus (dry, sfx volume) ----/
+//   music -> music bus -----------------------------/
+//
+// Sound files load through the loading manager, so they count towards the
+// loading screen. A sound that fails to load is left out with a warning and
+// the game carries on without it.
+
+export const SOUND_LIBRARY = {
+    footstep: {
+        url: 'sounds/footstep.wav',
+        volume: 0.35
+    },
+    door: {
+        url: 'sounds/door.wav',
+        volume: 0.8
+    },
+    alert: {
+        url: 'sounds/alert.wav',
+        volume: 0.5
+    },
+    hum: {
+        url: 'sounds/hum.wav',
+        volume: 0.4
+    },
+    ambienceCastle: {
+        url: 'sounds/ambience-castle.wav',
+        volume: 0.5
+    },
+    musicTheme: {
+        url: 'sounds/music-theme.wav',
+        volume: 0.6
+    },
+    musicDanger: {
+        url: 'sounds/music-danger.wav',
+        volume: 0.7
+    }
+};
+
+export const AUDIO_DEFAULTS = {
+    crossfadeTime: 2, // Seconds for one music or ambience track to replace another
+    reverbFadeTime: 0.5, // Seconds to blend between rooms' reverbs
+    voices: 16 // One-shot sounds playing at once; the oldest is cut off beyond this
+};
+
+// Decaying stereo noise: a cheap stand-in for a recorded room response
+function createImpulse(context, decay) {
+    const length = Math.max(1, Math.ceil(context.sampleRate * decay));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+    }
+    return impulse;
+}
+
+function formatVolume(value) {
+    return value === 0 ? 'Off' : `${Math.round(value * 100)}%`;
+}
+
+function boxContains(box, point) {
+    return point.x >= box.min.x && point.x <= box.max.x &&
+        point.y >= box.min.y && point.y <= box.max.y &&
+        point.z >= box.min.z && point.z <= box.max.z;
+}
+
+function boxVolume(box) {
+    return (box.max.x - box.min.x) * (box.max.y - box.min.y) * (box.max.z - box.min.z);
+}
+
+// camera carries the listener; options: { baseUrl, library } plus any
+// AUDIO_DEFAULTS override
+export function createAudioSystem(camera, manager, settings, options = {}) {
+    const config = { ...AUDIO_DEFAULTS, ...options };
+    const library = options.library || SOUND_LIBRARY;
+    const baseUrl = options.baseUrl || document.baseURI;
+
+    const listener = new THREE.AudioListener();
+    camera.add(listener);
+    const context = listener.context;
+
+    const sfxBus = context.createGain();
+    sfxBus.connect(listener.getInput());
+    const ambienceBus = context.createGain();
+    ambienceBus.connect(listener.getInput());
+    const musicBus = context.createGain();
+    musicBus.connect(listener.getInput());
+
+    function route(sound, bus) {
+        sound.gain.disconnect();
+        sound.gain.connect(bus);
+        return sound;
+    }
+
+    // Browsers start audio suspended until the page is interacted with
+    function resume() {
+        if (context.state === 'suspended') context.resume();
+    }
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, resume, true);
+    });
+
+    // =========================
+    // Loading
+    // =========================
+
+    const buffers = new Map(); // name -> AudioBuffer
+    const loader = new THREE.AudioLoader(manager);
+    const ready = Promise.all(Object.keys(library).map(name => {
+        return loader.loadAsync(new URL(library[name].url, baseUrl).href)
+            .then(buffer => {
+                buffers.set(name, buffer);
+            })
+            .catch(error => console.warn(`Could not load sound "${name}"`, error));
+    })).then(() => {
+        // Start the tracks and loops that were asked for while loading
+        Object.keys(layers).forEach(name => setLayer(name, layers[name].wanted));
+        emitters.forEach(startEmitter);
+    });
+
+    settings.define('masterVolume', 0.8);
+    settings.define('musicVolume', 0.6);
+    settings.define('sfxVolume', 1);
+    settings.bind('masterVolume', volume => listener.setMasterVolume(volume));
+    settings.bind('musicVolume', volume => musicBus.gain.setTargetAtTime(volume, context.currentTime, 0.05));
+    settings.bind('sfxVolume', volume => {
+        sfxBus.gain.setTargetAtTime(volume, context.currentTime, 0.05);
+        ambienceBus.gain.setTargetAtTime(volume, context.currentTime, 0.05);
+    });
+
+    // =========================
+    // Sound Effects
+    // =========================
+
+    // A pool of voices, parked in the scene and moved to each sound. The
+    // most recently used voice is kept last.
+    let scene = null;
+    const voices = [];
+
+    function attach(object) {
+        scene = object;
+        voices.forEach(voice => scene.add(voice));
+        emitters.forEach(emitter => scene.add(emitter.sound));
+    }
+
+    function nextVoice() {
+        let voice = voices.find(candidate => !candidate.isPlaying);
+        if (voice) {
+            voices.splice(voices.indexOf(voice), 1);
+        } else if (voices.length < config.voices) {
+            voice = route(new THREE.PositionalAudio(listener), sfxBus);
+            voice.setRefDistance(4);
+            if (scene) scene.add(voice);
+        } else {
+            // Every voice is busy: cut off the one that started first
+            voice = voices.shift();
+            voice.stop();
+        }
+        voices.push(voice);
+        return voice;
+    }
+
+    // While set, one-shot sounds are dropped, e.g. while a replay skips
+    // ahead through many ticks at once
+    let silenced = false;
+
+    function setSilenced(value) {
+        silenced = value;
+    }
+
+    // Play a one-shot sound at a world position, or straight to the ears
+    // when position is null (e.g. the player's own footsteps)
+    function play(name, position = null, { volume = 1, detune = 0 } = {}) {
+        const buffer = buffers.get(name);
+        if (!buffer || silenced) return;
+        const voice = nextVoice();
+        if (position) {
+            voice.panner.panningModel = 'HRTF';
+            voice.position.set(position.x, position.y, position.z);
+        } else {
+            // Following the listener keeps the sound centred
+            voice.panner.panningModel = 'equalpower';
+            camera.getWorldPosition(voice.position);
+        }
+        voice.updateMatrixWorld();
+        voice.setBuffer(buffer);
+        voice.setLoop(false);
+        voice.setDetune(detune);
+        voice.setVolume((library[name].volume || 1) * volume);
+        voice.play();
+    }
+
+    // Looping positional sources placed in the level, e.g. humming machines
+    const emitters = [];
+
+    function startEmitter(emitter) {
+        const buffer = buffers.get(emitter.name);
+        if (!buffer || emitter.sound.isPlaying) return;
+        emitter.sound.setBuffer(buffer);
+        emitter.sound.setLoop(true);
+        // Loops that all started together would hum in lockstep
+        emitter.sound.offset = Math.random() * buffer.duration;
+        emitter.sound.play();
+    }
+
+    function addEmitter(name, position, { volume = 1, distance = 5 } = {}) {
+        if (!library[name]) console.warn(`Unknown sound "${name}"`);
+        const sound = route(new THREE.PositionalAudio(listener), sfxBus);
+        sound.position.set(position.x, position.y, position.z);
+        sound.setRefDistance(distance);
+        sound.setVolume(((library[name] && library[name].volume) || 1) * volume);
+        const emitter = {
+            name,
+            sound
+        };
+        emitters.push(emitter);
+        if (scene) scene.add(sound);
+        startEmitter(emitter);
+        return emitter;
+    }
+
+    // =========================
+    // Reverb Zones
+    // =========================
+
+    const zones = []; // { id, bounds, volume, wet }
+    let currentZone = null;
+
+    // rooms: the expanded level's rooms; those with a reverb and bounds
+    // become zones
+    function addReverbZones(rooms) {
+        rooms.forEach(room => {
+            if (!room.reverb || !room.bounds) return;
+            const convolver = context.createConvolver();
+            convolver.buffer = createImpulse(context, room.reverb.decay);
+            const wet = context.createGain();
+            wet.gain.value = 0;
+            sfxBus.connect(convolver);
+            convolver.connect(wet);
+            wet.connect(listener.getInput());
+            zones.push({
+                id: room.id,
+                bounds: room.bounds,
+                volume: boxVolume(room.bounds),
+                mix: room.reverb.mix,
+                wet
+            });
+        });
+    }
+
+    // The innermost room around a point wins, so a side room inside the
+    // hall's bounds gets its own sound
+    function zoneAt(position) {
+        let best = null;
+        zones.forEach(zone => {
+            if (!boxContains(zone.bounds, position)) return;
+            if (!best || zone.volume < best.volume) best = zone;
+        });
+        return best;
+    }
+
+    // Call with the listener's world position as it moves
+    function update(position) {
+        const zone = zoneAt(position);
+        if (zone === currentZone) return;
+        currentZone = zone;
+        zones.forEach(other => {
+            other.wet.gain.setTargetAtTime(other === zone ? other.mix : 0, context.currentTime, config.reverbFadeTime / 3);
+        });
+    }
+
+    // =========================
+    // Music and Ambience
+    // =========================
+
+    const layers = {
+        music: {
+            bus: musicBus,
+            wanted: null,
+            current: null,
+            sound: null
+        },
+        ambience: {
+            bus: ambienceBus,
+            wanted: null,
+            current: null,
+            sound: null
+        }
+    };
+
+    function fadeOut(sound) {
+        const gain = sound.gain.gain;
+        const now = context.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + config.crossfadeTime);
+        sound.stop(config.crossfadeTime);
+        // Drop the nodes once the fade is over
+        setTimeout(() => sound.gain.disconnect(), config.crossfadeTime * 1000 + 100);
+    }
+
+    // Crossfade a layer ('music' or 'ambience') to a looping track, or to
+    // silence with null
+    function setLayer(name, track) {
+        const layer = layers[name];
+        layer.wanted = track;
+        if (layer.current === track) return;
+        if (layer.sound) fadeOut(layer.sound);
+        layer.sound = null;
+        layer.current = null;
+        // Not loaded (yet): silence until it is
+        if (!track || !buffers.has(track)) return;
+
+        const sound = route(new THREE.Audio(listener), layer.bus);
+        sound.setBuffer(buffers.get(track));
+        sound.setLoop(true);
+        const now = context.currentTime;
+        sound.gain.gain.setValueAtTime(0, now);
+        sound.gain.gain.linearRampToValueAtTime(library[track].volume || 1, now + config.crossfadeTime);
+        sound.play();
+        layer.sound = sound;
+        layer.current = track;
+    }
+
+    const settingsSection = {
+        title: 'Audio',
+        items: [{
+            type: 'range',
+            key: 'masterVolume',
+            label: 'Master volume',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: formatVolume
+        }, {
+            type: 'range',
+            key: 'musicVolume',
+            label: 'Music volume',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: formatVolume
+        }, {
+            type: 'range',
+            key: 'sfxVolume',
+            label: 'Effects volume',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            format: formatVolume
+        }]
+    };
+
+    return {
+        listener,
+        ready,
+        resume,
+        attach,
+        play,
+        setSilenced,
+        addEmitter,
+        addReverbZones,
+        update,
+        setLayer,
+        settingsSection
+    };
+}
@@ -0,0 +1,253 @@
+// Camera rig: decides where the camera sits each frame.
+// firstPerson looks out of the player's eyes. thirdPerson hangs back over
+// the player's right shoulder and is pulled in whenever a wall comes between
+// it and the head, easing back out once clear. freeFly and photo let the
+// camera wander on its own (freeFly for debugging, photo while the game is
+// paused for a picture). Switching modes blends from wherever the camera was
+// rather than cutting. Nothing here needs a browser; the camera only needs
+// position, rotation, fov and updateProjectionMatrix, as a three.js
+// PerspectiveCamera has.
+
+export const CAMERA_MODES = ['firstPerson', 'thirdPerson', 'freeFly', 'photo'];
+
+export const CAMERA_RIG_DEFAULTS = {
+    fov: 60,
+    minFov: 20,
+    maxFov: 100,
+    blendTime: 0.35, // Seconds to blend from one mode into the next
+    shoulderOffset: 0.5, // To the right of the eyes, in third person
+    shoulderHeight: 0.15, // Above the eyes
+    distance: 3, // Behind the shoulder
+    minDistance: 0.3, // Never closer to the shoulder than this
+    wallMargin: 0.25, // Kept between the camera and whatever it backed into
+    pullOutSpeed: 3, // Metres per second back out once a wall is out of the way
+    flySpeed: 6,
+    fastMultiplier: 4, // Held sprint in freeFly and photo
+    lookSensitivity: 0.0025,
+    photoRange: 20 // Photo mode may not stray further than this from the player
+};
+
+const PITCH_LIMIT = Math.PI / 2 - 0.01;
+
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
+
+// Turn from angle a towards b the short way round
+function lerpAngle(a, b, t) {
+    const delta = ((b - a) % (Math.PI * 2) + Math.PI * 3) % (Math.PI * 2) - Math.PI;
+    return a + delta * t;
+}
+
+// Where a camera with this yaw and pitch looks, for the 'YXZ' rotation order
+function lookDirection(yaw, pitch) {
+    return {
+        x: -Math.sin(yaw) * Math.cos(pitch),
+        y: Math.sin(pitch),
+        z: -Math.cos(yaw) * Math.cos(pitch)
+    };
+}
+
+function offset(point, direction, distance) {
+    return {
+        x: point.x + direction.x * distance,
+        y: point.y + direction.y * distance,
+        z: point.z + direction.z * distance
+    };
+}
+
+// options: { world, player, filter } where world is the collision world the
+// third-person camera backs into and filter (collider -> bool) picks which
+// colliders stop it (all of them by default)
+export function createCameraRig(camera, options = {}) {
+    const settings = { ...CAMERA_RIG_DEFAULTS, ...options };
+    const { world, player } = options;
+    const filter = options.filter || null;
+
+    camera.rotation.order = 'YXZ';
+
+    const rig = {
+        settings,
+        mode: 'firstPerson',
+        fov: settings.fov, // What photo mode zooms; the others use settings.fov
+        // Where the camera ended up last frame
+        pose: {
+            position: player.eyePosition(),
+            yaw: player.yaw,
+            pitch: player.pitch,
+            fov: settings.fov
+        },
+        // The camera's own position and heading in freeFly and photo
+        free: {
+            position: player.eyePosition(),
+            yaw: player.yaw,
+            pitch: player.pitch
+        }
+    };
+
+    let blendFrom = null;
+    let blendElapsed = 0;
+    let shoulderDistance = settings.distance;
+
+    // Distance from origin along direction before the camera would touch
+    // something, short of max
+    function clearance(origin, direction, max) {
+        if (!world || max <= 0) return max;
+        const hit = world.raycast(origin, direction, max + settings.wallMargin, filter);
+        return hit ? Math.max(0, Math.min(max, hit.distance - settings.wallMargin)) : max;
+    }
+
+    function firstPersonPose(feet) {
+        return {
+            position: { x: feet.x, y: feet.y + player.settings.eyeHeight, z: feet.z },
+            yaw: player.yaw,
+            pitch: player.pitch,
+            fov: settings.fov
+        };
+    }
+
+    function thirdPersonPose(feet, dt) {
+        const eye = firstPersonPose(feet).position;
+        const { yaw, pitch } = player;
+        // First out to the shoulder, then back from there, each stopped short
+        // of any wall in the way
+        const side = {
+            x: Math.cos(yaw) * settings.shoulderOffset,
+            y: settings.shoulderHeight,
+            z: -Math.sin(yaw) * settings.shoulderOffset
+        };
+        const sideLength = Math.hypot(side.x, side.y, side.z);
+        const sideDirection = { x: side.x / sideLength, y: side.y / sideLength, z: side.z / sideLength };
+        const shoulder = offset(eye, sideDirection, clearance(eye, sideDirection, sideLength));
+        const forward = lookDirection(yaw, pitch);
+        const back = { x: -forward.x, y: -forward.y, z: -forward.z };
+        const allowed = Math.max(settings.minDistance, clearance(shoulder, back, settings.distance));
+        // Snap in at once so walls never get between camera and player, but
+        // ease back out so the view does not pump past pillars
+        shoulderDistance = allowed < shoulderDistance ? allowed : Math.min(allowed, shoulderDistance + settings.pullOutSpeed * dt);
+        return {
+            position: offset(shoulder, back, shoulderDistance),
+            yaw,
+            pitch,
+            fov: settings.fov
+        };
+    }
+
+    function flyPose() {
+        return {
+            position: { ...rig.free.position },
+            yaw: rig.free.yaw,
+            pitch: rig.free.pitch,
+            fov: rig.mode === 'photo' ? rig.fov : settings.fov
+        };
+    }
+
+    function targetPose(feet, dt) {
+        if (rig.mode === 'thirdPerson') return thirdPersonPose(feet, dt);
+        if (rig.mode === 'freeFly' || rig.mode === 'photo') return flyPose();
+        return firstPersonPose(feet);
+    }
+
+    function setMode(mode) {
+        if (!CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode "${mode}"`);
+        if (mode === rig.mode) return;
+        const flying = rig.mode === 'freeFly' || rig.mode === 'photo';
+        // The free camera takes off from wherever the view is now
+        if ((mode === 'freeFly' || mode === 'photo') && !flying) {
+            rig.free.position = { ...rig.pose.position };
+            rig.free.yaw = rig.pose.yaw;
+            rig.free.pitch = rig.pose.pitch;
+        }
+        if (mode === 'photo') rig.fov = rig.pose.fov;
+        if (mode === 'thirdPerson') shoulderDistance = settings.distance;
+        rig.mode = mode;
+        blendFrom = {
+            ...rig.pose,
+            position: { ...rig.pose.position }
+        };
+        blendElapsed = 0;
+    }
+
+    // Turn the free camera; the player's own look turns the other modes
+    function look(deltaX, deltaY) {
+        rig.free.yaw -= deltaX * settings.lookSensitivity;
+        rig.free.pitch = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, rig.free.pitch - deltaY * settings.lookSensitivity));
+    }
+
+    // Move the free camera along where it looks. move is { forward, strafe,
+    // up }, each -1..1. Photo mode keeps to settings.photoRange of the player
+    // so the picture cannot peek at the rest of the level.
+    function fly(move, dt, fast = false) {
+        const speed = settings.flySpeed * (fast ? settings.fastMultiplier : 1) * dt;
+        const forward = lookDirection(rig.free.yaw, rig.free.pitch);
+        const right = { x: Math.cos(rig.free.yaw), y: 0, z: -Math.sin(rig.free.yaw) };
+        let position = offset(rig.free.position, forward, (move.forward || 0) * speed);
+        position = offset(position, right, (move.strafe || 0) * speed);
+        position.y += (move.up || 0) * speed;
+        if (rig.mode === 'photo') {
+            const eye = player.eyePosition();
+            const away = { x: position.x - eye.x, y: position.y - eye.y, z: position.z - eye.z };
+            const distance = Math.hypot(away.x, away.y, away.z);
+            if (distance > settings.photoRange) position = offset(eye, away, settings.photoRange / distance);
+        }
+        rig.free.position = position;
+    }
+
+    function zoom(fov) {
+        rig.fov = Math.max(settings.minFov, Math.min(settings.maxFov, fov));
+    }
+
+    // Place the camera for this frame. feet is the player's (interpolated)
+    // position; dt is real seconds since the last frame.
+    function update(dt, feet = player.position) {
+        let pose = targetPose(feet, dt);
+        if (blendFrom) {
+            blendElapsed += dt;
+            const t = smoothstep(settings.blendTime > 0 ? blendElapsed / settings.blendTime : 1);
+            if (t >= 1) {
+                blendFrom = null;
+            } else {
+                pose = {
+                    position: {
+                        x: blendFrom.position.x + (pose.position.x - blendFrom.position.x) * t,
+                        y: blendFrom.position.y + (pose.position.y - blendFrom.position.y) * t,
+                        z: blendFrom.position.z + (pose.position.z - blendFrom.position.z) * t
+                    },
+                    yaw: lerpAngle(blendFrom.yaw, pose.yaw, t),
+                    pitch: blendFrom.pitch + (pose.pitch - blendFrom.pitch) * t,
+                    fov: blendFrom.fov + (pose.fov - blendFrom.fov) * t
+                };
+            }
+        }
+        rig.pose = pose;
+        camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+        camera.rotation.set(pose.pitch, pose.yaw, 0);
+        if (camera.fov !== pose.fov) {
+            camera.fov = pose.fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    // Straight back behind the player's eyes with no blend, e.g. after a
+    // reset or a loaded save
+    function snap() {
+        blendFrom = null;
+        shoulderDistance = settings.distance;
+        update(0);
+    }
+
+    // Whether the player's own body should be drawn
+    function showsPlayer() {
+        return rig.mode !== 'firstPerson' || blendFrom !== null;
+    }
+
+    rig.setMode = setMode;
+    rig.look = look;
+    rig.fly = fly;
+    rig.zoom = zoom;
+    rig.update = update;
+    rig.snap = snap;
+    rig.showsPlayer = showsPlayer;
+    return rig;
+}
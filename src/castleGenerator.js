@@ -0,0 +1,954 @@
+// Seeded procedural castles.
+// generateCastle() builds a level document in the same format as the level
+// files (see levelFormat.js): the outer walls split again and again into
+// rooms and corridors, each split wall with a doorway, a light per room,
+// guards patrolling between rooms, loose crates, and the sealed computer
+// room hidden somewhere inside, ringed by enough floor that it never cuts a
+// room off.
+// The items, terminal and objectives follow the hand-made castle's story.
+// Every layout is walked before it is returned, stage by stage as the
+// objectives open it up; one that fails is thrown away and generated again
+// from a seed derived from the first, so the same seed always gives the same
+// castle. Nothing here depends on three.js.
+
+import {
+    createRandom,
+    hashSeed
+} from './random.js';
+import {
+    validateLevel,
+    expandLevel,
+    LEVEL_FORMAT,
+    LEVEL_VERSION
+} from './levelFormat.js';
+
+export const GENERATOR_DEFAULTS = {
+    size: 100, // Outer wall to outer wall
+    outerWallHeight: 12,
+    innerWallHeight: 6,
+    minRoomSize: 12,
+    maxRoomSize: 30,
+    corridorWidth: 4,
+    corridorChance: 0.3,
+    loopChance: 0.35, // Chance of a second doorway in a long wall
+    doorWidth: 3,
+    doorHeight: 4,
+    computerRoomSize: 12,
+    computerRoomClearance: 4, // Floor kept clear all round the computer room
+    guards: 2,
+    bandages: 3,
+    crates: 6, // Loose crates to push around and throw
+    maxLights: 10,
+    attempts: 25
+};
+
+const OUTER_THICKNESS = 2;
+const INNER_THICKNESS = 0.5;
+const GATE_WIDTH = 4;
+const GATE_HEIGHT = 6;
+const LIGHT_COLORS = ['#ffd9a0', '#ffc080', '#fff0d0', '#ffb070'];
+
+// Hatch override codes for the terminal
+const HATCH_CODES = ['SHRED', 'RAVEN', 'EMBER', 'VAULT', 'CROWN', 'GHOST', 'SPIRE', 'TALON'];
+
+const snap = value => Math.round(value * 2) / 2;
+
+// =========================
+// Layout
+// =========================
+
+// Split the inside of the outer walls into rooms and corridors.
+// Returns { leaves, walls } where leaves are [{ id, kind, x0, z0, x1, z1 }]
+// between wall centre lines and walls are room-local wall definitions.
+// gateX is where the main gate goes through the south wall; splits keep clear
+// of it and of every doorway already on the walls they run into.
+function partition(random, settings, gateX) {
+    const inner = settings.size / 2 - OUTER_THICKNESS;
+    const leaves = [];
+    const walls = [];
+    // Doorways on region boundaries: { along, line, from, to } where along is
+    // the axis the wall runs along and line its position on the other axis
+    const doorways = [{
+        along: 'x',
+        line: inner,
+        from: gateX - GATE_WIDTH / 2,
+        to: gateX + GATE_WIDTH / 2
+    }];
+    const margin = settings.doorWidth / 2;
+
+    // Would a wall at p across the region run into a doorway?
+    function blocked(axis, p, region) {
+        const along = axis === 'x' ? 'x' : 'z';
+        const ends = axis === 'x' ? [region.z0, region.z1] : [region.x0, region.x1];
+        return doorways.some(doorway => doorway.along === along && ends.includes(doorway.line) &&
+            p > doorway.from - margin && p < doorway.to + margin);
+    }
+
+    // A wall at p across the region, with one doorway or sometimes two
+    function addWall(axis, p, region) {
+        const from = axis === 'x' ? region.z0 : region.x0;
+        const to = axis === 'x' ? region.z1 : region.x1;
+        const length = to - from;
+        const edge = settings.doorWidth / 2 + 1.5;
+        const spans = length >= settings.minRoomSize * 2 && random() < settings.loopChance ?
+            [[edge, length / 2 - edge / 2], [length / 2 + edge / 2, length - edge]] :
+            [[edge, length - edge]];
+        const id = `wall${walls.length + 1}`;
+        const openings = spans.map(([low, high], index) => {
+            const offset = snap(low + random() * (high - low));
+            doorways.push({
+                along: axis === 'x' ? 'z' : 'x',
+                line: p,
+                from: from + offset - settings.doorWidth / 2,
+                to: from + offset + settings.doorWidth / 2
+            });
+            return {
+                id: `${id}Doorway${index + 1}`,
+                offset,
+                width: settings.doorWidth,
+                height: settings.doorHeight
+            };
+        });
+        walls.push({
+            id,
+            start: axis === 'x' ? [p, from] : [from, p],
+            end: axis === 'x' ? [p, to] : [to, p],
+            height: settings.innerWallHeight,
+            thickness: INNER_THICKNESS,
+            material: 'wall',
+            openings
+        });
+    }
+
+    function addLeaf(region, kind) {
+        leaves.push({
+            id: `${kind}${leaves.filter(leaf => leaf.kind === kind).length + 1}`,
+            kind,
+            ...region
+        });
+    }
+
+    // Regions are { x0, z0, x1, z1 }; axis 'x' splits with a wall at some x
+    function split(region) {
+        const width = region.x1 - region.x0;
+        const depth = region.z1 - region.z0;
+        const canSplitX = width >= settings.minRoomSize * 2;
+        const canSplitZ = depth >= settings.minRoomSize * 2;
+        if (!canSplitX && !canSplitZ) return addLeaf(region, 'room');
+        if (width <= settings.maxRoomSize && depth <= settings.maxRoomSize && random() < 0.3) return addLeaf(region, 'room');
+
+        const axis = canSplitX && (!canSplitZ || width > depth || (width === depth && random() < 0.5)) ? 'x' : 'z';
+        const low = axis === 'x' ? region.x0 : region.z0;
+        const high = axis === 'x' ? region.x1 : region.z1;
+        const corridor = high - low >= settings.minRoomSize * 2 + settings.corridorWidth &&
+            random() < settings.corridorChance ? settings.corridorWidth : 0;
+
+        // A few tries for a spot clear of doorways; otherwise it stays whole
+        for (let tries = 0; tries < 10; tries++) {
+            const p = snap(low + settings.minRoomSize + random() * (high - low - settings.minRoomSize * 2 - corridor));
+            if (blocked(axis, p, region) || (corridor && blocked(axis, p + corridor, region))) continue;
+            const before = axis === 'x' ? { ...region, x1: p } : { ...region, z1: p };
+            const after = axis === 'x' ? { ...region, x0: p + corridor } : { ...region, z0: p + corridor };
+            addWall(axis, p, region);
+            if (corridor) {
+                addWall(axis, p + corridor, region);
+                addLeaf(axis === 'x' ? { ...region, x0: p, x1: p + corridor } : { ...region, z0: p, z1: p + corridor }, 'corridor');
+            }
+            split(before);
+            split(after);
+            return;
+        }
+        addLeaf(region, 'room');
+    }
+
+    split({ x0: -inner, z0: -inner, x1: inner, z1: inner });
+    return { leaves, walls };
+}
+
+function leafContains(leaf, x, z) {
+    return x >= leaf.x0 && x <= leaf.x1 && z >= leaf.z0 && z <= leaf.z1;
+}
+
+// A random spot in a leaf at least margin from its walls and outside the
+// avoided { x0, z0, x1, z1 } box, if any
+function pointInLeaf(random, leaf, margin, avoid = null) {
+    for (let tries = 0; tries < 20; tries++) {
+        const x = snap(leaf.x0 + margin + random() * (leaf.x1 - leaf.x0 - margin * 2));
+        const z = snap(leaf.z0 + margin + random() * (leaf.z1 - leaf.z0 - margin * 2));
+        if (!avoid || !leafContains(avoid, x, z)) return [x, z];
+    }
+    return null;
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// =========================
+// Level
+// =========================
+
+function outerWalls(settings, gateX) {
+    const half = settings.size / 2;
+    const line = half - OUTER_THICKNESS / 2;
+    const wall = (id, start, end, openings) => ({
+        id,
+        start,
+        end,
+        height: settings.outerWallHeight,
+        thickness: OUTER_THICKNESS,
+        material: 'wall',
+        ...(openings ? { openings } : {})
+    });
+    return [
+        wall('northWall', [-half, -line], [half, -line]),
+        wall('southWall', [-half, line], [half, line], [{
+            id: 'mainEntrance',
+            offset: gateX + half,
+            width: GATE_WIDTH,
+            height: GATE_HEIGHT
+        }]),
+        wall('eastWall', [line, -half], [line, half]),
+        wall('westWall', [-line, -half], [-line, half])
+    ];
+}
+
+function computerRoom(settings, position) {
+    const half = settings.computerRoomSize / 2;
+    const line = half - 0.5;
+    const height = settings.innerWallHeight;
+    const deskZ = -(half - 2.5);
+    const computerY = 0.2 + 1.5 + 0.5;
+    const wall = (id, start, end, openings) => ({
+        id,
+        start,
+        end,
+        height,
+        thickness: 1,
+        material: 'computerRoomWall',
+        castShadow: false,
+        receiveShadow: false,
+        ...(openings ? { openings } : {})
+    });
+    const computers = [-3, 0, 3];
+
+    return {
+        id: 'computerRoom',
+        position,
+        reverb: {
+            decay: 0.8,
+            mix: 0.2
+        },
+        floors: [{
+            id: 'computerRoomFloor',
+            position: [0, 0.1, 0],
+            size: [half * 2, 0.2, half * 2],
+            material: 'computerRoomFloor',
+            receiveShadow: false
+        }, {
+            id: 'computerRoomCeiling',
+            position: [0, height - 0.25, 0],
+            size: [half * 2, 0.5, half * 2],
+            material: 'computerRoomWall',
+            receiveShadow: false
+        }],
+        walls: [
+            wall('computerRoomNorthWall', [-half, -line], [half, -line]),
+            wall('computerRoomSouthWall', [-half, line], [half, line], [{
+                id: 'computerRoomSecretEntrance',
+                offset: half,
+                width: 3,
+                height: 4
+            }]),
+            wall('computerRoomEastWall', [line, -line + 0.5], [line, line - 0.5], [{
+                id: 'computerRoomHatchway',
+                offset: line - 0.5,
+                width: 3,
+                height: 4
+            }]),
+            wall('computerRoomWestWall', [-line, -line + 0.5], [-line, line - 0.5])
+        ],
+        props: [{
+            id: 'computerDesk',
+            type: 'desk',
+            position: [0, 0.2 + 0.75, deskZ],
+            size: [half * 2 - 4, 1.5, 2],
+            material: 'desk',
+            castShadow: false,
+            receiveShadow: false
+        },
+        ...computers.map((x, index) => ({
+            id: `computer${index + 1}`,
+            type: 'computer',
+            model: 'computer',
+            mass: 40,
+            position: [x, computerY, deskZ],
+            size: [2, 1, 1],
+            material: 'computer',
+            castShadow: false,
+            receiveShadow: false,
+            interact: {
+                type: 'terminal',
+                terminal: 'mainframe',
+                prompt: 'Use terminal'
+            }
+        })), {
+            id: 'looseStone',
+            type: 'switch',
+            position: [2.5, 1.2, half + 0.05],
+            size: [0.5, 0.35, 0.1],
+            material: 'looseStone',
+            solid: false,
+            castShadow: false,
+            interact: {
+                type: 'switch',
+                prompt: 'Push the loose stone',
+                once: true,
+                events: [{
+                    type: 'door:open',
+                    door: 'computerRoomSecretDoor'
+                }],
+                requires: 'chisel',
+                missing: 'The stone is loose, but you can\'t prise it out with your fingers.'
+            }
+        }],
+        doors: [{
+            id: 'computerRoomSecretDoor',
+            position: [0, 2, line],
+            size: [3, 4, 1],
+            openOffset: [0, -4.5, 0],
+            duration: 2,
+            material: 'computerRoomWall',
+            castShadow: false,
+            receiveShadow: false
+        }, {
+            id: 'computerRoomHatch',
+            position: [line, 2, 0],
+            size: [1, 4, 3],
+            openOffset: [0, 4.5, 0],
+            duration: 1.5,
+            locked: true,
+            usable: true,
+            material: 'computerRoomWall',
+            castShadow: false,
+            receiveShadow: false
+        }],
+        lights: [{
+            id: 'computerRoomLight',
+            type: 'point',
+            color: '#ff3344',
+            intensity: 1.5,
+            distance: 15,
+            position: [0, height - 1.5, 0]
+        }],
+        checkpoints: [{
+            id: 'computerRoomCheckpoint',
+            label: 'Computer room',
+            position: [0, 2, 0],
+            size: [half * 2 - 2, 4, half * 2 - 2]
+        }],
+        sounds: computers.map((x, index) => ({
+            id: `computer${index + 1}Hum`,
+            sound: 'hum',
+            position: [x, computerY, deskZ],
+            volume: 0.5,
+            distance: 3
+        })),
+        pickups: [{
+            id: 'gateKeyPickup',
+            item: 'gateKey',
+            position: [2.5, 0.24, 1.5]
+        }]
+    };
+}
+
+function courtyard(settings, gateX) {
+    return {
+        id: 'courtyard',
+        outdoor: true,
+        position: [gateX, 0, settings.size / 2 + 15],
+        floors: [{
+            id: 'courtyardFloor',
+            position: [0, -0.5, 0],
+            size: [40, 1, 30],
+            material: 'floor'
+        }],
+        walls: [{
+            id: 'courtyardWestWall',
+            start: [-19.5, -15],
+            end: [-19.5, 15],
+            height: 4,
+            thickness: 1,
+            material: 'stone'
+        }, {
+            id: 'courtyardEastWall',
+            start: [19.5, -15],
+            end: [19.5, 15],
+            height: 4,
+            thickness: 1,
+            material: 'stone'
+        }, {
+            id: 'courtyardSouthWall',
+            start: [-20, 14.5],
+            end: [20, 14.5],
+            height: 4,
+            thickness: 1,
+            material: 'stone'
+        }]
+    };
+}
+
+// The gate and the computer room's two doorways, the only ways the three
+// rooms see into one another
+function portals(settings, gateX, center) {
+    const line = settings.computerRoomSize / 2 - 0.5;
+    return [{
+        id: 'mainEntrancePortal',
+        rooms: ['hall', 'courtyard'],
+        position: [gateX, GATE_HEIGHT / 2, settings.size / 2 - OUTER_THICKNESS / 2],
+        size: [GATE_WIDTH, GATE_HEIGHT, OUTER_THICKNESS],
+        door: 'mainGate'
+    }, {
+        id: 'secretEntrancePortal',
+        rooms: ['hall', 'computerRoom'],
+        position: [center[0], 2, center[1] + line],
+        size: [3, 4, 1],
+        door: 'computerRoomSecretDoor'
+    }, {
+        id: 'hatchwayPortal',
+        rooms: ['hall', 'computerRoom'],
+        position: [center[0] + line, 2, center[1]],
+        size: [1, 4, 3],
+        door: 'computerRoomHatch'
+    }];
+}
+
+// The mainframe, with this castle's codes
+function mainframe(codes) {
+    const side = 'east';
+    return {
+        hostname: 'shredder',
+        user: 'guest',
+        home: '/home/guest',
+        motd: [
+            'SHREDDER MAINFRAME OS v0.9',
+            `(c) ${codes.year} Castle Systems. Unauthorised access is prohibited.`,
+            '',
+            'Type \'help\' for a list of commands.'
+        ],
+        filesystem: {
+            type: 'dir',
+            children: {
+                home: {
+                    type: 'dir',
+                    children: {
+                        guest: {
+                            type: 'dir',
+                            children: {
+                                'readme.txt': {
+                                    type: 'file',
+                                    content: [
+                                        'Welcome, guest.',
+                                        '',
+                                        'The archive is sealed. Only those who remember the year',
+                                        'the castle fell may open it. The logs never forget.'
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                var: {
+                    type: 'dir',
+                    children: {
+                        log: {
+                            type: 'dir',
+                            children: {
+                                'access.log': {
+                                    type: 'file',
+                                    content: [
+                                        `[${codes.year}-10-31 23:58] shredder: archive sealed`,
+                                        `[${codes.year}-10-31 23:59] shredder: hatch locked, code moved to archive`,
+                                        `[${codes.year}-11-01 00:00] system: castle fell. logging suspended.`
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                archive: {
+                    type: 'dir',
+                    lock: 'archive',
+                    children: {
+                        'plans.txt': {
+                            type: 'file',
+                            content: [
+                                'CASTLE SERVICE PLANS',
+                                '',
+                                `A maintenance hatch in the ${side} wall of this room leads`,
+                                `back to the great hall. Hatch override code: ${codes.hatch}`
+                            ],
+                            events: [{
+                                type: 'clue:reveal',
+                                id: 'hatchPlans',
+                                text: `The plans mark a maintenance hatch in the ${side} wall of the computer room.`
+                            }]
+                        }
+                    }
+                }
+            }
+        },
+        locks: {
+            archive: {
+                code: codes.year,
+                description: 'sealed archive partition',
+                message: 'Archive unsealed. See /archive.'
+            },
+            hatch: {
+                code: codes.hatch,
+                description: `${side} maintenance hatch`,
+                message: ['Override accepted.', 'Maintenance hatch opening.'],
+                events: [{
+                    type: 'door:unlock',
+                    door: 'computerRoomHatch'
+                }, {
+                    type: 'door:open',
+                    door: 'computerRoomHatch'
+                }, {
+                    type: 'light:set',
+                    light: 'computerRoomLight',
+                    color: '#33ff66'
+                }]
+            }
+        }
+    };
+}
+
+const MATERIALS = {
+    floor: { color: '#3a3a3a', roughness: 0.9, metalness: 0.1, texture: 'stone', textureScale: 3 },
+    wall: { color: '#2a2a2a', roughness: 0.8, metalness: 0.2, texture: 'stone', textureScale: 3 },
+    computerRoomFloor: { color: '#0f0f0f', texture: 'metal' },
+    computerRoomWall: { color: '#080808', transparent: true, opacity: 0.95, texture: 'metal' },
+    computer: { color: '#333333', emissive: '#0a3312', emissiveIntensity: 0.6 },
+    looseStone: { color: '#161412', roughness: 1.0, metalness: 0.0, texture: 'stone', textureScale: 3 },
+    desk: { color: '#1c1410', roughness: 0.7, metalness: 0.1, texture: 'wood' },
+    crate: { color: '#5a3d22', roughness: 0.9, texture: 'wood', textureScale: 1 },
+    door: { color: '#4a2e1a', roughness: 0.9, texture: 'wood', textureScale: 1.5 },
+    stone: { color: '#6b6b6b', roughness: 0.95, texture: 'stone' },
+    brass: { color: '#b08d57', roughness: 0.4, metalness: 0.8, emissive: '#3a2a10', emissiveIntensity: 0.8 },
+    iron: { color: '#5a5f66', roughness: 0.5, metalness: 0.9, emissive: '#101418', emissiveIntensity: 0.8 },
+    linen: { color: '#d8d0c0', roughness: 1.0, emissive: '#2a2620', emissiveIntensity: 0.8 }
+};
+
+const ITEMS = {
+    chisel: {
+        name: 'Chisel',
+        description: 'A mason\'s chisel, blunt but solid. Good for prising out stones.',
+        icon: 'icons/items/chisel.svg',
+        mesh: { shape: 'box', size: [0.8, 0.12, 0.16], material: 'iron' }
+    },
+    gateKey: {
+        name: 'Gate key',
+        description: 'A heavy brass key stamped with the castle crest.',
+        icon: 'icons/items/gate-key.svg',
+        mesh: { shape: 'box', size: [0.5, 0.08, 0.2], material: 'brass' }
+    },
+    bandage: {
+        name: 'Bandage',
+        description: 'Clean linen. Restores some health.',
+        icon: 'icons/items/bandage.svg',
+        stackable: true,
+        maxStack: 5,
+        mesh: { shape: 'cylinder', size: [0.4, 0.25, 0.4], material: 'linen' },
+        use: {
+            events: [{ type: 'player:heal', amount: 35 }],
+            consume: true,
+            message: 'You patch yourself up.'
+        }
+    }
+};
+
+function objectives(area) {
+    return [{
+        id: 'findWayIn',
+        text: `Find a way into the sealed room somewhere in the ${area} of the hall`,
+        completeOn: { type: 'door:opened', door: 'computerRoomSecretDoor' }
+    }, {
+        id: 'searchComputers',
+        text: 'Search the computers',
+        completeOn: { type: 'terminal:open', id: 'mainframe' }
+    }, {
+        id: 'unsealArchive',
+        text: 'Unseal the archive on the mainframe',
+        completeOn: { type: 'terminal:unlocked', lock: 'archive' }
+    }, {
+        id: 'readPlans',
+        text: 'Look through the archive for another way out',
+        completeOn: { type: 'clue:revealed', id: 'hatchPlans' }
+    }, {
+        id: 'openHatch',
+        text: 'Open the maintenance hatch',
+        completeOn: { type: 'door:opened', door: 'computerRoomHatch' }
+    }, {
+        id: 'escape',
+        text: 'Unlock the main gate and get out of the castle',
+        completeOn: { type: 'door:opened', door: 'mainGate' }
+    }];
+}
+
+// Rough compass area of a point, for the first objective's hint
+function areaName(x, z, size) {
+    const third = size / 6;
+    const northSouth = z < -third ? 'north' : z > third ? 'south' : '';
+    const eastWest = x < -third ? 'west' : x > third ? 'east' : '';
+    if (!northSouth && !eastWest) return 'middle';
+    return northSouth && eastWest ? `${northSouth}-${eastWest}` : northSouth || eastWest;
+}
+
+// One attempt at a castle; null when the computer room or the chisel does
+// not fit
+function buildCastle(random, settings, name) {
+    const inner = settings.size / 2 - OUTER_THICKNESS;
+    const gateX = snap(-inner * 0.6 + random() * inner * 1.2);
+    const { leaves, walls } = partition(random, settings, gateX);
+    const spawn = [gateX, inner - 4];
+    const rooms = leaves.filter(leaf => leaf.kind === 'room');
+    const startLeaf = leaves.find(leaf => leafContains(leaf, spawn[0], spawn[1]));
+
+    // The computer room goes in a room big enough to keep its ring of floor
+    const outerHalf = settings.computerRoomSize / 2;
+    const reserve = outerHalf + settings.computerRoomClearance + INNER_THICKNESS;
+    const candidates = rooms.filter(leaf => leaf !== startLeaf &&
+        leaf.x1 - leaf.x0 >= reserve * 2 + 1 && leaf.z1 - leaf.z0 >= reserve * 2 + 1);
+    if (candidates.length === 0) return null;
+    const hideout = pick(random, candidates);
+    const center = [
+        snap(hideout.x0 + reserve + 0.5 + random() * (hideout.x1 - hideout.x0 - reserve * 2 - 1)),
+        snap(hideout.z0 + reserve + 0.5 + random() * (hideout.z1 - hideout.z0 - reserve * 2 - 1))
+    ];
+    // Keep other things out of the computer room and off its doorsteps
+    const keepOut = {
+        x0: center[0] - outerHalf - 2,
+        x1: center[0] + outerHalf + 2,
+        z0: center[1] - outerHalf - 2,
+        z1: center[1] + outerHalf + 2
+    };
+
+    const codes = {
+        year: String(1950 + Math.floor(random() * 50)),
+        hatch: pick(random, HATCH_CODES)
+    };
+
+    // The chisel is somewhere away from the start and the computer room
+    const others = rooms.filter(leaf => leaf !== startLeaf && leaf !== hideout);
+    const chiselLeaf = others.length ? pick(random, others) : startLeaf;
+    const chiselAt = pointInLeaf(random, chiselLeaf, 2, keepOut);
+    if (!chiselAt) return null;
+    const pickups = [{
+        id: 'chiselPickup',
+        item: 'chisel',
+        position: [chiselAt[0], 0.06, chiselAt[1]]
+    }];
+    for (let i = 0; i < settings.bandages; i++) {
+        const at = pointInLeaf(random, pick(random, leaves), 1.5, keepOut);
+        if (at) {
+            pickups.push({
+                id: `bandagePickup${i + 1}`,
+                item: 'bandage',
+                position: [at[0], 0.125, at[1]]
+            });
+        }
+    }
+
+    // Biggest rooms get lights first, corridors after them
+    const lit = leaves.slice()
+        .sort((a, b) => (a.kind === 'corridor') - (b.kind === 'corridor') ||
+            (b.x1 - b.x0) * (b.z1 - b.z0) - (a.x1 - a.x0) * (a.z1 - a.z0))
+        .slice(0, settings.maxLights);
+    const lights = lit.map(leaf => {
+        const at = leaf === hideout ? pointInLeaf(random, leaf, 1, keepOut) || [leaf.x0 + 1, leaf.z0 + 1] :
+            [(leaf.x0 + leaf.x1) / 2, (leaf.z0 + leaf.z1) / 2];
+        return {
+            id: `${leaf.id}Light`,
+            type: 'point',
+            color: pick(random, LIGHT_COLORS),
+            intensity: leaf.kind === 'corridor' ? 6 : 12,
+            distance: Math.max(leaf.x1 - leaf.x0, leaf.z1 - leaf.z0) * 1.2,
+            position: [at[0], settings.innerWallHeight - 1, at[1]]
+        };
+    });
+
+    // Guards walk a loop of rooms, starting away from the player
+    const patrolRooms = leaves.filter(leaf => leaf !== startLeaf);
+    const enemies = [];
+    for (let i = 0; i < settings.guards && patrolRooms.length; i++) {
+        const waypoints = [];
+        const stops = 3 + Math.floor(random() * 2);
+        for (let stop = 0; stop < stops; stop++) {
+            const at = pointInLeaf(random, pick(random, patrolRooms), 1.5, keepOut);
+            if (at) waypoints.push([at[0], 0, at[1]]);
+        }
+        if (waypoints.length === 0) continue;
+        enemies.push({
+            id: `guard${i + 1}`,
+            position: waypoints[0],
+            heading: Math.floor(random() * 4) * 90,
+            waypoints
+        });
+    }
+
+    // Crates lie about in twos and threes, some stacked
+    const props = [];
+    for (let i = 0; props.length < settings.crates && i < settings.crates; i++) {
+        const at = pointInLeaf(random, pick(random, leaves), 2, keepOut);
+        if (!at) continue;
+        const count = Math.min(2 + Math.floor(random() * 2), settings.crates - props.length);
+        for (let j = 0; j < count; j++) {
+            props.push({
+                id: `crate${props.length + 1}`,
+                type: 'crate',
+                position: j < 2 ? [at[0] + j * 0.9, 0.4, at[1]] : [at[0] + 0.45, 1.2, at[1]],
+                size: [0.8, 0.8, 0.8],
+                material: 'crate',
+                mass: 10
+            });
+        }
+    }
+
+    const computerRoomDefinition = computerRoom(settings, [center[0], 0, center[1]]);
+    const mainframeTerminal = mainframe(codes);
+
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name,
+        materials: MATERIALS,
+        terminals: {
+            mainframe: mainframeTerminal
+        },
+        items: ITEMS,
+        rooms: [{
+            id: 'hall',
+            reverb: {
+                decay: 2.5,
+                mix: 0.35
+            },
+            floors: [{
+                id: 'groundFloor',
+                position: [0, -0.5, 0],
+                size: [settings.size, 1, settings.size],
+                material: 'floor'
+            }],
+            walls: [...outerWalls(settings, gateX), ...walls],
+            doors: [{
+                id: 'mainGate',
+                position: [gateX, GATE_HEIGHT / 2, settings.size / 2 - OUTER_THICKNESS / 2],
+                size: [GATE_WIDTH, GATE_HEIGHT, 0.5],
+                openOffset: [0, GATE_HEIGHT - 0.1, 0],
+                duration: 2,
+                usable: true,
+                material: 'door',
+                locked: true,
+                key: 'gateKey'
+            }],
+            props,
+            lights,
+            enemies,
+            pickups
+        }, computerRoomDefinition, courtyard(settings, gateX)],
+        spawns: [{
+            id: 'start',
+            position: [spawn[0], 0, spawn[1]],
+            heading: 0
+        }],
+        objectives: objectives(areaName(center[0], center[1], settings.size)),
+        portals: portals(settings, gateX, center),
+        map: {
+            floors: [{
+                id: 'computerRoomMap',
+                label: 'Computer room',
+                rooms: ['computerRoom'],
+                minY: -1,
+                maxY: settings.innerWallHeight
+            }, {
+                id: 'groundFloorMap',
+                label: 'Ground floor',
+                rooms: ['hall', 'computerRoom', 'courtyard'],
+                minY: -1,
+                maxY: settings.outerWallHeight
+            }]
+        }
+    };
+}
+
+// =========================
+// Walking the layout
+// =========================
+
+const CELL = 0.5; // Metres per grid cell
+const BODY_RADIUS = 0.4;
+const STEP = 0.55; // Anything lower is stepped over
+const HEAD = 1.8; // Anything higher is walked under
+const REACH = 2.5; // How close a target has to be to use it
+
+// Ground-level occupancy of a layout: boxes and closed doors in the way,
+// grown by the player's radius. Only the ground floor is walked.
+function createWalkGrid(layout) {
+    const all = [...layout.boxes.map(box => ({ min: box.min, max: box.max })), ...layout.pickups];
+    const minX = Math.min(...all.map(box => box.min.x));
+    const maxX = Math.max(...all.map(box => box.max.x));
+    const minZ = Math.min(...all.map(box => box.min.z));
+    const maxZ = Math.max(...all.map(box => box.max.z));
+    const columns = Math.ceil((maxX - minX) / CELL);
+    const rows = Math.ceil((maxZ - minZ) / CELL);
+    const walls = new Uint8Array(columns * rows);
+    const inside = new Uint8Array(columns * rows); // Cells over some floor
+
+    function mark(target, min, max) {
+        const c0 = Math.max(0, Math.floor((min.x - minX) / CELL));
+        const c1 = Math.min(columns - 1, Math.floor((max.x - minX) / CELL));
+        const r0 = Math.max(0, Math.floor((min.z - minZ) / CELL));
+        const r1 = Math.min(rows - 1, Math.floor((max.z - minZ) / CELL));
+        for (let row = r0; row <= r1; row++) {
+            for (let column = c0; column <= c1; column++) target[row * columns + column] = 1;
+        }
+    }
+
+    const grow = (box, by) => ({
+        min: { x: box.min.x - by, z: box.min.z - by },
+        max: { x: box.max.x + by, z: box.max.z + by }
+    });
+    // Loose props can be pushed aside, so they never block the way
+    layout.boxes.forEach(box => {
+        if (box.mass !== null) return;
+        if (box.kind === 'floor' && box.max.y <= STEP && box.max.y > -STEP) mark(inside, box.min, box.max);
+        else if (box.solid && box.max.y > STEP && box.min.y < HEAD) mark(walls, grow(box, BODY_RADIUS).min, grow(box, BODY_RADIUS).max);
+    });
+
+    const cellOf = (x, z) => {
+        const column = Math.floor((x - minX) / CELL);
+        const row = Math.floor((z - minZ) / CELL);
+        if (column < 0 || row < 0 || column >= columns || row >= rows) return -1;
+        return row * columns + column;
+    };
+
+    // Cells reachable from a point with the given doors shut
+    function flood(start, closedDoors) {
+        const blocked = walls.slice();
+        closedDoors.forEach(door => {
+            const box = {
+                min: { x: door.center.x - door.size.x / 2, z: door.center.z - door.size.z / 2 },
+                max: { x: door.center.x + door.size.x / 2, z: door.center.z + door.size.z / 2 }
+            };
+            mark(blocked, grow(box, BODY_RADIUS).min, grow(box, BODY_RADIUS).max);
+        });
+        const reached = new Uint8Array(columns * rows);
+        const first = cellOf(start.x, start.z);
+        if (first < 0 || blocked[first]) return reached;
+        const queue = [first];
+        reached[first] = 1;
+        while (queue.length) {
+            const cell = queue.pop();
+            const row = Math.floor(cell / columns);
+            const column = cell % columns;
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+                const c = column + dx;
+                const r = row + dz;
+                if (c < 0 || r < 0 || c >= columns || r >= rows) return;
+                const next = r * columns + c;
+                if (reached[next] || blocked[next] || !inside[next]) return;
+                reached[next] = 1;
+                queue.push(next);
+            });
+        }
+        return reached;
+    }
+
+    // Is any reached cell within distance of the point?
+    function near(reached, point, distance) {
+        const steps = Math.ceil(distance / CELL);
+        const center = cellOf(point.x, point.z);
+        if (center < 0) return false;
+        const row = Math.floor(center / columns);
+        const column = center % columns;
+        for (let r = row - steps; r <= row + steps; r++) {
+            for (let c = column - steps; c <= column + steps; c++) {
+                if (c < 0 || r < 0 || c >= columns || r >= rows || !reached[r * columns + c]) continue;
+                const x = minX + (c + 0.5) * CELL;
+                const z = minZ + (r + 0.5) * CELL;
+                if (Math.hypot(x - point.x, z - point.z) <= distance) return true;
+            }
+        }
+        return false;
+    }
+
+    return {
+        flood,
+        near
+    };
+}
+
+// Walk a castle's level document the way the objectives open it up: from the
+// start with every door shut, then through the secret door, then the hatch
+// and the gate. Returns the list of things that could not be reached, empty
+// when the castle can be finished.
+export function findUnreachable(level) {
+    const layout = expandLevel(level);
+    const grid = createWalkGrid(layout);
+    const start = layout.spawns[0].position;
+    const doors = id => layout.doors.find(door => door.id === id);
+    const propCenter = id => layout.boxes.find(box => box.id === id).center;
+    const pickupCenter = id => layout.pickups.find(pickup => pickup.id === id).center;
+    const problems = [];
+
+    const shut = layout.doors.slice();
+    const stage1 = grid.flood(start, shut);
+    layout.pickups.filter(pickup => pickup.roomId !== 'computerRoom').forEach(pickup => {
+        if (!grid.near(stage1, pickup.center, 1)) problems.push(`pickup ${pickup.id}`);
+    });
+    layout.enemies.forEach(enemy => enemy.waypoints.forEach((waypoint, index) => {
+        if (!grid.near(stage1, waypoint, 0.5)) problems.push(`waypoint ${index} of ${enemy.id}`);
+    }));
+    if (!grid.near(stage1, propCenter('looseStone'), REACH)) problems.push('looseStone');
+
+    const stage2 = grid.flood(start, shut.filter(door => door.id !== 'computerRoomSecretDoor'));
+    ['computer1', 'computer2', 'computer3'].forEach(id => {
+        if (!grid.near(stage2, propCenter(id), REACH)) problems.push(id);
+    });
+    if (!grid.near(stage2, pickupCenter('gateKeyPickup'), 1)) problems.push('pickup gateKeyPickup');
+    if (!grid.near(stage2, doors('computerRoomHatch').center, REACH)) problems.push('computerRoomHatch');
+    if (!grid.near(stage2, doors('mainGate').center, REACH)) problems.push('mainGate');
+
+    const stage3 = grid.flood(start, []);
+    const outside = layout.rooms.find(room => room.id === 'courtyard').bounds;
+    if (!grid.near(stage3, { x: (outside.min.x + outside.max.x) / 2, z: (outside.min.z + outside.max.z) / 2 }, 2)) {
+        problems.push('courtyard');
+    }
+    return problems;
+}
+
+// =========================
+// Generator
+// =========================
+
+// The name a generated castle goes by in saves and on the co-op server
+export function seededLevelName(seed) {
+    return `castle-seed-${seed}`;
+}
+
+// seed: a number or any text, e.g. from a shared link.
+// options override GENERATOR_DEFAULTS. Returns a validated level document.
+export function generateCastle(seed, options = {}) {
+    const settings = { ...GENERATOR_DEFAULTS, ...options };
+    const base = hashSeed(seed);
+    let lastProblems = ['the computer room did not fit'];
+    for (let attempt = 0; attempt < settings.attempts; attempt++) {
+        const random = createRandom(base + Math.imul(attempt, 0x9e3779b9));
+        const level = buildCastle(random, settings, `Castle ${seed}`);
+        if (!level) continue;
+        validateLevel(level);
+        lastProblems = findUnreachable(level);
+        if (lastProblems.length === 0) return level;
+    }
+    throw new Error(`No castle could be generated from seed "${seed}": ${lastProblems.join(', ')} unreachable`);
+}
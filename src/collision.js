@@ -0,0 +1,137 @@
+// Axis-aligned collision world.
+// Colliders are plain { min, max } boxes with x/y/z fields so the same code
+// runs in the browser and in Node without WebGL.
+
+const EPSILON = 1e-6;
+const AXES = ['x', 'y', 'z'];
+
+export function boxesOverlap(a, b) {
+    return a.min.x < b.max.x - EPSILON && a.max.x > b.min.x + EPSILON &&
+        a.min.y < b.max.y - EPSILON && a.max.y > b.min.y + EPSILON &&
+        a.min.z < b.max.z - EPSILON && a.max.z > b.min.z + EPSILON;
+}
+
+// Slab test: distance along a normalised ray to the box, or null on a miss.
+// A ray starting inside the box hits at distance 0.
+export function rayBoxDistance(origin, direction, box, maxDistance = Infinity) {
+    let tMin = 0;
+    let tMax = maxDistance;
+    for (const axis of AXES) {
+        const d = direction[axis];
+        if (Math.abs(d) < EPSILON) {
+            if (origin[axis] < box.min[axis] || origin[axis] > box.max[axis]) return null;
+            continue;
+        }
+        let t1 = (box.min[axis] - origin[axis]) / d;
+        let t2 = (box.max[axis] - origin[axis]) / d;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+export function createCollisionWorld() {
+    const colliders = [];
+
+    function add(min, max, userData = {}) {
+        const collider = {
+            min: { x: min.x, y: min.y, z: min.z },
+            max: { x: max.x, y: max.y, z: max.z },
+            enabled: true,
+            userData: userData
+        };
+        colliders.push(collider);
+        return collider;
+    }
+
+    function remove(collider) {
+        const index = colliders.indexOf(collider);
+        if (index !== -1) colliders.splice(index, 1);
+    }
+
+    function clear() {
+        colliders.length = 0;
+    }
+
+    // Every enabled collider overlapping the given box
+    function query(box) {
+        return colliders.filter(collider => collider.enabled && boxesOverlap(box, collider));
+    }
+
+    // Move a box along a single axis, stopping flush against anything it hits.
+    // Returns the collider that stopped it, or null.
+    function moveAxis(box, axis, delta) {
+        if (delta === 0) return null;
+        box.min[axis] += delta;
+        box.max[axis] += delta;
+        let hit = null;
+        for (const collider of colliders) {
+            if (!collider.enabled || !boxesOverlap(box, collider)) continue;
+            const size = box.max[axis] - box.min[axis];
+            if (delta > 0) {
+                box.max[axis] = collider.min[axis];
+                box.min[axis] = box.max[axis] - size;
+            } else {
+                box.min[axis] = collider.max[axis];
+                box.max[axis] = box.min[axis] + size;
+            }
+            hit = collider;
+        }
+        return hit;
+    }
+
+    // Move a box by a displacement one axis at a time (y first so ground
+    // contact is resolved before sliding along walls). The displacement is
+    // split into small sub-steps so fast movement cannot tunnel through thin
+    // floors or walls.
+    function move(box, displacement, maxStep = 0.25) {
+        const hits = { x: null, y: null, z: null };
+        const length = Math.max(
+            Math.abs(displacement.x),
+            Math.abs(displacement.y),
+            Math.abs(displacement.z)
+        );
+        const steps = Math.max(1, Math.ceil(length / maxStep));
+        const order = ['y', 'x', 'z'];
+        for (let i = 0; i < steps; i++) {
+            for (const axis of order) {
+                if (hits[axis]) continue; // blocked on this axis for the rest of the move
+                hits[axis] = moveAxis(box, axis, displacement[axis] / steps);
+            }
+        }
+        return hits;
+    }
+
+    // Ray cast against every enabled collider.
+    // Returns { distance, collider, point } for the nearest hit or null.
+    function raycast(origin, direction, maxDistance = Infinity, filter = null) {
+        let nearest = null;
+        for (const collider of colliders) {
+            if (!collider.enabled || (filter && !filter(collider))) continue;
+            const distance = rayBoxDistance(origin, direction, collider, maxDistance);
+            if (distance === null || (nearest && distance >= nearest.distance)) continue;
+            nearest = {
+                distance: distance,
+                collider: collider,
+                point: {
+                    x: origin.x + direction.x * distance,
+                    y: origin.y + direction.y * distance,
+                    z: origin.z + direction.z * distance
+                }
+            };
+        }
+        return nearest;
+    }
+
+    return {
+        colliders,
+        add,
+        remove,
+        clear,
+        query,
+        move,
+        raycast
+    };
+}
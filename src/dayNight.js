@@ -0,0 +1,273 @@
+// Time of day and weather.
+// The clock runs in game hours (0-24) at a configurable speed and decides
+// where the sun and moon are; the weather is a blend of named states that
+// eases from one to the next. sample() boils both down to plain numbers and
+// colours (sky gradient, light colours and intensities, fog density, stars,
+// rain, lightning) for the sky and lights to use. Nothing here touches
+// three.js, and the weather's randomness is seeded, so a cycle stepped in
+// Node always plays out the same way.
+
+import {
+    createRandom
+} from './random.js';
+
+export const WEATHER_STATES = {
+    clear: {
+        fogDensity: 0.001,
+        overcast: 0, // Greys out the sky and dims the sun and stars
+        rain: 0,
+        lightning: 0 // Flashes per minute
+    },
+    fog: {
+        fogDensity: 0.025,
+        overcast: 0.5,
+        rain: 0,
+        lightning: 0
+    },
+    rain: {
+        fogDensity: 0.006,
+        overcast: 0.7,
+        rain: 0.6,
+        lightning: 0
+    },
+    storm: {
+        fogDensity: 0.01,
+        overcast: 0.9,
+        rain: 1,
+        lightning: 6
+    }
+};
+
+export const DAY_NIGHT_DEFAULTS = {
+    time: 22, // Hour the clock starts at
+    dayLength: 24, // Real minutes for a whole day; 0 stops the clock
+    weather: 'clear',
+    weatherBlendTime: 20, // Seconds for one weather to turn into another
+    autoWeather: true, // Pick new weather now and then
+    weatherChangeTime: [120, 300], // Seconds between automatic changes
+    seed: 1
+};
+
+// Colours at night, around sunrise and sunset, and in full daylight
+const PALETTES = {
+    night: {
+        skyTop: 0x1a0033,
+        skyBottom: 0x000033,
+        light: 0x2b1a45,
+        hemiSky: 0x1a0033,
+        hemiGround: 0x000033,
+        fog: 0x000000
+    },
+    twilight: {
+        skyTop: 0x2a1f5a,
+        skyBottom: 0xc2603a,
+        light: 0xff8a4a,
+        hemiSky: 0x5a3a6a,
+        hemiGround: 0x2a1a22,
+        fog: 0x3a2a33
+    },
+    day: {
+        skyTop: 0x3a6ea5,
+        skyBottom: 0xa9c2d8,
+        light: 0xfff1d6,
+        hemiSky: 0x8fb4d8,
+        hemiGround: 0x4a4236,
+        fog: 0x9aaab8
+    }
+};
+const OVERCAST_COLOR = 0x5a5f66;
+const OVERCAST_NIGHT_COLOR = 0x0c0c10;
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function smoothstep(edge0, edge1, value) {
+    const t = clamp01((value - edge0) / (edge1 - edge0));
+    return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Blend two 0xrrggbb colours
+export function mixColor(a, b, t) {
+    const channel = shift => Math.round(lerp((a >> shift) & 0xff, (b >> shift) & 0xff, t));
+    return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
+
+function mixPalette(a, b, t) {
+    const mixed = {};
+    Object.keys(a).forEach(key => {
+        mixed[key] = mixColor(a[key], b[key], t);
+    });
+    return mixed;
+}
+
+// Sun direction for an hour of the day: rises in the east (+x) at 6, is
+// highest at noon and sets in the west at 18
+export function sunDirection(hours) {
+    const angle = (hours - 6) / 24 * Math.PI * 2;
+    const x = Math.cos(angle);
+    const y = Math.sin(angle);
+    const z = -0.35; // Tilted so noon shadows are not straight down
+    const length = Math.hypot(x, y, z);
+    return { x: x / length, y: y / length, z: z / length };
+}
+
+export function createDayNightCycle(options = {}) {
+    const settings = { ...DAY_NIGHT_DEFAULTS, ...options };
+    if (!WEATHER_STATES[settings.weather]) throw new Error(`Unknown weather "${settings.weather}"`);
+    let random = createRandom(settings.seed);
+
+    const cycle = {
+        settings,
+        time: settings.time,
+        weather: settings.weather, // The weather being blended towards
+        weights: {}, // How much of each weather is in the mix
+        flash: 0 // Lightning brightness, 0-1
+    };
+    Object.keys(WEATHER_STATES).forEach(name => {
+        cycle.weights[name] = name === settings.weather ? 1 : 0;
+    });
+
+    let weatherTimer = 0;
+
+    function nextWeatherChange() {
+        const [min, max] = settings.weatherChangeTime;
+        weatherTimer = lerp(min, max, random());
+    }
+    nextWeatherChange();
+
+    function setTime(hours) {
+        cycle.time = ((hours % 24) + 24) % 24;
+    }
+
+    // immediate skips the blend, e.g. when loading a save
+    function setWeather(name, { immediate = false } = {}) {
+        if (!WEATHER_STATES[name]) throw new Error(`Unknown weather "${name}"`);
+        cycle.weather = name;
+        if (immediate) {
+            Object.keys(cycle.weights).forEach(key => {
+                cycle.weights[key] = key === name ? 1 : 0;
+            });
+        }
+        nextWeatherChange();
+    }
+
+    // Blended value of one weather parameter
+    function weatherValue(key) {
+        let total = 0;
+        let sum = 0;
+        Object.keys(cycle.weights).forEach(name => {
+            total += cycle.weights[name];
+            sum += cycle.weights[name] * WEATHER_STATES[name][key];
+        });
+        return total > 0 ? sum / total : WEATHER_STATES[cycle.weather][key];
+    }
+
+    function update(dt) {
+        if (settings.dayLength > 0) setTime(cycle.time + dt * 24 / (settings.dayLength * 60));
+
+        const step = settings.weatherBlendTime > 0 ? dt / settings.weatherBlendTime : 1;
+        Object.keys(cycle.weights).forEach(name => {
+            const target = name === cycle.weather ? 1 : 0;
+            const weight = cycle.weights[name];
+            cycle.weights[name] = target > weight ? Math.min(target, weight + step) : Math.max(target, weight - step);
+        });
+
+        if (settings.autoWeather) {
+            weatherTimer -= dt;
+            if (weatherTimer <= 0) {
+                const names = Object.keys(WEATHER_STATES).filter(name => name !== cycle.weather);
+                setWeather(names[Math.floor(random() * names.length)]);
+            }
+        }
+
+        // Lightning strikes at random, more often the stormier it is
+        cycle.flash = Math.max(0, cycle.flash - dt * 4);
+        const rate = weatherValue('lightning') / 60;
+        if (rate > 0 && random() < rate * dt) cycle.flash = 0.6 + random() * 0.4;
+    }
+
+    // Everything the sky, lights and fog need for the current moment
+    function sample() {
+        const sun = sunDirection(cycle.time);
+        const moon = { x: -sun.x, y: -sun.y, z: -sun.z };
+        const daylight = smoothstep(-0.1, 0.3, sun.y);
+        // Warm colours peak as the sun crosses the horizon
+        const twilight = 1 - smoothstep(0, 0.3, Math.abs(sun.y + 0.02));
+        const overcast = weatherValue('overcast');
+
+        let palette = mixPalette(PALETTES.night, PALETTES.day, daylight);
+        palette = mixPalette(palette, PALETTES.twilight, twilight * 0.8);
+        const grey = mixColor(OVERCAST_NIGHT_COLOR, OVERCAST_COLOR, daylight);
+        ['skyTop', 'skyBottom', 'hemiSky', 'fog'].forEach(key => {
+            palette[key] = mixColor(palette[key], grey, overcast * 0.8);
+        });
+        palette.light = mixColor(palette.light, grey, overcast * 0.5);
+        const flash = cycle.flash * weatherValue('lightning') / WEATHER_STATES.storm.lightning;
+        if (flash > 0) {
+            ['skyTop', 'skyBottom', 'hemiSky'].forEach(key => {
+                palette[key] = mixColor(palette[key], 0xdde4ff, flash * 0.7);
+            });
+        }
+
+        // The directional light is the sun by day and the moon by night
+        const sunUp = sun.y > -0.05;
+        return {
+            time: cycle.time,
+            weather: cycle.weather,
+            sun,
+            moon,
+            daylight,
+            lightDirection: sunUp ? sun : moon,
+            lightColor: palette.light,
+            lightIntensity: (sunUp ? lerp(0.6, 2.5, daylight) : 2 * smoothstep(-0.05, 0.2, moon.y)) * (1 - overcast * 0.7),
+            skyTop: palette.skyTop,
+            skyBottom: palette.skyBottom,
+            hemiSky: palette.hemiSky,
+            hemiGround: palette.hemiGround,
+            hemiIntensity: lerp(1, 1.4, daylight) * (1 - overcast * 0.3) + flash * 2,
+            fogColor: palette.fog,
+            fogDensity: weatherValue('fogDensity'),
+            stars: (1 - daylight) * (1 - overcast),
+            moonVisible: smoothstep(-0.05, 0.05, moon.y) * (1 - overcast * 0.8),
+            rain: weatherValue('rain'),
+            flash
+        };
+    }
+
+    // Serialisable state, for saves
+    function getState() {
+        return {
+            time: cycle.time,
+            weather: cycle.weather
+        };
+    }
+
+    function setState(state) {
+        if (typeof state.time === 'number') setTime(state.time);
+        if (WEATHER_STATES[state.weather]) setWeather(state.weather, { immediate: true });
+    }
+
+    // Back to how the level starts, weather dice included, so a reset run
+    // sees the same weather as the last one did
+    function reset() {
+        random = createRandom(settings.seed);
+        nextWeatherChange();
+        setTime(settings.time);
+        setWeather(settings.weather, { immediate: true });
+        cycle.flash = 0;
+    }
+
+    cycle.setTime = setTime;
+    cycle.setWeather = setWeather;
+    cycle.update = update;
+    cycle.sample = sample;
+    cycle.getState = getState;
+    cycle.setState = setState;
+    cycle.reset = reset;
+    return cycle;
+}
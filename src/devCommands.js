@@ -0,0 +1,256 @@
+// Developer console commands.
+// A registry of named commands shaped like the in-game terminals' (see
+// terminal.js): { usage, description, run(args) } where run returns the
+// lines to print. Game systems add their own with register(); a command
+// reports a mistake by throwing, and the message is printed after its name.
+// registerSimulationCommands() adds the ones that reach into the simulation
+// (teleport, noclip, spawn, time, weather, give, heal, door). Nothing here
+// touches the DOM.
+
+import {
+    WEATHER_STATES
+} from './dayNight.js';
+
+export function createCommandRegistry() {
+    const commands = {};
+
+    // Add a command, replacing any of the same name. Returns a function that
+    // takes it away again.
+    function register(name, command) {
+        if (!/^[a-z][\w-]*$/.test(name)) throw new Error(`Invalid command name "${name}"`);
+        commands[name] = command;
+        return () => {
+            if (commands[name] === command) delete commands[name];
+        };
+    }
+
+    register('help', {
+        usage: 'help [command]',
+        description: 'list commands, or explain one',
+        run(args) {
+            if (args.length) {
+                const command = commands[args[0]];
+                if (!command) throw new Error(`no command "${args[0]}"`);
+                return [command.usage, `  ${command.description}`];
+            }
+            return names().map(name => `  ${commands[name].usage.padEnd(36)} ${commands[name].description}`);
+        }
+    });
+    register('clear', {
+        usage: 'clear',
+        description: 'clear the console',
+        run() {
+            return [];
+        }
+    });
+
+    function names() {
+        return Object.keys(commands).sort();
+    }
+
+    // Command names that start with prefix, for completion
+    function complete(prefix) {
+        return names().filter(name => name.startsWith(prefix));
+    }
+
+    // Run one command line. Returns { output, clear }; output holds the
+    // error message when the command failed.
+    function execute(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return { output: [], clear: false };
+        const [name, ...args] = trimmed.split(/\s+/);
+        const command = commands[name];
+        if (!command) {
+            return {
+                output: [`${name}: unknown command. Type 'help' for a list of commands.`],
+                clear: false
+            };
+        }
+        try {
+            return {
+                output: command.run(args) || [],
+                clear: name === 'clear'
+            };
+        } catch (error) {
+            return {
+                output: [`${name}: ${error.message}`],
+                clear: false
+            };
+        }
+    }
+
+    return {
+        commands,
+        register,
+        names,
+        complete,
+        execute
+    };
+}
+
+// =========================
+// Simulation Commands
+// =========================
+
+function parseNumber(text, what) {
+    const value = Number(text);
+    if (text === undefined || !Number.isFinite(value)) throw new Error(`expected a number for ${what}`);
+    return value;
+}
+
+function formatPosition({ x, y, z }) {
+    return [x, y, z].map(value => value.toFixed(2)).join(' ');
+}
+
+// Named places to teleport to: spawn points, checkpoints and the middle of
+// each room's floor
+function teleportPlaces(layout) {
+    const places = {};
+    layout.rooms.forEach(room => {
+        if (!room.bounds) return;
+        places[room.id] = {
+            x: (room.bounds.min.x + room.bounds.max.x) / 2,
+            y: room.bounds.min.y,
+            z: (room.bounds.min.z + room.bounds.max.z) / 2
+        };
+    });
+    layout.checkpoints.forEach(checkpoint => {
+        places[checkpoint.id] = {
+            x: (checkpoint.min.x + checkpoint.max.x) / 2,
+            y: checkpoint.min.y,
+            z: (checkpoint.min.z + checkpoint.max.z) / 2
+        };
+    });
+    layout.spawns.forEach(spawn => {
+        places[spawn.id] = { ...spawn.position };
+    });
+    return places;
+}
+
+// Ahead of the player along the ground, distance metres out
+function pointAhead(player, distance) {
+    return {
+        x: player.position.x - Math.sin(player.yaw) * distance,
+        y: player.position.y,
+        z: player.position.z - Math.cos(player.yaw) * distance
+    };
+}
+
+export function registerSimulationCommands(commands, sim) {
+    const { player, layout } = sim;
+    const places = teleportPlaces(layout);
+
+    commands.register('teleport', {
+        usage: 'teleport <x y z | place>',
+        description: 'move the player to a point or a named room, checkpoint or spawn',
+        run(args) {
+            if (!args.length) return [`at ${formatPosition(player.position)}`, `places: ${Object.keys(places).join(', ')}`];
+            let to = places[args[0]];
+            if (!to) {
+                if (args.length < 3) throw new Error(`no place "${args[0]}"`);
+                to = {
+                    x: parseNumber(args[0], 'x'),
+                    y: parseNumber(args[1], 'y'),
+                    z: parseNumber(args[2], 'z')
+                };
+            }
+            const pitch = player.pitch;
+            player.reset(to, player.yaw);
+            player.pitch = pitch;
+            return [`teleported to ${formatPosition(player.position)}`];
+        }
+    });
+
+    commands.register('noclip', {
+        usage: 'noclip [on|off]',
+        description: 'fly through walls, with jump to rise',
+        run(args) {
+            player.noclip = args[0] === undefined ? !player.noclip : args[0] === 'on';
+            if (!player.noclip) player.velocity.y = 0;
+            return [`noclip ${player.noclip ? 'on' : 'off'}`];
+        }
+    });
+
+    commands.register('spawn', {
+        usage: 'spawn guard [count]',
+        description: 'put guards on the floor ahead of the player',
+        run(args) {
+            if (args[0] !== 'guard') throw new Error('only guards can be spawned');
+            const count = args[1] === undefined ? 1 : Math.max(1, Math.round(parseNumber(args[1], 'count')));
+            const spot = sim.navGrid.nearestNode(pointAhead(player, 3), 4);
+            if (!spot) throw new Error('nowhere to stand ahead');
+            const ids = [];
+            for (let i = 0; i < count; i++) {
+                ids.push(sim.spawnEnemy({ x: spot.x, y: spot.y, z: spot.z }, player.yaw + Math.PI).id);
+            }
+            return [`spawned ${ids.join(', ')}`];
+        }
+    });
+
+    commands.register('time', {
+        usage: 'time [hours]',
+        description: 'show or set the time of day, 0-24',
+        run(args) {
+            if (args.length) sim.dayNight.setTime(parseNumber(args[0], 'hours'));
+            const minutes = Math.floor(sim.dayNight.time * 60);
+            return [`time ${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`];
+        }
+    });
+
+    commands.register('weather', {
+        usage: 'weather [name]',
+        description: 'show or change the weather',
+        run(args) {
+            if (args.length) {
+                if (!WEATHER_STATES[args[0]]) throw new Error(`no weather "${args[0]}"; try ${Object.keys(WEATHER_STATES).join(', ')}`);
+                sim.dayNight.setWeather(args[0]);
+            }
+            return [`weather ${sim.dayNight.weather}`];
+        }
+    });
+
+    commands.register('give', {
+        usage: 'give <item> [count]',
+        description: 'put items in the inventory',
+        run(args) {
+            const ids = Object.keys(sim.inventory.items);
+            if (!args.length) return [`items: ${ids.join(', ')}`];
+            if (!sim.inventory.items[args[0]]) throw new Error(`no item "${args[0]}"; try ${ids.join(', ')}`);
+            const count = args[1] === undefined ? 1 : Math.max(1, Math.round(parseNumber(args[1], 'count')));
+            const added = sim.inventory.add(args[0], count);
+            if (!added) throw new Error('the inventory is full');
+            return [`gave ${added} ${sim.inventory.definition(args[0]).name}`];
+        }
+    });
+
+    commands.register('heal', {
+        usage: 'heal',
+        description: 'restore full health',
+        run() {
+            if (sim.dead) throw new Error('too late for that');
+            sim.health = sim.settings.maxHealth;
+            return [`health ${sim.health}`];
+        }
+    });
+
+    commands.register('door', {
+        usage: 'door <id> [open|close|lock|unlock]',
+        description: 'list doors, or work one',
+        run(args) {
+            const doors = sim.doors.doors;
+            if (!args.length) {
+                return Array.from(doors.values()).map(door => {
+                    const state = `${sim.doors.isOpen(door.id) ? 'open' : 'shut'}${door.locked ? ', locked' : ''}`;
+                    return `  ${door.id.padEnd(24)} ${state}`;
+                });
+            }
+            const [id, action = 'open'] = args;
+            if (!doors.has(id)) throw new Error(`no door "${id}"`);
+            if (action === 'open') sim.doors.open(id, { force: true });
+            else if (action === 'close') sim.doors.close(id);
+            else if (action === 'lock' || action === 'unlock') sim.doors.setLocked(id, action === 'lock');
+            else throw new Error(`cannot ${action} a door`);
+            return [`${id}: ${action}`];
+        }
+    });
+}
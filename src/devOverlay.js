@@ -0,0 +1,350 @@
+// Developer overlay: frame rate, frame time and what the renderer drew
+// last frame along the top, switches for the debug views (see
+// devViews.js), the scene inspector (see sceneInspector.js) down the right
+// and a command console along the bottom running the commands in a
+// registry from devCommands.js. Opened and closed with toggle(); the page
+// decides which key does that and calls update() once a frame.
+
+import {
+    DEV_VIEWS
+} from './devViews.js';
+import {
+    createSceneInspector
+} from './sceneInspector.js';
+
+const VIEW_LABELS = {
+    wireframe: 'Wireframe',
+    shadowCameras: 'Shadow cameras',
+    colliders: 'Colliders'
+};
+
+// Seconds of frames averaged into each stats reading
+const STATS_INTERVAL = 0.5;
+
+const styles = `
+#devOverlay {
+    display: none;
+    color: white;
+    font: 12px sans-serif;
+}
+
+#devOverlay.open {
+    display: block;
+}
+
+#devOverlay .dev-panel {
+    position: fixed;
+    z-index: 1900;
+    box-sizing: border-box;
+    padding: 6px 10px;
+    background-color: rgba(0, 0, 0, 0.8);
+}
+
+#devOverlay .dev-panel button,
+#devOverlay .dev-panel input {
+    font: inherit;
+}
+
+#devStats {
+    top: 0;
+    left: 0;
+    right: 300px;
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px 14px;
+    font-family: monospace;
+}
+
+#devStats label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-family: sans-serif;
+}
+
+#devStats .dev-views {
+    display: flex;
+    gap: 10px;
+    margin-left: auto;
+}
+
+#devInspector {
+    top: 0;
+    right: 0;
+    bottom: 0;
+    width: 300px;
+    display: flex;
+    flex-direction: column;
+}
+
+#devInspector h2 {
+    display: flex;
+    justify-content: space-between;
+    margin: 0 0 6px;
+    font-size: 13px;
+}
+
+#devInspector #sceneInspector {
+    flex: 1;
+}
+
+#devConsole {
+    left: 0;
+    right: 300px;
+    bottom: 0;
+    font-family: monospace;
+}
+
+#devConsoleOutput {
+    height: 160px;
+    overflow-y: auto;
+    white-space: pre-wrap;
+}
+
+#devConsoleOutput .dev-echo {
+    opacity: 0.6;
+}
+
+#devConsole label {
+    display: flex;
+    gap: 6px;
+}
+
+#devConsoleInput {
+    flex: 1;
+    border: none;
+    outline: none;
+    background: transparent;
+    color: inherit;
+    font: inherit;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('devOverlayStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'devOverlayStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+// options: renderer (for its stats), scene, commands (a registry from
+// createCommandRegistry()), views (from createDevViews()), onCommand(line)
+// before each command runs, onChange after anything in the scene is
+// changed (e.g. to redraw a paused frame), and onOpen / onClose
+export function createDevOverlay(options = {}) {
+    injectStyles();
+
+    const { renderer, commands, views } = options;
+    // The composer draws in several passes; count them all, reset by update()
+    renderer.info.autoReset = false;
+
+    const root = document.createElement('div');
+    root.id = 'devOverlay';
+    root.innerHTML = `
+        <div id="devStats" class="dev-panel">
+            <span data-stat="fps"></span>
+            <span data-stat="frame"></span>
+            <span data-stat="calls"></span>
+            <span data-stat="triangles"></span>
+            <span data-stat="memory"></span>
+            <span class="dev-views"></span>
+        </div>
+        <div id="devInspector" class="dev-panel">
+            <h2>Scene <button type="button" data-dev="refresh">Refresh</button></h2>
+        </div>
+        <div id="devConsole" class="dev-panel">
+            <div id="devConsoleOutput"></div>
+            <label><span>&gt;</span><input id="devConsoleInput" type="text" autocomplete="off" autocapitalize="off" spellcheck="false"></label>
+        </div>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    const changed = () => {
+        if (options.onChange) options.onChange();
+    };
+
+    // =========================
+    // Stats
+    // =========================
+
+    const stats = {};
+    root.querySelectorAll('[data-stat]').forEach(element => {
+        stats[element.dataset.stat] = element;
+    });
+    let frames = 0;
+    let elapsed = 0;
+    let slowest = 0;
+    let lastFrame = -1;
+
+    function showRenderStats() {
+        const info = renderer.info;
+        // Nothing drawn since the last look (e.g. a menu over a still
+        // frame): keep showing what the last drawn frame cost
+        if (info.render.frame === lastFrame) return;
+        lastFrame = info.render.frame;
+        stats.calls.textContent = `${info.render.calls} draw calls`;
+        stats.triangles.textContent = `${info.render.triangles.toLocaleString()} triangles`;
+        stats.memory.textContent = `${info.memory.geometries} geometries, ${info.memory.textures} textures, ${info.programs.length} programs`;
+        info.reset();
+    }
+
+    function updateStats(frameTime) {
+        frames++;
+        elapsed += frameTime;
+        slowest = Math.max(slowest, frameTime);
+        if (elapsed >= STATS_INTERVAL) {
+            stats.fps.textContent = `${Math.round(frames / elapsed)} fps`;
+            stats.frame.textContent = `${(elapsed / frames * 1000).toFixed(1)} ms (max ${(slowest * 1000).toFixed(1)})`;
+            frames = 0;
+            elapsed = 0;
+            slowest = 0;
+        }
+        showRenderStats();
+    }
+
+    // =========================
+    // Views and Inspector
+    // =========================
+
+    const viewBoxes = root.querySelector('.dev-views');
+    const viewInputs = {};
+    DEV_VIEWS.forEach(name => {
+        const label = document.createElement('label');
+        label.innerHTML = '<input type="checkbox"><span></span>';
+        label.querySelector('span').textContent = VIEW_LABELS[name];
+        const input = label.querySelector('input');
+        input.addEventListener('change', () => {
+            views.set(name, input.checked);
+            changed();
+        });
+        viewInputs[name] = input;
+        viewBoxes.appendChild(label);
+    });
+
+    const inspector = createSceneInspector(options.scene, {
+        parent: root.querySelector('#devInspector'),
+        onChange: changed
+    });
+    root.querySelector('[data-dev="refresh"]').addEventListener('click', () => inspector.refresh());
+
+    // =========================
+    // Console
+    // =========================
+
+    const output = root.querySelector('#devConsoleOutput');
+    const field = root.querySelector('#devConsoleInput');
+    const history = [];
+    let historyIndex = 0;
+
+    function print(lines, className = '') {
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            if (className) row.className = className;
+            row.textContent = line;
+            output.appendChild(row);
+        });
+        output.scrollTop = output.scrollHeight;
+    }
+
+    function run(line) {
+        print([`> ${line}`], 'dev-echo');
+        if (line.trim()) history.push(line);
+        historyIndex = history.length;
+        if (options.onCommand) options.onCommand(line);
+        const result = commands.execute(line);
+        if (result.clear) output.textContent = '';
+        print(result.output);
+        // Commands may have moved, added or switched anything
+        Object.keys(viewInputs).forEach(name => {
+            viewInputs[name].checked = views.active[name];
+        });
+        changed();
+    }
+
+    // Complete the command name, or list the choices when there are several
+    function completeLine() {
+        const [name, ...rest] = field.value.trimStart().split(' ');
+        if (rest.length) return;
+        const matches = commands.complete(name);
+        if (matches.length === 1) field.value = `${matches[0]} `;
+        else if (matches.length > 1) print([matches.join('  ')]);
+    }
+
+    // Keep typing and clicks out of the game's key handlers
+    root.addEventListener('keydown', event => event.stopPropagation());
+    root.addEventListener('keyup', event => event.stopPropagation());
+
+    field.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            const line = field.value;
+            field.value = '';
+            run(line);
+        } else if (event.key === 'Tab') {
+            event.preventDefault();
+            completeLine();
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            historyIndex += event.key === 'ArrowUp' ? -1 : 1;
+            historyIndex = Math.max(0, Math.min(history.length, historyIndex));
+            field.value = history[historyIndex] || '';
+        } else if (event.key === 'Escape' || event.code === 'Backquote') {
+            event.preventDefault();
+            close();
+        }
+    });
+
+    // =========================
+    // Opening and Closing
+    // =========================
+
+    function isOpen() {
+        return root.classList.contains('open');
+    }
+
+    function open() {
+        if (isOpen()) return;
+        root.classList.add('open');
+        inspector.refresh();
+        if (document.pointerLockElement) document.exitPointerLock();
+        field.focus();
+        if (options.onOpen) options.onOpen();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+        root.classList.remove('open');
+        if (root.contains(document.activeElement)) document.activeElement.blur();
+        if (options.onClose) options.onClose();
+    }
+
+    function toggle() {
+        if (isOpen()) close();
+        else open();
+    }
+
+    // Once a frame, whether open or not
+    function update(frameTime) {
+        views.update();
+        if (!isOpen()) {
+            renderer.info.reset();
+            return;
+        }
+        updateStats(frameTime);
+        inspector.update(frameTime);
+    }
+
+    print(['Developer console. Type \'help\' for a list of commands.']);
+
+    return {
+        element: root,
+        inspector,
+        print,
+        open,
+        close,
+        toggle,
+        isOpen,
+        update
+    };
+}
@@ -0,0 +1,148 @@
+// Debug views for the developer overlay: every material drawn as
+// wireframe, the shadow camera of each shadow-casting light, and the boxes
+// the simulation collides against (coloured by what they belong to, with
+// the player's own body in white). Each is off until switched on with
+// set(name, on); update() keeps the ones that are on following the world.
+
+import * as THREE from 'three';
+
+export const DEV_VIEWS = ['wireframe', 'shadowCameras', 'colliders'];
+
+const COLLIDER_COLORS = {
+    level: new THREE.Color(0x3388ff),
+    door: new THREE.Color(0xffaa33),
+    body: new THREE.Color(0x33dd66),
+    other: new THREE.Color(0xff33cc),
+    disabled: new THREE.Color(0x555555),
+    player: new THREE.Color(0xffffff)
+};
+
+// The twelve edges of a box, as pairs of corner indices (bit 0 is x, bit 1
+// y, bit 2 z)
+const BOX_EDGES = [0, 1, 2, 3, 4, 5, 6, 7, 0, 2, 1, 3, 4, 6, 5, 7, 0, 4, 1, 5, 2, 6, 3, 7];
+
+function materialsOf(object) {
+    if (!object.material) return [];
+    return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+function colliderColor(collider) {
+    if (!collider.enabled) return COLLIDER_COLORS.disabled;
+    if (collider.userData.levelBox) return COLLIDER_COLORS.level;
+    if (collider.userData.door) return COLLIDER_COLORS.door;
+    if (collider.userData.physicsBody) return COLLIDER_COLORS.body;
+    return COLLIDER_COLORS.other;
+}
+
+export function createDevViews(scene, sim) {
+    const active = {};
+    DEV_VIEWS.forEach(name => {
+        active[name] = false;
+    });
+
+    // Wireframe: every material in the scene when it was switched on, put
+    // back as it was when switched off
+    const wireframed = new Map(); // Material -> its own wireframe setting
+    function showWireframe(on) {
+        if (on) {
+            scene.traverse(object => materialsOf(object).forEach(material => {
+                if (wireframed.has(material) || !('wireframe' in material)) return;
+                wireframed.set(material, material.wireframe);
+                material.wireframe = true;
+            }));
+        } else {
+            wireframed.forEach((was, material) => {
+                material.wireframe = was;
+            });
+            wireframed.clear();
+        }
+    }
+
+    // Shadow cameras: a frustum helper per light casting shadows
+    const shadowHelpers = new Map(); // Light -> CameraHelper
+    function showShadowCameras(on) {
+        if (on) {
+            scene.traverse(object => {
+                if (!object.isLight || !object.castShadow || !object.shadow || shadowHelpers.has(object)) return;
+                const helper = new THREE.CameraHelper(object.shadow.camera);
+                helper.name = `${object.name || object.type} shadow camera`;
+                shadowHelpers.set(object, helper);
+                scene.add(helper);
+            });
+        } else {
+            shadowHelpers.forEach(helper => {
+                scene.remove(helper);
+                helper.dispose();
+            });
+            shadowHelpers.clear();
+        }
+    }
+
+    // Colliders: outlines of every box in the collision world, redrawn each
+    // frame since doors and loose props move
+    const colliderLines = new THREE.LineSegments(
+        new THREE.BufferGeometry(),
+        new THREE.LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,
+            transparent: true
+        })
+    );
+    colliderLines.name = 'colliderView';
+    colliderLines.renderOrder = 1000;
+    colliderLines.frustumCulled = false;
+    colliderLines.visible = false;
+    scene.add(colliderLines);
+
+    // Room for this many boxes; grown when the world gains colliders
+    let capacity = 0;
+
+    function drawColliders() {
+        const boxes = sim.world.colliders.map(collider => ({ box: collider, color: colliderColor(collider) }));
+        boxes.push({ box: sim.player.bodyBox(), color: COLLIDER_COLORS.player });
+        const geometry = colliderLines.geometry;
+        if (boxes.length > capacity) {
+            capacity = Math.ceil(boxes.length * 1.5);
+            geometry.dispose();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * BOX_EDGES.length * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * BOX_EDGES.length * 3), 3));
+        }
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+        let vertex = 0;
+        boxes.forEach(({ box, color }) => {
+            BOX_EDGES.forEach(corner => {
+                positions.setXYZ(vertex,
+                    corner & 1 ? box.max.x : box.min.x,
+                    corner & 2 ? box.max.y : box.min.y,
+                    corner & 4 ? box.max.z : box.min.z);
+                colors.setXYZ(vertex, color.r, color.g, color.b);
+                vertex++;
+            });
+        });
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.setDrawRange(0, vertex);
+    }
+
+    function set(name, on) {
+        if (!DEV_VIEWS.includes(name)) throw new Error(`Unknown view "${name}"`);
+        active[name] = Boolean(on);
+        if (name === 'wireframe') showWireframe(active[name]);
+        if (name === 'shadowCameras') showShadowCameras(active[name]);
+        if (name === 'colliders') colliderLines.visible = active[name];
+        update();
+    }
+
+    // Once a frame, before drawing
+    function update() {
+        if (active.colliders) drawColliders();
+        shadowHelpers.forEach(helper => helper.update());
+    }
+
+    return {
+        active,
+        set,
+        update
+    };
+}
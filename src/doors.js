@@ -0,0 +1,173 @@
+// Doors: boxes that slide between a closed and an open position.
+// Each door owns a collider in the collision world that follows it as it
+// moves. Doors listen for 'door:open', 'door:close', 'door:toggle',
+// 'door:unlock' and 'door:lock' events and announce 'door:opened',
+// 'door:closed' and 'door:locked' (an attempt to open a locked door).
+
+export function createDoorSystem(world, definitions, options = {}) {
+    const emit = options.emit || (() => {});
+    // Closing doors wait while this returns true for their box (e.g. the
+    // player standing in the doorway)
+    const isBlocked = options.isBlocked || (() => false);
+
+    const doors = new Map();
+
+    definitions.forEach(definition => {
+        const door = {
+            id: definition.id,
+            definition,
+            progress: definition.startsOpen ? 1 : 0, // 0 closed, 1 open
+            target: definition.startsOpen ? 1 : 0,
+            locked: Boolean(definition.locked),
+            center: null,
+            previousCenter: null, // Before the last update, for interpolation
+            collider: null
+        };
+        const box = boxAt(door, door.progress);
+        door.center = box.center;
+        door.previousCenter = box.center;
+        door.collider = world.add(box.min, box.max, {
+            door: door
+        });
+        doors.set(door.id, door);
+    });
+
+    function boxAt(door, progress) {
+        const { center, size, openOffset } = door.definition;
+        const position = {
+            x: center.x + openOffset.x * progress,
+            y: center.y + openOffset.y * progress,
+            z: center.z + openOffset.z * progress
+        };
+        return {
+            center: position,
+            min: {
+                x: position.x - size.x / 2,
+                y: position.y - size.y / 2,
+                z: position.z - size.z / 2
+            },
+            max: {
+                x: position.x + size.x / 2,
+                y: position.y + size.y / 2,
+                z: position.z + size.z / 2
+            }
+        };
+    }
+
+    function get(id) {
+        const door = doors.get(id);
+        if (!door) console.warn(`Unknown door "${id}"`);
+        return door || null;
+    }
+
+    // Returns true if the door is (now) opening
+    function open(id, { force = false } = {}) {
+        const door = get(id);
+        if (!door) return false;
+        if (door.locked && !force) {
+            emit({
+                type: 'door:locked',
+                door: id
+            });
+            return false;
+        }
+        door.target = 1;
+        return true;
+    }
+
+    function close(id) {
+        const door = get(id);
+        if (door) door.target = 0;
+    }
+
+    function toggle(id) {
+        const door = get(id);
+        if (!door) return;
+        if (door.target === 1) close(id);
+        else open(id);
+    }
+
+    function setLocked(id, locked) {
+        const door = get(id);
+        if (door) door.locked = locked;
+    }
+
+    function isOpen(id) {
+        const door = doors.get(id);
+        return Boolean(door) && door.progress === 1;
+    }
+
+    function update(dt) {
+        doors.forEach(door => {
+            door.previousCenter = door.center;
+            if (door.progress === door.target) return;
+            const duration = door.definition.duration || 1;
+            const step = dt / duration;
+            const progress = door.target > door.progress ?
+                Math.min(door.target, door.progress + step) :
+                Math.max(door.target, door.progress - step);
+            const box = boxAt(door, progress);
+            if (progress < door.progress && isBlocked(box)) return;
+
+            door.progress = progress;
+            door.center = box.center;
+            door.collider.min = box.min;
+            door.collider.max = box.max;
+            if (progress === door.target) {
+                emit({
+                    type: progress === 1 ? 'door:opened' : 'door:closed',
+                    door: door.id
+                });
+            }
+        });
+    }
+
+    // Wire the door commands to an event bus
+    function listen(bus) {
+        bus.on('door:open', event => open(event.door, event));
+        bus.on('door:close', event => close(event.door));
+        bus.on('door:toggle', event => toggle(event.door));
+        bus.on('door:unlock', event => setLocked(event.door, false));
+        bus.on('door:lock', event => setLocked(event.door, true));
+    }
+
+    // Serialisable state, for saves
+    function getState() {
+        const state = {};
+        doors.forEach(door => {
+            state[door.id] = {
+                open: door.target === 1,
+                locked: door.locked
+            };
+        });
+        return state;
+    }
+
+    function setState(state) {
+        Object.keys(state).forEach(id => {
+            const door = doors.get(id);
+            if (!door) return;
+            door.locked = Boolean(state[id].locked);
+            door.target = state[id].open ? 1 : 0;
+            door.progress = door.target;
+            const box = boxAt(door, door.progress);
+            door.center = box.center;
+            door.previousCenter = box.center;
+            door.collider.min = box.min;
+            door.collider.max = box.max;
+        });
+    }
+
+    return {
+        doors,
+        open,
+        close,
+        toggle,
+        setLocked,
+        isOpen,
+        update,
+        listen,
+        getState,
+        setState
+    };
+}
@@ -0,0 +1,64 @@
+// Undo and redo for the level editor, as a list of whole documents: every
+// edit pushes the level it produced and undo steps back to the one before.
+// Levels are small enough that keeping copies is simpler than recording
+// how to reverse each kind of edit.
+
+export const EDIT_HISTORY_DEFAULTS = {
+    limit: 100 // Oldest states are dropped past this many
+};
+
+export function createEditHistory(initial, options = {}) {
+    const settings = { ...EDIT_HISTORY_DEFAULTS, ...options };
+    let states = [initial];
+    let index = 0;
+
+    // Keep state as the latest, dropping anything that was undone
+    function push(state) {
+        states = states.slice(0, index + 1);
+        states.push(state);
+        if (states.length > settings.limit) states.shift();
+        index = states.length - 1;
+        return state;
+    }
+
+    function canUndo() {
+        return index > 0;
+    }
+
+    function canRedo() {
+        return index < states.length - 1;
+    }
+
+    // Each returns the state now current, or null when there is nothing to do
+    function undo() {
+        if (!canUndo()) return null;
+        index--;
+        return states[index];
+    }
+
+    function redo() {
+        if (!canRedo()) return null;
+        index++;
+        return states[index];
+    }
+
+    // Start over from state, e.g. after importing a file
+    function reset(state) {
+        states = [state];
+        index = 0;
+        return state;
+    }
+
+    return {
+        settings,
+        get current() {
+            return states[index];
+        },
+        push,
+        undo,
+        redo,
+        reset,
+        canUndo,
+        canRedo
+    };
+}
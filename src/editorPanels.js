@@ -0,0 +1,502 @@
+// DOM panels for the level editor: a toolbar along the top, an outliner of
+// the built castle group down the left and the selected element's
+// properties, and those of its material, down the right. The panels only
+// show things and report what was clicked or typed; editor.js makes the
+// edits.
+
+export const GRID_SIZES = [0.25, 0.5, 1, 2];
+
+const TOOLBAR_BUTTONS = [
+    { action: 'translate', label: 'Move', hint: 'W', mode: true },
+    { action: 'rotate', label: 'Rotate', hint: 'E', mode: true },
+    { action: 'scale', label: 'Scale', hint: 'R', mode: true },
+    { action: 'addFloor', label: '+ Floor' },
+    { action: 'addWall', label: '+ Wall' },
+    { action: 'addProp', label: '+ Prop' },
+    { action: 'addLight', label: '+ Light' },
+    { action: 'duplicate', label: 'Duplicate', hint: 'Ctrl+D' },
+    { action: 'delete', label: 'Delete', hint: 'Del' },
+    { action: 'undo', label: 'Undo', hint: 'Ctrl+Z' },
+    { action: 'redo', label: 'Redo', hint: 'Ctrl+Shift+Z' },
+    { action: 'import', label: 'Import' },
+    { action: 'export', label: 'Export' },
+    { action: 'play', label: 'Play', hint: 'P' }
+];
+
+// Extra fields offered for lights even when the file leaves them out
+const LIGHT_FIELDS = ['color', 'intensity', 'distance', 'decay', 'castShadow'];
+const SPOT_FIELDS = ['angle', 'penumbra', 'target'];
+const MATERIAL_FIELDS = [
+    { key: 'color', type: 'color' },
+    { key: 'roughness', type: 'number', step: 0.05 },
+    { key: 'metalness', type: 'number', step: 0.05 },
+    { key: 'emissive', type: 'color' },
+    { key: 'emissiveIntensity', type: 'number', step: 0.1 },
+    { key: 'opacity', type: 'number', step: 0.05 },
+    { key: 'transparent', type: 'boolean' }
+];
+// Fields with a fixed set of values
+const CHOICES = {
+    direction: ['+x', '-x', '+z', '-z'],
+    shape: ['box', 'cylinder', 'sphere']
+};
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const styles = `
+.editor-panel {
+    position: fixed;
+    z-index: 1800;
+    box-sizing: border-box;
+    padding: 8px 10px;
+    background-color: rgba(0, 0, 0, 0.8);
+    color: white;
+    font: 12px sans-serif;
+    overflow: auto;
+}
+
+.editor-panel h2 {
+    margin: 0 0 6px;
+    font-size: 13px;
+}
+
+.editor-panel button,
+.editor-panel select,
+.editor-panel input,
+.editor-panel textarea {
+    font: inherit;
+}
+
+#editorToolbar {
+    top: 0;
+    left: 0;
+    right: 0;
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px;
+}
+
+#editorToolbar .editor-gap {
+    width: 8px;
+}
+
+#editorToolbar button.active {
+    background-color: #5a32a0;
+    color: white;
+}
+
+#editorToolbar .editor-status {
+    margin-left: auto;
+    opacity: 0.8;
+}
+
+#editorToolbar .editor-status.error {
+    color: #ff7777;
+    opacity: 1;
+}
+
+#editorOutliner {
+    top: 40px;
+    left: 0;
+    bottom: 0;
+    width: 220px;
+}
+
+#editorOutliner details {
+    margin-left: 10px;
+}
+
+#editorOutliner summary {
+    cursor: pointer;
+    opacity: 0.8;
+}
+
+#editorOutliner .editor-entry {
+    margin-left: 14px;
+    padding: 1px 4px;
+    border-radius: 3px;
+    cursor: pointer;
+    white-space: nowrap;
+}
+
+#editorOutliner .editor-entry:hover {
+    background-color: rgba(255, 255, 255, 0.1);
+}
+
+#editorOutliner .editor-entry.selected {
+    background-color: #5a32a0;
+}
+
+#editorProperties {
+    top: 40px;
+    right: 0;
+    bottom: 0;
+    width: 280px;
+}
+
+#editorProperties label {
+    display: grid;
+    grid-template-columns: 100px 1fr;
+    align-items: center;
+    gap: 6px;
+    margin: 3px 0;
+}
+
+#editorProperties .editor-vector {
+    display: flex;
+    gap: 2px;
+}
+
+#editorProperties .editor-vector input {
+    width: 0;
+    flex: 1;
+}
+
+#editorProperties textarea {
+    height: 60px;
+    resize: vertical;
+}
+
+#editorProperties .editor-section {
+    margin-top: 10px;
+    padding-top: 6px;
+    border-top: 1px solid rgba(255, 255, 255, 0.2);
+}
+
+#editorProperties .editor-empty {
+    opacity: 0.6;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('editorPanelStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'editorPanelStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+function createPanel(id, parent) {
+    injectStyles();
+    const root = document.createElement('div');
+    root.id = id;
+    root.className = 'editor-panel';
+    // Typing in a field must not reach the editor's shortcuts
+    root.addEventListener('keydown', event => event.stopPropagation());
+    (parent || document.body).appendChild(root);
+    return root;
+}
+
+// =========================
+// Toolbar
+// =========================
+
+// options.onAction(action) runs for every button, with the actions named in
+// TOOLBAR_BUTTONS; options.onGrid(size) when the grid size is picked and
+// options.onImport(file) when a file is chosen to import
+export function createEditorToolbar(options = {}) {
+    const root = createPanel('editorToolbar', options.parent);
+
+    const buttons = {};
+    TOOLBAR_BUTTONS.forEach(definition => {
+        // Gaps between the groups of buttons
+        if (['addFloor', 'duplicate', 'undo', 'import', 'play'].includes(definition.action)) {
+            const gap = document.createElement('span');
+            gap.className = 'editor-gap';
+            root.appendChild(gap);
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = definition.label;
+        if (definition.hint) button.title = definition.hint;
+        button.addEventListener('click', () => {
+            if (definition.action === 'import') fileInput.click();
+            else if (options.onAction) options.onAction(definition.action);
+            button.blur();
+        });
+        buttons[definition.action] = button;
+        root.appendChild(button);
+        if (definition.action === 'scale') {
+            const gridLabel = document.createElement('label');
+            gridLabel.innerHTML = ' Grid <select></select>';
+            const select = gridLabel.querySelector('select');
+            GRID_SIZES.forEach(size => {
+                const option = document.createElement('option');
+                option.value = size;
+                option.textContent = `${size} m`;
+                select.appendChild(option);
+            });
+            select.value = options.grid !== undefined ? options.grid : 1;
+            select.addEventListener('change', () => {
+                if (options.onGrid) options.onGrid(Number(select.value));
+                select.blur();
+            });
+            root.appendChild(gridLabel);
+        }
+    });
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0] && options.onImport) options.onImport(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    root.appendChild(fileInput);
+
+    const status = document.createElement('span');
+    status.className = 'editor-status';
+    root.appendChild(status);
+
+    // mode is the gizmo's; allowed lists the modes the selection takes
+    function setMode(mode, allowed = ['translate', 'rotate', 'scale']) {
+        TOOLBAR_BUTTONS.filter(definition => definition.mode).forEach(({ action }) => {
+            buttons[action].classList.toggle('active', action === mode);
+            buttons[action].disabled = !allowed.includes(action);
+        });
+    }
+
+    function setHistory(canUndo, canRedo) {
+        buttons.undo.disabled = !canUndo;
+        buttons.redo.disabled = !canRedo;
+    }
+
+    function setSelected(selected) {
+        buttons.duplicate.disabled = !selected;
+        buttons.delete.disabled = !selected;
+    }
+
+    function setStatus(text, error = false) {
+        status.textContent = text || '';
+        status.classList.toggle('error', error);
+    }
+
+    return {
+        element: root,
+        setMode,
+        setHistory,
+        setSelected,
+        setStatus
+    };
+}
+
+// =========================
+// Outliner
+// =========================
+
+// Where a built object came from in the level file, if anywhere
+export function objectSource(object) {
+    const data = object.userData;
+    const from = data.levelBox || data.levelDoor || data.levelPickup || data.levelLight;
+    return from ? from.source : null;
+}
+
+export function sourceKey(source) {
+    return source ? `${source.room}:${source.list}:${source.index}` : '';
+}
+
+// options.onSelect(source) runs when an entry is clicked
+export function createOutliner(options = {}) {
+    const root = createPanel('editorOutliner', options.parent);
+    let selectedKey = '';
+
+    function entry(name, source) {
+        const item = document.createElement('div');
+        item.className = 'editor-entry';
+        item.textContent = name;
+        item.dataset.source = sourceKey(source);
+        item.classList.toggle('selected', item.dataset.source === selectedKey);
+        item.addEventListener('click', () => {
+            if (options.onSelect) options.onSelect(source);
+        });
+        return item;
+    }
+
+    // One entry per level element: walls cut by openings and stairs are
+    // several meshes each
+    function addChildren(parent, object, seen) {
+        object.children.forEach(child => {
+            const source = objectSource(child);
+            if (source) {
+                if (seen.has(sourceKey(source))) return;
+                seen.add(sourceKey(source));
+                const definition = child.userData.levelBox || child.userData.levelDoor || child.userData.levelPickup || child.userData.levelLight;
+                const id = definition.prop ? definition.prop.id : definition.id;
+                parent.appendChild(entry(id ? String(id).replace(/\.\d+$/, '') : `${source.list}[${source.index}]`, source));
+            } else if (child.isGroup) {
+                const details = document.createElement('details');
+                details.open = true;
+                details.innerHTML = '<summary></summary>';
+                details.querySelector('summary').textContent = child.name.split('.').pop();
+                addChildren(details, child, seen);
+                if (details.children.length > 1) parent.appendChild(details);
+            }
+        });
+    }
+
+    // Redraw from the castle group, e.g. after every rebuild
+    function refresh(castleGroup) {
+        root.innerHTML = '<h2></h2>';
+        root.querySelector('h2').textContent = castleGroup.name || 'Level';
+        addChildren(root, castleGroup, new Set());
+    }
+
+    function select(source) {
+        selectedKey = sourceKey(source);
+        root.querySelectorAll('.editor-entry').forEach(item => {
+            item.classList.toggle('selected', item.dataset.source === selectedKey);
+        });
+        const selected = root.querySelector('.editor-entry.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    return {
+        element: root,
+        refresh,
+        select
+    };
+}
+
+// =========================
+// Property panel
+// =========================
+
+function describeValue(value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'string') return COLOR_PATTERN.test(value) ? 'color' : 'string';
+    if (Array.isArray(value) && value.length && value.every(item => typeof item === 'number')) return 'vector';
+    return 'json';
+}
+
+// One labelled input. field: { key, type, value, step, choices }; onChange
+// gets the new value, or undefined when the field was emptied
+function createField(field, onChange) {
+    const label = document.createElement('label');
+    const name = document.createElement('span');
+    name.textContent = field.key;
+    label.appendChild(name);
+    let input;
+    if (field.choices) {
+        input = document.createElement('select');
+        field.choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice;
+            input.appendChild(option);
+        });
+        input.value = field.value !== undefined ? field.value : field.choices[0];
+        input.addEventListener('change', () => onChange(input.value));
+    } else if (field.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = Boolean(field.value);
+        input.addEventListener('change', () => onChange(input.checked));
+    } else if (field.type === 'color') {
+        input = document.createElement('input');
+        input.type = 'color';
+        input.value = field.value || '#000000';
+        input.addEventListener('change', () => onChange(input.value));
+    } else if (field.type === 'number') {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.step = field.step || 'any';
+        input.value = field.value !== undefined ? field.value : '';
+        input.placeholder = 'default';
+        input.addEventListener('change', () => onChange(input.value === '' ? undefined : Number(input.value)));
+    } else if (field.type === 'vector') {
+        input = document.createElement('div');
+        input.className = 'editor-vector';
+        const parts = (field.value || [0, 0, 0]).map(component => {
+            const part = document.createElement('input');
+            part.type = 'number';
+            part.step = 'any';
+            part.value = component;
+            part.addEventListener('change', () => onChange(parts.map(p => Number(p.value))));
+            input.appendChild(part);
+            return part;
+        });
+    } else if (field.type === 'json') {
+        input = document.createElement('textarea');
+        input.value = field.value !== undefined ? JSON.stringify(field.value) : '';
+        input.addEventListener('change', () => {
+            if (input.value.trim() === '') {
+                onChange(undefined);
+                return;
+            }
+            try {
+                onChange(JSON.parse(input.value));
+                input.style.outline = '';
+            } catch (error) {
+                input.style.outline = '1px solid #ff7777';
+            }
+        });
+    } else {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.value = field.value !== undefined ? field.value : '';
+        input.addEventListener('change', () => onChange(input.value === '' ? undefined : input.value));
+    }
+    label.appendChild(input);
+    return label;
+}
+
+// options.onField(key, value) edits the selected element and
+// options.onMaterialField(id, key, value) a material definition
+export function createPropertyPanel(options = {}) {
+    const root = createPanel('editorProperties', options.parent);
+
+    function clear() {
+        root.innerHTML = '<h2>Properties</h2><div class="editor-empty">Click something to select it</div>';
+    }
+
+    // element is the selected level element, found at source in level
+    function show(level, source, element) {
+        root.innerHTML = '';
+        const heading = document.createElement('h2');
+        heading.textContent = `${source.list.replace(/s$/, '')} in ${level.rooms[source.room].id}`;
+        root.appendChild(heading);
+
+        const keys = Object.keys(element);
+        if (source.list === 'lights') {
+            [...LIGHT_FIELDS, ...(element.type === 'spot' ? SPOT_FIELDS : [])].forEach(key => {
+                if (!keys.includes(key)) keys.push(key);
+            });
+        }
+        keys.forEach(key => {
+            const value = element[key];
+            let choices = CHOICES[key];
+            if (key === 'material') choices = Object.keys(level.materials);
+            if (key === 'type' && source.list === 'lights') choices = ['point', 'spot'];
+            if (key === 'item') choices = Object.keys(level.items || {});
+            const type = value !== undefined ? describeValue(value) :
+                key === 'color' ? 'color' : key === 'castShadow' ? 'boolean' : key === 'target' ? 'vector' : 'number';
+            root.appendChild(createField({ key, type, value, choices }, changed => {
+                if (options.onField) options.onField(key, changed);
+            }));
+        });
+
+        const materialId = element.material;
+        const material = materialId && level.materials[materialId];
+        if (!material) return;
+        const section = document.createElement('div');
+        section.className = 'editor-section';
+        section.innerHTML = '<h2></h2>';
+        section.querySelector('h2').textContent = `Material "${materialId}"`;
+        MATERIAL_FIELDS.forEach(field => {
+            section.appendChild(createField({ ...field, value: material[field.key] }, changed => {
+                if (options.onMaterialField) options.onMaterialField(materialId, field.key, changed);
+            }));
+        });
+        root.appendChild(section);
+    }
+
+    clear();
+
+    return {
+        element: root,
+        show,
+        clear
+    };
+}
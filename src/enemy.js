@@ -0,0 +1,363 @@
+// Enemy characters: a body that walks like the player's, a route planned on
+// the navigation grid and a behaviour state machine.
+//
+//   idle -> patrol the waypoints -> hear a noise -> investigate -> return
+//   any calm state -> see the player -> chase -> in reach -> attack
+//
+// Seeing needs the player inside the view cone and an unobstructed ray
+// through the collision world, so walls and closed doors hide the player.
+// Nothing here touches three.js; index.js draws enemies from their state.
+
+import {
+    createPlayer
+} from './player.js';
+import {
+    createStateMachine
+} from './stateMachine.js';
+
+export const ENEMY_DEFAULTS = {
+    walkSpeed: 3,
+    runSpeed: 6.5,
+    eyeHeight: 1.6,
+    viewDistance: 30,
+    fieldOfView: 110, // Degrees
+    hearing: 1, // Multiplier on how far noises carry
+    attackRange: 1.6,
+    attackDamage: 15,
+    attackCooldown: 1.2,
+    idleTime: 2,
+    investigateTime: 4,
+    loseSightTime: 3, // Seconds without seeing the player before giving up the chase
+    repathInterval: 0.5,
+    waypointTolerance: 0.5
+};
+
+const CALM_STATES = ['idle', 'patrol', 'investigate', 'return'];
+
+function horizontalDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+// Heading that faces from a towards b, in the player's yaw convention
+function headingTo(a, b) {
+    return Math.atan2(a.x - b.x, a.z - b.z);
+}
+
+// options: { id, spawn, heading, waypoints, emit, pathBlocked } plus any
+// ENEMY_DEFAULTS override. spawn and waypoints are world positions.
+export function createEnemy(world, navGrid, options = {}) {
+    const settings = { ...ENEMY_DEFAULTS, ...options };
+    const emit = options.emit || (() => {});
+    const waypoints = options.waypoints || [];
+    const home = { ...options.spawn };
+    const homeHeading = options.heading || 0;
+
+    const body = createPlayer(world, {
+        spawn: options.spawn,
+        yaw: homeHeading,
+        radius: navGrid.settings.agentRadius,
+        height: navGrid.settings.agentHeight,
+        eyeHeight: settings.eyeHeight,
+        walkSpeed: settings.walkSpeed,
+        runSpeed: settings.runSpeed,
+        staminaDrain: 0 // Guards never tire of a chase
+    });
+
+    const enemy = {
+        id: options.id,
+        settings,
+        body,
+        waypointIndex: 0,
+        goal: null, // Where the current route leads
+        path: null,
+        pathIndex: 0,
+        lastKnown: null, // Last place the player was seen or heard
+        timer: 0, // Time spent in the current state
+        sinceSeen: 0,
+        attackTimer: 0,
+        canSeeTarget: false
+    };
+
+    const behaviour = createStateMachine({
+        initial: 'idle',
+        states: {
+            idle: {
+                to: ['patrol', 'investigate', 'chase', 'return']
+            },
+            patrol: {
+                to: ['idle', 'investigate', 'chase']
+            },
+            investigate: {
+                to: ['chase', 'return']
+            },
+            chase: {
+                to: ['attack', 'investigate']
+            },
+            attack: {
+                to: ['chase', 'investigate']
+            },
+            return: {
+                to: ['idle', 'patrol', 'investigate', 'chase']
+            }
+        }
+    });
+    behaviour.onChange((state, previous) => {
+        enemy.timer = 0;
+        enemy.path = null;
+        emit({
+            type: 'enemy:state',
+            id: enemy.id,
+            state,
+            previous
+        });
+    });
+
+    function setGoal(goal) {
+        enemy.goal = goal ? { x: goal.x, y: goal.y, z: goal.z } : null;
+        enemy.path = null;
+    }
+
+    // =========================
+    // Senses
+    // =========================
+
+    function eyePosition() {
+        return body.eyePosition();
+    }
+
+    // target: { position, eye }. While hunting the enemy keeps track of the
+    // player all around; otherwise only inside its view cone.
+    function canSee(target) {
+        const eye = eyePosition();
+        const dx = target.eye.x - eye.x;
+        const dy = target.eye.y - eye.y;
+        const dz = target.eye.z - eye.z;
+        const range = Math.hypot(dx, dy, dz);
+        if (range > settings.viewDistance || range === 0) return false;
+        if (CALM_STATES.includes(behaviour.current)) {
+            const facing = { x: -Math.sin(body.yaw), z: -Math.cos(body.yaw) };
+            const flat = Math.hypot(dx, dz) || 1;
+            const cos = (facing.x * dx + facing.z * dz) / flat;
+            if (cos < Math.cos(settings.fieldOfView * Math.PI / 360)) return false;
+        }
+        const hit = world.raycast(eye, { x: dx / range, y: dy / range, z: dz / range }, range);
+        return !hit;
+    }
+
+    // A noise of the given radius at a world position, such as footsteps or
+    // a door slamming
+    function hearNoise(position, radius) {
+        if (!CALM_STATES.includes(behaviour.current)) return false;
+        if (horizontalDistance(body.position, position) > radius * settings.hearing) return false;
+        enemy.lastKnown = { x: position.x, y: position.y, z: position.z };
+        if (behaviour.is('investigate')) {
+            // Something new to look at: head there instead
+            setGoal(enemy.lastKnown);
+            enemy.timer = 0;
+        } else {
+            behaviour.transition('investigate');
+            setGoal(enemy.lastKnown);
+        }
+        return true;
+    }
+
+    // =========================
+    // Movement
+    // =========================
+
+    function replan() {
+        enemy.path = enemy.goal ? navGrid.findPath(body.position, enemy.goal, {
+            blocked: options.pathBlocked
+        }) : null;
+        enemy.pathIndex = 0;
+        enemy.repathTimer = settings.repathInterval;
+    }
+
+    // Walk the route towards the goal. Returns 'arrived', 'moving' or
+    // 'unreachable'.
+    function followPath(dt, run, repath = false) {
+        enemy.repathTimer = (enemy.repathTimer || 0) - dt;
+        if (!enemy.path || (repath && enemy.repathTimer <= 0)) replan();
+        if (!enemy.path) {
+            stand(dt);
+            return 'unreachable';
+        }
+        let waypoint = enemy.path[enemy.pathIndex];
+        while (waypoint && horizontalDistance(body.position, waypoint) < settings.waypointTolerance) {
+            enemy.pathIndex++;
+            waypoint = enemy.path[enemy.pathIndex];
+        }
+        if (!waypoint) {
+            stand(dt);
+            return 'arrived';
+        }
+        body.yaw = headingTo(body.position, waypoint);
+        body.update(dt, {
+            forward: 1,
+            strafe: 0,
+            run,
+            jump: false
+        });
+        return 'moving';
+    }
+
+    function stand(dt) {
+        body.update(dt, {
+            forward: 0,
+            strafe: 0,
+            run: false,
+            jump: false
+        });
+    }
+
+    // =========================
+    // Behaviour
+    // =========================
+
+    // target: { position, eye } of the player, or null when there is nobody
+    // to hunt (e.g. the player is dead)
+    function update(dt, target) {
+        enemy.timer += dt;
+        enemy.attackTimer = Math.max(0, enemy.attackTimer - dt);
+        enemy.canSeeTarget = Boolean(target) && canSee(target);
+        if (enemy.canSeeTarget) {
+            enemy.sinceSeen = 0;
+            enemy.lastKnown = { ...target.position };
+        } else {
+            enemy.sinceSeen += dt;
+        }
+
+        if (enemy.canSeeTarget && CALM_STATES.includes(behaviour.current)) {
+            behaviour.transition('chase');
+            emit({
+                type: 'enemy:spotted',
+                id: enemy.id,
+                position: { ...body.position }
+            });
+        }
+
+        switch (behaviour.current) {
+            case 'idle':
+                stand(dt);
+                if (enemy.timer >= settings.idleTime && waypoints.length > 0) {
+                    behaviour.transition('patrol');
+                    setGoal(waypoints[enemy.waypointIndex]);
+                }
+                break;
+
+            case 'patrol': {
+                const result = followPath(dt, false);
+                if (result !== 'moving') {
+                    // Pause at each waypoint, then head for the next one
+                    enemy.waypointIndex = (enemy.waypointIndex + 1) % waypoints.length;
+                    behaviour.transition('idle');
+                }
+                break;
+            }
+
+            case 'investigate': {
+                const result = enemy.goal ? followPath(dt, false) : 'arrived';
+                if (result === 'moving') {
+                    enemy.timer = 0;
+                } else {
+                    // Look around where the noise came from
+                    enemy.goal = null;
+                    body.yaw += dt * 1.5;
+                    stand(dt);
+                    if (enemy.timer >= settings.investigateTime) {
+                        behaviour.transition('return');
+                        setGoal(waypoints.length > 0 ? waypoints[enemy.waypointIndex] : home);
+                    }
+                }
+                break;
+            }
+
+            case 'chase': {
+                if (enemy.sinceSeen >= settings.loseSightTime) {
+                    behaviour.transition('investigate');
+                    setGoal(enemy.lastKnown);
+                    emit({
+                        type: 'enemy:lost',
+                        id: enemy.id
+                    });
+                    break;
+                }
+                if (enemy.canSeeTarget &&
+                    horizontalDistance(body.position, target.position) <= settings.attackRange &&
+                    Math.abs(body.position.y - target.position.y) < 1) {
+                    behaviour.transition('attack');
+                    break;
+                }
+                if (enemy.canSeeTarget && (!enemy.goal || horizontalDistance(enemy.goal, target.position) > 1)) {
+                    enemy.goal = { ...target.position };
+                }
+                followPath(dt, true, true);
+                break;
+            }
+
+            case 'attack': {
+                stand(dt);
+                if (!target || !enemy.canSeeTarget ||
+                    horizontalDistance(body.position, target.position) > settings.attackRange * 1.25) {
+                    behaviour.transition('chase');
+                    setGoal(enemy.lastKnown);
+                    break;
+                }
+                body.yaw = headingTo(body.position, target.position);
+                if (enemy.attackTimer === 0) {
+                    enemy.attackTimer = settings.attackCooldown;
+                    emit({
+                        type: 'enemy:attack',
+                        id: enemy.id,
+                        damage: settings.attackDamage,
+                        position: { ...body.position }
+                    });
+                }
+                break;
+            }
+
+            case 'return': {
+                const result = followPath(dt, false);
+                if (result !== 'moving') {
+                    if (waypoints.length > 0) {
+                        behaviour.transition('patrol');
+                        setGoal(waypoints[enemy.waypointIndex]);
+                    } else {
+                        body.yaw = homeHeading;
+                        behaviour.transition('idle');
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Back to the spawn point with no memory of the player
+    function reset() {
+        body.reset(home, homeHeading);
+        enemy.waypointIndex = 0;
+        enemy.lastKnown = null;
+        enemy.sinceSeen = 0;
+        enemy.attackTimer = 0;
+        enemy.canSeeTarget = false;
+        setGoal(null);
+        if (!behaviour.is('idle')) {
+            // Calm down through the states the machine allows
+            if (behaviour.is('chase', 'attack')) behaviour.transition('investigate');
+            if (behaviour.is('investigate')) behaviour.transition('return');
+            behaviour.transition('idle');
+        }
+        enemy.timer = 0;
+    }
+
+    enemy.behaviour = behaviour;
+    enemy.canSee = canSee;
+    enemy.hearNoise = hearNoise;
+    enemy.update = update;
+    enemy.reset = reset;
+    Object.defineProperty(enemy, 'state', {
+        get: () => behaviour.current,
+        enumerable: true
+    });
+    return enemy;
+}
@@ -0,0 +1,44 @@
+// Minimal publish/subscribe bus for game events such as 'door:open' or
+// 'clue:reveal'. Events are plain objects with a `type` field.
+
+export function createEventBus() {
+    const handlers = new Map(); // type -> Set of handlers, '*' receives everything
+
+    function on(type, handler) {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => off(type, handler);
+    }
+
+    function off(type, handler) {
+        if (handlers.has(type)) handlers.get(type).delete(handler);
+    }
+
+    function once(type, handler) {
+        const unsubscribe = on(type, (event) => {
+            unsubscribe();
+            handler(event);
+        });
+        return unsubscribe;
+    }
+
+    function emit(type, detail = {}) {
+        const event = {
+            ...detail,
+            type
+        };
+        [type, '*'].forEach(key => {
+            if (!handlers.has(key)) return;
+            // Copy so handlers can unsubscribe while being called
+            Array.from(handlers.get(key)).forEach(handler => handler(event));
+        });
+        return event;
+    }
+
+    return {
+        on,
+        off,
+        once,
+        emit
+    };
+}
@@ -0,0 +1,117 @@
+// Fixed-timestep game loop.
+// The simulation advances in ticks of exactly 1 / tickRate seconds, however
+// fast the display refreshes: frame time piles up in an accumulator and is
+// spent a whole tick at a time. Whatever is left over becomes the render
+// alpha, the fraction of the way from the previous tick to the current one,
+// so drawing can interpolate between the two.
+//
+// Systems register with an update(dt, loop) called every tick and/or a
+// render(alpha, loop) called once per displayed frame, ordered by priority
+// (lowest first). Nothing here needs a browser: step(n) runs ticks directly,
+// which is how the simulation is driven in Node.
+
+export const LOOP_DEFAULTS = {
+    tickRate: 60,
+    maxFrameTime: 0.25 // Longer frames (a background tab, a breakpoint) are cut short
+};
+
+// Blend two { x, y, z } points; alpha 0 is a and 1 is b
+export function interpolate(a, b, alpha) {
+    return {
+        x: a.x + (b.x - a.x) * alpha,
+        y: a.y + (b.y - a.y) * alpha,
+        z: a.z + (b.z - a.z) * alpha
+    };
+}
+
+export function createGameLoop(options = {}) {
+    const settings = { ...LOOP_DEFAULTS, ...options };
+    const systems = [];
+    let accumulator = 0;
+    let running = false;
+
+    const loop = {
+        settings,
+        dt: 1 / settings.tickRate,
+        tick: 0, // Ticks run so far
+        time: 0, // Simulated seconds
+        alpha: 0
+    };
+
+    // system: { name, priority, update(dt, loop), render(alpha, loop) }.
+    // Returns a function that unregisters it.
+    function register(system) {
+        const entry = {
+            priority: 0,
+            ...system
+        };
+        // Stable: equal priorities keep registration order
+        const index = systems.findIndex(other => other.priority > entry.priority);
+        if (index === -1) systems.push(entry);
+        else systems.splice(index, 0, entry);
+        return () => {
+            const position = systems.indexOf(entry);
+            if (position !== -1) systems.splice(position, 1);
+        };
+    }
+
+    function runTick() {
+        for (const system of systems.slice()) {
+            if (system.update) system.update(loop.dt, loop);
+        }
+        loop.tick++;
+        loop.time += loop.dt;
+    }
+
+    // Run a number of ticks straight away, running or not
+    function step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) runTick();
+        return loop;
+    }
+
+    // Feed one displayed frame's worth of real time. Runs as many whole
+    // ticks as fit, then renders. Returns the number of ticks run.
+    function advance(frameTime) {
+        if (!running) return 0;
+        accumulator += Math.min(Math.max(frameTime, 0), settings.maxFrameTime);
+        let ticks = 0;
+        // A system may stop the loop mid-frame, e.g. when the game pauses
+        while (accumulator >= loop.dt && running) {
+            runTick();
+            accumulator -= loop.dt;
+            ticks++;
+        }
+        loop.alpha = accumulator / loop.dt;
+        render(loop.alpha);
+        return ticks;
+    }
+
+    function render(alpha = loop.alpha) {
+        for (const system of systems.slice()) {
+            if (system.render) system.render(alpha, loop);
+        }
+    }
+
+    // Start (or resume) taking frame time, without catching up on the time
+    // spent stopped
+    function start() {
+        running = true;
+        accumulator = 0;
+    }
+
+    function stop() {
+        running = false;
+    }
+
+    loop.register = register;
+    loop.step = step;
+    loop.advance = advance;
+    loop.render = render;
+    loop.start = start;
+    loop.stop = stop;
+    Object.defineProperty(loop, 'running', {
+        get: () => running,
+        enumerable: true
+    });
+    return loop;
+}
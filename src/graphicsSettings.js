@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+
+// Graphics quality presets and the individual render settings behind them.
+// Every value lives in the settings store, so it is persisted and applied
+// live; picking a preset writes its values, touching any single value
+// switches the preset to 'custom'. With auto quality on, the preset steps
+// down when frames take too long and back up when there is headroom.
+
+export const GRAPHICS_PRESETS = {
+    low: {
+        bloomStrength: 0,
+        antialiasing: 'off',
+        shadowResolution: 0,
+        shadowType: 'basic',
+        pixelRatio: 0.75,
+        fog: true
+    },
+    medium: {
+        bloomStrength: 0.3,
+        antialiasing: 'smaa',
+        shadowResolution: 1024,
+        shadowType: 'pcf',
+        pixelRatio: 1,
+        fog: true
+    },
+    high: {
+        bloomStrength: 0.5,
+        antialiasing: 'smaa',
+        shadowResolution: 2048,
+        shadowType: 'pcfsoft',
+        pixelRatio: 1.5,
+        fog: true
+    },
+    ultra: {
+        bloomStrength: 0.5,
+        antialiasing: 'smaa',
+        shadowResolution: 4096,
+        shadowType: 'pcfsoft',
+        pixelRatio: 2,
+        fog: true
+    }
+};
+
+const PRESET_ORDER = ['low', 'medium', 'high', 'ultra'];
+const GRAPHICS_KEYS = Object.keys(GRAPHICS_PRESETS.high);
+
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfsoft: THREE.PCFSoftShadowMap,
+    vsm: THREE.VSMShadowMap
+};
+
+// Auto quality thresholds, in milliseconds of average frame time
+const SLOW_FRAME_MS = 24;
+const FAST_FRAME_MS = 12;
+const SAMPLE_SECONDS = 3;
+
+// targets: { renderer, composer, scene, fog, shadowLights, bloomPass, smaaPass }
+// options.onChange runs after any setting has been applied, e.g. to redraw a
+// paused frame behind the menus
+export function createGraphicsSettings(settings, targets, options = {}) {
+    const { renderer, composer, scene, fog, shadowLights, bloomPass, smaaPass } = targets;
+    const changed = () => {
+        if (options.onChange) options.onChange();
+    };
+
+    settings.define('graphicsPreset', 'high');
+    settings.define('autoQuality', false);
+    GRAPHICS_KEYS.forEach(key => settings.define(key, GRAPHICS_PRESETS.high[key]));
+
+    let applyingPreset = false;
+
+    function applyPreset(name) {
+        const preset = GRAPHICS_PRESETS[name];
+        if (!preset) return;
+        applyingPreset = true;
+        GRAPHICS_KEYS.forEach(key => settings.set(key, preset[key]));
+        applyingPreset = false;
+    }
+
+    // Materials compile shadow and fog code in, so they must rebuild after
+    // either changes
+    function refreshMaterials() {
+        scene.traverse(object => {
+            if (!object.material) return;
+            (Array.isArray(object.material) ? object.material : [object.material])
+                .forEach(material => {
+                    material.needsUpdate = true;
+                });
+        });
+    }
+
+    function applyShadows() {
+        const resolution = settings.get('shadowResolution');
+        renderer.shadowMap.enabled = resolution > 0;
+        renderer.shadowMap.type = SHADOW_TYPES[settings.get('shadowType')] || THREE.PCFSoftShadowMap;
+        shadowLights.forEach(light => {
+            light.castShadow = resolution > 0;
+            if (resolution > 0) light.shadow.mapSize.set(resolution, resolution);
+            // Drop the old map so it is recreated at the new size
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        });
+        refreshMaterials();
+        changed();
+    }
+
+    settings.bind('graphicsPreset', name => {
+        if (name !== 'custom') applyPreset(name);
+    });
+    GRAPHICS_KEYS.forEach(key => settings.bind(key, () => {
+        if (!applyingPreset && settings.get('graphicsPreset') !== 'custom') {
+            const preset = GRAPHICS_PRESETS[settings.get('graphicsPreset')];
+            if (preset && preset[key] !== settings.get(key)) settings.set('graphicsPreset', 'custom');
+        }
+    }));
+
+    settings.bind('bloomStrength', strength => {
+        bloomPass.strength = strength;
+        bloomPass.enabled = strength > 0;
+        changed();
+    });
+    settings.bind('antialiasing', mode => {
+        smaaPass.enabled = mode === 'smaa';
+        changed();
+    });
+    settings.bind('shadowResolution', applyShadows);
+    settings.bind('shadowType', applyShadows);
+    settings.bind('pixelRatio', ratio => {
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, ratio));
+        // The composer keeps its own copy and resizes its targets to match
+        composer.setPixelRatio(renderer.getPixelRatio());
+        changed();
+    });
+    settings.bind('fog', enabled => {
+        scene.fog = enabled ? fog : null;
+        refreshMaterials();
+        changed();
+    });
+
+    // Auto quality: average the frame time over a few seconds of play
+    let sampleTime = 0;
+    let sampleFrames = 0;
+
+    function step(direction) {
+        const current = settings.get('graphicsPreset');
+        const index = PRESET_ORDER.indexOf(current === 'custom' ? 'medium' : current);
+        const next = PRESET_ORDER[Math.max(0, Math.min(PRESET_ORDER.length - 1, index + direction))];
+        if (next !== current) settings.set('graphicsPreset', next);
+    }
+
+    // Feed the real (unclamped) frame time of every rendered game frame
+    function recordFrame(seconds) {
+        // Skip hitches such as returning to a background tab
+        if (!settings.get('autoQuality') || seconds > 0.5) return;
+        sampleTime += seconds;
+        sampleFrames++;
+        if (sampleTime < SAMPLE_SECONDS) return;
+        const average = sampleTime / sampleFrames * 1000;
+        sampleTime = 0;
+        sampleFrames = 0;
+        if (average > SLOW_FRAME_MS) step(-1);
+        else if (average < FAST_FRAME_MS) step(1);
+    }
+
+    // Restart measuring, e.g. after time spent in menus
+    function resetSamples() {
+        sampleTime = 0;
+        sampleFrames = 0;
+    }
+
+    const settingsSection = {
+        title: 'Graphics',
+        items: [{
+            type: 'select',
+            key: 'graphicsPreset',
+            label: 'Quality preset',
+            rerender: true,
+            options: [
+                { value: 'low', label: 'Low' },
+                { value: 'medium', label: 'Medium' },
+                { value: 'high', label: 'High' },
+                { value: 'ultra', label: 'Ultra' },
+                { value: 'custom', label: 'Custom' }
+            ]
+        }, {
+            type: 'toggle',
+            key: 'autoQuality',
+            label: 'Adjust quality automatically'
+        }, {
+            type: 'range',
+            key: 'bloomStrength',
+            label: 'Bloom strength',
+            min: 0,
+            max: 2,
+            step: 0.05,
+            format: value => value === 0 ? 'Off' : value.toFixed(2)
+        }, {
+            type: 'select',
+            key: 'antialiasing',
+            label: 'Anti-aliasing',
+            options: [
+                { value: 'off', label: 'Off' },
+                { value: 'smaa', label: 'SMAA' }
+            ]
+        }, {
+            type: 'select',
+            key: 'shadowResolution',
+            label: 'Shadow resolution',
+            options: [
+                { value: 0, label: 'Off' },
+                { value: 512, label: '512' },
+                { value: 1024, label: '1024' },
+                { value: 2048, label: '2048' },
+                { value: 4096, label: '4096' }
+            ]
+        }, {
+            type: 'select',
+            key: 'shadowType',
+            label: 'Shadow filtering',
+            options: [
+                { value: 'basic', label: 'Hard' },
+                { value: 'pcf', label: 'PCF' },
+                { value: 'pcfsoft', label: 'Soft PCF' },
+                { value: 'vsm', label: 'VSM' }
+            ]
+        }, {
+            type: 'range',
+            key: 'pixelRatio',
+            label: 'Resolution scale',
+            min: 0.5,
+            max: 2,
+            step: 0.25,
+            format: value => `${Math.min(window.devicePixelRatio, value).toFixed(2)}x`
+        }, {
+            type: 'toggle',
+            key: 'fog',
+            label: 'Fog'
+        }]
+    };
+
+    return {
+        applyPreset,
+        recordFrame,
+        resetSamples,
+        settingsSection
+    };
+}
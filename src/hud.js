@@ -0,0 +1,370 @@
+// In-game HUD: health and stamina bars, the current objective, the
+// interaction prompt, short toast notifications and the minimap.
+// Everything sits along the top of the screen and around its centre so it
+// stays clear of the touch thumbstick and buttons in the bottom corners, and
+// sizes follow the viewport the same way the touch controls do. The HUD never
+// takes input; index.js feeds it the game state each frame.
+
+import {
+    buildMinimapFloors,
+    minimapFloorAt,
+    createMinimap
+} from './minimap.js';
+
+const MAX_TOASTS = 4;
+
+const styles = `
+#hud {
+    position: fixed;
+    inset: 0;
+    z-index: 900; /* Under the touch controls and every overlay */
+    display: none;
+    pointer-events: none;
+    user-select: none;
+    -webkit-user-select: none;
+    color: white;
+    font-family: sans-serif;
+    font-size: var(--hud-font-size);
+    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
+    --hud-margin: clamp(10px, 2.5vmin, 24px);
+    --hud-font-size: clamp(12px, 2vmin, 16px);
+    --hud-bar-width: clamp(120px, 24vmin, 240px);
+    --hud-map-size: clamp(110px, 24vmin, 200px);
+}
+
+#hud.visible {
+    display: block;
+}
+
+/* Health, stamina and objective, top left */
+#hudStatus {
+    position: absolute;
+    left: calc(var(--hud-margin) + env(safe-area-inset-left));
+    top: calc(var(--hud-margin) + env(safe-area-inset-top));
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    max-width: calc(50vw - var(--hud-margin));
+}
+
+.hud-bar {
+    position: relative;
+    width: var(--hud-bar-width);
+    height: calc(var(--hud-font-size) * 0.8);
+    border-radius: 3px;
+    background-color: rgba(0, 0, 0, 0.5);
+    box-shadow: inset 0 0 0 1px rgba(255, 255, 255, 0.2);
+    overflow: hidden;
+    transition: opacity 0.4s;
+}
+
+.hud-bar-fill {
+    height: 100%;
+    width: 100%;
+    transform-origin: left;
+    transition: transform 0.2s;
+}
+
+#hudHealth .hud-bar-fill {
+    background-color: #d23c5a;
+}
+
+#hudHealth.low .hud-bar-fill {
+    animation: hud-pulse 0.8s infinite alternate;
+}
+
+#hudStamina {
+    height: calc(var(--hud-font-size) * 0.4);
+}
+
+#hudStamina .hud-bar-fill {
+    background-color: #7a5cff;
+}
+
+#hudStamina.full {
+    opacity: 0;
+}
+
+#hudStamina.winded .hud-bar-fill {
+    background-color: #8a8a99;
+}
+
+@keyframes hud-pulse {
+    from {
+        filter: brightness(1);
+    }
+
+    to {
+        filter: brightness(1.8);
+    }
+}
+
+#hudObjective {
+    margin-top: 6px;
+    padding: 6px 10px;
+    border-left: 3px solid #7a5cff;
+    background-color: rgba(0, 0, 0, 0.45);
+    line-height: 1.3;
+}
+
+#hudObjective:empty {
+    display: none;
+}
+
+#hudObjective::before {
+    content: 'Objective';
+    display: block;
+    font-size: 0.75em;
+    letter-spacing: 0.15em;
+    text-transform: uppercase;
+    color: rgba(255, 255, 255, 0.6);
+}
+
+#hudObjective.new {
+    animation: hud-objective 1.2s;
+}
+
+@keyframes hud-objective {
+    from {
+        background-color: rgba(122, 92, 255, 0.8);
+    }
+
+    to {
+        background-color: rgba(0, 0, 0, 0.45);
+    }
+}
+
+/* Minimap, top right */
+#hudMap {
+    position: absolute;
+    right: calc(var(--hud-margin) + env(safe-area-inset-right));
+    top: calc(var(--hud-margin) + env(safe-area-inset-top));
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 4px;
+}
+
+#hudMap .minimap {
+    width: var(--hud-map-size);
+    height: var(--hud-map-size);
+    border-radius: 50%;
+    background-color: rgba(0, 0, 0, 0.55);
+    box-shadow: inset 0 0 0 2px rgba(255, 255, 255, 0.25);
+}
+
+#hudMap.empty {
+    display: none;
+}
+
+#hudMapLabel {
+    font-size: 0.8em;
+    color: rgba(255, 255, 255, 0.75);
+}
+
+/* Toasts, top centre */
+#hudToasts {
+    position: absolute;
+    left: 50%;
+    top: calc(var(--hud-margin) + env(safe-area-inset-top));
+    transform: translateX(-50%);
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 6px;
+    width: min(480px, 40vw);
+}
+
+.hud-toast {
+    padding: 6px 14px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.6);
+    text-align: center;
+    transition: opacity 0.3s;
+}
+
+.hud-toast.leaving {
+    opacity: 0;
+}
+
+/* Interaction prompt, below the crosshair */
+#hudPrompt {
+    position: absolute;
+    left: 50%;
+    bottom: 30%;
+    transform: translateX(-50%);
+    padding: 6px 14px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.6);
+    font-size: 1.1em;
+    white-space: nowrap;
+}
+
+#hudPrompt:empty {
+    display: none;
+}
+
+/* Portrait phones: narrow screens need the room for the toasts */
+@media (orientation: portrait) {
+    #hud {
+        --hud-map-size: clamp(90px, 26vw, 150px);
+        --hud-bar-width: clamp(100px, 36vw, 200px);
+    }
+
+    #hudToasts {
+        top: calc(var(--hud-margin) * 2 + var(--hud-map-size) + 2em + env(safe-area-inset-top));
+        width: 80vw;
+    }
+}
+
+/* Short landscape screens: the touch buttons stack down the right edge, so
+   the map moves in beside them */
+@media (orientation: landscape) and (max-height: 500px) {
+    #hud {
+        --hud-map-size: clamp(80px, 26vh, 120px);
+    }
+
+    #hud.touch #hudMap {
+        right: calc(var(--hud-margin) + clamp(40px, 14vh, 60px) + clamp(16px, 4vmin, 32px) + env(safe-area-inset-right));
+    }
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('hudStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'hudStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+// layout is the expanded level; options: { parent, touch } where touch moves
+// things out of the way of the on-screen controls
+export function createHud(layout, options = {}) {
+    injectStyles();
+
+    const root = document.createElement('div');
+    root.id = 'hud';
+    root.classList.toggle('touch', Boolean(options.touch));
+    root.innerHTML = `
+        <div id="hudStatus">
+            <div id="hudHealth" class="hud-bar"><div class="hud-bar-fill"></div></div>
+            <div id="hudStamina" class="hud-bar"><div class="hud-bar-fill"></div></div>
+            <div id="hudObjective"></div>
+        </div>
+        <div id="hudMap"><span id="hudMapLabel"></span></div>
+        <div id="hudToasts"></div>
+        <div id="hudPrompt"></div>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    const health = root.querySelector('#hudHealth');
+    const stamina = root.querySelector('#hudStamina');
+    const objective = root.querySelector('#hudObjective');
+    const mapContainer = root.querySelector('#hudMap');
+    const mapLabel = root.querySelector('#hudMapLabel');
+    const toastList = root.querySelector('#hudToasts');
+    const prompt = root.querySelector('#hudPrompt');
+
+    const minimap = createMinimap(buildMinimapFloors(layout));
+    mapContainer.insertBefore(minimap.element, mapLabel);
+    mapContainer.classList.toggle('empty', minimap.floors.length === 0);
+    let mapFloor = null;
+
+    function setVisible(visible) {
+        root.classList.toggle('visible', visible);
+    }
+
+    function setBar(bar, value, max) {
+        const share = max > 0 ? Math.max(0, Math.min(1, value / max)) : 0;
+        bar.firstElementChild.style.transform = `scaleX(${share})`;
+        return share;
+    }
+
+    function setHealth(value, max) {
+        const share = setBar(health, value, max);
+        health.classList.toggle('low', share > 0 && share <= 0.3);
+    }
+
+    // The stamina bar fades away while it is full
+    function setStamina(value, max, winded = false) {
+        setBar(stamina, value, max);
+        stamina.classList.toggle('full', value >= max);
+        stamina.classList.toggle('winded', winded);
+    }
+
+    // text: the objective to show, or null when there is none left
+    function setObjective(text) {
+        const next = text || '';
+        if (objective.textContent === next) return;
+        objective.textContent = next;
+        // Restart the highlight for the new objective
+        objective.classList.remove('new');
+        if (next) {
+            void objective.offsetWidth;
+            objective.classList.add('new');
+        }
+    }
+
+    function setPrompt(text) {
+        const next = text || '';
+        if (prompt.textContent !== next) prompt.textContent = next;
+    }
+
+    // Toasts count down in game time (see update), so they wait out pauses
+    const toasts = [];
+
+    function removeToast(toast) {
+        toasts.splice(toasts.indexOf(toast), 1);
+        toast.element.classList.add('leaving');
+        setTimeout(() => toast.element.remove(), 300);
+    }
+
+    function toast(text, duration = 3) {
+        const element = document.createElement('div');
+        element.className = 'hud-toast';
+        element.textContent = text;
+        toastList.appendChild(element);
+        toasts.push({
+            element,
+            remaining: duration
+        });
+        if (toasts.length > MAX_TOASTS) removeToast(toasts[0]);
+    }
+
+    function clearToasts() {
+        toasts.slice().forEach(removeToast);
+    }
+
+    function update(dt) {
+        toasts.slice().forEach(entry => {
+            entry.remaining -= dt;
+            if (entry.remaining <= 0) removeToast(entry);
+        });
+    }
+
+    // view: { position, yaw, doors, enemies } as for the minimap. Stays on
+    // the last floor when the player is between floors, e.g. on a stair.
+    function drawMap(view) {
+        mapFloor = minimapFloorAt(minimap.floors, view.position) || mapFloor || minimap.floors[0] || null;
+        minimap.draw({
+            ...view,
+            floor: mapFloor
+        });
+        const label = mapFloor ? mapFloor.label : '';
+        if (mapLabel.textContent !== label) mapLabel.textContent = label;
+    }
+
+    return {
+        element: root,
+        setVisible,
+        setHealth,
+        setStamina,
+        setObjective,
+        setPrompt,
+        toast,
+        clearToasts,
+        update,
+        drawMap
+    };
+}
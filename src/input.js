@@ -0,0 +1,413 @@
+// Action-mapping input layer.
+// Keyboard, on-screen controls and the Gamepad API all feed named actions.
+// Button actions have a value of 0..1 (analog triggers included); axis
+// actions combine a negative and a positive button action with an optional
+// gamepad stick axis into -1..1. Key bindings can be changed at runtime and
+// are saved to localStorage. While input is disabled (menus, terminals) only
+// actions flagged `global` keep reporting.
+
+const STORAGE_KEY = 'shredded.inputBindings';
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    SELECT: 8,
+    START: 9,
+    L3: 10,
+    R3: 11,
+    UP: 12,
+    DOWN: 13,
+    LEFT: 14,
+    RIGHT: 15,
+    LEFT_STICK_X: 0,
+    LEFT_STICK_Y: 1,
+    RIGHT_STICK_X: 2,
+    RIGHT_STICK_Y: 3
+};
+
+export const DEFAULT_ACTIONS = {
+    moveForward: {
+        type: 'button',
+        keys: ['KeyW', 'ArrowUp'],
+        gamepadButtons: [GAMEPAD.UP]
+    },
+    moveBackward: {
+        type: 'button',
+        keys: ['KeyS', 'ArrowDown'],
+        gamepadButtons: [GAMEPAD.DOWN]
+    },
+    moveLeft: {
+        type: 'button',
+        keys: ['KeyA', 'ArrowLeft'],
+        gamepadButtons: [GAMEPAD.LEFT]
+    },
+    moveRight: {
+        type: 'button',
+        keys: ['KeyD', 'ArrowRight'],
+        gamepadButtons: [GAMEPAD.RIGHT]
+    },
+    jump: {
+        type: 'button',
+        keys: ['Space'],
+        gamepadButtons: [GAMEPAD.A]
+    },
+    sprint: {
+        type: 'button',
+        keys: ['ShiftLeft', 'ShiftRight'],
+        gamepadButtons: [GAMEPAD.L3, GAMEPAD.LT]
+    },
+    crouch: {
+        type: 'button',
+        keys: ['KeyC'], // Not Ctrl: Ctrl+W closes the tab
+        gamepadButtons: [GAMEPAD.B]
+    },
+    interact: {
+        type: 'button',
+        keys: ['KeyE'],
+        gamepadButtons: [GAMEPAD.X]
+    },
+    throw: {
+        type: 'button',
+        keys: ['KeyF'],
+        gamepadButtons: [GAMEPAD.RT]
+    },
+    cameraView: {
+        type: 'button',
+        keys: ['KeyV'],
+        gamepadButtons: [GAMEPAD.R3]
+    },
+    photo: {
+        type: 'button',
+        keys: ['KeyO'],
+        gamepadButtons: [GAMEPAD.Y]
+    },
+    // Start or stop recording a run (see index.js)
+    record: {
+        type: 'button',
+        keys: ['F9']
+    },
+    // Back to the level editor, when play-testing (see index.js)
+    editor: {
+        type: 'button',
+        keys: ['F2'],
+        global: true
+    },
+    // Open and close the developer overlay, with ?debug (see index.js)
+    devConsole: {
+        type: 'button',
+        keys: ['Backquote'],
+        global: true
+    },
+    moveX: {
+        type: 'axis',
+        negative: 'moveLeft',
+        positive: 'moveRight',
+        gamepadAxis: GAMEPAD.LEFT_STICK_X
+    },
+    moveY: {
+        type: 'axis',
+        negative: 'moveBackward',
+        positive: 'moveForward',
+        gamepadAxis: GAMEPAD.LEFT_STICK_Y,
+        invert: true // Gamepad sticks report up as negative
+    },
+    pause: {
+        type: 'button',
+        keys: ['Escape', 'KeyP'],
+        gamepadButtons: [GAMEPAD.START],
+        global: true
+    },
+    // Global so the same button closes the inventory again
+    inventory: {
+        type: 'button',
+        keys: ['KeyI'],
+        gamepadButtons: [GAMEPAD.SELECT],
+        global: true
+    },
+    menuUp: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.UP],
+        global: true
+    },
+    menuDown: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.DOWN],
+        global: true
+    },
+    menuLeft: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.LEFT],
+        global: true
+    },
+    menuRight: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.RIGHT],
+        global: true
+    },
+    menuAccept: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.A],
+        global: true
+    },
+    menuBack: {
+        type: 'button',
+        gamepadButtons: [GAMEPAD.B],
+        global: true
+    },
+    lookX: {
+        type: 'axis',
+        gamepadAxis: GAMEPAD.RIGHT_STICK_X
+    },
+    lookY: {
+        type: 'axis',
+        gamepadAxis: GAMEPAD.RIGHT_STICK_Y
+    }
+};
+
+// Short human-readable label for a KeyboardEvent.code, e.g. 'KeyE' -> 'E'
+export function describeKey(code) {
+    if (!code) return '';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} Arrow`;
+    return code.replace(/(Left|Right)$/, ' $1').replace(/^Numpad/, 'Num ');
+}
+
+// Elements that keep their own keyboard input
+function isTextField(target) {
+    return Boolean(target) && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
+export function createInputManager(options = {}) {
+    const target = options.target || window;
+    const storage = options.storage !== undefined ? options.storage : window.localStorage;
+    const deadzone = options.deadzone !== undefined ? options.deadzone : 0.15;
+
+    const actions = {};
+    const heldKeys = new Set();
+    const virtualValues = {}; // action -> value from on-screen controls
+    const lookDelta = { x: 0, y: 0 };
+    let savedBindings = {};
+    let keyCapture = null;
+    let enabled = true;
+
+    function defineAction(name, definition) {
+        actions[name] = {
+            name,
+            type: definition.type || 'button',
+            keys: (definition.keys || []).slice(),
+            defaultKeys: (definition.keys || []).slice(),
+            gamepadButtons: (definition.gamepadButtons || []).slice(),
+            negative: definition.negative || null,
+            positive: definition.positive || null,
+            gamepadAxis: definition.gamepadAxis !== undefined ? definition.gamepadAxis : null,
+            invert: Boolean(definition.invert),
+            global: Boolean(definition.global),
+            value: 0,
+            previous: 0
+        };
+        if (Array.isArray(savedBindings[name])) actions[name].keys = savedBindings[name].slice();
+    }
+
+    // Saved bindings also apply to actions defined later by game systems
+    function loadBindings() {
+        if (!storage) return;
+        try {
+            savedBindings = JSON.parse(storage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable input bindings', error);
+            savedBindings = {};
+        }
+        Object.keys(savedBindings).forEach(name => {
+            if (actions[name] && Array.isArray(savedBindings[name])) actions[name].keys = savedBindings[name].slice();
+        });
+    }
+
+    function saveBindings() {
+        if (!storage) return;
+        const changed = {};
+        Object.values(actions).forEach(action => {
+            if (action.keys.join() !== action.defaultKeys.join()) changed[action.name] = action.keys;
+        });
+        savedBindings = changed;
+        storage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    }
+
+    // Replace one key slot of a button action and persist it
+    function rebind(name, code, slot = 0) {
+        const action = actions[name];
+        if (!action || action.type !== 'button') throw new Error(`Cannot rebind unknown button action "${name}"`);
+        // A key drives a single action, so take it away from any other binding
+        Object.values(actions).forEach(other => {
+            if (other !== action) other.keys = other.keys.filter(key => key !== code);
+        });
+        action.keys[slot] = code;
+        action.keys = action.keys.filter(Boolean);
+        saveBindings();
+    }
+
+    function resetBindings() {
+        Object.values(actions).forEach(action => {
+            action.keys = action.defaultKeys.slice();
+        });
+        saveBindings();
+    }
+
+    // Resolve with the code of the next key pressed, for rebinding UIs
+    function captureNextKey() {
+        if (keyCapture) keyCapture.reject(new Error('Key capture cancelled'));
+        return new Promise((resolve, reject) => {
+            keyCapture = { resolve, reject };
+        });
+    }
+
+    function setVirtual(name, value) {
+        virtualValues[name] = value;
+    }
+
+    // Mouse and touch look arrive as deltas rather than held values
+    function addLookDelta(x, y) {
+        lookDelta.x += x;
+        lookDelta.y += y;
+    }
+
+    function consumeLookDelta() {
+        const delta = { x: lookDelta.x, y: lookDelta.y };
+        lookDelta.x = 0;
+        lookDelta.y = 0;
+        return delta;
+    }
+
+    function readGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+    }
+
+    function applyDeadzone(value) {
+        if (Math.abs(value) < deadzone) return 0;
+        return Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+    }
+
+    function buttonValue(action, gamepad) {
+        let value = action.keys.some(code => heldKeys.has(code)) ? 1 : 0;
+        if (gamepad) {
+            action.gamepadButtons.forEach(index => {
+                const button = gamepad.buttons[index];
+                if (button) value = Math.max(value, button.value || (button.pressed ? 1 : 0));
+            });
+        }
+        return Math.max(value, virtualValues[action.name] || 0);
+    }
+
+    // Sample every source once per frame
+    function update() {
+        const gamepad = readGamepad();
+        Object.values(actions).forEach(action => {
+            action.previous = action.value;
+            if (!enabled && !action.global) {
+                action.value = 0;
+            } else if (action.type === 'button') {
+                action.value = buttonValue(action, gamepad);
+            }
+        });
+        Object.values(actions).forEach(action => {
+            if (action.type !== 'axis' || (!enabled && !action.global)) return;
+            let value = 0;
+            if (action.positive) value += actions[action.positive].value;
+            if (action.negative) value -= actions[action.negative].value;
+            if (gamepad && action.gamepadAxis !== null && gamepad.axes[action.gamepadAxis] !== undefined) {
+                const stick = applyDeadzone(gamepad.axes[action.gamepadAxis]);
+                value += action.invert ? -stick : stick;
+            }
+            if (virtualValues[action.name]) value += virtualValues[action.name];
+            action.value = Math.max(-1, Math.min(1, value));
+        });
+    }
+
+    function value(name) {
+        return actions[name] ? actions[name].value : 0;
+    }
+
+    // Label of the first key bound to an action, for on-screen prompts
+    function keyLabel(name) {
+        const action = actions[name];
+        return action && action.keys.length ? describeKey(action.keys[0]) : '';
+    }
+
+    function isDown(name) {
+        return value(name) > 0.5;
+    }
+
+    // True on the frame the action went down
+    function wasPressed(name) {
+        const action = actions[name];
+        return Boolean(action) && action.value > 0.5 && action.previous <= 0.5;
+    }
+
+    // Disabled input reports every non-global action as released
+    function setEnabled(value) {
+        enabled = value;
+        if (!value) {
+            heldKeys.clear();
+            lookDelta.x = 0;
+            lookDelta.y = 0;
+        }
+    }
+
+    function onKeyDown(event) {
+        if (keyCapture) {
+            event.preventDefault();
+            const capture = keyCapture;
+            keyCapture = null;
+            if (event.code === 'Escape') capture.reject(new Error('Key capture cancelled'));
+            else capture.resolve(event.code);
+            return;
+        }
+        if (isTextField(event.target)) return;
+        heldKeys.add(event.code);
+    }
+
+    function onKeyUp(event) {
+        heldKeys.delete(event.code);
+    }
+
+    function onBlur() {
+        heldKeys.clear();
+    }
+
+    target.addEventListener('keydown', onKeyDown);
+    target.addEventListener('keyup', onKeyUp);
+    target.addEventListener('blur', onBlur);
+
+    loadBindings();
+    Object.keys(DEFAULT_ACTIONS).forEach(name => defineAction(name, DEFAULT_ACTIONS[name]));
+    Object.keys(options.actions || {}).forEach(name => defineAction(name, options.actions[name]));
+
+    return {
+        actions,
+        defineAction,
+        loadBindings,
+        rebind,
+        resetBindings,
+        captureNextKey,
+        setVirtual,
+        addLookDelta,
+        consumeLookDelta,
+        update,
+        value,
+        keyLabel,
+        isDown,
+        wasPressed,
+        setEnabled,
+        get enabled() {
+            return enabled;
+        }
+    };
+}
@@ -0,0 +1,85 @@
+// Interactable objects: terminals, switches and anything else the player
+// can use. The target is whatever interactable box the view ray hits within
+// reach, as long as no other collider is in the way.
+
+import {
+    rayBoxDistance
+} from './collision.js';
+
+export function createInteractionSystem(world, options = {}) {
+    const reach = options.reach !== undefined ? options.reach : 3;
+    // Boxes are grown by this much so small props are easy to aim at
+    const padding = options.padding !== undefined ? options.padding : 0.25;
+
+    const interactables = new Map();
+
+    function paddedBox(min, max) {
+        return {
+            min: {
+                x: min.x - padding,
+                y: min.y - padding,
+                z: min.z - padding
+            },
+            max: {
+                x: max.x + padding,
+                y: max.y + padding,
+                z: max.z + padding
+            }
+        };
+    }
+
+    // definition: { id, type, min, max, prompt, data, collider }
+    function add(definition) {
+        const interactable = {
+            ...definition,
+            enabled: definition.enabled !== false,
+            box: paddedBox(definition.min, definition.max)
+        };
+        interactables.set(interactable.id, interactable);
+        return interactable;
+    }
+
+    // For interactables that move, such as loose props
+    function setBounds(id, min, max) {
+        const interactable = interactables.get(id);
+        if (!interactable) return;
+        interactable.min = { ...min };
+        interactable.max = { ...max };
+        interactable.box = paddedBox(min, max);
+    }
+
+    function remove(id) {
+        interactables.delete(id);
+    }
+
+    function get(id) {
+        return interactables.get(id) || null;
+    }
+
+    // origin is the eye position, direction a normalised view vector
+    function findTarget(origin, direction) {
+        let best = null;
+        let bestDistance = Infinity;
+        interactables.forEach(interactable => {
+            if (!interactable.enabled) return;
+            const distance = rayBoxDistance(origin, direction, interactable.box, reach);
+            if (distance === null || distance >= bestDistance) return;
+            best = interactable;
+            bestDistance = distance;
+        });
+        if (!best) return null;
+
+        // Line of sight: nothing but the target itself may be closer
+        const blocker = world.raycast(origin, direction, bestDistance, collider => collider !== best.collider);
+        return blocker ? null : best;
+    }
+
+    return {
+        interactables,
+        add,
+        setBounds,
+        remove,
+        get,
+        findTarget
+    };
+}
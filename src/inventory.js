@@ -0,0 +1,152 @@
+// The player's inventory: a fixed number of slots holding items from the
+// level's item definitions. Stackable items share a slot up to their
+// maxStack; anything else takes a slot per item. Using an item fires the
+// events in its `use` block and, if it is consumed, takes one away.
+//
+// Announces 'inventory:changed' whenever the contents change, and
+// 'item:used' { item, name } when an item is used.
+
+export const INVENTORY_DEFAULTS = {
+    slots: 16,
+    maxStack: 99 // For stackable items that do not set their own
+};
+
+// items: the level's { id: definition } item definitions
+export function createInventory(items, options = {}) {
+    const settings = { ...INVENTORY_DEFAULTS, ...options };
+    const emit = options.emit || (() => {});
+
+    // null for an empty slot, otherwise { item, count }
+    const slots = new Array(settings.slots).fill(null);
+
+    function definition(id) {
+        return items[id] || null;
+    }
+
+    function stackLimit(id) {
+        const item = definition(id);
+        if (!item || !item.stackable) return 1;
+        return item.maxStack || settings.maxStack;
+    }
+
+    function count(id) {
+        return slots.reduce((total, slot) => total + (slot && slot.item === id ? slot.count : 0), 0);
+    }
+
+    function has(id, amount = 1) {
+        return count(id) >= amount;
+    }
+
+    function changed() {
+        emit({
+            type: 'inventory:changed'
+        });
+    }
+
+    // Returns how many were added; the rest did not fit
+    function add(id, amount = 1) {
+        if (!definition(id)) throw new Error(`Unknown item "${id}"`);
+        const limit = stackLimit(id);
+        let left = amount;
+        // Top up existing stacks first, then fill empty slots
+        slots.forEach(slot => {
+            if (left === 0 || !slot || slot.item !== id || slot.count >= limit) return;
+            const taken = Math.min(left, limit - slot.count);
+            slot.count += taken;
+            left -= taken;
+        });
+        for (let i = 0; i < slots.length && left > 0; i++) {
+            if (slots[i]) continue;
+            const taken = Math.min(left, limit);
+            slots[i] = {
+                item: id,
+                count: taken
+            };
+            left -= taken;
+        }
+        if (left < amount) changed();
+        return amount - left;
+    }
+
+    // Returns how many were removed, taken from the last stacks first
+    function remove(id, amount = 1) {
+        let left = amount;
+        for (let i = slots.length - 1; i >= 0 && left > 0; i--) {
+            const slot = slots[i];
+            if (!slot || slot.item !== id) continue;
+            const taken = Math.min(left, slot.count);
+            slot.count -= taken;
+            left -= taken;
+            if (slot.count === 0) slots[i] = null;
+        }
+        if (left < amount) changed();
+        return amount - left;
+    }
+
+    // Use the item in a slot; returns false when there is nothing usable there
+    function use(index) {
+        const slot = slots[index];
+        const item = slot && definition(slot.item);
+        if (!item || !item.use) return false;
+        const id = slot.item;
+        if (item.use.consume) {
+            slot.count -= 1;
+            if (slot.count === 0) slots[index] = null;
+            changed();
+        }
+        emit({
+            type: 'item:used',
+            item: id,
+            name: item.name,
+            message: item.use.message
+        });
+        (item.use.events || []).forEach(event => emit({
+            ...event,
+            source: `item:${id}`
+        }));
+        return true;
+    }
+
+    // Serialisable state, for saves: one entry per filled slot
+    function getState() {
+        return slots.map((slot, index) => slot ? { slot: index, item: slot.item, count: slot.count } : null)
+            .filter(Boolean);
+    }
+
+    // Items the level no longer defines are dropped
+    function setState(state) {
+        slots.fill(null);
+        state.forEach(entry => {
+            if (!definition(entry.item) || !(entry.count > 0)) return;
+            if (entry.slot >= 0 && entry.slot < slots.length && !slots[entry.slot]) {
+                slots[entry.slot] = {
+                    item: entry.item,
+                    count: Math.min(entry.count, stackLimit(entry.item))
+                };
+            } else {
+                add(entry.item, entry.count);
+            }
+        });
+        changed();
+    }
+
+    function reset() {
+        slots.fill(null);
+        changed();
+    }
+
+    return {
+        settings,
+        items,
+        slots,
+        definition,
+        count,
+        has,
+        add,
+        remove,
+        use,
+        getState,
+        setState,
+        reset
+    };
+}
@@ -0,0 +1,296 @@
+// DOM overlay for the inventory: a grid of slots with the selected item's
+// name, description and a Use button beside it. Slots are picked with the
+// mouse, a tap, the arrow keys or the gamepad d-pad; the world keeps running
+// while it is open, just like the terminal.
+
+const styles = `
+#inventoryPanel {
+    position: fixed;
+    inset: 0;
+    z-index: 2000;
+    display: none;
+    justify-content: center;
+    align-items: center;
+    background-color: rgba(0, 0, 0, 0.5);
+    color: white;
+    font-family: sans-serif;
+    outline: none;
+    --inventory-slot-size: clamp(48px, 11vmin, 72px);
+}
+
+#inventoryPanel.open {
+    display: flex;
+}
+
+#inventoryWindow {
+    display: flex;
+    gap: 16px;
+    max-width: 94vw;
+    max-height: 90vh;
+    padding: 16px;
+    box-sizing: border-box;
+    border: 1px solid rgba(255, 255, 255, 0.25);
+    border-radius: 6px;
+    background-color: rgba(20, 10, 40, 0.92);
+    box-shadow: 0 0 40px rgba(120, 60, 255, 0.25);
+}
+
+#inventoryHeader {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 10px;
+    font-size: 14px;
+    letter-spacing: 0.15em;
+    text-transform: uppercase;
+    color: rgba(255, 255, 255, 0.7);
+}
+
+#inventoryClose {
+    padding: 2px 8px;
+    border: none;
+    background: none;
+    color: inherit;
+    font-size: 20px;
+    cursor: pointer;
+}
+
+#inventoryGrid {
+    display: grid;
+    grid-template-columns: repeat(var(--inventory-columns), var(--inventory-slot-size));
+    grid-auto-rows: var(--inventory-slot-size);
+    gap: 6px;
+}
+
+.inventory-slot {
+    position: relative;
+    padding: 0;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.4);
+    background-size: 70%;
+    background-repeat: no-repeat;
+    background-position: center;
+    color: white;
+    font: bold calc(var(--inventory-slot-size) / 2.5) sans-serif;
+    cursor: pointer;
+}
+
+.inventory-slot.selected {
+    border-color: #a58cff;
+    box-shadow: 0 0 0 2px rgba(165, 140, 255, 0.6);
+}
+
+.inventory-slot.has-icon {
+    font-size: 0;
+}
+
+.inventory-count {
+    position: absolute;
+    right: 4px;
+    bottom: 2px;
+    font-size: 12px;
+    text-shadow: 0 1px 2px black;
+}
+
+#inventoryDetails {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    width: 200px;
+}
+
+#inventoryName {
+    margin: 0;
+    font-size: 18px;
+}
+
+#inventoryDescription {
+    margin: 0;
+    flex: 1;
+    color: rgba(255, 255, 255, 0.75);
+    font-size: 14px;
+    line-height: 1.4;
+}
+
+#inventoryUse {
+    padding: 10px 16px;
+    border: 1px solid rgba(255, 255, 255, 0.25);
+    border-radius: 6px;
+    background-color: rgba(40, 20, 70, 0.8);
+    color: white;
+    font-size: 16px;
+    cursor: pointer;
+}
+
+#inventoryUse:disabled {
+    opacity: 0.4;
+    cursor: default;
+}
+
+/* Narrow screens: details go under the grid */
+@media (max-width: 600px), (orientation: portrait) {
+    #inventoryWindow {
+        flex-direction: column;
+    }
+
+    #inventoryDetails {
+        width: auto;
+    }
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('inventoryPanelStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'inventoryPanelStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+// inventory comes from inventory.js. options: { onOpen, onClose, onUse(slot),
+// closeKeys() returning the key codes that close the panel besides Escape,
+// baseUrl for item icons, columns, parent }
+export function createInventoryPanel(inventory, options = {}) {
+    injectStyles();
+    const columns = options.columns || 4;
+    const baseUrl = options.baseUrl || document.baseURI;
+
+    const root = document.createElement('div');
+    root.id = 'inventoryPanel';
+    root.tabIndex = -1;
+    root.style.setProperty('--inventory-columns', columns);
+    root.innerHTML = `
+        <div id="inventoryWindow" role="dialog" aria-label="Inventory">
+            <div>
+                <div id="inventoryHeader"><span>Inventory</span><button id="inventoryClose" aria-label="Close">×</button></div>
+                <div id="inventoryGrid"></div>
+            </div>
+            <div id="inventoryDetails">
+                <h2 id="inventoryName"></h2>
+                <p id="inventoryDescription"></p>
+                <button id="inventoryUse">Use</button>
+            </div>
+        </div>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    const grid = root.querySelector('#inventoryGrid');
+    const name = root.querySelector('#inventoryName');
+    const description = root.querySelector('#inventoryDescription');
+    const useButton = root.querySelector('#inventoryUse');
+
+    const slotButtons = inventory.slots.map((slot, index) => {
+        const button = document.createElement('button');
+        button.className = 'inventory-slot';
+        button.addEventListener('click', () => select(index));
+        button.addEventListener('dblclick', () => useSelected());
+        grid.appendChild(button);
+        return button;
+    });
+
+    let selected = 0;
+
+    function render() {
+        inventory.slots.forEach((slot, index) => {
+            const button = slotButtons[index];
+            const item = slot && inventory.definition(slot.item);
+            button.classList.toggle('selected', index === selected);
+            button.classList.toggle('has-icon', Boolean(item && item.icon));
+            button.style.backgroundImage = item && item.icon ? `url("${new URL(item.icon, baseUrl).href}")` : '';
+            button.textContent = item && !item.icon ? item.name.charAt(0) : '';
+            button.setAttribute('aria-label', item ? `${item.name}${slot.count > 1 ? ` x${slot.count}` : ''}` : 'Empty slot');
+            if (slot && slot.count > 1) {
+                const count = document.createElement('span');
+                count.className = 'inventory-count';
+                count.textContent = slot.count;
+                button.appendChild(count);
+            }
+        });
+
+        const slot = inventory.slots[selected];
+        const item = slot && inventory.definition(slot.item);
+        name.textContent = item ? item.name : 'Empty';
+        description.textContent = item ? item.description || '' : '';
+        useButton.disabled = !item || !item.use;
+    }
+
+    function select(index) {
+        selected = Math.max(0, Math.min(inventory.slots.length - 1, index));
+        render();
+    }
+
+    // Arrow keys and the d-pad step through the grid
+    function moveSelection(dx, dy) {
+        const next = selected + dx + dy * columns;
+        if (next >= 0 && next < inventory.slots.length) select(next);
+    }
+
+    function useSelected() {
+        if (options.onUse) options.onUse(selected);
+    }
+
+    function open() {
+        if (isOpen()) return;
+        render();
+        root.classList.add('open');
+        if (document.pointerLockElement) document.exitPointerLock();
+        root.focus();
+        if (options.onOpen) options.onOpen();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+        root.classList.remove('open');
+        if (root.contains(document.activeElement)) document.activeElement.blur();
+        if (options.onClose) options.onClose();
+    }
+
+    function toggle() {
+        if (isOpen()) close();
+        else open();
+    }
+
+    function isOpen() {
+        return root.classList.contains('open');
+    }
+
+    root.addEventListener('keydown', (event) => {
+        const moves = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const closeKeys = options.closeKeys ? options.closeKeys() : [];
+        if (event.key === 'Escape' || closeKeys.includes(event.code)) {
+            // Handled here rather than by the game, so it does not pause too
+            event.preventDefault();
+            event.stopPropagation();
+            close();
+        } else if (moves[event.key]) {
+            event.preventDefault();
+            moveSelection(...moves[event.key]);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            useSelected();
+        }
+    });
+    useButton.addEventListener('click', useSelected);
+    root.querySelector('#inventoryClose').addEventListener('click', close);
+    // Clicking outside the window closes it
+    root.addEventListener('click', (event) => {
+        if (event.target === root) close();
+    });
+
+    return {
+        element: root,
+        open,
+        close,
+        toggle,
+        isOpen,
+        render,
+        moveSelection,
+        useSelected
+    };
+}
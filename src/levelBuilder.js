@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+import {
+    mergeGeometries
+} from 'three/addons/utils/BufferGeometryUtils.js';
+import {
+    validateLevel,
+    expandLevel
+} from './levelFormat.js';
+import {
+    applyTextureSet,
+    fitModel
+} from './assets.js';
+
+// Metres one texture tile covers when a material does not say
+const DEFAULT_TEXTURE_SCALE = 2;
+
+// Fetch a level file through the loading manager and validate it
+export async function loadLevel(url, manager) {
+    const loader = new THREE.FileLoader(manager);
+    loader.setResponseType('json');
+    const level = await loader.loadAsync(url);
+    return validateLevel(level);
+}
+
+function createMaterial(definition) {
+    return new THREE.MeshStandardMaterial({
+        color: new THREE.Color(definition.color),
+        roughness: definition.roughness !== undefined ? definition.roughness : 1,
+        metalness: definition.metalness !== undefined ? definition.metalness : 0,
+        emissive: new THREE.Color(definition.emissive || '#000000'),
+        emissiveIntensity: definition.emissiveIntensity !== undefined ? definition.emissiveIntensity : 1,
+        transparent: Boolean(definition.transparent),
+        opacity: definition.opacity !== undefined ? definition.opacity : 1
+    });
+}
+
+// Box UVs in metres over the tile size, so a texture keeps its scale on a
+// box of any size. BoxGeometry lays its faces out +x, -x, +y, -y, +z, -z.
+function tileBoxUvs(geometry, size, tileSize) {
+    const faces = [
+        [size.z, size.y], [size.z, size.y],
+        [size.x, size.z], [size.x, size.z],
+        [size.x, size.y], [size.x, size.y]
+    ];
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) {
+        const [width, height] = faces[Math.floor(i / 4)];
+        uv.setXY(i, uv.getX(i) * width / tileSize, uv.getY(i) * height / tileSize);
+    }
+}
+
+// Unit shapes scaled to the size, so a sphere can be squashed too
+function createShapeGeometry(shape, size) {
+    let geometry;
+    if (shape === 'sphere') geometry = new THREE.SphereGeometry(0.5, 16, 12);
+    else if (shape === 'cylinder') geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 16);
+    else geometry = new THREE.BoxGeometry(1, 1, 1);
+    geometry.scale(size.x, size.y, size.z);
+    return geometry;
+}
+
+function createLight(definition) {
+    const color = new THREE.Color(definition.color);
+    let light;
+    if (definition.type === 'spot') {
+        light = new THREE.SpotLight(
+            color,
+            definition.intensity,
+            definition.distance || 0,
+            definition.angle !== undefined ? definition.angle * Math.PI / 180 : Math.PI / 3,
+            definition.penumbra || 0,
+            definition.decay !== undefined ? definition.decay : 2
+        );
+        light.target.position.set(definition.target.x, definition.target.y, definition.target.z);
+    } else {
+        light = new THREE.PointLight(
+            color,
+            definition.intensity,
+            definition.distance || 0,
+            definition.decay !== undefined ? definition.decay : 2
+        );
+    }
+    light.castShadow = Boolean(definition.castShadow);
+    light.position.set(definition.localPosition.x, definition.localPosition.y, definition.localPosition.z);
+    if (definition.id) light.name = definition.id;
+    light.userData.levelLight = definition;
+    return light;
+}
+
+// Build the castle group for a validated level.
+// Returns { group, rooms, roomParts, doors, pickups, bodies, breakables,
+// layout } where rooms maps room ids to their groups; roomParts maps them to
+// { shell, contents, lights }, the groups of a room's floors, walls, stairs
+// and doors and of its props and pickups plus its lights, so the room can be
+// culled (see visibility.js); doors, pickups, bodies (loose props) and
+// breakables (boxes of breakable walls) map ids to their meshes; and layout
+// is the expanded world-space description from expandLevel().
+// Boxes that never change are merged into one mesh per room, part and
+// material to save draw calls. Loose props sit straight in the room group,
+// as they can end up anywhere.
+// With an asset library (see assets.js) textured materials get their maps
+// and props with a model swap their box for it as each one arrives; until
+// then, or if it never does, the plain boxes stand in.
+// options.merge: false keeps every box its own mesh, for the level editor,
+// which picks and moves them one at a time.
+export function buildLevel(level, assets = null, options = {}) {
+    const merge = options.merge !== false;
+    const layout = expandLevel(level);
+    const castleGroup = new THREE.Group();
+    castleGroup.name = layout.name;
+
+    const materials = {};
+    Object.keys(layout.materials).forEach(id => {
+        const definition = layout.materials[id];
+        materials[id] = createMaterial(definition);
+        materials[id].name = id;
+        if (assets && definition.texture) {
+            assets.textureSet(definition.texture).then(set => {
+                if (set) applyTextureSet(materials[id], set);
+            });
+        }
+    });
+
+    function createBoxGeometry(size, materialId) {
+        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+        const definition = layout.materials[materialId];
+        if (definition.texture) tileBoxUvs(geometry, size, definition.textureScale || DEFAULT_TEXTURE_SCALE);
+        return geometry;
+    }
+
+    function swapInModel(placeholder, box) {
+        assets.model(box.prop.model).then(source => {
+            if (!source || !placeholder.parent) return;
+            const model = fitModel(source, box.size, {
+                castShadow: box.castShadow,
+                receiveShadow: box.receiveShadow
+            });
+            model.position.copy(placeholder.position);
+            model.name = placeholder.name;
+            model.userData.levelBox = box;
+            if (bodies[box.id] === placeholder) bodies[box.id] = model;
+            placeholder.parent.add(model);
+            placeholder.parent.remove(placeholder);
+            placeholder.geometry.dispose();
+        });
+    }
+
+    const rooms = {};
+    const roomParts = {};
+    layout.rooms.forEach(room => {
+        const roomGroup = new THREE.Group();
+        roomGroup.name = room.id;
+        roomGroup.position.set(room.position.x, room.position.y, room.position.z);
+        const shell = new THREE.Group();
+        shell.name = `${room.id}.shell`;
+        const contents = new THREE.Group();
+        contents.name = `${room.id}.contents`;
+        roomGroup.add(shell, contents);
+        rooms[room.id] = roomGroup;
+        roomParts[room.id] = { shell, contents, lights: [] };
+        castleGroup.add(roomGroup);
+    });
+
+    // Boxes waiting to be merged, by room, part, material and shadow flags
+    const batches = new Map();
+    function batch(box, part, geometry) {
+        const key = [box.roomId, part, box.material, box.castShadow, box.receiveShadow].join('|');
+        if (!batches.has(key)) batches.set(key, { box, part, geometries: [], boxes: [] });
+        geometry.translate(box.localCenter.x, box.localCenter.y, box.localCenter.z);
+        batches.get(key).geometries.push(geometry);
+        batches.get(key).boxes.push(box);
+    }
+
+    const bodies = {};
+    const breakables = {};
+    layout.boxes.forEach(box => {
+        const shape = box.prop && box.prop.shape;
+        const geometry = shape && shape !== 'box' ? createShapeGeometry(shape, box.size) : createBoxGeometry(box.size, box.material);
+        const part = box.kind === 'prop' ? 'contents' : 'shell';
+        const changes = box.mass !== null || box.breakable || (assets && box.prop && box.prop.model);
+        if (merge && !changes) {
+            batch(box, part, geometry);
+            return;
+        }
+        const mesh = new THREE.Mesh(geometry, materials[box.material]);
+        mesh.position.set(box.localCenter.x, box.localCenter.y, box.localCenter.z);
+        mesh.castShadow = box.castShadow;
+        mesh.receiveShadow = box.receiveShadow;
+        if (box.id) mesh.name = box.id;
+        mesh.userData.levelBox = box;
+        if (box.mass !== null) rooms[box.roomId].add(mesh);
+        else roomParts[box.roomId][part].add(mesh);
+        if (box.mass !== null) bodies[box.id] = mesh;
+        if (box.breakable) breakables[box.id] = mesh;
+        if (assets && box.prop && box.prop.model) swapInModel(mesh, box);
+    });
+
+    batches.forEach(({ box, part, geometries, boxes }) => {
+        const geometry = geometries.length > 1 ? mergeGeometries(geometries) : geometries[0];
+        if (geometries.length > 1) geometries.forEach(merged => merged.dispose());
+        const mesh = new THREE.Mesh(geometry, materials[box.material]);
+        mesh.castShadow = box.castShadow;
+        mesh.receiveShadow = box.receiveShadow;
+        mesh.name = `${box.roomId}.${box.material}`;
+        mesh.userData.levelBoxes = boxes;
+        roomParts[box.roomId][part].add(mesh);
+    });
+
+    const doors = {};
+    layout.doors.forEach(door => {
+        const mesh = new THREE.Mesh(createBoxGeometry(door.size, door.material), materials[door.material]);
+        mesh.position.set(door.localCenter.x, door.localCenter.y, door.localCenter.z);
+        mesh.castShadow = door.castShadow;
+        mesh.receiveShadow = door.receiveShadow;
+        mesh.name = door.id;
+        mesh.userData.levelDoor = door;
+        doors[door.id] = mesh;
+        roomParts[door.roomId].shell.add(mesh);
+    });
+
+    const pickups = {};
+    layout.pickups.forEach(pickup => {
+        const item = layout.items[pickup.item];
+        const [x, y, z] = item.mesh.size;
+        const mesh = new THREE.Mesh(createShapeGeometry(item.mesh.shape, { x, y, z }), materials[item.mesh.material]);
+        mesh.position.set(pickup.localCenter.x, pickup.localCenter.y, pickup.localCenter.z);
+        mesh.castShadow = true;
+        mesh.name = pickup.id;
+        mesh.userData.levelPickup = pickup;
+        pickups[pickup.id] = mesh;
+        roomParts[pickup.roomId].contents.add(mesh);
+    });
+
+    layout.lights.forEach(definition => {
+        const light = createLight(definition);
+        rooms[definition.roomId].add(light);
+        roomParts[definition.roomId].lights.push(light);
+        if (light.isSpotLight) castleGroup.add(light.target);
+    });
+
+    return {
+        group: castleGroup,
+        rooms,
+        roomParts,
+        doors,
+        pickups,
+        bodies,
+        breakables,
+        layout
+    };
+}
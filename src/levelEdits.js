@@ -0,0 +1,281 @@
+// Edits to a level document, for the level editor.
+// Elements are found by their source ({ room, list, index }, as expandLevel()
+// tags the boxes, doors, lights and pickups it makes) and every edit returns
+// a changed copy of the level, leaving the one passed in alone so the undo
+// history can keep it. Positions are room-local, as in the file; rotations
+// are quarter turns about the vertical, which is all axis-aligned walls and
+// boxes allow. Nothing here checks the result: run it through
+// validateLevel() before keeping it. Nothing here needs three.js.
+
+// The room lists the editor can place, move and delete things in
+export const EDITABLE_LISTS = ['floors', 'walls', 'stairs', 'props', 'doors', 'lights', 'pickups'];
+
+// What a newly added element looks like, placed by addElement()
+const TEMPLATES = {
+    floors: { size: [4, 1, 4], offset: [0, -0.5, 0] },
+    walls: { length: 4, height: 4, thickness: 0.5 },
+    props: { type: 'block', size: [1, 1, 1], offset: [0, 0.5, 0] },
+    lights: { type: 'point', color: '#ffd9a0', intensity: 10, distance: 15, offset: [0, 4, 0] }
+};
+
+// Quarter turns of the stairs' climb, anticlockwise seen from above
+const TURNS = ['+x', '-z', '-x', '+z'];
+
+export function cloneLevel(level) {
+    return JSON.parse(JSON.stringify(level));
+}
+
+export function snap(value, grid) {
+    return grid > 0 ? Math.round(value / grid) * grid : value;
+}
+
+// Rounding that keeps 0.1 + 0.2 out of the file
+function tidy(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+export function getElement(level, source) {
+    const room = level.rooms[source.room];
+    const list = room && room[source.list];
+    return list ? list[source.index] || null : null;
+}
+
+export function sameSource(a, b) {
+    return Boolean(a && b && a.room === b.room && a.list === b.list && a.index === b.index);
+}
+
+// Copy the level and hand back the copy of the element to change
+function editCopy(level, source) {
+    const copy = cloneLevel(level);
+    const element = getElement(copy, source);
+    if (!element) throw new Error(`No ${source.list}[${source.index}] in room ${source.room}`);
+    return { copy, element };
+}
+
+// The point the element moves, turns and scales about, room-local: the
+// middle of a wall at its base, otherwise its position
+export function elementAnchor(level, source) {
+    const element = getElement(level, source);
+    if (!element) return null;
+    if (source.list === 'walls') {
+        return {
+            x: (element.start[0] + element.end[0]) / 2,
+            y: element.base || 0,
+            z: (element.start[1] + element.end[1]) / 2
+        };
+    }
+    const [x, y, z] = element.position;
+    return { x, y, z };
+}
+
+// What the gizmo may do to an element: lights and pickups only move
+export function elementModes(source) {
+    if (source.list === 'lights' || source.list === 'pickups') return ['translate'];
+    return ['translate', 'rotate', 'scale'];
+}
+
+// Shift by delta { x, y, z } metres
+export function moveElement(level, source, delta) {
+    const { copy, element } = editCopy(level, source);
+    const shift = (point, axes) => point.map((value, i) => tidy(value + delta[axes[i]]));
+    if (source.list === 'walls') {
+        element.start = shift(element.start, ['x', 'z']);
+        element.end = shift(element.end, ['x', 'z']);
+        const base = tidy((element.base || 0) + delta.y);
+        if (base || element.base !== undefined) element.base = base;
+    } else {
+        element.position = shift(element.position, ['x', 'y', 'z']);
+        if (element.target) element.target = shift(element.target, ['x', 'y', 'z']);
+    }
+    return copy;
+}
+
+// Turn a room-local [x, z] about a centre by quarter turns, anticlockwise
+// seen from above as three.js turns things about +y
+function turnPoint([x, z], [cx, cz], turns) {
+    let dx = x - cx;
+    let dz = z - cz;
+    for (let i = 0; i < turns; i++) [dx, dz] = [dz, -dx];
+    return [tidy(cx + dx), tidy(cz + dz)];
+}
+
+// Turn by a whole number of quarter turns about the element's anchor
+export function rotateElement(level, source, quarterTurns) {
+    const turns = ((Math.round(quarterTurns) % 4) + 4) % 4;
+    if (!turns) return level;
+    const { copy, element } = editCopy(level, source);
+    if (source.list === 'walls') {
+        const middle = [(element.start[0] + element.end[0]) / 2, (element.start[1] + element.end[1]) / 2];
+        // Openings are measured along the wall from its start, which turns
+        // with it, so they stay put
+        element.start = turnPoint(element.start, middle, turns);
+        element.end = turnPoint(element.end, middle, turns);
+    } else if (source.list === 'stairs') {
+        element.direction = TURNS[(TURNS.indexOf(element.direction) + turns) % 4];
+    } else {
+        if (element.size && turns % 2) element.size = [element.size[2], element.size[1], element.size[0]];
+        if (element.openOffset) {
+            const [x, z] = turnPoint([element.openOffset[0], element.openOffset[2]], [0, 0], turns);
+            element.openOffset = [x, element.openOffset[1], z];
+        }
+        if (element.target) {
+            const center = [element.position[0], element.position[2]];
+            const [x, z] = turnPoint([element.target[0], element.target[2]], center, turns);
+            element.target = [x, element.target[1], z];
+        }
+    }
+    return copy;
+}
+
+// Scale by factor { x, y, z } along the world axes about the anchor. Every
+// length that changes is snapped to the grid, and never below one step.
+export function scaleElement(level, source, factor, grid = 0) {
+    const { copy, element } = editCopy(level, source);
+    const resize = (value, by) => {
+        if (Math.abs(by - 1) < 1e-6) return value;
+        return tidy(Math.max(grid || 0.01, snap(value * by, grid)));
+    };
+    if (source.list === 'walls') {
+        const alongX = element.start[1] === element.end[1];
+        const axis = alongX ? 0 : 1;
+        const along = alongX ? factor.x : factor.z;
+        const oldLength = Math.abs(element.end[axis] - element.start[axis]);
+        const length = resize(oldLength, along);
+        const middle = (element.start[axis] + element.end[axis]) / 2;
+        const sign = element.end[axis] >= element.start[axis] ? 1 : -1;
+        element.start[axis] = tidy(middle - sign * length / 2);
+        element.end[axis] = tidy(middle + sign * length / 2);
+        (element.openings || []).forEach(opening => {
+            opening.offset = tidy(opening.offset * length / oldLength);
+        });
+        element.thickness = resize(element.thickness, alongX ? factor.z : factor.x);
+        element.height = resize(element.height, factor.y);
+    } else if (source.list === 'stairs') {
+        const alongX = element.direction[1] === 'x';
+        element.run = resize(element.run, alongX ? factor.x : factor.z);
+        element.width = resize(element.width, alongX ? factor.z : factor.x);
+        element.rise = resize(element.rise, factor.y);
+    } else if (element.size) {
+        element.size = element.size.map((value, i) => resize(value, factor[['x', 'y', 'z'][i]]));
+    }
+    return copy;
+}
+
+// Every id used by an element of any room, so new ones do not clash
+function usedIds(level) {
+    const ids = new Set();
+    level.rooms.forEach(room => {
+        ids.add(room.id);
+        EDITABLE_LISTS.forEach(list => (room[list] || []).forEach(element => {
+            if (element.id) ids.add(element.id);
+        }));
+    });
+    return ids;
+}
+
+function uniqueId(level, base) {
+    const ids = usedIds(level);
+    const stem = base.replace(/\d+$/, '');
+    for (let i = 1; ; i++) {
+        if (!ids.has(`${stem}${i}`)) return `${stem}${i}`;
+    }
+}
+
+// Place a new floor, wall, prop or light from its template, standing on the
+// room-local point at. Returns { level, source }.
+export function addElement(level, roomIndex, list, at, material) {
+    const template = TEMPLATES[list];
+    if (!template) throw new Error(`Cannot add to ${list}`);
+    const copy = cloneLevel(level);
+    const room = copy.rooms[roomIndex];
+    const id = uniqueId(copy, `${room.id}${list[0].toUpperCase()}${list.slice(1, -1)}`);
+    const place = offset => [tidy(at.x + offset[0]), tidy(at.y + offset[1]), tidy(at.z + offset[2])];
+    let element;
+    if (list === 'walls') {
+        element = {
+            id,
+            start: [tidy(at.x - template.length / 2), tidy(at.z)],
+            end: [tidy(at.x + template.length / 2), tidy(at.z)],
+            height: template.height,
+            thickness: template.thickness,
+            material
+        };
+        if (at.y) element.base = tidy(at.y);
+    } else if (list === 'lights') {
+        const { offset, ...light } = template;
+        element = { id, ...light, position: place(offset) };
+    } else {
+        const { offset, ...box } = template;
+        element = { id, ...box, position: place(offset), material };
+    }
+    room[list] = room[list] || [];
+    room[list].push(element);
+    return {
+        level: copy,
+        source: { room: roomIndex, list, index: room[list].length - 1 }
+    };
+}
+
+// A copy of an element under a new id, one grid step along x.
+// Returns { level, source }.
+export function duplicateElement(level, source, grid = 1) {
+    const copy = cloneLevel(level);
+    const element = cloneLevel(getElement(copy, source));
+    if (element.id) element.id = uniqueId(copy, element.id);
+    const list = copy.rooms[source.room][source.list];
+    list.push(element);
+    const added = { room: source.room, list: source.list, index: list.length - 1 };
+    return {
+        level: moveElement(copy, added, { x: grid || 1, y: 0, z: 0 }),
+        source: added
+    };
+}
+
+export function removeElement(level, source) {
+    const { copy } = editCopy(level, source);
+    const list = copy.rooms[source.room][source.list];
+    list.splice(source.index, 1);
+    if (!list.length) delete copy.rooms[source.room][source.list];
+    return copy;
+}
+
+// Set one field of an element; undefined removes it
+export function setElementField(level, source, key, value) {
+    const { copy, element } = editCopy(level, source);
+    if (value === undefined) delete element[key];
+    else element[key] = value;
+    return copy;
+}
+
+// Set one field of a material definition; undefined removes it
+export function setMaterialField(level, id, key, value) {
+    const copy = cloneLevel(level);
+    if (!copy.materials[id]) throw new Error(`No material "${id}"`);
+    if (value === undefined) delete copy.materials[id][key];
+    else copy.materials[id][key] = value;
+    return copy;
+}
+
+// The level as JSON laid out like the hand-written files: four-space
+// indents, with short arrays of plain numbers and strings kept on one line
+export function formatLevel(level) {
+    return JSON.stringify(level, null, 4)
+        .replace(/\[\s+((?:-?[\d.e+-]+|"[^"\n]*")(?:,\s+(?:-?[\d.e+-]+|"[^"\n]*"))*)\s+\]/g, (match, items) => {
+            const line = `[${items.match(/"[^"\n]*"|[^,\s]+/g).join(', ')}]`;
+            return line.length <= 60 ? line : match;
+        }) + '\n';
+}
+
+// The level being play-tested travels from the editor to the game and back
+// in sessionStorage, so it lasts as long as the tab does
+export const EDITED_LEVEL_KEY = 'shredded.editedLevel';
+
+export function storeEditedLevel(level, storage = window.sessionStorage) {
+    storage.setItem(EDITED_LEVEL_KEY, JSON.stringify(level));
+}
+
+// The stored level, unvalidated, or null when there is none
+export function loadEditedLevel(storage = window.sessionStorage) {
+    const text = storage.getItem(EDITED_LEVEL_KEY);
+    return text ? JSON.parse(text) : null;
+}
@@ -0,0 +1,817 @@
+// Level file format.
+// A level is a JSON document describing materials, rooms (each with floors,
+// walls, doors, stairs, props, lights, checkpoints, enemies and sound
+// emitters and item pickups in room-local coordinates, plus an optional
+// reverb), spawn points, the items that can be carried, the terminals that
+// interactive props can open, the objectives the HUD tracks, the floors
+// the minimap is drawn in and the portals (doorways, stairwells, windows)
+// the rooms are seen through.
+// validateLevel() rejects malformed files with a LevelFormatError naming the
+// offending path; expandLevel() turns a valid level into plain boxes and
+// lights in world space. Nothing here depends on three.js so
+// levels can be checked and expanded in Node.
+
+import {
+    validateTerminal
+} from './terminal.js';
+
+export const LEVEL_FORMAT = 'shredded-level';
+export const LEVEL_VERSION = 1;
+
+const LIGHT_TYPES = ['point', 'spot'];
+const STAIR_DIRECTIONS = ['+x', '-x', '+z', '-z'];
+const SHAPES = ['box', 'cylinder', 'sphere'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Enemy settings a level may override, all positive numbers
+const ENEMY_TUNING = ['walkSpeed', 'runSpeed', 'viewDistance', 'fieldOfView', 'attackDamage', 'attackRange'];
+
+export class LevelFormatError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'LevelFormatError';
+        this.path = path;
+    }
+}
+
+// =========================
+// Validation
+// =========================
+
+function fail(path, message) {
+    throw new LevelFormatError(path, message);
+}
+
+function expectObject(value, path) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        fail(path, 'expected an object');
+    }
+    return value;
+}
+
+function expectArray(value, path) {
+    if (!Array.isArray(value)) fail(path, 'expected an array');
+    return value;
+}
+
+function expectNumber(value, path, { min = -Infinity, exclusiveMin = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'expected a finite number');
+    if (exclusiveMin ? value <= min : value < min) {
+        fail(path, `expected a number ${exclusiveMin ? 'greater than' : 'of at least'} ${min}`);
+    }
+    return value;
+}
+
+function expectString(value, path) {
+    if (typeof value !== 'string' || value.length === 0) fail(path, 'expected a non-empty string');
+    return value;
+}
+
+function expectBoolean(value, path) {
+    if (typeof value !== 'boolean') fail(path, 'expected true or false');
+    return value;
+}
+
+function expectVector(value, path, length) {
+    if (!Array.isArray(value) || value.length !== length) {
+        fail(path, `expected an array of ${length} numbers`);
+    }
+    value.forEach((component, i) => expectNumber(component, `${path}[${i}]`));
+    return value;
+}
+
+function expectSize(value, path) {
+    expectVector(value, path, 3);
+    value.forEach((component, i) => expectNumber(component, `${path}[${i}]`, {
+        min: 0,
+        exclusiveMin: true
+    }));
+    return value;
+}
+
+function expectColor(value, path) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        fail(path, 'expected a colour in the form "#rrggbb"');
+    }
+    return value;
+}
+
+function expectOneOf(value, path, options) {
+    if (!options.includes(value)) fail(path, `expected one of ${options.map(o => `"${o}"`).join(', ')}`);
+    return value;
+}
+
+function optional(object, key, path, check, ...args) {
+    if (object[key] === undefined) return undefined;
+    return check(object[key], `${path}.${key}`, ...args);
+}
+
+function validateMaterial(material, path) {
+    expectObject(material, path);
+    expectColor(material.color, `${path}.color`);
+    optional(material, 'roughness', path, expectNumber, { min: 0 });
+    optional(material, 'metalness', path, expectNumber, { min: 0 });
+    optional(material, 'emissive', path, expectColor);
+    optional(material, 'emissiveIntensity', path, expectNumber, { min: 0 });
+    optional(material, 'transparent', path, expectBoolean);
+    optional(material, 'opacity', path, expectNumber, { min: 0 });
+    // A texture set from the asset manifest, one tile per textureScale metres
+    optional(material, 'texture', path, expectString);
+    optional(material, 'textureScale', path, expectNumber, { min: 0, exclusiveMin: true });
+}
+
+function validateEvents(events, path) {
+    expectArray(events, path).forEach((event, i) => {
+        expectObject(event, `${path}[${i}]`);
+        expectString(event.type, `${path}[${i}].type`);
+    });
+}
+
+function expectCount(value, path) {
+    expectNumber(value, path, { min: 1 });
+    if (!Number.isInteger(value)) fail(path, 'expected a whole number');
+    return value;
+}
+
+function validateShadowFlags(element, path) {
+    optional(element, 'castShadow', path, expectBoolean);
+    optional(element, 'receiveShadow', path, expectBoolean);
+}
+
+export function validateLevel(level) {
+    expectObject(level, 'level');
+    if (level.format !== LEVEL_FORMAT) fail('level.format', `expected "${LEVEL_FORMAT}"`);
+    if (level.version !== LEVEL_VERSION) {
+        fail('level.version', `unsupported version ${JSON.stringify(level.version)}, expected ${LEVEL_VERSION}`);
+    }
+    expectString(level.name, 'level.name');
+
+    const materials = expectObject(level.materials, 'level.materials');
+    Object.keys(materials).forEach(id => validateMaterial(materials[id], `level.materials.${id}`));
+
+    const terminals = expectObject(level.terminals || {}, 'level.terminals');
+    Object.keys(terminals).forEach(id => validateTerminal(terminals[id], `level.terminals.${id}`, fail));
+
+    const ids = new Set();
+    function checkId(element, path) {
+        if (element.id === undefined) return;
+        expectString(element.id, `${path}.id`);
+        if (ids.has(element.id)) fail(`${path}.id`, `duplicate id "${element.id}"`);
+        ids.add(element.id);
+    }
+    function checkMaterial(element, path) {
+        expectString(element.material, `${path}.material`);
+        if (!materials[element.material]) fail(`${path}.material`, `unknown material "${element.material}"`);
+    }
+
+    // Items: what they look like lying around and in the inventory, whether
+    // they stack and what using one does
+    const items = expectObject(level.items || {}, 'level.items');
+    Object.keys(items).forEach(id => {
+        const path = `level.items.${id}`;
+        const item = expectObject(items[id], path);
+        expectString(item.name, `${path}.name`);
+        optional(item, 'description', path, expectString);
+        optional(item, 'icon', path, expectString);
+        expectObject(item.mesh, `${path}.mesh`);
+        expectOneOf(item.mesh.shape, `${path}.mesh.shape`, SHAPES);
+        expectSize(item.mesh.size, `${path}.mesh.size`);
+        checkMaterial(item.mesh, `${path}.mesh`);
+        optional(item, 'stackable', path, expectBoolean);
+        if (item.maxStack !== undefined) {
+            expectCount(item.maxStack, `${path}.maxStack`);
+            if (!item.stackable) fail(`${path}.maxStack`, 'only stackable items have a maxStack');
+        }
+        if (item.use !== undefined) {
+            expectObject(item.use, `${path}.use`);
+            if (item.use.events !== undefined) validateEvents(item.use.events, `${path}.use.events`);
+            optional(item.use, 'consume', `${path}.use`, expectBoolean);
+            optional(item.use, 'message', `${path}.use`, expectString);
+        }
+    });
+    function checkItem(value, path) {
+        expectString(value, path);
+        if (!items[value]) fail(path, `unknown item "${value}"`);
+    }
+
+    const rooms = expectArray(level.rooms, 'level.rooms');
+    if (rooms.length === 0) fail('level.rooms', 'a level needs at least one room');
+    rooms.forEach((room, r) => {
+        const roomPath = `level.rooms[${r}]`;
+        expectObject(room, roomPath);
+        expectString(room.id, `${roomPath}.id`);
+        checkId(room, roomPath);
+        optional(room, 'position', roomPath, expectVector, 3);
+        // Outdoor rooms are open to the sky and see the whole castle
+        optional(room, 'outdoor', roomPath, expectBoolean);
+        if (room.reverb !== undefined) {
+            const reverbPath = `${roomPath}.reverb`;
+            expectObject(room.reverb, reverbPath);
+            expectNumber(room.reverb.decay, `${reverbPath}.decay`, { min: 0, exclusiveMin: true });
+            const mix = expectNumber(room.reverb.mix, `${reverbPath}.mix`, { min: 0 });
+            if (mix > 1) fail(`${reverbPath}.mix`, 'expected a number of at most 1');
+        }
+
+        expectArray(room.floors || [], `${roomPath}.floors`).forEach((floor, i) => {
+            const path = `${roomPath}.floors[${i}]`;
+            expectObject(floor, path);
+            checkId(floor, path);
+            expectVector(floor.position, `${path}.position`, 3);
+            expectSize(floor.size, `${path}.size`);
+            checkMaterial(floor, path);
+            validateShadowFlags(floor, path);
+        });
+
+        expectArray(room.walls || [], `${roomPath}.walls`).forEach((wall, i) => {
+            const path = `${roomPath}.walls[${i}]`;
+            expectObject(wall, path);
+            checkId(wall, path);
+            const start = expectVector(wall.start, `${path}.start`, 2);
+            const end = expectVector(wall.end, `${path}.end`, 2);
+            if (start[0] !== end[0] && start[1] !== end[1]) {
+                fail(path, 'walls must run along the x or z axis');
+            }
+            const length = Math.abs(end[0] - start[0]) + Math.abs(end[1] - start[1]);
+            if (length === 0) fail(path, 'wall start and end are the same point');
+            optional(wall, 'base', path, expectNumber);
+            const height = expectNumber(wall.height, `${path}.height`, { min: 0, exclusiveMin: true });
+            expectNumber(wall.thickness, `${path}.thickness`, { min: 0, exclusiveMin: true });
+            checkMaterial(wall, path);
+            validateShadowFlags(wall, path);
+            // Breakable walls shatter into debris when struck hard enough
+            if (wall.breakable !== undefined) {
+                expectObject(wall.breakable, `${path}.breakable`);
+                if (wall.id === undefined) fail(path, 'breakable walls need an id');
+                optional(wall.breakable, 'strength', `${path}.breakable`, expectNumber, { min: 0, exclusiveMin: true });
+                optional(wall.breakable, 'pieceSize', `${path}.breakable`, expectNumber, { min: 0, exclusiveMin: true });
+            }
+
+            const openings = expectArray(wall.openings || [], `${path}.openings`)
+                .map((opening, o) => {
+                    const openingPath = `${path}.openings[${o}]`;
+                    expectObject(opening, openingPath);
+                    checkId(opening, openingPath);
+                    const offset = expectNumber(opening.offset, `${openingPath}.offset`, { min: 0 });
+                    const width = expectNumber(opening.width, `${openingPath}.width`, { min: 0, exclusiveMin: true });
+                    const bottom = optional(opening, 'bottom', openingPath, expectNumber, { min: 0 }) || 0;
+                    const openingHeight = expectNumber(opening.height, `${openingPath}.height`, {
+                        min: 0,
+                        exclusiveMin: true
+                    });
+                    if (offset - width / 2 < 0 || offset + width / 2 > length) {
+                        fail(openingPath, 'opening extends past the ends of the wall');
+                    }
+                    if (bottom + openingHeight > height) fail(openingPath, 'opening is taller than the wall');
+                    return { from: offset - width / 2, to: offset + width / 2, path: openingPath };
+                })
+                .sort((a, b) => a.from - b.from);
+            for (let o = 1; o < openings.length; o++) {
+                if (openings[o].from < openings[o - 1].to) fail(openings[o].path, 'opening overlaps another opening');
+            }
+        });
+
+        expectArray(room.stairs || [], `${roomPath}.stairs`).forEach((stairs, i) => {
+            const path = `${roomPath}.stairs[${i}]`;
+            expectObject(stairs, path);
+            checkId(stairs, path);
+            expectVector(stairs.position, `${path}.position`, 3);
+            expectOneOf(stairs.direction, `${path}.direction`, STAIR_DIRECTIONS);
+            expectNumber(stairs.width, `${path}.width`, { min: 0, exclusiveMin: true });
+            expectNumber(stairs.rise, `${path}.rise`, { min: 0, exclusiveMin: true });
+            expectNumber(stairs.run, `${path}.run`, { min: 0, exclusiveMin: true });
+            const steps = expectNumber(stairs.steps, `${path}.steps`, { min: 1 });
+            if (!Number.isInteger(steps)) fail(`${path}.steps`, 'expected a whole number of steps');
+            checkMaterial(stairs, path);
+            validateShadowFlags(stairs, path);
+        });
+
+        expectArray(room.props || [], `${roomPath}.props`).forEach((prop, i) => {
+            const path = `${roomPath}.props[${i}]`;
+            expectObject(prop, path);
+            checkId(prop, path);
+            expectString(prop.type, `${path}.type`);
+            expectVector(prop.position, `${path}.position`, 3);
+            expectSize(prop.size, `${path}.size`);
+            checkMaterial(prop, path);
+            validateShadowFlags(prop, path);
+            optional(prop, 'solid', path, expectBoolean);
+            // A model from the asset manifest drawn in place of the box
+            optional(prop, 'model', path, expectString);
+            optional(prop, 'shape', path, expectOneOf, SHAPES);
+            // Props with a mass are loose: they fall, tumble and can be pushed
+            if (prop.mass !== undefined) {
+                expectNumber(prop.mass, `${path}.mass`, { min: 0, exclusiveMin: true });
+                if (prop.id === undefined) fail(path, 'props with a mass need an id');
+                if (prop.solid === false) fail(`${path}.solid`, 'props with a mass are always solid');
+            }
+            if (prop.interact !== undefined) {
+                const interact = expectObject(prop.interact, `${path}.interact`);
+                expectString(interact.type, `${path}.interact.type`);
+                optional(interact, 'prompt', `${path}.interact`, expectString);
+                // Props can need an item in the inventory to be used
+                if (interact.requires !== undefined) checkItem(interact.requires, `${path}.interact.requires`);
+                optional(interact, 'missing', `${path}.interact`, expectString);
+                optional(interact, 'consume', `${path}.interact`, expectBoolean);
+                if (interact.events !== undefined) validateEvents(interact.events, `${path}.interact.events`);
+                if (interact.type === 'terminal') {
+                    expectString(interact.terminal, `${path}.interact.terminal`);
+                    if (!terminals[interact.terminal]) {
+                        fail(`${path}.interact.terminal`, `unknown terminal "${interact.terminal}"`);
+                    }
+                }
+            }
+        });
+
+        expectArray(room.doors || [], `${roomPath}.doors`).forEach((door, i) => {
+            const path = `${roomPath}.doors[${i}]`;
+            expectObject(door, path);
+            expectString(door.id, `${path}.id`);
+            checkId(door, path);
+            expectVector(door.position, `${path}.position`, 3);
+            expectSize(door.size, `${path}.size`);
+            expectVector(door.openOffset, `${path}.openOffset`, 3);
+            optional(door, 'duration', path, expectNumber, { min: 0, exclusiveMin: true });
+            optional(door, 'locked', path, expectBoolean);
+            optional(door, 'startsOpen', path, expectBoolean);
+            optional(door, 'usable', path, expectBoolean);
+            // A locked door with a key unlocks for a player carrying it
+            if (door.key !== undefined) checkItem(door.key, `${path}.key`);
+            optional(door, 'consumeKey', path, expectBoolean);
+            checkMaterial(door, path);
+            validateShadowFlags(door, path);
+        });
+
+        expectArray(room.lights || [], `${roomPath}.lights`).forEach((light, i) => {
+            const path = `${roomPath}.lights[${i}]`;
+            expectObject(light, path);
+            checkId(light, path);
+            expectOneOf(light.type, `${path}.type`, LIGHT_TYPES);
+            expectColor(light.color, `${path}.color`);
+            expectNumber(light.intensity, `${path}.intensity`, { min: 0 });
+            expectVector(light.position, `${path}.position`, 3);
+            optional(light, 'distance', path, expectNumber, { min: 0 });
+            optional(light, 'decay', path, expectNumber, { min: 0 });
+            optional(light, 'castShadow', path, expectBoolean);
+            if (light.type === 'spot') {
+                expectVector(light.target, `${path}.target`, 3);
+                optional(light, 'angle', path, expectNumber, { min: 0, exclusiveMin: true });
+                optional(light, 'penumbra', path, expectNumber, { min: 0 });
+            }
+        });
+
+        expectArray(room.checkpoints || [], `${roomPath}.checkpoints`).forEach((checkpoint, i) => {
+            const path = `${roomPath}.checkpoints[${i}]`;
+            expectObject(checkpoint, path);
+            expectString(checkpoint.id, `${path}.id`);
+            checkId(checkpoint, path);
+            expectVector(checkpoint.position, `${path}.position`, 3);
+            expectSize(checkpoint.size, `${path}.size`);
+            optional(checkpoint, 'label', path, expectString);
+        });
+
+        expectArray(room.enemies || [], `${roomPath}.enemies`).forEach((enemy, i) => {
+            const path = `${roomPath}.enemies[${i}]`;
+            expectObject(enemy, path);
+            expectString(enemy.id, `${path}.id`);
+            checkId(enemy, path);
+            expectVector(enemy.position, `${path}.position`, 3);
+            optional(enemy, 'heading', path, expectNumber);
+            expectArray(enemy.waypoints || [], `${path}.waypoints`).forEach((waypoint, w) => {
+                expectVector(waypoint, `${path}.waypoints[${w}]`, 3);
+            });
+            ENEMY_TUNING.forEach(key => optional(enemy, key, path, expectNumber, { min: 0, exclusiveMin: true }));
+        });
+
+        expectArray(room.sounds || [], `${roomPath}.sounds`).forEach((sound, i) => {
+            const path = `${roomPath}.sounds[${i}]`;
+            expectObject(sound, path);
+            checkId(sound, path);
+            expectString(sound.sound, `${path}.sound`);
+            expectVector(sound.position, `${path}.position`, 3);
+            optional(sound, 'volume', path, expectNumber, { min: 0 });
+            optional(sound, 'distance', path, expectNumber, { min: 0, exclusiveMin: true });
+        });
+
+        expectArray(room.pickups || [], `${roomPath}.pickups`).forEach((pickup, i) => {
+            const path = `${roomPath}.pickups[${i}]`;
+            expectObject(pickup, path);
+            expectString(pickup.id, `${path}.id`);
+            checkId(pickup, path);
+            checkItem(pickup.item, `${path}.item`);
+            expectVector(pickup.position, `${path}.position`, 3);
+            optional(pickup, 'count', path, expectCount);
+        });
+    });
+
+    const spawns = expectArray(level.spawns, 'level.spawns');
+    if (spawns.length === 0) fail('level.spawns', 'a level needs at least one spawn point');
+    spawns.forEach((spawn, i) => {
+        const path = `level.spawns[${i}]`;
+        expectObject(spawn, path);
+        expectString(spawn.id, `${path}.id`);
+        checkId(spawn, path);
+        expectVector(spawn.position, `${path}.position`, 3);
+        optional(spawn, 'heading', path, expectNumber);
+    });
+
+    // Objectives complete when a game event matching every field of
+    // completeOn is emitted, e.g. { "type": "door:opened", "door": "hatch" }
+    expectArray(level.objectives || [], 'level.objectives').forEach((objective, i) => {
+        const path = `level.objectives[${i}]`;
+        expectObject(objective, path);
+        expectString(objective.id, `${path}.id`);
+        checkId(objective, path);
+        expectString(objective.text, `${path}.text`);
+        expectObject(objective.completeOn, `${path}.completeOn`);
+        expectString(objective.completeOn.type, `${path}.completeOn.type`);
+    });
+
+    const roomIds = new Set(rooms.map(room => room.id));
+
+    // Minimap floors: the rooms drawn together and the band of heights they
+    // cover. The first floor around the player is the one shown.
+    if (level.map !== undefined) {
+        expectObject(level.map, 'level.map');
+        expectArray(level.map.floors, 'level.map.floors').forEach((floor, i) => {
+            const path = `level.map.floors[${i}]`;
+            expectObject(floor, path);
+            expectString(floor.id, `${path}.id`);
+            expectString(floor.label, `${path}.label`);
+            const floorRooms = expectArray(floor.rooms, `${path}.rooms`);
+            if (floorRooms.length === 0) fail(`${path}.rooms`, 'a floor needs at least one room');
+            floorRooms.forEach((id, r) => {
+                expectString(id, `${path}.rooms[${r}]`);
+                if (!roomIds.has(id)) fail(`${path}.rooms[${r}]`, `unknown room "${id}"`);
+            });
+            const minY = expectNumber(floor.minY, `${path}.minY`);
+            const maxY = expectNumber(floor.maxY, `${path}.maxY`);
+            if (maxY <= minY) fail(`${path}.maxY`, 'expected a height above minY');
+        });
+    }
+
+    // Portals: world-space boxes through which one room sees into another,
+    // shut while their door (if any) is closed
+    const doorIds = new Set(rooms.flatMap(room => (room.doors || []).map(door => door.id)));
+    expectArray(level.portals || [], 'level.portals').forEach((portal, i) => {
+        const path = `level.portals[${i}]`;
+        expectObject(portal, path);
+        checkId(portal, path);
+        const portalRooms = expectArray(portal.rooms, `${path}.rooms`);
+        if (portalRooms.length !== 2) fail(`${path}.rooms`, 'expected the ids of the two rooms it joins');
+        portalRooms.forEach((id, r) => {
+            expectString(id, `${path}.rooms[${r}]`);
+            if (!roomIds.has(id)) fail(`${path}.rooms[${r}]`, `unknown room "${id}"`);
+        });
+        if (portalRooms[0] === portalRooms[1]) fail(`${path}.rooms`, 'a portal joins two different rooms');
+        expectVector(portal.position, `${path}.position`, 3);
+        expectSize(portal.size, `${path}.size`);
+        if (portal.door !== undefined && !doorIds.has(expectString(portal.door, `${path}.door`))) {
+            fail(`${path}.door`, `unknown door "${portal.door}"`);
+        }
+    });
+
+    return level;
+}
+
+// =========================
+// Expansion into world-space boxes
+// =========================
+
+function vec(array) {
+    return { x: array[0], y: array[1], z: array[2] };
+}
+
+function addVec(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+// Split a wall into solid boxes around its openings.
+// Boxes are returned as { center, size } in room-local space.
+function expandWall(wall) {
+    const [x1, z1] = wall.start;
+    const [x2, z2] = wall.end;
+    const alongX = z1 === z2;
+    const from = alongX ? Math.min(x1, x2) : Math.min(z1, z2);
+    const length = alongX ? Math.abs(x2 - x1) : Math.abs(z2 - z1);
+    const base = wall.base || 0;
+    // Openings are measured from the wall's start point
+    const reversed = alongX ? x2 < x1 : z2 < z1;
+
+    function box(a, b, bottom, top) {
+        const centerAlong = from + (a + b) / 2;
+        return {
+            center: {
+                x: alongX ? centerAlong : x1,
+                y: base + (bottom + top) / 2,
+                z: alongX ? z1 : centerAlong
+            },
+            size: {
+                x: alongX ? b - a : wall.thickness,
+                y: top - bottom,
+                z: alongX ? wall.thickness : b - a
+            }
+        };
+    }
+
+    const openings = (wall.openings || [])
+        .map(opening => {
+            const offset = reversed ? length - opening.offset : opening.offset;
+            return {
+                id: opening.id,
+                from: offset - opening.width / 2,
+                to: offset + opening.width / 2,
+                bottom: opening.bottom || 0,
+                top: (opening.bottom || 0) + opening.height
+            };
+        })
+        .sort((a, b) => a.from - b.from);
+
+    const boxes = [];
+    let cursor = 0;
+    openings.forEach(opening => {
+        if (opening.from > cursor) boxes.push(box(cursor, opening.from, 0, wall.height));
+        if (opening.bottom > 0) boxes.push(box(opening.from, opening.to, 0, opening.bottom));
+        if (opening.top < wall.height) boxes.push(box(opening.from, opening.to, opening.top, wall.height));
+        cursor = opening.to;
+    });
+    if (cursor < length) boxes.push(box(cursor, length, 0, wall.height));
+
+    return {
+        boxes,
+        openings: openings.map(opening => ({
+            id: opening.id,
+            ...box(opening.from, opening.to, opening.bottom, opening.top)
+        }))
+    };
+}
+
+// Stairs climb from `position` (bottom of the first step, centred across the
+// width) towards `direction`. Each step is a solid block down to the base.
+function expandStairs(stairs) {
+    const origin = vec(stairs.position);
+    const depth = stairs.run / stairs.steps;
+    const axis = stairs.direction[1];
+    const sign = stairs.direction[0] === '+' ? 1 : -1;
+    const boxes = [];
+    for (let i = 0; i < stairs.steps; i++) {
+        const top = stairs.rise * (i + 1) / stairs.steps;
+        const along = sign * depth * (i + 0.5);
+        boxes.push({
+            center: {
+                x: origin.x + (axis === 'x' ? along : 0),
+                y: origin.y + top / 2,
+                z: origin.z + (axis === 'z' ? along : 0)
+            },
+            size: {
+                x: axis === 'x' ? depth : stairs.width,
+                y: top,
+                z: axis === 'z' ? depth : stairs.width
+            }
+        });
+    }
+    return boxes;
+}
+
+function toWorldBox(local, roomPosition) {
+    const center = addVec(local.center, roomPosition);
+    return {
+        center,
+        size: local.size,
+        min: {
+            x: center.x - local.size.x / 2,
+            y: center.y - local.size.y / 2,
+            z: center.z - local.size.z / 2
+        },
+        max: {
+            x: center.x + local.size.x / 2,
+            y: center.y + local.size.y / 2,
+            z: center.z + local.size.z / 2
+        }
+    };
+}
+
+// Expand a validated level into world-space data:
+// {
+//   name, materials,
+//   rooms: [{ id, position, bounds, reverb, outdoor }] where bounds is the
+//     { min, max } box around the room's boxes (null when it has none),
+//   boxes: [{ id, kind, roomId, material, center, size, min, max, localCenter, solid, castShadow, receiveShadow, prop,
+//     mass, breakable }] where mass is set for loose props and breakable
+//     ({ strength, pieceSize }) for the boxes of breakable walls, else null,
+//   openings: [{ id, roomId, wallId, center, size, min, max }],
+//   doors: [{ id, roomId, material, center, size, localCenter, openOffset, duration, locked, startsOpen, ... }],
+//   lights: [{ id, roomId, type, color, intensity, position, localPosition, ... }],
+//   checkpoints: [{ id, roomId, label, center, size, min, max }],
+//   enemies: [{ id, roomId, position, heading, waypoints, tuning }],
+//   sounds: [{ id, roomId, sound, position, volume, distance }],
+//   pickups: [{ id, roomId, item, count, center, size, min, max, localCenter }]
+//     sized by the item's mesh,
+//   spawns: [{ id, position, heading }],
+//   terminals: { id: terminal },
+//   items: { id: item },
+//   objectives: [{ id, text, completeOn }],
+//   mapFloors: [{ id, label, rooms, minY, maxY }],
+//   portals: [{ id, rooms, door, center, size, min, max }]
+// }
+// Boxes, doors, lights and pickups also carry source: { room, list, index },
+// where in the level document they came from, for the level editor.
+export function expandLevel(level) {
+    const result = {
+        name: level.name,
+        materials: level.materials,
+        rooms: [],
+        boxes: [],
+        openings: [],
+        doors: [],
+        lights: [],
+        checkpoints: [],
+        enemies: [],
+        sounds: [],
+        pickups: [],
+        spawns: level.spawns.map(spawn => ({
+            id: spawn.id,
+            position: vec(spawn.position),
+            heading: (spawn.heading || 0) * Math.PI / 180
+        })),
+        terminals: level.terminals || {},
+        items: level.items || {},
+        objectives: (level.objectives || []).map(objective => ({
+            id: objective.id,
+            text: objective.text,
+            completeOn: { ...objective.completeOn }
+        })),
+        mapFloors: ((level.map && level.map.floors) || []).map(floor => ({
+            id: floor.id,
+            label: floor.label,
+            rooms: floor.rooms.slice(),
+            minY: floor.minY,
+            maxY: floor.maxY
+        })),
+        portals: (level.portals || []).map(portal => ({
+            id: portal.id || null,
+            rooms: portal.rooms.slice(),
+            door: portal.door || null,
+            ...toWorldBox({ center: vec(portal.position), size: vec(portal.size) }, { x: 0, y: 0, z: 0 })
+        }))
+    };
+
+    level.rooms.forEach((room, roomIndex) => {
+        const roomPosition = vec(room.position || [0, 0, 0]);
+        result.rooms.push({
+            id: room.id,
+            position: roomPosition,
+            bounds: null,
+            reverb: room.reverb ? { ...room.reverb } : null,
+            outdoor: Boolean(room.outdoor)
+        });
+
+        const source = (list, index) => ({ room: roomIndex, list, index });
+
+        function pushBox(local, element, kind, shadowDefaults, from, index) {
+            result.boxes.push({
+                id: element.id ? (index === undefined ? element.id : `${element.id}.${index}`) : null,
+                kind,
+                roomId: room.id,
+                material: element.material,
+                localCenter: local.center,
+                ...toWorldBox(local, roomPosition),
+                solid: element.solid !== false,
+                castShadow: element.castShadow !== undefined ? element.castShadow : shadowDefaults.cast,
+                receiveShadow: element.receiveShadow !== undefined ? element.receiveShadow : shadowDefaults.receive,
+                prop: kind === 'prop' ? element : null,
+                mass: kind === 'prop' && element.mass !== undefined ? element.mass : null,
+                breakable: kind === 'wall' && element.breakable ? { ...element.breakable } : null,
+                source: from
+            });
+        }
+
+        (room.floors || []).forEach((floor, index) => {
+            pushBox({ center: vec(floor.position), size: vec(floor.size) }, floor, 'floor', {
+                cast: false,
+                receive: true
+            }, source('floors', index));
+        });
+
+        (room.walls || []).forEach((wall, index) => {
+            const expanded = expandWall(wall);
+            expanded.boxes.forEach((local, i) => {
+                pushBox(local, wall, 'wall', { cast: true, receive: true }, source('walls', index),
+                    expanded.boxes.length > 1 ? i : undefined);
+            });
+            expanded.openings.forEach(opening => {
+                result.openings.push({
+                    id: opening.id || null,
+                    roomId: room.id,
+                    wallId: wall.id || null,
+                    ...toWorldBox(opening, roomPosition)
+                });
+            });
+        });
+
+        (room.stairs || []).forEach((stairs, index) => {
+            expandStairs(stairs).forEach((local, i) => {
+                pushBox(local, stairs, 'stairs', { cast: true, receive: true }, source('stairs', index), i);
+            });
+        });
+
+        (room.props || []).forEach((prop, index) => {
+            pushBox({ center: vec(prop.position), size: vec(prop.size) }, prop, 'prop', {
+                cast: true,
+                receive: true
+            }, source('props', index));
+        });
+
+        (room.doors || []).forEach((door, index) => {
+            const localCenter = vec(door.position);
+            result.doors.push({
+                ...door,
+                roomId: room.id,
+                localCenter,
+                center: addVec(localCenter, roomPosition),
+                size: vec(door.size),
+                openOffset: vec(door.openOffset),
+                castShadow: door.castShadow !== undefined ? door.castShadow : true,
+                receiveShadow: door.receiveShadow !== undefined ? door.receiveShadow : true,
+                source: source('doors', index)
+            });
+        });
+
+        (room.lights || []).forEach((light, index) => {
+            const localPosition = vec(light.position);
+            result.lights.push({
+                ...light,
+                roomId: room.id,
+                localPosition,
+                position: addVec(localPosition, roomPosition),
+                target: light.target ? addVec(vec(light.target), roomPosition) : null,
+                source: source('lights', index)
+            });
+        });
+
+        (room.checkpoints || []).forEach(checkpoint => {
+            result.checkpoints.push({
+                id: checkpoint.id,
+                roomId: room.id,
+                label: checkpoint.label || checkpoint.id,
+                ...toWorldBox({ center: vec(checkpoint.position), size: vec(checkpoint.size) }, roomPosition)
+            });
+        });
+
+        (room.enemies || []).forEach(enemy => {
+            const tuning = {};
+            ENEMY_TUNING.forEach(key => {
+                if (enemy[key] !== undefined) tuning[key] = enemy[key];
+            });
+            result.enemies.push({
+                id: enemy.id,
+                roomId: room.id,
+                position: addVec(vec(enemy.position), roomPosition),
+                heading: (enemy.heading || 0) * Math.PI / 180,
+                waypoints: (enemy.waypoints || []).map(waypoint => addVec(vec(waypoint), roomPosition)),
+                tuning
+            });
+        });
+
+        (room.sounds || []).forEach(sound => {
+            result.sounds.push({
+                id: sound.id || null,
+                roomId: room.id,
+                sound: sound.sound,
+                position: addVec(vec(sound.position), roomPosition),
+                volume: sound.volume !== undefined ? sound.volume : 1,
+                distance: sound.distance !== undefined ? sound.distance : 5
+            });
+        });
+
+        (room.pickups || []).forEach((pickup, index) => {
+            const local = {
+                center: vec(pickup.position),
+                size: vec(level.items[pickup.item].mesh.size)
+            };
+            result.pickups.push({
+                id: pickup.id,
+                roomId: room.id,
+                item: pickup.item,
+                count: pickup.count || 1,
+                localCenter: local.center,
+                ...toWorldBox(local, roomPosition),
+                source: source('pickups', index)
+            });
+        });
+    });
+
+    result.rooms.forEach(room => {
+        result.boxes.forEach(box => {
+            if (box.roomId !== room.id) return;
+            if (!room.bounds) {
+                room.bounds = { min: { ...box.min }, max: { ...box.max } };
+                return;
+            }
+            ['x', 'y', 'z'].forEach(axis => {
+                room.bounds.min[axis] = Math.min(room.bounds.min[axis], box.min[axis]);
+                room.bounds.max[axis] = Math.max(room.bounds.max[axis], box.max[axis]);
+            });
+        });
+    });
+
+    return result;
+}
@@ -0,0 +1,466 @@
+// DOM menus for each game state: loading, title, pause, game over and a
+// settings panel reachable from the title and pause menus. Other systems add
+// their own settings sections; each item edits one key of the settings store.
+
+import {
+    describeKey
+} from './input.js';
+
+const styles = `
+.menu-screen {
+    position: fixed;
+    inset: 0;
+    z-index: 3000;
+    display: none;
+    flex-direction: column;
+    justify-content: center;
+    align-items: center;
+    gap: 16px;
+    padding: 24px;
+    box-sizing: border-box;
+    background-color: rgba(0, 0, 0, 0.8);
+    color: white;
+    font-family: sans-serif;
+    text-align: center;
+}
+
+.menu-screen.visible {
+    display: flex;
+}
+
+.menu-screen h1 {
+    margin: 0 0 8px;
+    font-size: clamp(36px, 9vmin, 72px);
+    letter-spacing: 0.2em;
+    text-transform: uppercase;
+    text-shadow: 0 0 24px rgba(120, 60, 255, 0.8);
+}
+
+.menu-screen p {
+    margin: 0;
+    max-width: 40em;
+    color: rgba(255, 255, 255, 0.75);
+}
+
+.menu-buttons {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    min-width: 220px;
+}
+
+.menu-button {
+    padding: 12px 24px;
+    border: 1px solid rgba(255, 255, 255, 0.25);
+    border-radius: 6px;
+    background-color: rgba(40, 20, 70, 0.8);
+    color: white;
+    font-size: 18px;
+    cursor: pointer;
+    transition: background-color 0.15s, transform 0.1s;
+}
+
+.menu-button:hover,
+.menu-button:focus-visible {
+    background-color: rgba(90, 50, 160, 0.9);
+    outline: none;
+}
+
+.menu-button:active {
+    transform: scale(0.97);
+}
+
+.menu-progress {
+    width: min(320px, 70vw);
+    height: 6px;
+    border-radius: 3px;
+    background-color: rgba(255, 255, 255, 0.15);
+    overflow: hidden;
+}
+
+.menu-progress-bar {
+    width: 0;
+    height: 100%;
+    background-color: #8a5cff;
+    transition: width 0.2s;
+}
+
+.menu-error {
+    color: #ff7070 !important;
+}
+
+.menu-warnings {
+    margin: 0;
+    padding: 0;
+    list-style: none;
+    max-height: 30vh;
+    overflow-y: auto;
+    color: #ffb070;
+    font-size: 14px;
+}
+
+/* Settings panel */
+.settings-panel {
+    width: min(560px, 100%);
+    max-height: 70vh;
+    overflow-y: auto;
+    text-align: left;
+}
+
+.settings-section h2 {
+    margin: 16px 0 8px;
+    font-size: 16px;
+    text-transform: uppercase;
+    letter-spacing: 0.1em;
+    color: rgba(255, 255, 255, 0.6);
+}
+
+.settings-row {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 16px;
+    padding: 6px 0;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+}
+
+.settings-row input[type="range"] {
+    width: 160px;
+}
+
+.settings-row select,
+.settings-row .settings-key {
+    min-width: 120px;
+    padding: 4px 8px;
+    border: 1px solid rgba(255, 255, 255, 0.25);
+    border-radius: 4px;
+    background-color: rgba(40, 20, 70, 0.8);
+    color: white;
+    font-size: 14px;
+    cursor: pointer;
+}
+
+.settings-value {
+    display: inline-block;
+    min-width: 3em;
+    text-align: right;
+    color: rgba(255, 255, 255, 0.6);
+    font-size: 13px;
+}
+
+@media (max-height: 500px) {
+    .menu-screen {
+        gap: 8px;
+    }
+
+    .menu-screen h1 {
+        font-size: 32px;
+    }
+
+    .menu-button {
+        padding: 8px 16px;
+        font-size: 16px;
+    }
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('menuStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'menuStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+export function createMenus(settings, options = {}) {
+    injectStyles();
+    const parent = options.parent || document.body;
+    const screens = {};
+    const settingsSections = [];
+    const backHandlers = {};
+    let visible = null;
+    let settingsReturn = null;
+
+    function createScreen(name) {
+        const element = document.createElement('div');
+        element.className = 'menu-screen';
+        element.id = `${name}Menu`;
+        parent.appendChild(element);
+        screens[name] = element;
+        return element;
+    }
+
+    // Menu screens: heading, optional text and a column of buttons. onBack
+    // runs when the gamepad back button is pressed on the screen.
+    function defineScreen(name, { heading, text = '', buttons = [], onBack = null }) {
+        const element = screens[name] || createScreen(name);
+        backHandlers[name] = onBack;
+        element.innerHTML = '';
+        const title = document.createElement('h1');
+        title.textContent = heading;
+        element.appendChild(title);
+        const paragraph = document.createElement('p');
+        paragraph.className = 'menu-text';
+        paragraph.textContent = text;
+        element.appendChild(paragraph);
+        const column = document.createElement('div');
+        column.className = 'menu-buttons';
+        buttons.forEach(definition => {
+            const button = document.createElement('button');
+            button.className = 'menu-button';
+            button.textContent = definition.label;
+            if (definition.id) button.id = definition.id;
+            button.addEventListener('click', definition.onClick);
+            column.appendChild(button);
+        });
+        element.appendChild(column);
+        return element;
+    }
+
+    function setText(name, text) {
+        const paragraph = screens[name] && screens[name].querySelector('.menu-text');
+        if (paragraph) paragraph.textContent = text;
+    }
+
+    function setButtonVisible(id, shown) {
+        const button = document.getElementById(id);
+        if (button) button.style.display = shown ? '' : 'none';
+    }
+
+    // Show one screen (or none) and focus its first button for keyboard and
+    // gamepad navigation
+    function show(name) {
+        Object.keys(screens).forEach(key => screens[key].classList.toggle('visible', key === name));
+        visible = name;
+        if (name && screens[name]) {
+            const first = screens[name].querySelector('button:not([style*="display: none"]), select, input');
+            if (first) first.focus({
+                preventScroll: true
+            });
+        }
+    }
+
+    // Loading screen
+    const loading = createScreen('loading');
+    loading.innerHTML = `
+        <p class="menu-loading-text">Loading... 0%</p>
+        <div class="menu-progress"><div class="menu-progress-bar"></div></div>
+        <ul class="menu-warnings"></ul>
+        <div class="menu-buttons"></div>
+    `;
+    const loadingText = loading.querySelector('.menu-loading-text');
+    const loadingBar = loading.querySelector('.menu-progress-bar');
+    const loadingWarnings = loading.querySelector('.menu-warnings');
+    const loadingButtons = loading.querySelector('.menu-buttons');
+
+    function setLoadingProgress(percent) {
+        loadingText.textContent = `Loading... ${percent.toFixed(0)}%`;
+        loadingBar.style.width = `${percent}%`;
+    }
+
+    function setLoadingError(message) {
+        loadingText.textContent = message;
+        loadingText.classList.add('menu-error');
+    }
+
+    // Things that failed to load but that the game can do without: list them
+    // and wait for the player to carry on
+    function setLoadingWarnings(messages, onContinue) {
+        loadingText.textContent = 'Some files could not be loaded; stand-ins are used instead.';
+        loadingWarnings.innerHTML = '';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            loadingWarnings.appendChild(item);
+        });
+        loadingButtons.innerHTML = '';
+        const button = document.createElement('button');
+        button.className = 'menu-button';
+        button.textContent = 'Continue';
+        button.addEventListener('click', onContinue);
+        loadingButtons.appendChild(button);
+        if (visible === 'loading') button.focus({
+            preventScroll: true
+        });
+    }
+
+    // =========================
+    // Settings
+    // =========================
+
+    // section: { title, items: [item] } where item is one of
+    //   { type: 'range', key, label, min, max, step, format }
+    //   { type: 'toggle', key, label }
+    //   { type: 'select', key, label, options: [{ value, label }] }
+    //   { type: 'button', label, text, onClick }
+    //   { type: 'keybindings', input, actions: [{ action, label }] }
+    function addSettingsSection(section) {
+        settingsSections.push(section);
+        if (visible === 'settings') renderSettings();
+    }
+
+    function settingsRow(label) {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+        return row;
+    }
+
+    function renderItem(item) {
+        if (item.type === 'keybindings') {
+            return item.actions.map(({ action, label }) => {
+                const row = settingsRow(label);
+                const button = document.createElement('button');
+                button.className = 'settings-key';
+                const refresh = () => {
+                    button.textContent = item.input.actions[action].keys.map(describeKey).join(' / ') || 'Unbound';
+                };
+                refresh();
+                button.addEventListener('click', () => {
+                    button.textContent = 'Press a key...';
+                    item.input.captureNextKey()
+                        .then(code => {
+                            item.input.rebind(action, code);
+                            renderSettings();
+                        })
+                        .catch(refresh);
+                });
+                row.appendChild(button);
+                return row;
+            });
+        }
+
+        const row = settingsRow(item.label);
+        if (item.type === 'range') {
+            const value = document.createElement('span');
+            value.className = 'settings-value';
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = item.min;
+            slider.max = item.max;
+            slider.step = item.step || 'any';
+            slider.value = settings.get(item.key);
+            const format = item.format || (v => String(v));
+            value.textContent = format(settings.get(item.key));
+            slider.addEventListener('input', () => {
+                settings.set(item.key, Number(slider.value));
+                value.textContent = format(settings.get(item.key));
+            });
+            const wrapper = document.createElement('span');
+            wrapper.append(slider, value);
+            row.appendChild(wrapper);
+        } else if (item.type === 'toggle') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = settings.get(item.key);
+            checkbox.addEventListener('change', () => settings.set(item.key, checkbox.checked));
+            row.appendChild(checkbox);
+        } else if (item.type === 'select') {
+            const select = document.createElement('select');
+            item.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = String(option.value);
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+            select.value = String(settings.get(item.key));
+            select.addEventListener('change', () => {
+                const option = item.options.find(o => String(o.value) === select.value);
+                settings.set(item.key, option.value);
+                if (item.rerender) renderSettings();
+            });
+            row.appendChild(select);
+        } else if (item.type === 'button') {
+            const button = document.createElement('button');
+            button.className = 'settings-key';
+            button.textContent = item.text || item.label;
+            button.addEventListener('click', () => {
+                item.onClick();
+                renderSettings();
+            });
+            row.appendChild(button);
+        }
+        return [row];
+    }
+
+    const settingsScreen = createScreen('settings');
+
+    function renderSettings() {
+        settingsScreen.innerHTML = '<h1>Settings</h1>';
+        const panel = document.createElement('div');
+        panel.className = 'settings-panel';
+        settingsSections.forEach(section => {
+            const element = document.createElement('div');
+            element.className = 'settings-section';
+            const heading = document.createElement('h2');
+            heading.textContent = section.title;
+            element.appendChild(heading);
+            section.items.forEach(item => renderItem(item).forEach(row => element.appendChild(row)));
+            panel.appendChild(element);
+        });
+        settingsScreen.appendChild(panel);
+        const back = document.createElement('button');
+        back.className = 'menu-button';
+        back.textContent = 'Back';
+        back.addEventListener('click', closeSettings);
+        const column = document.createElement('div');
+        column.className = 'menu-buttons';
+        column.appendChild(back);
+        settingsScreen.appendChild(column);
+    }
+
+    // Settings open over whichever menu is showing and return to it
+    function openSettings() {
+        settingsReturn = visible;
+        renderSettings();
+        show('settings');
+    }
+
+    function closeSettings() {
+        show(settingsReturn);
+        settingsReturn = null;
+    }
+
+    // Move focus between the visible screen's controls (gamepad d-pad)
+    function moveFocus(step) {
+        if (!visible) return;
+        const controls = Array.from(screens[visible].querySelectorAll('button, select, input'))
+            .filter(element => element.offsetParent !== null);
+        if (!controls.length) return;
+        const index = controls.indexOf(document.activeElement);
+        const next = controls[(index + step + controls.length) % controls.length];
+        next.focus();
+    }
+
+    function activateFocused() {
+        const element = document.activeElement;
+        if (element && visible && screens[visible].contains(element)) element.click();
+    }
+
+    function back() {
+        if (visible === 'settings') closeSettings();
+        else if (backHandlers[visible]) backHandlers[visible]();
+    }
+
+    return {
+        screens,
+        defineScreen,
+        setText,
+        setButtonVisible,
+        show,
+        setLoadingProgress,
+        setLoadingError,
+        setLoadingWarnings,
+        addSettingsSection,
+        openSettings,
+        closeSettings,
+        moveFocus,
+        activateFocused,
+        back,
+        get visible() {
+            return visible;
+        }
+    };
+}
@@ -0,0 +1,188 @@
+// Top-down minimap drawn from the level layout.
+// The level's map floors (see levelFormat.js) say which rooms are drawn
+// together and over which band of heights, so the ground floor, the floor
+// above and a side room can each have their own map. buildMinimapFloors()
+// sorts the level's boxes into those floors without touching the DOM;
+// createMinimap() paints each floor once to an offscreen canvas and draws the
+// area around the player, with doors, guards and the player's heading on top.
+// North (-z) is up.
+
+const PIXELS_PER_METRE = 4; // Resolution of the painted floors
+const DEFAULT_RANGE = 25; // Metres from the player to the edge of the map
+
+const COLORS = {
+    floor: 'rgba(150, 130, 200, 0.35)',
+    stairs: 'rgba(190, 170, 240, 0.5)',
+    stairEdge: 'rgba(255, 255, 255, 0.25)',
+    prop: 'rgba(255, 255, 255, 0.35)',
+    wall: 'rgba(235, 230, 255, 0.9)',
+    door: '#ffb347',
+    lockedDoor: '#ff4d4d',
+    player: '#ffffff',
+    enemy: {
+        idle: '#ff8800',
+        patrol: '#ff8800',
+        return: '#ff8800',
+        investigate: '#ffee00',
+        chase: '#ff0000',
+        attack: '#ff0000'
+    }
+};
+
+function rect(box) {
+    return {
+        minX: box.min.x,
+        maxX: box.max.x,
+        minZ: box.min.z,
+        maxZ: box.max.z
+    };
+}
+
+// Sort the layout's boxes and doors into its map floors:
+// [{ id, label, minY, maxY, roomBounds, bounds, floors, stairs, walls, props, doors }]
+// where every shape is an { minX, maxX, minZ, maxZ } rectangle and doors
+// are door ids.
+export function buildMinimapFloors(layout) {
+    return layout.mapFloors.map(floor => {
+        const rooms = new Set(floor.rooms);
+        const inBand = box => box.min.y < floor.maxY && box.max.y > floor.minY;
+        // Floors and steps belong to the floor their top is walked on
+        const walkedOn = box => box.max.y > floor.minY && box.max.y <= floor.maxY;
+        const boxes = layout.boxes.filter(box => rooms.has(box.roomId));
+
+        const result = {
+            id: floor.id,
+            label: floor.label,
+            minY: floor.minY,
+            maxY: floor.maxY,
+            roomBounds: layout.rooms
+                .filter(room => rooms.has(room.id) && room.bounds)
+                .map(room => rect(room.bounds)),
+            floors: boxes.filter(box => box.kind === 'floor' && walkedOn(box)).map(rect),
+            stairs: boxes.filter(box => box.kind === 'stairs' && walkedOn(box)).map(rect),
+            walls: boxes.filter(box => box.kind === 'wall' && inBand(box)).map(rect),
+            props: boxes.filter(box => box.kind === 'prop' && inBand(box)).map(rect),
+            doors: layout.doors
+                .filter(door => rooms.has(door.roomId) && door.center.y > floor.minY && door.center.y < floor.maxY)
+                .map(door => door.id)
+        };
+
+        const shapes = [...result.floors, ...result.stairs, ...result.walls, ...result.props];
+        result.bounds = shapes.length ? {
+            minX: Math.min(...shapes.map(shape => shape.minX)),
+            maxX: Math.max(...shapes.map(shape => shape.maxX)),
+            minZ: Math.min(...shapes.map(shape => shape.minZ)),
+            maxZ: Math.max(...shapes.map(shape => shape.maxZ))
+        } : null;
+        return result;
+    });
+}
+
+// The first floor whose height band and rooms hold the position, or null
+export function minimapFloorAt(floors, position) {
+    return floors.find(floor => {
+        if (position.y < floor.minY || position.y >= floor.maxY) return false;
+        return floor.roomBounds.some(bounds => position.x >= bounds.minX && position.x <= bounds.maxX &&
+            position.z >= bounds.minZ && position.z <= bounds.maxZ);
+    }) || null;
+}
+
+function paintFloor(floor) {
+    const bounds = floor.bounds;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil((bounds.maxX - bounds.minX) * PIXELS_PER_METRE);
+    canvas.height = Math.ceil((bounds.maxZ - bounds.minZ) * PIXELS_PER_METRE);
+    const context = canvas.getContext('2d');
+    context.scale(PIXELS_PER_METRE, PIXELS_PER_METRE);
+    context.translate(-bounds.minX, -bounds.minZ);
+
+    const fill = (shapes, color) => {
+        context.fillStyle = color;
+        shapes.forEach(shape => context.fillRect(shape.minX, shape.minZ, shape.maxX - shape.minX, shape.maxZ - shape.minZ));
+    };
+    fill(floor.floors, COLORS.floor);
+    fill(floor.stairs, COLORS.stairs);
+    // Each step gets an outline so a flight reads as stairs
+    context.strokeStyle = COLORS.stairEdge;
+    context.lineWidth = 1 / PIXELS_PER_METRE;
+    floor.stairs.forEach(shape => context.strokeRect(shape.minX, shape.minZ, shape.maxX - shape.minX, shape.maxZ - shape.minZ));
+    fill(floor.props, COLORS.prop);
+    fill(floor.walls, COLORS.wall);
+    return canvas;
+}
+
+// options: { range } in metres from the player to the edge of the map
+export function createMinimap(floors, options = {}) {
+    const range = options.range || DEFAULT_RANGE;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'minimap';
+    const context = canvas.getContext('2d');
+    const painted = new Map(); // floor id -> canvas, painted on first view
+
+    function fitCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+    }
+
+    // view: { floor, position, yaw, doors, enemies } where doors are the door
+    // system's doors and enemies the simulation's. Returns the floor drawn.
+    function draw({ floor, position, yaw, doors = new Map(), enemies = [] }) {
+        fitCanvas();
+        const { width, height } = canvas;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, width, height);
+        if (!floor || !floor.bounds || width === 0) return floor;
+
+        // World metres to canvas pixels, centred on the player
+        const scale = Math.min(width, height) / (range * 2);
+        context.setTransform(scale, 0, 0, scale, width / 2 - position.x * scale, height / 2 - position.z * scale);
+
+        if (!painted.has(floor.id)) painted.set(floor.id, paintFloor(floor));
+        const bounds = floor.bounds;
+        context.drawImage(painted.get(floor.id), bounds.minX, bounds.minZ, bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+
+        // Open doors leave a gap; doors the player cannot use pass for wall,
+        // so secret passages stay secret
+        floor.doors.forEach(id => {
+            const door = doors.get(id);
+            if (!door || door.progress === 1) return;
+            const size = door.definition.size;
+            if (!door.definition.usable) context.fillStyle = COLORS.wall;
+            else context.fillStyle = door.locked ? COLORS.lockedDoor : COLORS.door;
+            context.fillRect(door.center.x - size.x / 2, door.center.z - size.z / 2, size.x, size.z);
+        });
+
+        enemies.forEach(enemy => {
+            const at = enemy.body.position;
+            if (at.y < floor.minY || at.y >= floor.maxY) return;
+            context.fillStyle = COLORS.enemy[enemy.state] || COLORS.enemy.idle;
+            context.beginPath();
+            context.arc(at.x, at.z, 0.8, 0, Math.PI * 2);
+            context.fill();
+        });
+
+        // The player's arrow points where they face
+        context.translate(position.x, position.z);
+        context.rotate(-yaw);
+        context.fillStyle = COLORS.player;
+        context.beginPath();
+        context.moveTo(0, -1.6);
+        context.lineTo(1, 1.1);
+        context.lineTo(0, 0.5);
+        context.lineTo(-1, 1.1);
+        context.closePath();
+        context.fill();
+        return floor;
+    }
+
+    return {
+        element: canvas,
+        floors,
+        draw
+    };
+}
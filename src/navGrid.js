@@ -0,0 +1,314 @@
+// Navigation grid for ground-bound characters.
+// Walkable surfaces (the tops of floors and stairs) are sampled into square
+// cells; a cell becomes a node when a character standing on it fits between
+// the colliders of the collision world. Nodes keep their height, so several
+// storeys can stack over the same cell, and link to the eight cells around
+// them when the height difference is small enough to climb. Pure data and
+// maths, so paths can be planned and checked in Node.
+
+export const NAV_DEFAULTS = {
+    cellSize: 1,
+    agentRadius: 0.4,
+    agentHeight: 1.8,
+    stepHeight: 0.5, // Obstacles up to this high are stepped onto, not walked around
+    maxClimb: 1 // Height difference between neighbouring cells; a stair flight climbs several treads per cell
+};
+
+const NEIGHBOUR_OFFSETS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// Binary heap of node ids ordered by score, for A*
+function createHeap(score) {
+    const items = [];
+
+    function push(item) {
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (score(items[parent]) <= score(items[i])) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    function pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && score(items[left]) < score(items[smallest])) smallest = left;
+                if (right < items.length && score(items[right]) < score(items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    return {
+        push,
+        pop,
+        get size() {
+            return items.length;
+        }
+    };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// surfaces: [{ min, max }] boxes whose tops can be walked on.
+// options.blocks(collider) decides which colliders count as obstacles while
+// building; leave out moving things such as doors and check those per path.
+export function createNavGrid(world, surfaces, options = {}) {
+    const settings = { ...NAV_DEFAULTS, ...options };
+    const { cellSize, agentRadius, agentHeight, stepHeight, maxClimb } = settings;
+    const blocks = options.blocks || (() => true);
+    const nodes = [];
+    const columns = new Map(); // "ix,iz" -> nodes sorted by height
+
+    const columnKey = (ix, iz) => `${ix},${iz}`;
+
+    // The space a character standing at a point needs, above anything low
+    // enough to step onto
+    function agentBox(x, y, z) {
+        return {
+            min: { x: x - agentRadius, y: y + stepHeight, z: z - agentRadius },
+            max: { x: x + agentRadius, y: y + agentHeight, z: z + agentRadius }
+        };
+    }
+
+    function fits(x, y, z) {
+        return world.query(agentBox(x, y, z)).every(collider => !blocks(collider));
+    }
+
+    function addNode(ix, iz, y) {
+        const key = columnKey(ix, iz);
+        const column = columns.get(key) || [];
+        // Overlapping surfaces (a floor under a stair tread) share the top one
+        const existing = column.find(node => Math.abs(node.y - y) < maxClimb);
+        if (existing) {
+            if (y > existing.y) existing.y = y;
+            return;
+        }
+        const node = {
+            id: nodes.length,
+            ix,
+            iz,
+            x: (ix + 0.5) * cellSize,
+            y,
+            z: (iz + 0.5) * cellSize,
+            neighbours: []
+        };
+        nodes.push(node);
+        column.push(node);
+        column.sort((a, b) => a.y - b.y);
+        columns.set(key, column);
+    }
+
+    surfaces.forEach(surface => {
+        const top = surface.max.y;
+        const fromX = Math.floor(surface.min.x / cellSize);
+        const toX = Math.ceil(surface.max.x / cellSize) - 1;
+        const fromZ = Math.floor(surface.min.z / cellSize);
+        const toZ = Math.ceil(surface.max.z / cellSize) - 1;
+        for (let ix = fromX; ix <= toX; ix++) {
+            const x = (ix + 0.5) * cellSize;
+            if (x < surface.min.x || x > surface.max.x) continue;
+            for (let iz = fromZ; iz <= toZ; iz++) {
+                const z = (iz + 0.5) * cellSize;
+                if (z < surface.min.z || z > surface.max.z) continue;
+                if (fits(x, top, z)) addNode(ix, iz, top);
+            }
+        }
+    });
+
+    // The node in a cell reachable from the given height, if any
+    function nodeInCell(ix, iz, y) {
+        const column = columns.get(columnKey(ix, iz));
+        if (!column) return null;
+        let best = null;
+        column.forEach(node => {
+            if (Math.abs(node.y - y) > maxClimb) return;
+            if (!best || Math.abs(node.y - y) < Math.abs(best.y - y)) best = node;
+        });
+        return best;
+    }
+
+    // Slide a character's box from one node to the next, stepping onto
+    // anything low enough and dropping onto what is underneath, the way the
+    // character controller moves. Used for links that change height, where
+    // the cell centres alone do not show whether the climb is possible
+    // (walking onto a flight of stairs from the side, for example).
+    function canStep(from, to) {
+        const length = Math.hypot(to.x - from.x, to.z - from.z);
+        const samples = Math.max(1, Math.ceil(length / (cellSize / 10)));
+        let y = from.y;
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            const x = from.x + (to.x - from.x) * t;
+            const z = from.z + (to.z - from.z) * t;
+            const body = {
+                min: { x: x - agentRadius, y: y, z: z - agentRadius },
+                max: { x: x + agentRadius, y: y + agentHeight, z: z + agentRadius }
+            };
+            const inTheWay = world.query(body).filter(blocks);
+            if (inTheWay.length > 0) {
+                const top = Math.max(...inTheWay.map(collider => collider.max.y));
+                if (top - y > stepHeight + 1e-3) return false;
+                y = top;
+                body.min.y = y;
+                body.max.y = y + agentHeight;
+                if (world.query(body).some(blocks)) return false;
+            }
+            const below = world.query({
+                min: { x: body.min.x, y: y - maxClimb, z: body.min.z },
+                max: { x: body.max.x, y: y, z: body.max.z }
+            }).filter(blocks);
+            if (below.length === 0) return false;
+            y = Math.max(...below.map(collider => collider.max.y));
+        }
+        return Math.abs(y - to.y) <= stepHeight;
+    }
+
+    nodes.forEach(node => {
+        NEIGHBOUR_OFFSETS.forEach(([dx, dz]) => {
+            const neighbour = nodeInCell(node.ix + dx, node.iz + dz, node.y);
+            if (!neighbour) return;
+            if (Math.abs(neighbour.y - node.y) > 0.01 && !canStep(node, neighbour)) return;
+            // No cutting corners past walls on diagonals
+            if (dx !== 0 && dz !== 0 &&
+                (!nodeInCell(node.ix + dx, node.iz, node.y) || !nodeInCell(node.ix, node.iz + dz, node.y))) {
+                return;
+            }
+            node.neighbours.push(neighbour.id);
+        });
+    });
+
+    // The node under a world position: the highest one the point stands on
+    // or just above, searching outwards a couple of cells if needed
+    function nearestNode(position, searchRadius = 2) {
+        const cx = Math.floor(position.x / cellSize);
+        const cz = Math.floor(position.z / cellSize);
+        let best = null;
+        let bestDistance = Infinity;
+        for (let radius = 0; radius <= searchRadius && !best; radius++) {
+            for (let ix = cx - radius; ix <= cx + radius; ix++) {
+                for (let iz = cz - radius; iz <= cz + radius; iz++) {
+                    if (Math.max(Math.abs(ix - cx), Math.abs(iz - cz)) !== radius) continue;
+                    const column = columns.get(columnKey(ix, iz));
+                    if (!column) continue;
+                    column.forEach(node => {
+                        if (node.y > position.y + maxClimb) return;
+                        const d = distance(node, position);
+                        if (d < bestDistance) {
+                            best = node;
+                            bestDistance = d;
+                        }
+                    });
+                }
+            }
+        }
+        return best;
+    }
+
+    // Whether a character could walk straight from a to b across level
+    // ground without leaving the grid. Climbs and drops are left to the
+    // links between cells, which have been checked step by step.
+    function canWalk(a, b) {
+        if (Math.abs(a.y - b.y) > 0.01) return false;
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        const samples = Math.max(1, Math.ceil(length / (cellSize / 4)));
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            const node = nodeInCell(
+                Math.floor((a.x + (b.x - a.x) * t) / cellSize),
+                Math.floor((a.z + (b.z - a.z) * t) / cellSize),
+                a.y
+            );
+            if (!node || Math.abs(node.y - a.y) > 0.01) return false;
+        }
+        return true;
+    }
+
+    // Drop waypoints that can be skipped by walking straight past them
+    function smoothPath(points) {
+        if (points.length <= 2) return points;
+        const smoothed = [points[0]];
+        let anchor = 0;
+        while (anchor < points.length - 1) {
+            let next = anchor + 1;
+            for (let j = points.length - 1; j > next; j--) {
+                if (canWalk(points[anchor], points[j])) {
+                    next = j;
+                    break;
+                }
+            }
+            smoothed.push(points[next]);
+            anchor = next;
+        }
+        return smoothed;
+    }
+
+    // A* between two world positions. Returns the waypoints to walk through
+    // (ending at the goal's node) or null when there is no way there.
+    // options.blocked(node) can rule out nodes for this search only, such as
+    // cells behind a closed door.
+    function findPath(from, to, { blocked = null, smooth = true, maxNodes = 20000 } = {}) {
+        const start = nearestNode(from);
+        const goal = nearestNode(to);
+        if (!start || !goal) return null;
+        if (start === goal) return [{ x: goal.x, y: goal.y, z: goal.z }];
+
+        const cost = new Map([[start.id, 0]]);
+        const estimate = new Map([[start.id, distance(start, goal)]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = createHeap(id => estimate.get(id));
+        open.push(start.id);
+
+        while (open.size > 0 && closed.size < maxNodes) {
+            const current = open.pop();
+            if (closed.has(current)) continue;
+            if (current === goal.id) {
+                const points = [];
+                for (let id = current; id !== undefined; id = cameFrom.get(id)) {
+                    points.unshift({ x: nodes[id].x, y: nodes[id].y, z: nodes[id].z });
+                }
+                return smooth ? smoothPath(points) : points;
+            }
+            closed.add(current);
+            const node = nodes[current];
+            node.neighbours.forEach(id => {
+                if (closed.has(id)) return;
+                const neighbour = nodes[id];
+                if (blocked && id !== goal.id && blocked(neighbour)) return;
+                const tentative = cost.get(current) + distance(node, neighbour);
+                if (cost.has(id) && tentative >= cost.get(id)) return;
+                cost.set(id, tentative);
+                cameFrom.set(id, current);
+                estimate.set(id, tentative + distance(neighbour, goal));
+                open.push(id);
+            });
+        }
+        return null;
+    }
+
+    return {
+        settings,
+        nodes,
+        nearestNode,
+        canWalk,
+        findPath
+    };
+}
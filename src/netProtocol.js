@@ -0,0 +1,94 @@
+// Messages between the game and the co-op server (server/server.js).
+// Every message is a JSON object with a `type`:
+//
+//   client -> server
+//     hello { protocol, level }         first message; level must match the server's
+//     input { seq, forward, strafe, run, jump, yaw, pitch }   one per simulation tick
+//     teleport { seq, position, yaw }   the player was moved, e.g. by loading a save
+//     door { id, open, locked }         a door changed on this client
+//
+//   server -> client
+//     welcome { id, level, tickRate, players, doors }
+//     snapshot { time, ack, players: [player state] }   ack: last input seq applied
+//     joined { id } / left { id }
+//     door { id, open, locked }         a door changed on another client, or how it
+//                                       really is after this client's change was refused
+//     error { message }                 sent before the server hangs up
+//
+// Nothing here depends on the DOM or Node, so both sides share it.
+
+export const NET_PROTOCOL = 1;
+
+export const NET_DEFAULTS = {
+    port: 8080,
+    path: '/net',
+    snapshotRate: 20, // Snapshots sent per second
+    maxPendingInputs: 120 // Inputs queued per player before the oldest are dropped
+};
+
+export class NetProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NetProtocolError';
+    }
+}
+
+export function encodeMessage(message) {
+    return JSON.stringify(message);
+}
+
+// Parse a message, throwing NetProtocolError when it is not one
+export function decodeMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        throw new NetProtocolError(`Malformed message: ${error.message}`);
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        throw new NetProtocolError('Message without a type');
+    }
+    return message;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+const roundVec = vector => ({
+    x: round(vector.x),
+    y: round(vector.y),
+    z: round(vector.z)
+});
+
+// Everything prediction needs to pick up from where the server left a player
+export function playerState(player) {
+    return {
+        position: roundVec(player.position),
+        velocity: roundVec(player.velocity),
+        yaw: round(player.yaw),
+        pitch: round(player.pitch),
+        onGround: player.onGround,
+        stamina: round(player.stamina),
+        winded: player.winded
+    };
+}
+
+export function applyPlayerState(player, state) {
+    Object.assign(player.position, state.position);
+    Object.assign(player.velocity, state.velocity);
+    player.onGround = state.onGround;
+    player.stamina = state.stamina;
+    player.winded = state.winded;
+}
+
+// One tick of controls as sent to the server, with the view it was taken at
+export function inputCommand(seq, controls, player) {
+    return {
+        type: 'input',
+        seq,
+        forward: controls.forward,
+        strafe: controls.strafe,
+        run: Boolean(controls.run),
+        jump: Boolean(controls.jump),
+        yaw: round(player.yaw),
+        pitch: round(player.pitch)
+    };
+}
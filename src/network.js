@@ -0,0 +1,313 @@
+// Co-op networking for the game client.
+// The server (server/server.js) owns every player's position. Each tick this
+// client sends the controls it fed its own simulation and keeps them until
+// the server says it has applied them; every snapshot resets the local
+// player to the server's state and replays the inputs still in flight, so
+// movement responds at once but never drifts from the server. Other players
+// are drawn a little in the past, interpolated between the two snapshots
+// around that moment. Doors opened or closed on one client are passed on to
+// the rest.
+//
+// Announces 'net:connected' { id }, 'net:disconnected' { reason },
+// 'net:player-joined' { id }, 'net:player-left' { id } and 'net:error'
+// { message } on the simulation's event bus.
+
+import {
+    NET_PROTOCOL,
+    encodeMessage,
+    decodeMessage,
+    playerState,
+    applyPlayerState,
+    inputCommand
+} from './netProtocol.js';
+
+export const NETWORK_DEFAULTS = {
+    interpolationDelay: 0.1, // Seconds other players are drawn behind the latest snapshot
+    snapshotBuffer: 30, // Snapshots kept per remote player
+    maxPendingInputs: 180 // Unacknowledged inputs kept for replay
+};
+
+// sim comes from simulation.js. options: { url, level (the level name the
+// server must be running), createSocket(url) returning a WebSocket-like
+// object (the browser's WebSocket by default), now() in seconds } plus
+// NETWORK_DEFAULTS overrides
+export function createNetworkClient(sim, options = {}) {
+    const settings = { ...NETWORK_DEFAULTS, ...options };
+    const createSocket = options.createSocket || (url => new WebSocket(url));
+    const now = options.now || (() => performance.now() / 1000);
+    const player = sim.player;
+
+    const client = {
+        settings,
+        id: null,
+        connected: false,
+        remotes: new Map(), // id -> { id, snapshots: [{ time, state }] }
+        correction: 0 // How far the last snapshot moved the predicted player, in metres
+    };
+
+    let socket = null;
+    let seq = 0;
+    let pending = []; // Inputs sent but not yet applied by the server
+    let teleportSeq = 0; // Snapshots from before the last teleport are stale
+    let clockOffset = null; // Server time minus local time, smoothed
+    const sharedDoors = new Map(); // Door id -> { open, locked } as last agreed
+
+    function send(message) {
+        if (socket && client.connected) socket.send(encodeMessage(message));
+    }
+
+    function connect() {
+        if (socket) return;
+        socket = createSocket(options.url);
+        socket.onopen = () => {
+            socket.send(encodeMessage({
+                type: 'hello',
+                protocol: NET_PROTOCOL,
+                level: options.level
+            }));
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = decodeMessage(event.data);
+            } catch (error) {
+                console.warn('Ignoring server message', error);
+                return;
+            }
+            handleMessage(message);
+        };
+        socket.onclose = (event) => {
+            const wasConnected = client.connected;
+            socket = null;
+            client.connected = false;
+            client.id = null;
+            client.remotes.clear();
+            pending = [];
+            if (wasConnected) {
+                sim.emit({
+                    type: 'net:disconnected',
+                    reason: event && event.reason || ''
+                });
+            }
+        };
+        socket.onerror = () => {
+            sim.emit({
+                type: 'net:error',
+                message: `Could not reach the server at ${options.url}`
+            });
+        };
+    }
+
+    function disconnect() {
+        if (socket) socket.close(1000, 'Leaving');
+    }
+
+    // =========================
+    // Messages
+    // =========================
+
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                client.id = message.id;
+                client.connected = true;
+                message.players.forEach(state => {
+                    if (state.id === client.id) applyPlayerState(player, state);
+                    else addRemote(state.id);
+                });
+                applyDoors(message.doors);
+                sim.emit({
+                    type: 'net:connected',
+                    id: client.id
+                });
+                break;
+            case 'snapshot':
+                applySnapshot(message);
+                break;
+            case 'joined':
+                addRemote(message.id);
+                sim.emit({
+                    type: 'net:player-joined',
+                    id: message.id
+                });
+                break;
+            case 'left':
+                client.remotes.delete(message.id);
+                sim.emit({
+                    type: 'net:player-left',
+                    id: message.id
+                });
+                break;
+            case 'door':
+                applyDoors({
+                    [message.id]: message
+                });
+                break;
+            case 'error':
+                sim.emit({
+                    type: 'net:error',
+                    message: message.message
+                });
+                break;
+            default:
+                console.warn(`Unknown server message "${message.type}"`);
+        }
+    }
+
+    function addRemote(id) {
+        if (!client.remotes.has(id)) {
+            client.remotes.set(id, {
+                id,
+                snapshots: []
+            });
+        }
+        return client.remotes.get(id);
+    }
+
+    function applySnapshot(snapshot) {
+        const offset = snapshot.time - now();
+        clockOffset = clockOffset === null ? offset : clockOffset + (offset - clockOffset) * 0.1;
+
+        snapshot.players.forEach(state => {
+            if (state.id === client.id) {
+                if (snapshot.ack >= teleportSeq) reconcile(state, snapshot.ack);
+                return;
+            }
+            const remote = addRemote(state.id);
+            remote.snapshots.push({
+                time: snapshot.time,
+                state
+            });
+            if (remote.snapshots.length > settings.snapshotBuffer) remote.snapshots.shift();
+        });
+    }
+
+    // Take the server's word for where the player was, then replay what the
+    // server has not seen yet. The view and the interpolation start point are
+    // left alone so the correction does not jolt the camera.
+    function reconcile(state, ack) {
+        pending = pending.filter(input => input.seq > ack);
+        const previous = { ...player.previousPosition };
+        const predicted = { ...player.position };
+        const { yaw, pitch, onLand } = player;
+        player.onLand = null; // Replayed landings have already been heard
+        applyPlayerState(player, state);
+        pending.forEach(input => {
+            player.yaw = input.yaw;
+            player.update(sim.loop.dt, input);
+        });
+        player.yaw = yaw;
+        player.pitch = pitch;
+        player.onLand = onLand;
+        Object.assign(player.previousPosition, previous);
+        client.correction = Math.hypot(player.position.x - predicted.x, player.position.y - predicted.y,
+            player.position.z - predicted.z);
+    }
+
+    // =========================
+    // Doors
+    // =========================
+
+    function applyDoors(doors) {
+        Object.keys(doors).forEach(id => {
+            if (!sim.doors.doors.has(id)) return;
+            const { open, locked } = doors[id];
+            sharedDoors.set(id, { open, locked });
+            sim.doors.setLocked(id, locked);
+            if (open) sim.doors.open(id, { force: true });
+            else sim.doors.close(id);
+        });
+    }
+
+    // Pass on doors this client changed since they were last agreed
+    function sendDoorChanges() {
+        sim.doors.doors.forEach(door => {
+            const open = door.target === 1;
+            const shared = sharedDoors.get(door.id);
+            if (shared && shared.open === open && shared.locked === door.locked) return;
+            sharedDoors.set(door.id, { open, locked: door.locked });
+            send({
+                type: 'door',
+                id: door.id,
+                open,
+                locked: door.locked
+            });
+        });
+    }
+
+    // =========================
+    // Ticking
+    // =========================
+
+    // Runs just before the player each tick, so the input sent is the one the
+    // local simulation is about to use
+    sim.loop.register({
+        name: 'network',
+        priority: 9,
+        update: () => {
+            if (!client.connected) return;
+            seq++;
+            const input = inputCommand(seq, sim.controls, player);
+            send(input);
+            pending.push(input);
+            if (pending.length > settings.maxPendingInputs) pending.shift();
+            sendDoorChanges();
+        }
+    });
+
+    // The player was put somewhere new (a new game, a loaded save): tell the
+    // server, and put the doors back the way everyone else has them
+    function resync() {
+        if (!client.connected) return;
+        seq++;
+        teleportSeq = seq;
+        pending = [];
+        send({
+            type: 'teleport',
+            seq,
+            position: { ...player.position },
+            yaw: player.yaw
+        });
+        applyDoors(Object.fromEntries(sharedDoors));
+    }
+
+    // Other players as of interpolationDelay ago:
+    // [{ id, position, yaw, pitch }]
+    function remotePlayers() {
+        if (clockOffset === null) return [];
+        const time = now() + clockOffset - settings.interpolationDelay;
+        const result = [];
+        client.remotes.forEach(remote => {
+            const snapshots = remote.snapshots;
+            if (snapshots.length === 0) return;
+            let index = snapshots.findIndex(snapshot => snapshot.time > time);
+            if (index === -1) index = snapshots.length - 1; // Ran out: hold the latest
+            const to = snapshots[index];
+            const from = snapshots[Math.max(0, index - 1)];
+            const span = to.time - from.time;
+            const alpha = span > 0 ? Math.max(0, Math.min(1, (time - from.time) / span)) : 1;
+            const lerp = (a, b) => a + (b - a) * alpha;
+            // Turn the short way round
+            const turn = Math.atan2(Math.sin(to.state.yaw - from.state.yaw), Math.cos(to.state.yaw - from.state.yaw));
+            result.push({
+                id: remote.id,
+                position: {
+                    x: lerp(from.state.position.x, to.state.position.x),
+                    y: lerp(from.state.position.y, to.state.position.y),
+                    z: lerp(from.state.position.z, to.state.position.z)
+                },
+                yaw: from.state.yaw + turn * alpha,
+                pitch: lerp(from.state.pitch, to.state.pitch)
+            });
+        });
+        return result;
+    }
+
+    client.connect = connect;
+    client.disconnect = disconnect;
+    client.resync = resync;
+    client.remotePlayers = remotePlayers;
+    client.localState = () => playerState(player);
+    client.pendingInputs = () => pending.length;
+    return client;
+}
@@ -0,0 +1,80 @@
+// Objectives from the level file, tracked against game events.
+// Each objective completes when an event matching every field of its
+// completeOn block is emitted. They usually come in order, but one done early
+// still counts, so the current objective is simply the first one left.
+//
+// Announces 'objective:completed' { id, text } and, when there is a new one
+// to work on, 'objective:started' { id, text }.
+
+function matches(event, pattern) {
+    return Object.keys(pattern).every(key => event[key] === pattern[key]);
+}
+
+// objectives: the expanded level's [{ id, text, completeOn }]
+export function createObjectiveTracker(objectives, options = {}) {
+    const emit = options.emit || (() => {});
+    const completed = new Set();
+
+    function current() {
+        return objectives.find(objective => !completed.has(objective.id)) || null;
+    }
+
+    function complete(id) {
+        const objective = objectives.find(candidate => candidate.id === id);
+        if (!objective || completed.has(id)) return;
+        const wasCurrent = current() === objective;
+        completed.add(id);
+        emit({
+            type: 'objective:completed',
+            id: objective.id,
+            text: objective.text
+        });
+        const next = current();
+        if (wasCurrent && next) {
+            emit({
+                type: 'objective:started',
+                id: next.id,
+                text: next.text
+            });
+        }
+    }
+
+    function handleEvent(event) {
+        if (event.type.startsWith('objective:')) return;
+        objectives.forEach(objective => {
+            if (!completed.has(objective.id) && matches(event, objective.completeOn)) complete(objective.id);
+        });
+    }
+
+    // Watch every event on a bus
+    function listen(bus) {
+        return bus.on('*', handleEvent);
+    }
+
+    // Serialisable state, for saves: the ids done so far
+    function getState() {
+        return objectives.filter(objective => completed.has(objective.id)).map(objective => objective.id);
+    }
+
+    function setState(ids) {
+        completed.clear();
+        ids.forEach(id => {
+            if (objectives.some(objective => objective.id === id)) completed.add(id);
+        });
+    }
+
+    function reset() {
+        completed.clear();
+    }
+
+    return {
+        objectives,
+        completed,
+        current,
+        complete,
+        listen,
+        getState,
+        setState,
+        reset
+    };
+}
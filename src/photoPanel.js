@@ -0,0 +1,151 @@
+// Photo mode panel: sliders for the look of the shot and a button to save it
+// as a PNG. The panel only holds the values; whoever opens it applies them
+// to the camera and post-processing through options.onChange.
+
+export const PHOTO_DEFAULTS = {
+    fov: 60,
+    exposure: 0.8,
+    bloom: 0.5,
+    focus: 8, // Metres to the sharpest point
+    blur: 0 // Depth of field strength; 0 turns it off
+};
+
+const SLIDERS = [
+    { key: 'fov', label: 'Field of view', min: 20, max: 100, step: 1, format: value => `${value}°` },
+    { key: 'exposure', label: 'Exposure', min: 0.2, max: 2.5, step: 0.05, format: value => value.toFixed(2) },
+    { key: 'bloom', label: 'Bloom', min: 0, max: 2, step: 0.05, format: value => value.toFixed(2) },
+    { key: 'focus', label: 'Focus distance', min: 0.5, max: 40, step: 0.5, format: value => `${value} m` },
+    { key: 'blur', label: 'Depth of field', min: 0, max: 10, step: 0.5, format: value => value ? value.toFixed(1) : 'Off' }
+];
+
+const styles = `
+#photoPanel {
+    position: fixed;
+    top: 10px;
+    right: 10px;
+    z-index: 1800;
+    padding: 8px 10px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    font: 12px sans-serif;
+}
+
+#photoPanel h2 {
+    margin: 0 0 6px;
+    font-size: 14px;
+}
+
+#photoPanel label {
+    display: grid;
+    grid-template-columns: 90px 140px 40px;
+    align-items: center;
+    gap: 6px;
+    margin: 4px 0;
+}
+
+#photoPanel .photo-buttons {
+    display: flex;
+    gap: 6px;
+    margin-top: 8px;
+}
+
+#photoPanel .photo-hint {
+    margin-top: 6px;
+    opacity: 0.7;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('photoPanelStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'photoPanelStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+// options.onChange(values) runs after any slider moves, options.onSave(values)
+// when Save PNG is pressed and options.onClose when Back is pressed
+export function createPhotoPanel(options = {}) {
+    injectStyles();
+
+    const values = { ...PHOTO_DEFAULTS };
+    let startValues = { ...PHOTO_DEFAULTS }; // What Reset goes back to
+
+    const root = document.createElement('div');
+    root.id = 'photoPanel';
+    root.innerHTML = `
+        <h2>Photo Mode</h2>
+        <div class="photo-sliders"></div>
+        <div class="photo-buttons">
+            <button type="button" data-photo="save">Save PNG</button>
+            <button type="button" data-photo="reset">Reset</button>
+            <button type="button" data-photo="close">Back</button>
+        </div>
+        <div class="photo-hint">Drag to look, move to fly, jump and crouch to rise and sink</div>
+    `;
+    root.style.display = 'none';
+    (options.parent || document.body).appendChild(root);
+
+    const inputs = {};
+    SLIDERS.forEach(slider => {
+        const label = document.createElement('label');
+        label.innerHTML = `<span>${slider.label}</span><input type="range"><span></span>`;
+        const input = label.querySelector('input');
+        input.min = slider.min;
+        input.max = slider.max;
+        input.step = slider.step;
+        input.addEventListener('input', () => {
+            values[slider.key] = Number(input.value);
+            refresh();
+            if (options.onChange) options.onChange(values);
+        });
+        inputs[slider.key] = { input, readout: label.lastElementChild, slider };
+        root.querySelector('.photo-sliders').appendChild(label);
+    });
+
+    function refresh() {
+        Object.values(inputs).forEach(({ input, readout, slider }) => {
+            input.value = values[slider.key];
+            readout.textContent = slider.format(values[slider.key]);
+        });
+    }
+
+    // Keep the panel out of the way of game input
+    root.addEventListener('keydown', event => event.stopPropagation());
+
+    root.querySelector('[data-photo="save"]').addEventListener('click', () => {
+        if (options.onSave) options.onSave(values);
+    });
+    root.querySelector('[data-photo="reset"]').addEventListener('click', () => {
+        Object.assign(values, startValues);
+        refresh();
+        if (options.onChange) options.onChange(values);
+    });
+    root.querySelector('[data-photo="close"]').addEventListener('click', () => {
+        if (options.onClose) options.onClose();
+    });
+
+    // Show the panel starting from these values, e.g. the game's own
+    // exposure and bloom, which Reset then goes back to
+    function open(start = {}) {
+        startValues = { ...PHOTO_DEFAULTS, ...start };
+        Object.assign(values, startValues);
+        refresh();
+        root.style.display = '';
+    }
+
+    function close() {
+        root.style.display = 'none';
+        if (root.contains(document.activeElement)) document.activeElement.blur();
+    }
+
+    refresh();
+
+    return {
+        element: root,
+        values,
+        open,
+        close
+    };
+}
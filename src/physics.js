@@ -0,0 +1,793 @@
+// Rigid-body physics for loose props, thrown objects and the rubble of broken
+// walls. Dynamic bodies are boxes that slide, tumble and stack: a position,
+// an orientation quaternion and linear and angular velocity. Everything
+// static is whatever the collision world holds (floors, walls, doors), and
+// each body keeps a collider of its own there, sized to its bounding box, so
+// the player, guards and ray casts treat it like any other obstacle.
+//
+// Every step finds contacts, box against box by separating axes, between
+// bodies and static boxes and between bodies, and resolves them with
+// sequential impulses, with friction, restitution and a little positional
+// correction. Bodies that settle fall asleep until something touches them.
+// Pushers (the player, the guards) are boxes with a velocity that shove
+// bodies out of their way, no harder than their push force. Static boxes
+// registered as breakable shatter into debris when struck hard enough.
+//
+// Nothing here needs three.js; in Node a world steps on its own:
+//
+//   const physics = createPhysicsWorld(createCollisionWorld());
+//   physics.addBody({ id: 'crate', size: { x: 1, y: 1, z: 1 }, position: { x: 0, y: 5, z: 0 }, mass: 10 });
+//   for (let i = 0; i < 60; i++) physics.step(1 / 60);
+
+import {
+    boxesOverlap
+} from './collision.js';
+import {
+    createRandom,
+    hashSeed
+} from './random.js';
+
+export const PHYSICS_DEFAULTS = {
+    gravity: 25, // The player's own, so props fall the way people do
+    substeps: 2, // Solver steps per step()
+    iterations: 8, // Impulse passes per substep
+    friction: 0.6,
+    restitution: 0.2,
+    bounceSpeed: 1, // Slower impacts do not bounce at all
+    linearDamping: 0.05, // Share of velocity lost per second
+    angularDamping: 0.2,
+    maxSpeed: 30, // Kept below one thin wall per substep
+    correction: 0.2, // Share of any overlap pushed apart per substep
+    slop: 0.01, // Overlap left alone, so resting contacts do not jitter
+    sleepSpeed: 0.1,
+    sleepTime: 0.5, // Seconds below sleepSpeed before a body sleeps
+    sleepSmoothing: 0.9, // Speed is averaged so a brief twitch keeps nothing awake
+    wakeSpeed: 0.3, // Closing speed at which a moving body wakes a sleeping one
+    wakeDepth: 0.05, // ...or how far it may sink into it first
+    pushForce: 900, // Newtons a pusher can shove with
+    pushSkin: 0.05, // How close a pusher has to be to push
+    impactImpulse: 20, // Contact impulse reported as a 'physics:impact'
+    impactInterval: 0.25, // Seconds between a body's impact reports
+    breakStrength: 80, // Impulse that breaks a breakable box when it does not say
+    pieceSize: 0.5, // Debris edge length when a breakable box does not say
+    pieceMass: 4,
+    maxPieces: 48,
+    debrisSpeed: 2 // Random scatter of fresh debris
+};
+
+const AXES = ['x', 'y', 'z'];
+const UP = { x: 0, y: 1, z: 0 };
+
+// =========================
+// Vectors and Quaternions
+// =========================
+
+const vec = (x = 0, y = 0, z = 0) => ({ x, y, z });
+const add = (a, b) => vec(a.x + b.x, a.y + b.y, a.z + b.z);
+const sub = (a, b) => vec(a.x - b.x, a.y - b.y, a.z - b.z);
+const scale = (a, s) => vec(a.x * s, a.y * s, a.z * s);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+const length = a => Math.sqrt(dot(a, a));
+
+function addScaled(target, v, s) {
+    target.x += v.x * s;
+    target.y += v.y * s;
+    target.z += v.z * s;
+}
+
+function normalizeQuaternion(q) {
+    const size = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+    q.x /= size;
+    q.y /= size;
+    q.z /= size;
+    q.w /= size;
+    return q;
+}
+
+// Columns are the body's local x, y and z axes in world space
+function rotationMatrix(q) {
+    const { x, y, z, w } = q;
+    return [
+        vec(1 - 2 * (y * y + z * z), 2 * (x * y + w * z), 2 * (x * z - w * y)),
+        vec(2 * (x * y - w * z), 1 - 2 * (x * x + z * z), 2 * (y * z + w * x)),
+        vec(2 * (x * z + w * y), 2 * (y * z - w * x), 1 - 2 * (x * x + y * y))
+    ];
+}
+
+const toWorld = (axes, local) => add(add(scale(axes[0], local.x), scale(axes[1], local.y)), scale(axes[2], local.z));
+const toLocal = (axes, world) => vec(dot(axes[0], world), dot(axes[1], world), dot(axes[2], world));
+
+// Quaternion for a heading in radians about the y axis
+export function yawQuaternion(yaw) {
+    return { x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) };
+}
+
+// =========================
+// Box Against Box
+// =========================
+
+// Boxes here are { center, axes, half } with half as [x, y, z] extents.
+// The separating axis test finds the axis of least overlap among the face
+// normals of both boxes and the cross products of their edges.
+
+const WORLD_AXES = [vec(1, 0, 0), vec(0, 1, 0), vec(0, 0, 1)];
+
+function projectedRadius(box, axis) {
+    return box.half[0] * Math.abs(dot(box.axes[0], axis)) +
+        box.half[1] * Math.abs(dot(box.axes[1], axis)) +
+        box.half[2] * Math.abs(dot(box.axes[2], axis));
+}
+
+// Clip a polygon to the side of a plane where dot(p, normal) <= offset
+function clipPolygon(points, normal, offset) {
+    const result = [];
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const d1 = dot(point, normal) - offset;
+        const d2 = dot(next, normal) - offset;
+        if (d1 <= 0) result.push(point);
+        if ((d1 < 0 && d2 > 0) || (d1 > 0 && d2 < 0)) result.push(add(point, scale(sub(next, point), d1 / (d1 - d2))));
+    });
+    return result;
+}
+
+// Face contact: the face of the incident box turned most against the
+// reference face, clipped to the reference face's sides. normal is the
+// reference face's outward normal.
+function faceContacts(reference, incident, face, normal) {
+    let best = 0;
+    let bestDot = 0;
+    for (let i = 0; i < 3; i++) {
+        const d = dot(incident.axes[i], normal);
+        if (Math.abs(d) > Math.abs(bestDot)) {
+            best = i;
+            bestDot = d;
+        }
+    }
+    const center = add(incident.center, scale(incident.axes[best], (bestDot > 0 ? -1 : 1) * incident.half[best]));
+    const u = scale(incident.axes[(best + 1) % 3], incident.half[(best + 1) % 3]);
+    const v = scale(incident.axes[(best + 2) % 3], incident.half[(best + 2) % 3]);
+    let polygon = [
+        add(add(center, u), v),
+        add(sub(center, u), v),
+        sub(sub(center, u), v),
+        sub(add(center, u), v)
+    ];
+    [(face + 1) % 3, (face + 2) % 3].forEach(side => {
+        const axis = reference.axes[side];
+        const middle = dot(reference.center, axis);
+        polygon = clipPolygon(polygon, axis, middle + reference.half[side]);
+        polygon = clipPolygon(polygon, scale(axis, -1), reference.half[side] - middle);
+    });
+    const surface = dot(reference.center, normal) + reference.half[face];
+    const contacts = [];
+    polygon.forEach(point => {
+        const depth = surface - dot(point, normal);
+        if (depth >= 0) contacts.push({ point: add(point, scale(normal, depth / 2)), depth });
+    });
+    return contacts;
+}
+
+// Edge contact: midway between the closest points of the two edges that
+// cross. normal points from a towards b.
+function edgeContact(a, b, i, j, normal, depth) {
+    let pointA = a.center;
+    let pointB = b.center;
+    for (let k = 0; k < 3; k++) {
+        if (k !== i) pointA = add(pointA, scale(a.axes[k], (dot(a.axes[k], normal) > 0 ? 1 : -1) * a.half[k]));
+        if (k !== j) pointB = add(pointB, scale(b.axes[k], (dot(b.axes[k], normal) > 0 ? -1 : 1) * b.half[k]));
+    }
+    const edgeA = a.axes[i];
+    const edgeB = b.axes[j];
+    const between = sub(pointB, pointA);
+    const along = dot(edgeA, edgeB);
+    const denominator = 1 - along * along;
+    let s = 0;
+    let t = 0;
+    if (denominator > 1e-6) {
+        s = (dot(edgeA, between) - along * dot(edgeB, between)) / denominator;
+        t = (along * dot(edgeA, between) - dot(edgeB, between)) / denominator;
+    }
+    s = Math.max(-a.half[i], Math.min(a.half[i], s));
+    t = Math.max(-b.half[j], Math.min(b.half[j], t));
+    const closestA = add(pointA, scale(edgeA, s));
+    const closestB = add(pointB, scale(edgeB, t));
+    return { point: scale(add(closestA, closestB), 0.5), depth };
+}
+
+// Contacts between two boxes as { normal, contacts: [{ point, depth }] }
+// with the normal pointing from b to a, or null when they are apart. Face
+// axes win near-ties over edge axes so resting boxes keep steady contacts.
+function collideBoxes(a, b) {
+    const offset = sub(b.center, a.center);
+    let best = null;
+    function test(axis, kind, i, j) {
+        const size = length(axis);
+        if (size < 1e-6) return true;
+        const unit = scale(axis, 1 / size);
+        const distance = dot(offset, unit);
+        const overlap = projectedRadius(a, unit) + projectedRadius(b, unit) - Math.abs(distance);
+        if (overlap < 0) return false;
+        const biased = kind === 'edge' ? overlap * 1.05 + 0.001 : kind === 'b' ? overlap * 1.01 : overlap;
+        if (!best || biased < best.biased) {
+            best = { axis: distance < 0 ? scale(unit, -1) : unit, overlap, biased, kind, i, j };
+        }
+        return true;
+    }
+    for (let i = 0; i < 3; i++) if (!test(a.axes[i], 'a', i)) return null;
+    for (let i = 0; i < 3; i++) if (!test(b.axes[i], 'b', i)) return null;
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            if (!test(cross(a.axes[i], b.axes[j]), 'edge', i, j)) return null;
+        }
+    }
+    const normal = scale(best.axis, -1);
+    if (best.kind === 'a') return { normal, contacts: faceContacts(a, b, best.i, best.axis) };
+    if (best.kind === 'b') return { normal, contacts: faceContacts(b, a, best.i, normal) };
+    return { normal, contacts: [edgeContact(a, b, best.i, best.j, best.axis, best.overlap)] };
+}
+
+// =========================
+// World
+// =========================
+
+// world is the collision world the static geometry lives in; options:
+// { emit } plus any PHYSICS_DEFAULTS override. emit receives
+// 'physics:impact' { body, position, impulse } and 'physics:broken'
+// { id, position, pieces } events.
+export function createPhysicsWorld(world, options = {}) {
+    const settings = { ...PHYSICS_DEFAULTS, ...options };
+    const emit = options.emit || (() => {});
+    const bodies = [];
+    const breakables = new Map(); // id -> { id, collider, strength, pieceSize, pieceMass, broken }
+    let debrisCount = 0;
+
+    // =========================
+    // Bodies
+    // =========================
+
+    // Orientation-dependent state, refreshed whenever a body turns
+    function refresh(body) {
+        body.axes = rotationMatrix(body.orientation);
+        const extent = AXES.map(axis => body.axes.reduce((sum, column, j) => sum + Math.abs(column[axis]) * body.half[AXES[j]], 0));
+        AXES.forEach((axis, i) => {
+            body.collider.min[axis] = body.position[axis] - extent[i];
+            body.collider.max[axis] = body.position[axis] + extent[i];
+        });
+    }
+
+    // definition: { id, size, position, orientation, mass, friction,
+    // restitution, solid, userData }. Solid bodies block the player and
+    // guards through their collider; others (debris) only block each other.
+    function addBody(definition) {
+        const size = vec(definition.size.x, definition.size.y, definition.size.z);
+        const mass = definition.mass;
+        const inertia = vec(
+            mass * (size.y * size.y + size.z * size.z) / 12,
+            mass * (size.x * size.x + size.z * size.z) / 12,
+            mass * (size.x * size.x + size.y * size.y) / 12
+        );
+        const orientation = normalizeQuaternion({ ...(definition.orientation || { x: 0, y: 0, z: 0, w: 1 }) });
+        const body = {
+            id: definition.id,
+            size,
+            half: scale(size, 0.5),
+            mass,
+            invMass: 1 / mass,
+            invInertia: vec(1 / inertia.x, 1 / inertia.y, 1 / inertia.z),
+            friction: definition.friction !== undefined ? definition.friction : settings.friction,
+            restitution: definition.restitution !== undefined ? definition.restitution : settings.restitution,
+            position: { ...definition.position },
+            previousPosition: { ...definition.position }, // Before the last step, for interpolation
+            orientation,
+            previousOrientation: { ...orientation },
+            velocity: vec(),
+            angularVelocity: vec(),
+            sleeping: false,
+            sleepTimer: 0,
+            motion: 0,
+            held: false, // Carried: no gravity and no collider
+            impactTimer: 0,
+            axes: null,
+            userData: definition.userData || {}
+        };
+        body.collider = world.add(vec(), vec(), {
+            physicsBody: body
+        });
+        body.collider.enabled = definition.solid !== false;
+        body.solid = definition.solid !== false;
+        refresh(body);
+        bodies.push(body);
+        return body;
+    }
+
+    function removeBody(body) {
+        const index = bodies.indexOf(body);
+        if (index !== -1) bodies.splice(index, 1);
+        world.remove(body.collider);
+    }
+
+    function getBody(id) {
+        return bodies.find(body => body.id === id) || null;
+    }
+
+    function wake(body) {
+        body.sleeping = false;
+        body.sleepTimer = 0;
+        body.motion = Math.max(body.motion, settings.sleepSpeed * settings.sleepSpeed * 4);
+    }
+
+    // Inverse inertia in world space applied to v
+    function applyInverseInertia(body, v) {
+        const local = toLocal(body.axes, v);
+        return toWorld(body.axes, vec(local.x * body.invInertia.x, local.y * body.invInertia.y, local.z * body.invInertia.z));
+    }
+
+    function velocityAt(body, offset) {
+        return add(body.velocity, cross(body.angularVelocity, offset));
+    }
+
+    function applyImpulseAt(body, impulse, offset) {
+        addScaled(body.velocity, impulse, body.invMass);
+        const turn = applyInverseInertia(body, cross(offset, impulse));
+        addScaled(body.angularVelocity, turn, 1);
+    }
+
+    // Impulse in newton-seconds at a world point (the centre when omitted)
+    function applyImpulse(body, impulse, point = body.position) {
+        wake(body);
+        applyImpulseAt(body, impulse, sub(point, body.position));
+    }
+
+    function place(body, position, orientation = body.orientation) {
+        Object.assign(body.position, position);
+        Object.assign(body.previousPosition, position);
+        Object.assign(body.orientation, orientation);
+        normalizeQuaternion(body.orientation);
+        Object.assign(body.previousOrientation, body.orientation);
+        body.velocity = vec();
+        body.angularVelocity = vec();
+        refresh(body);
+    }
+
+    // Carrying: held bodies float where they are steered and pass through the
+    // player; release() lets go, optionally with a throw
+    function hold(body) {
+        wake(body);
+        body.held = true;
+        body.collider.enabled = false;
+    }
+
+    function release(body, velocity = null) {
+        body.held = false;
+        body.collider.enabled = body.solid;
+        if (velocity) body.velocity = { ...velocity };
+        wake(body);
+    }
+
+    // Steer a held body towards a point over the next step
+    function steer(body, target, dt) {
+        const velocity = scale(sub(target, body.position), 0.5 / dt);
+        const speed = length(velocity);
+        body.velocity = speed > settings.maxSpeed / 2 ? scale(velocity, settings.maxSpeed / 2 / speed) : velocity;
+        body.angularVelocity = scale(body.angularVelocity, 0.8);
+    }
+
+    // =========================
+    // Contacts
+    // =========================
+
+    function boxOf(body) {
+        return {
+            center: body.position,
+            axes: body.axes,
+            half: [body.half.x, body.half.y, body.half.z]
+        };
+    }
+
+    function staticContacts(body, collider, contacts) {
+        const box = {
+            center: scale(add(collider.min, collider.max), 0.5),
+            axes: WORLD_AXES,
+            half: AXES.map(axis => (collider.max[axis] - collider.min[axis]) / 2)
+        };
+        const hit = collideBoxes(boxOf(body), box);
+        if (!hit) return;
+        hit.contacts.forEach(({ point, depth }) => {
+            contacts.push({ a: body, b: null, collider, point, normal: hit.normal, depth });
+        });
+    }
+
+    function bodyContacts(a, b, contacts) {
+        const hit = collideBoxes(boxOf(a), boxOf(b));
+        if (!hit) return;
+        hit.contacts.forEach(({ point, depth }) => {
+            contacts.push({ a, b, collider: null, point, normal: hit.normal, depth });
+        });
+    }
+
+    // A pusher shoves sideways from the middle of where it overlaps a body
+    function pusherContacts(pusher, body, contacts) {
+        const skin = settings.pushSkin;
+        const box = {
+            min: vec(pusher.box.min.x - skin, pusher.box.min.y, pusher.box.min.z - skin),
+            max: vec(pusher.box.max.x + skin, pusher.box.max.y, pusher.box.max.z + skin)
+        };
+        if (!boxesOverlap(box, body.collider)) return;
+        const min = vec(), max = vec();
+        AXES.forEach(axis => {
+            min[axis] = Math.max(box.min[axis], body.collider.min[axis]);
+            max[axis] = Math.min(box.max[axis], body.collider.max[axis]);
+        });
+        const overlapX = max.x - min.x;
+        const overlapZ = max.z - min.z;
+        const axis = overlapX < overlapZ ? 'x' : 'z';
+        const normal = vec();
+        normal[axis] = body.position[axis] >= (box.min[axis] + box.max[axis]) / 2 ? 1 : -1;
+        contacts.push({
+            a: body,
+            b: null,
+            pusher,
+            point: scale(add(min, max), 0.5),
+            normal,
+            depth: Math.max(0, Math.min(overlapX, overlapZ) - skin)
+        });
+    }
+
+    function findContacts(pushers) {
+        const contacts = [];
+        bodies.forEach((body, i) => {
+            if (!body.held) pushers.forEach(pusher => pusherContacts(pusher, body, contacts));
+            if (body.sleeping) return;
+            world.query(body.collider).forEach(collider => {
+                if (!collider.userData.physicsBody) staticContacts(body, collider, contacts);
+            });
+            // Each pair once, and sleeping bodies only against awake ones
+            for (let j = 0; j < bodies.length; j++) {
+                const other = bodies[j];
+                if (other === body || (!other.sleeping && j < i)) continue;
+                if (!boxesOverlap(body.collider, other.collider)) continue;
+                bodyContacts(body, other, contacts);
+            }
+        });
+        return contacts;
+    }
+
+    // =========================
+    // Solver
+    // =========================
+
+    // Sleeping bodies hold still like static ones until something wakes them
+    function effectiveMass(body, offset, direction) {
+        if (!body || body.sleeping) return 0;
+        const turn = cross(applyInverseInertia(body, cross(offset, direction)), offset);
+        return body.invMass + dot(turn, direction);
+    }
+
+    function tangents(normal) {
+        const reference = Math.abs(normal.y) < 0.9 ? UP : vec(1, 0, 0);
+        const first = cross(normal, reference);
+        const t1 = scale(first, 1 / length(first));
+        return [t1, cross(normal, t1)];
+    }
+
+    function prepare(contact, dt) {
+        const { a, b, normal } = contact;
+        contact.rA = sub(contact.point, a.position);
+        contact.rB = b ? sub(contact.point, b.position) : null;
+        contact.normalMass = 1 / (effectiveMass(a, contact.rA, normal) + effectiveMass(b, contact.rB, normal));
+        contact.tangents = tangents(normal);
+        contact.tangentMass = contact.tangents.map(t => 1 / (effectiveMass(a, contact.rA, t) + effectiveMass(b, contact.rB, t)));
+        contact.friction = contact.pusher ? 0 : Math.sqrt(a.friction * (b ? b.friction : settings.friction));
+        contact.normalImpulse = 0;
+        contact.tangentImpulse = [0, 0];
+        contact.maxImpulse = contact.pusher ? settings.pushForce * dt : Infinity;
+
+        const approach = dot(relativeVelocity(contact), normal);
+        const restitution = contact.pusher ? 0 : Math.min(a.restitution, b ? b.restitution : a.restitution);
+        const bounce = approach < -settings.bounceSpeed ? -approach * restitution : 0;
+        // A pusher only moves what it walks into
+        const pushed = contact.pusher ? Math.max(0, dot(contact.pusher.velocity, normal)) : 0;
+        contact.target = Math.max(bounce, pushed);
+    }
+
+    // Overlap is worked off by moving the bodies apart directly rather than
+    // through their velocities, which would keep resting piles jittering
+    function separate(contact) {
+        if (contact.pusher) return;
+        const { a, b, normal } = contact;
+        const shift = settings.correction * Math.max(0, contact.depth - settings.slop);
+        const invA = a.sleeping ? 0 : a.invMass;
+        const invB = b && !b.sleeping ? b.invMass : 0;
+        if (!shift || invA + invB === 0) return;
+        if (invA) addScaled(a.position, normal, shift * invA / (invA + invB));
+        if (invB) addScaled(b.position, normal, -shift * invB / (invA + invB));
+    }
+
+    function relativeVelocity(contact) {
+        const velocity = velocityAt(contact.a, contact.rA);
+        return contact.b ? sub(velocity, velocityAt(contact.b, contact.rB)) : velocity;
+    }
+
+    function applyContactImpulse(contact, impulse) {
+        if (!contact.a.sleeping) applyImpulseAt(contact.a, impulse, contact.rA);
+        if (contact.b && !contact.b.sleeping) applyImpulseAt(contact.b, scale(impulse, -1), contact.rB);
+    }
+
+    function solve(contact) {
+        const { normal } = contact;
+        const velocity = relativeVelocity(contact);
+        const change = contact.normalMass * (contact.target - dot(velocity, normal));
+        const total = Math.min(contact.maxImpulse, Math.max(0, contact.normalImpulse + change));
+        const applied = total - contact.normalImpulse;
+        contact.normalImpulse = total;
+        applyContactImpulse(contact, scale(normal, applied));
+
+        if (!contact.friction) return;
+        const limit = contact.friction * contact.normalImpulse;
+        contact.tangents.forEach((tangent, i) => {
+            const slide = dot(relativeVelocity(contact), tangent);
+            const next = Math.max(-limit, Math.min(limit, contact.tangentImpulse[i] - contact.tangentMass[i] * slide));
+            applyContactImpulse(contact, scale(tangent, next - contact.tangentImpulse[i]));
+            contact.tangentImpulse[i] = next;
+        });
+    }
+
+    function integrate(body, dt) {
+        const damping = Math.max(0, 1 - settings.linearDamping * dt);
+        body.velocity = scale(body.velocity, damping);
+        body.angularVelocity = scale(body.angularVelocity, Math.max(0, 1 - settings.angularDamping * dt));
+        const speed = length(body.velocity);
+        if (speed > settings.maxSpeed) body.velocity = scale(body.velocity, settings.maxSpeed / speed);
+        addScaled(body.position, body.velocity, dt);
+
+        const w = body.angularVelocity;
+        const q = body.orientation;
+        const half = dt / 2;
+        const x = q.x + half * (w.x * q.w + w.y * q.z - w.z * q.y);
+        const y = q.y + half * (w.y * q.w + w.z * q.x - w.x * q.z);
+        const z = q.z + half * (w.z * q.w + w.x * q.y - w.y * q.x);
+        const qw = q.w - half * (w.x * q.x + w.y * q.y + w.z * q.z);
+        Object.assign(q, normalizeQuaternion({ x, y, z, w: qw }));
+        refresh(body);
+    }
+
+    // Squared speed, averaged over recent substeps
+    function updateMotion(body) {
+        const speed = dot(body.velocity, body.velocity) + dot(body.angularVelocity, body.angularVelocity);
+        const smoothing = settings.sleepSmoothing;
+        body.motion = body.motion * smoothing + speed * (1 - smoothing);
+    }
+
+    const isMoving = body => body.motion > settings.sleepSpeed * settings.sleepSpeed;
+
+    // A sleeping body wakes when a pusher walks into it or a moving body
+    // knocks it
+    function wakeTouched(contact) {
+        const { a, b } = contact;
+        if (contact.pusher) {
+            if (a.sleeping && (dot(contact.pusher.velocity, contact.normal) > 0 || contact.depth > 0)) wake(a);
+        } else if (b && a.sleeping !== b.sleeping) {
+            // A real knock or a body carried off from under it, not an awake
+            // neighbour settling against it
+            const sleeper = a.sleeping ? a : b;
+            const mover = a.sleeping ? b : a;
+            const towards = mover === a ? contact.normal : scale(contact.normal, -1);
+            const speed = -dot(velocityAt(mover, sub(contact.point, mover.position)), towards);
+            const carried = mover.motion > settings.wakeSpeed * settings.wakeSpeed;
+            if (carried || speed > settings.wakeSpeed || contact.depth > settings.wakeDepth) wake(sleeper);
+        }
+    }
+
+    function updateSleep(body, dt) {
+        if (body.held) return;
+        updateMotion(body);
+        body.sleepTimer = isMoving(body) ? 0 : body.sleepTimer + dt;
+        if (body.sleepTimer >= settings.sleepTime) {
+            body.sleeping = true;
+            body.velocity = vec();
+            body.angularVelocity = vec();
+        }
+    }
+
+    // Report hard knocks for sound and break whatever could not take them
+    function afterImpacts(contacts) {
+        const struck = new Map(); // breakable -> { impulse, velocity, point }
+        const strongest = new Map(); // body -> contact
+        contacts.forEach(contact => {
+            if (contact.pusher) return;
+            const best = strongest.get(contact.a);
+            if (!best || contact.normalImpulse > best.normalImpulse) strongest.set(contact.a, contact);
+            const breakable = contact.collider && contact.collider.userData.breakable;
+            if (!breakable || breakable.broken) return;
+            const hit = struck.get(breakable) || { impulse: 0, velocity: contact.a.velocity, point: contact.point };
+            hit.impulse += contact.normalImpulse;
+            struck.set(breakable, hit);
+        });
+        strongest.forEach((contact, body) => {
+            if (contact.normalImpulse < settings.impactImpulse || body.impactTimer > 0) return;
+            body.impactTimer = settings.impactInterval;
+            emit({
+                type: 'physics:impact',
+                body,
+                position: { ...contact.point },
+                impulse: contact.normalImpulse
+            });
+        });
+        struck.forEach((hit, breakable) => {
+            if (hit.impulse >= breakable.strength) shatter(breakable, hit.velocity);
+        });
+    }
+
+    function substep(dt, pushers) {
+        bodies.forEach(body => {
+            if (body.sleeping || body.held) return;
+            body.velocity.y -= settings.gravity * dt;
+        });
+        const contacts = findContacts(pushers);
+        contacts.forEach(wakeTouched);
+        const active = contacts.filter(contact => !contact.a.sleeping || (contact.b && !contact.b.sleeping));
+        active.forEach(contact => prepare(contact, dt));
+        for (let i = 0; i < settings.iterations; i++) active.forEach(solve);
+        active.forEach(separate);
+        bodies.forEach(body => {
+            body.impactTimer = Math.max(0, body.impactTimer - dt);
+            if (body.sleeping) return;
+            integrate(body, dt);
+            updateSleep(body, dt);
+        });
+        afterImpacts(active);
+    }
+
+    // pushers: [{ box: { min, max }, velocity }] for this step
+    function step(dt, pushers = []) {
+        bodies.forEach(body => {
+            Object.assign(body.previousPosition, body.position);
+            Object.assign(body.previousOrientation, body.orientation);
+        });
+        const substepTime = dt / settings.substeps;
+        for (let i = 0; i < settings.substeps; i++) substep(substepTime, pushers);
+    }
+
+    // =========================
+    // Breakable Boxes
+    // =========================
+
+    // collider: a static box in the collision world; definition: { id,
+    // strength, pieceSize, pieceMass, userData } where userData is copied to
+    // every piece of debris
+    function addBreakable(collider, definition) {
+        const breakable = {
+            id: definition.id,
+            collider,
+            strength: definition.strength || settings.breakStrength,
+            pieceSize: definition.pieceSize || settings.pieceSize,
+            pieceMass: definition.pieceMass || settings.pieceMass,
+            userData: definition.userData || {},
+            broken: false
+        };
+        collider.userData.breakable = breakable;
+        breakables.set(breakable.id, breakable);
+        return breakable;
+    }
+
+    // The box gives way to a grid of loose pieces. velocity is whatever hit
+    // it, and carries some of the debris along.
+    function shatter(breakable, velocity = vec()) {
+        if (breakable.broken) return [];
+        breakable.broken = true;
+        breakable.collider.enabled = false;
+        const { min, max } = breakable.collider;
+        const size = sub(max, min);
+        let pieceSize = breakable.pieceSize;
+        const countFor = edge => Math.max(1, Math.round(edge / pieceSize));
+        while (countFor(size.x) * countFor(size.y) * countFor(size.z) > settings.maxPieces) pieceSize *= 1.25;
+        const counts = vec(countFor(size.x), countFor(size.y), countFor(size.z));
+        const piece = vec(size.x / counts.x, size.y / counts.y, size.z / counts.z);
+        const random = createRandom(hashSeed(breakable.id));
+        const pieces = [];
+        for (let i = 0; i < counts.x; i++) {
+            for (let j = 0; j < counts.y; j++) {
+                for (let k = 0; k < counts.z; k++) {
+                    const body = addBody({
+                        id: `${breakable.id}#${debrisCount++}`,
+                        size: scale(piece, 0.98), // A hair apart so they start free
+                        position: vec(
+                            min.x + piece.x * (i + 0.5),
+                            min.y + piece.y * (j + 0.5),
+                            min.z + piece.z * (k + 0.5)
+                        ),
+                        mass: breakable.pieceMass,
+                        solid: false,
+                        userData: {
+                            ...breakable.userData,
+                            debris: breakable.id
+                        }
+                    });
+                    const spread = () => (random() * 2 - 1) * settings.debrisSpeed;
+                    body.velocity = add(scale(velocity, 0.3), vec(spread(), Math.abs(spread()), spread()));
+                    body.angularVelocity = vec(spread(), spread(), spread());
+                    pieces.push(body);
+                }
+            }
+        }
+        emit({
+            type: 'physics:broken',
+            id: breakable.id,
+            position: scale(add(min, max), 0.5),
+            pieces
+        });
+        return pieces;
+    }
+
+    function breakById(id, velocity) {
+        const breakable = breakables.get(id);
+        return breakable ? shatter(breakable, velocity) : [];
+    }
+
+    // =========================
+    // State
+    // =========================
+
+    // Bodies by id where they lie, and which breakables are broken. Debris
+    // is not kept; restoring a broken box drops fresh debris in its place.
+    function getState() {
+        const state = {
+            bodies: {},
+            broken: []
+        };
+        bodies.forEach(body => {
+            if (body.userData.debris) return;
+            state.bodies[body.id] = {
+                position: { ...body.position },
+                orientation: { ...body.orientation }
+            };
+        });
+        breakables.forEach(breakable => {
+            if (breakable.broken) state.broken.push(breakable.id);
+        });
+        return state;
+    }
+
+    function clearDebris() {
+        bodies.filter(body => body.userData.debris).forEach(removeBody);
+        breakables.forEach(breakable => {
+            breakable.broken = false;
+            breakable.collider.enabled = true;
+        });
+    }
+
+    function setState(state) {
+        clearDebris();
+        Object.keys(state.bodies || {}).forEach(id => {
+            const body = getBody(id);
+            if (!body) return;
+            place(body, state.bodies[id].position, state.bodies[id].orientation);
+            body.held = false;
+            body.collider.enabled = body.solid;
+            wake(body);
+        });
+        (state.broken || []).forEach(id => breakById(id));
+    }
+
+    return {
+        settings,
+        bodies,
+        breakables,
+        addBody,
+        removeBody,
+        getBody,
+        wake,
+        applyImpulse,
+        place,
+        hold,
+        release,
+        steer,
+        addBreakable,
+        breakById,
+        step,
+        getState,
+        setState
+    };
+}
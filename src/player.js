@@ -0,0 +1,235 @@
+// First-person player character: walk, run, jump and gravity, collided
+// against the castle through the collision world. The player body is an
+// axis-aligned box whose position is the centre of its feet. Running uses up
+// stamina; once it runs out the player is winded and walks until it has
+// partly recovered.
+
+export const PLAYER_DEFAULTS = {
+    radius: 0.4, // Half width of the body box
+    height: 1.8,
+    eyeHeight: 1.6,
+    walkSpeed: 6,
+    runSpeed: 11,
+    jumpSpeed: 8,
+    gravity: 25,
+    maxFallSpeed: 50,
+    groundAcceleration: 60,
+    airAcceleration: 15,
+    stepHeight: 0.55, // Highest ledge walked up without jumping, e.g. a stair tread
+    maxStamina: 100,
+    staminaDrain: 20, // Per second of running; 0 runs forever
+    staminaRegen: 25, // Per second once resting
+    staminaRegenDelay: 1, // Seconds after running stops before stamina comes back
+    windedRecovery: 0.3, // Share of stamina needed to run again after running out
+    lookSensitivity: 0.0025
+};
+
+export function createPlayer(world, options = {}) {
+    const settings = { ...PLAYER_DEFAULTS, ...options };
+    const spawn = settings.spawn || { x: 0, y: 0, z: 0 };
+
+    const player = {
+        settings,
+        position: { x: spawn.x, y: spawn.y, z: spawn.z },
+        previousPosition: { x: spawn.x, y: spawn.y, z: spawn.z }, // Before the last update, for interpolation
+        velocity: { x: 0, y: 0, z: 0 },
+        wishVelocity: { x: 0, y: 0, z: 0 }, // Where the controls are steering, even when blocked
+        yaw: settings.yaw || 0,
+        pitch: 0,
+        onGround: false,
+        running: false,
+        stamina: settings.maxStamina,
+        winded: false,
+        noclip: false, // Flies through everything, e.g. from the developer console
+        onLand: null // Called with the impact speed when the player lands
+    };
+
+    function bodyBox() {
+        const { x, y, z } = player.position;
+        return {
+            min: { x: x - settings.radius, y: y, z: z - settings.radius },
+            max: { x: x + settings.radius, y: y + settings.height, z: z + settings.radius }
+        };
+    }
+
+    function approach(current, target, maxDelta) {
+        if (current < target) return Math.min(current + maxDelta, target);
+        return Math.max(current - maxDelta, target);
+    }
+
+    // Seconds since the player last ran; stamina only comes back after a rest
+    let staminaRestTime = 0;
+
+    function updateStamina(dt) {
+        if (player.running && settings.staminaDrain > 0) {
+            player.stamina = Math.max(0, player.stamina - settings.staminaDrain * dt);
+            staminaRestTime = 0;
+            if (player.stamina === 0) player.winded = true;
+            return;
+        }
+        staminaRestTime += dt;
+        if (staminaRestTime >= settings.staminaRegenDelay) {
+            player.stamina = Math.min(settings.maxStamina, player.stamina + settings.staminaRegen * dt);
+        }
+        if (player.winded && player.stamina >= settings.maxStamina * settings.windedRecovery) player.winded = false;
+    }
+
+    // Mouse or touch look, in pixels
+    function look(deltaX, deltaY) {
+        player.yaw -= deltaX * settings.lookSensitivity;
+        player.pitch -= deltaY * settings.lookSensitivity;
+        const limit = Math.PI / 2 - 0.01;
+        player.pitch = Math.max(-limit, Math.min(limit, player.pitch));
+    }
+
+    function copyBox(box) {
+        return {
+            min: { ...box.min },
+            max: { ...box.max }
+        };
+    }
+
+    function horizontalTravel(from, to) {
+        return Math.hypot(to.min.x - from.min.x, to.min.z - from.min.z);
+    }
+
+    // Move up by the step height, across, then back down onto the ledge.
+    // Returns the stepped { box, hits } or null when stepping does not help.
+    function stepUp(start, displacement) {
+        const flat = copyBox(start);
+        world.move(flat, { x: displacement.x, y: 0, z: displacement.z });
+
+        const box = copyBox(start);
+        const lift = world.move(box, { x: 0, y: settings.stepHeight, z: 0 });
+        const raised = box.min.y - start.min.y;
+        if (lift.y && raised < 0.01) return null;
+        const across = world.move(box, { x: displacement.x, y: 0, z: displacement.z });
+        const down = world.move(box, { x: 0, y: -raised - 0.01, z: 0 });
+        if (!down.y || horizontalTravel(start, box) <= horizontalTravel(start, flat) + 1e-4) return null;
+        return {
+            box,
+            hits: { x: across.x, y: down.y, z: across.z }
+        };
+    }
+
+    // Noclip: straight along the view with nothing in the way and no
+    // gravity; jump rises
+    function fly(dt, input) {
+        const speed = (input.run ? settings.runSpeed : settings.walkSpeed) * 2;
+        const sin = Math.sin(player.yaw);
+        const cos = Math.cos(player.yaw);
+        const level = Math.cos(player.pitch);
+        player.velocity.x = (-sin * level * input.forward + cos * input.strafe) * speed;
+        player.velocity.y = (Math.sin(player.pitch) * input.forward + (input.jump ? 1 : 0)) * speed;
+        player.velocity.z = (-cos * level * input.forward - sin * input.strafe) * speed;
+        player.position.x += player.velocity.x * dt;
+        player.position.y += player.velocity.y * dt;
+        player.position.z += player.velocity.z * dt;
+        player.onGround = false;
+        player.running = false;
+    }
+
+    // input: { forward, strafe } in -1..1 plus run/jump booleans
+    function update(dt, input) {
+        Object.assign(player.previousPosition, player.position);
+        if (player.noclip) {
+            fly(dt, input);
+            return;
+        }
+
+        // Wish direction relative to the camera heading
+        const sin = Math.sin(player.yaw);
+        const cos = Math.cos(player.yaw);
+        let wishX = -sin * input.forward + cos * input.strafe;
+        let wishZ = -cos * input.forward - sin * input.strafe;
+        const wishLength = Math.hypot(wishX, wishZ);
+        if (wishLength > 1) {
+            wishX /= wishLength;
+            wishZ /= wishLength;
+        }
+
+        player.running = Boolean(input.run) && wishLength > 0 && !player.winded;
+        updateStamina(dt);
+        const speed = player.running ? settings.runSpeed : settings.walkSpeed;
+        player.wishVelocity.x = wishX * speed;
+        player.wishVelocity.z = wishZ * speed;
+        const acceleration = (player.onGround ? settings.groundAcceleration : settings.airAcceleration) * dt;
+        player.velocity.x = approach(player.velocity.x, wishX * speed, acceleration);
+        player.velocity.z = approach(player.velocity.z, wishZ * speed, acceleration);
+
+        if (input.jump && player.onGround) {
+            player.velocity.y = settings.jumpSpeed;
+            player.onGround = false;
+        }
+        player.velocity.y = Math.max(player.velocity.y - settings.gravity * dt, -settings.maxFallSpeed);
+
+        let box = bodyBox();
+        const start = bodyBox();
+        const fallSpeed = -player.velocity.y;
+        const displacement = {
+            x: player.velocity.x * dt,
+            y: player.velocity.y * dt,
+            z: player.velocity.z * dt
+        };
+        let hits = world.move(box, displacement);
+
+        // Walked into something low: try again lifted by a step and keep
+        // that if it gets further and lands on top
+        if ((hits.x || hits.z) && player.onGround && settings.stepHeight > 0) {
+            const stepped = stepUp(start, displacement);
+            if (stepped) {
+                box = stepped.box;
+                hits = stepped.hits;
+            }
+        }
+
+        const wasOnGround = player.onGround;
+        player.onGround = Boolean(hits.y) && player.velocity.y <= 0;
+        if (hits.y) player.velocity.y = 0;
+        if (hits.x) player.velocity.x = 0;
+        if (hits.z) player.velocity.z = 0;
+
+        player.position.x = box.min.x + settings.radius;
+        player.position.y = box.min.y;
+        player.position.z = box.min.z + settings.radius;
+
+        if (player.onGround && !wasOnGround && player.onLand) {
+            player.onLand(fallSpeed);
+        }
+    }
+
+    // Back to a spawn point, standing still
+    function reset(position, yaw = 0) {
+        player.position.x = position.x;
+        player.position.y = position.y;
+        player.position.z = position.z;
+        Object.assign(player.previousPosition, player.position);
+        player.velocity.x = 0;
+        player.velocity.y = 0;
+        player.velocity.z = 0;
+        player.wishVelocity.x = 0;
+        player.wishVelocity.z = 0;
+        player.yaw = yaw;
+        player.pitch = 0;
+        player.onGround = false;
+        player.running = false;
+        player.stamina = settings.maxStamina;
+        player.winded = false;
+        staminaRestTime = 0;
+    }
+
+    function eyePosition() {
+        return {
+            x: player.position.x,
+            y: player.position.y + settings.eyeHeight,
+            z: player.position.z
+        };
+    }
+
+    player.bodyBox = bodyBox;
+    player.look = look;
+    player.update = update;
+    player.reset = reset;
+    player.eyePosition = eyePosition;
+    return player;
+}
@@ -0,0 +1,25 @@
+// Seeded random numbers, so anything made from a seed (the weather, a
+// generated castle) turns out the same every time.
+
+// Small seeded generator (mulberry32); returns numbers in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Any seed, number or text, as a 32-bit integer (text is hashed with FNV-1a)
+export function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
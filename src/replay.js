@@ -0,0 +1,306 @@
+// Recorded runs.
+// A recording holds where a run started (the level, the castle seed it was
+// generated from and the time of day and weather it began with) and,
+// for every tick, the controls and view direction the player was given,
+// stored only on the ticks where they changed. The simulation is
+// deterministic, so feeding those back into a reset simulation of the same
+// level retraces the run tick for tick. Calls the page makes into the
+// simulation outside the controls, such as a command typed into a terminal
+// or an item used from the inventory, are recorded as actions alongside.
+// Nothing here needs a browser: replayHeadless() runs a recording straight
+// through and compares where it ended with where the recorded run did, so
+// saved runs double as regression tests (see tools/checkReplay.js).
+
+import {
+    createSimulation
+} from './simulation.js';
+
+export const REPLAY_FORMAT = 'shredded-replay';
+export const REPLAY_VERSION = 1;
+
+// What is recorded each tick, under the short names the stream uses (t is
+// taken by the tick number)
+const CHANNELS = {
+    forward: 'f',
+    strafe: 's',
+    run: 'r',
+    jump: 'j',
+    interact: 'i',
+    throw: 'w',
+    yaw: 'y',
+    pitch: 'p'
+};
+const CONTROLS = ['forward', 'strafe', 'run', 'jump', 'interact', 'throw'];
+
+// View angles are kept to this many decimal places of a radian, both in the
+// stream and in the run being recorded, so the two stay the same
+const ANGLE_PLACES = 5;
+
+function quantize(angle) {
+    const scale = 10 ** ANGLE_PLACES;
+    return Math.round(angle * scale) / scale;
+}
+
+export class ReplayFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayFormatError';
+    }
+}
+
+// Where a run has got to: compared at the end of a headless replay
+export function summarizeRun(sim) {
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        position: {
+            x: round(sim.player.position.x),
+            y: round(sim.player.position.y),
+            z: round(sim.player.position.z)
+        },
+        health: sim.health,
+        dead: sim.dead,
+        checkpoints: Array.from(sim.reachedCheckpoints).sort(),
+        objectives: sim.objectives.getState(),
+        inventory: sim.inventory.getState(),
+        doors: sim.doors.getState()
+    };
+}
+
+// Ways in which actual differs from expected, as readable lines; empty when
+// they agree
+export function compareRuns(expected, actual) {
+    const differences = [];
+    Object.keys(expected).forEach(key => {
+        const want = JSON.stringify(expected[key]);
+        const got = JSON.stringify(actual[key]);
+        if (want !== got) differences.push(`${key}: expected ${want}, got ${got}`);
+    });
+    return differences;
+}
+
+// A recording read from a file, checked well enough to replay
+export function parseReplay(text) {
+    let recording;
+    try {
+        recording = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new ReplayFormatError('Not a recording');
+    }
+    if (typeof recording !== 'object' || recording === null || recording.format !== REPLAY_FORMAT) {
+        throw new ReplayFormatError('Not a recording');
+    }
+    if (recording.version !== REPLAY_VERSION) {
+        throw new ReplayFormatError(`Unknown recording version ${JSON.stringify(recording.version)}`);
+    }
+    if (typeof recording.level !== 'string') throw new ReplayFormatError('Recording names no level');
+    if (!Number.isInteger(recording.ticks) || recording.ticks < 0) throw new ReplayFormatError('Recording has no length');
+    if (!Array.isArray(recording.frames) || recording.frames.some(frame => !Number.isInteger(frame.t))) {
+        throw new ReplayFormatError('Recording has no input stream');
+    }
+    return recording;
+}
+
+// Seconds a recording lasts
+export function replayDuration(recording) {
+    return recording.ticks / recording.tickRate;
+}
+
+// =========================
+// Recording
+// =========================
+
+// info: { level, seed } names the level being played, as the saves and the
+// co-op server do, and the castle seed it came from (null for a level file)
+export function createRecorder(sim, info = {}) {
+    const recorder = {
+        recording: false
+    };
+    let startTick = 0;
+    let start = null;
+    let frames = [];
+    let last = {};
+    let actions = [];
+    let unregister = null;
+
+    function sample() {
+        sim.player.yaw = quantize(sim.player.yaw);
+        sim.player.pitch = quantize(sim.player.pitch);
+        const values = {
+            yaw: sim.player.yaw,
+            pitch: sim.player.pitch
+        };
+        CONTROLS.forEach(key => {
+            values[key] = sim.controls[key];
+        });
+        return values;
+    }
+
+    // Runs first in every tick, so it sees the controls the player will get
+    function capture() {
+        const values = sample();
+        const frame = {
+            t: sim.loop.tick - startTick
+        };
+        Object.keys(CHANNELS).forEach(key => {
+            if (values[key] !== last[key]) frame[CHANNELS[key]] = values[key];
+        });
+        if (actions.length) {
+            frame.a = actions;
+            actions = [];
+        }
+        if (Object.keys(frame).length > 1) frames.push(frame);
+        last = values;
+    }
+
+    // Begin recording; the run should have just been reset to its start
+    function begin() {
+        if (recorder.recording) stop();
+        recorder.recording = true;
+        startTick = sim.loop.tick;
+        start = {
+            environment: sim.dayNight.getState(),
+            dayLength: sim.dayNight.settings.dayLength,
+            autoWeather: sim.dayNight.settings.autoWeather
+        };
+        frames = [];
+        last = {};
+        actions = [];
+        unregister = sim.loop.register({
+            name: 'recorder',
+            priority: 0,
+            update: capture
+        });
+    }
+
+    // Note a call the page made into the simulation between ticks:
+    // { type: 'terminal', id, line } or { type: 'useItem', slot }
+    function action(entry) {
+        if (recorder.recording) actions.push({ ...entry });
+    }
+
+    // Finish and return the recording, or null when none was running
+    function stop() {
+        if (!recorder.recording) return null;
+        recorder.recording = false;
+        unregister();
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            level: info.level || sim.layout.name,
+            seed: info.seed !== undefined ? info.seed : null,
+            tickRate: sim.loop.settings.tickRate,
+            recordedAt: new Date().toISOString(),
+            start,
+            ticks: sim.loop.tick - startTick,
+            frames,
+            end: summarizeRun(sim)
+        };
+    }
+
+    recorder.start = begin;
+    recorder.action = action;
+    recorder.stop = stop;
+    return recorder;
+}
+
+// =========================
+// Replaying
+// =========================
+
+// Carry out a recorded action
+function perform(sim, entry) {
+    if (entry.type === 'terminal') sim.getTerminal(entry.id).execute(entry.line);
+    else if (entry.type === 'useItem') sim.useItem(entry.slot);
+}
+
+// Drives sim from a recording, a tick at a time as sim's loop runs, until
+// the recording runs out. options.reset puts the world back to its start
+// (sim.reset() by default; the page also resets what it draws) and
+// options.onEnd runs once the last recorded tick has been played.
+export function createReplayer(sim, recording, options = {}) {
+    const reset = options.reset || (() => sim.reset());
+    const replayer = {
+        recording,
+        tick: 0, // Recorded ticks played so far
+        finished: false
+    };
+    let index = 0;
+    let values = {};
+
+    function feed() {
+        if (replayer.finished) {
+            CONTROLS.forEach(key => {
+                sim.controls[key] = typeof sim.controls[key] === 'number' ? 0 : false;
+            });
+            return;
+        }
+        const frames = recording.frames;
+        while (index < frames.length && frames[index].t <= replayer.tick) {
+            const frame = frames[index++];
+            Object.keys(CHANNELS).forEach(key => {
+                if (frame[CHANNELS[key]] !== undefined) values[key] = frame[CHANNELS[key]];
+            });
+            (frame.a || []).forEach(entry => perform(sim, entry));
+        }
+        CONTROLS.forEach(key => {
+            if (values[key] !== undefined) sim.controls[key] = values[key];
+        });
+        if (values.yaw !== undefined) sim.player.yaw = values.yaw;
+        if (values.pitch !== undefined) sim.player.pitch = values.pitch;
+        replayer.tick++;
+        if (replayer.tick >= recording.ticks) {
+            replayer.finished = true;
+            if (options.onEnd) options.onEnd();
+        }
+    }
+
+    const unregister = sim.loop.register({
+        name: 'replay',
+        priority: 0,
+        update: feed
+    });
+
+    // Back to the start of the recording
+    function restart() {
+        reset();
+        const start = recording.start || {};
+        if (start.dayLength !== undefined) sim.dayNight.settings.dayLength = start.dayLength;
+        if (start.autoWeather !== undefined) sim.dayNight.settings.autoWeather = start.autoWeather;
+        if (start.environment) sim.dayNight.setState(start.environment);
+        replayer.tick = 0;
+        replayer.finished = recording.ticks === 0;
+        index = 0;
+        values = {};
+    }
+
+    // Jump to a recorded tick by playing up to it; going back starts over
+    function seek(tick) {
+        const target = Math.max(0, Math.min(recording.ticks, Math.round(tick)));
+        if (target < replayer.tick) restart();
+        if (target > replayer.tick) sim.step(target - replayer.tick);
+    }
+
+    replayer.restart = restart;
+    replayer.seek = seek;
+    replayer.dispose = unregister;
+    return replayer;
+}
+
+// Play a recording through a fresh simulation of layout, as fast as it
+// goes. Returns { sim, end, differences } where differences lists how the
+// run ended differently from the recorded one (empty when it matched).
+export function replayHeadless(layout, recording, options = {}) {
+    const sim = createSimulation(layout, {
+        ...options,
+        tickRate: recording.tickRate
+    });
+    const replayer = createReplayer(sim, recording);
+    replayer.restart();
+    sim.step(recording.ticks);
+    const end = summarizeRun(sim);
+    return {
+        sim,
+        end,
+        differences: recording.end ? compareRuns(recording.end, end) : []
+    };
+}
@@ -0,0 +1,155 @@
+// Replay controls: play and pause, a bar to scrub through the run, playback
+// speed and whether the camera follows the runner or flies free. The panel
+// only holds the values; whoever opens it plays the recording through
+// options.onSeek and reads values each frame for the rest.
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const styles = `
+#replayPanel {
+    position: fixed;
+    left: 50%;
+    bottom: 16px;
+    transform: translateX(-50%);
+    z-index: 1800;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 10px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    font: 12px sans-serif;
+}
+
+#replayPanel input[type="range"] {
+    width: 320px;
+}
+
+#replayPanel .replay-time {
+    min-width: 90px;
+    text-align: center;
+    font-variant-numeric: tabular-nums;
+}
+
+#replayPanel .replay-hint {
+    opacity: 0.7;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('replayPanelStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'replayPanelStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// options.onSeek(tick) runs when the bar is dragged, options.onCamera(free)
+// when the camera button is pressed and options.onClose when Exit is pressed
+export function createReplayPanel(options = {}) {
+    injectStyles();
+
+    const values = {
+        playing: true,
+        speed: 1,
+        free: false // Free camera rather than following the runner
+    };
+    let recording = null;
+
+    const root = document.createElement('div');
+    root.id = 'replayPanel';
+    root.innerHTML = `
+        <button type="button" data-replay="play"></button>
+        <input type="range" min="0" step="1" data-replay="scrub">
+        <span class="replay-time"></span>
+        <select data-replay="speed"></select>
+        <button type="button" data-replay="camera"></button>
+        <button type="button" data-replay="close">Exit</button>
+        <span class="replay-hint"></span>
+    `;
+    root.style.display = 'none';
+    (options.parent || document.body).appendChild(root);
+
+    const playButton = root.querySelector('[data-replay="play"]');
+    const scrub = root.querySelector('[data-replay="scrub"]');
+    const time = root.querySelector('.replay-time');
+    const speed = root.querySelector('[data-replay="speed"]');
+    const cameraButton = root.querySelector('[data-replay="camera"]');
+    const hint = root.querySelector('.replay-hint');
+
+    REPLAY_SPEEDS.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value}×`;
+        speed.appendChild(option);
+    });
+
+    function refresh() {
+        playButton.textContent = values.playing ? 'Pause' : 'Play';
+        speed.value = values.speed;
+        cameraButton.textContent = values.free ? 'Free camera' : 'Follow';
+        hint.textContent = values.free ? 'Drag to look, move to fly' : '';
+    }
+
+    // Keep the panel out of the way of game input
+    root.addEventListener('keydown', event => event.stopPropagation());
+
+    playButton.addEventListener('click', () => setPlaying(!values.playing));
+    scrub.addEventListener('input', () => {
+        if (options.onSeek) options.onSeek(Number(scrub.value));
+    });
+    speed.addEventListener('change', () => {
+        values.speed = Number(speed.value);
+    });
+    cameraButton.addEventListener('click', () => {
+        values.free = !values.free;
+        refresh();
+        if (options.onCamera) options.onCamera(values.free);
+    });
+    root.querySelector('[data-replay="close"]').addEventListener('click', () => {
+        if (options.onClose) options.onClose();
+    });
+
+    function setPlaying(playing) {
+        values.playing = playing;
+        refresh();
+    }
+
+    // Move the bar and clock to a recorded tick, as playback goes
+    function setTick(tick) {
+        scrub.value = tick;
+        time.textContent = `${formatTime(tick / recording.tickRate)} / ${formatTime(recording.ticks / recording.tickRate)}`;
+    }
+
+    // Show the panel for a recording, playing from the start
+    function open(next) {
+        recording = next;
+        scrub.max = recording.ticks;
+        Object.assign(values, { playing: true, speed: 1, free: false });
+        refresh();
+        setTick(0);
+        root.style.display = '';
+    }
+
+    function close() {
+        root.style.display = 'none';
+        if (root.contains(document.activeElement)) document.activeElement.blur();
+    }
+
+    refresh();
+
+    return {
+        element: root,
+        values,
+        open,
+        close,
+        setPlaying,
+        setTick
+    };
+}
@@ -0,0 +1,176 @@
+// Saved games.
+// A save is a plain JSON document made of named sections; each system that
+// has something worth keeping registers a section with a save() and a
+// load() callback. Saves carry a format version and are migrated forward
+// step by step when an older one is loaded, so the world can grow without
+// breaking existing saves. Slots live in localStorage and can be exported to
+// and imported from JSON files.
+
+export const SAVE_FORMAT = 'shredded-save';
+export const SAVE_VERSION = 1;
+export const SAVE_SLOTS = ['auto', 'slot1', 'slot2', 'slot3'];
+
+const STORAGE_PREFIX = 'shredded.save.';
+
+// Upgrades from one version to the next, keyed by the version they upgrade
+// from: MIGRATIONS[1] turns a version 1 save into a version 2 save.
+// Sections a migration does not know about must be passed through untouched.
+const MIGRATIONS = {};
+
+export class SaveFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveFormatError';
+    }
+}
+
+// Check a parsed save and bring it up to the current version
+export function migrateSave(save) {
+    if (typeof save !== 'object' || save === null || Array.isArray(save)) {
+        throw new SaveFormatError('Not a save file');
+    }
+    if (save.format !== SAVE_FORMAT) throw new SaveFormatError('Not a save file');
+    if (!Number.isInteger(save.version) || save.version < 1) {
+        throw new SaveFormatError(`Unknown save version ${JSON.stringify(save.version)}`);
+    }
+    if (save.version > SAVE_VERSION) {
+        throw new SaveFormatError(`Save version ${save.version} is newer than this game supports`);
+    }
+    if (typeof save.sections !== 'object' || save.sections === null) {
+        throw new SaveFormatError('Save has no sections');
+    }
+
+    let migrated = save;
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) throw new SaveFormatError(`No migration from save version ${migrated.version}`);
+        migrated = {
+            ...migrate(migrated),
+            version: migrated.version + 1
+        };
+    }
+    return migrated;
+}
+
+// options: { storage, level } where level names the level saves belong to
+export function createSaveManager(options = {}) {
+    const storage = options.storage !== undefined ? options.storage : window.localStorage;
+    const level = options.level || null;
+    const sections = new Map(); // name -> { save, load }
+
+    function register(name, section) {
+        sections.set(name, section);
+    }
+
+    // Snapshot every registered section
+    function capture(label = '') {
+        const captured = {};
+        sections.forEach((section, name) => {
+            captured[name] = section.save();
+        });
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            level,
+            label,
+            savedAt: new Date().toISOString(),
+            sections: captured
+        };
+    }
+
+    // Migrate a save and make sure it fits the current level, without
+    // applying it
+    function check(save) {
+        const migrated = migrateSave(save);
+        if (level && migrated.level && migrated.level !== level) {
+            throw new SaveFormatError(`This save belongs to the level "${migrated.level}"`);
+        }
+        return migrated;
+    }
+
+    // Apply a save; sections missing from it keep their current state
+    function restore(save) {
+        const migrated = check(save);
+        sections.forEach((section, name) => {
+            if (migrated.sections[name] !== undefined) section.load(migrated.sections[name]);
+        });
+        return migrated;
+    }
+
+    function checkSlot(slot) {
+        if (!SAVE_SLOTS.includes(slot)) throw new Error(`Unknown save slot "${slot}"`);
+    }
+
+    function write(slot, save = capture()) {
+        checkSlot(slot);
+        if (storage) storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(save));
+        return save;
+    }
+
+    // The save in a slot, migrated, or null when the slot is empty or unreadable
+    function read(slot) {
+        checkSlot(slot);
+        const text = storage && storage.getItem(STORAGE_PREFIX + slot);
+        if (!text) return null;
+        try {
+            return migrateSave(JSON.parse(text));
+        } catch (error) {
+            console.warn(`Ignoring unreadable save in slot "${slot}"`, error);
+            return null;
+        }
+    }
+
+    function remove(slot) {
+        checkSlot(slot);
+        if (storage) storage.removeItem(STORAGE_PREFIX + slot);
+    }
+
+    // Every slot with a summary of what it holds, for menus
+    function list() {
+        return SAVE_SLOTS.map(slot => {
+            const save = read(slot);
+            return {
+                slot,
+                save,
+                label: save ? save.label : '',
+                savedAt: save ? new Date(save.savedAt) : null
+            };
+        });
+    }
+
+    // The most recently written save across all slots
+    function latest() {
+        return list()
+            .filter(entry => entry.save && (!level || entry.save.level === level))
+            .sort((a, b) => b.savedAt - a.savedAt)
+            .map(entry => entry.save)[0] || null;
+    }
+
+    function exportSave(save) {
+        return JSON.stringify(save, null, 4);
+    }
+
+    function importSave(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new SaveFormatError('Save file is not valid JSON');
+        }
+        return migrateSave(parsed);
+    }
+
+    return {
+        register,
+        capture,
+        check,
+        restore,
+        write,
+        read,
+        remove,
+        list,
+        latest,
+        exportSave,
+        importSave
+    };
+}
@@ -0,0 +1,379 @@
+// Scene inspector for the developer overlay: the scene graph as a tree,
+// and fields for whatever is selected in it that change it as they are
+// edited: its transform, its materials (and the uniforms of shader
+// materials such as the sky's) and, for lights, colour, intensity, range
+// and shadow settings. Fields follow the object while they are not being
+// typed in, so moving things show where they are.
+
+const styles = `
+#sceneInspector {
+    display: flex;
+    flex-direction: column;
+    min-height: 0;
+}
+
+#sceneInspector .inspector-tree {
+    flex: 1 1 50%;
+    min-height: 80px;
+    overflow: auto;
+    padding-bottom: 6px;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+}
+
+#sceneInspector details {
+    margin-left: 10px;
+}
+
+#sceneInspector summary,
+#sceneInspector .inspector-leaf {
+    padding: 1px 4px;
+    border-radius: 3px;
+    cursor: pointer;
+    white-space: nowrap;
+}
+
+#sceneInspector .inspector-leaf {
+    margin-left: 14px;
+}
+
+#sceneInspector .selected {
+    background-color: #5a32a0;
+}
+
+#sceneInspector .inspector-type {
+    opacity: 0.5;
+}
+
+#sceneInspector .inspector-fields {
+    flex: 1 1 50%;
+    overflow: auto;
+    padding-top: 6px;
+}
+
+#sceneInspector h3 {
+    margin: 8px 0 4px;
+    font-size: 12px;
+}
+
+#sceneInspector label {
+    display: grid;
+    grid-template-columns: 110px 1fr;
+    align-items: center;
+    gap: 6px;
+    margin: 2px 0;
+}
+
+#sceneInspector .inspector-vector {
+    display: flex;
+    gap: 2px;
+}
+
+#sceneInspector input[type="number"] {
+    width: 0;
+    flex: 1;
+    min-width: 0;
+}
+
+#sceneInspector .inspector-empty {
+    opacity: 0.6;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('sceneInspectorStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'sceneInspectorStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+const DEGREES = 180 / Math.PI;
+
+// Seconds between fields catching up with their objects
+const REFRESH_INTERVAL = 0.25;
+
+function colorField(label, color) {
+    return {
+        label,
+        type: 'color',
+        get: () => `#${color.getHexString()}`,
+        set: value => color.set(value)
+    };
+}
+
+function numberField(label, target, key, step = 0.05) {
+    return {
+        label,
+        type: 'number',
+        step,
+        get: () => target[key],
+        set: value => {
+            target[key] = value;
+        }
+    };
+}
+
+function booleanField(label, target, key, after = null) {
+    return {
+        label,
+        type: 'boolean',
+        get: () => target[key],
+        set: (value) => {
+            target[key] = value;
+            if (after) after();
+        }
+    };
+}
+
+function vectorField(label, vector, scale = 1, step = 0.1) {
+    return {
+        label,
+        type: 'vector',
+        step,
+        get: () => [vector.x * scale, vector.y * scale, vector.z * scale],
+        set: ([x, y, z]) => vector.set(x / scale, y / scale, z / scale)
+    };
+}
+
+// Sections of fields for an object: [{ heading, fields }]
+function describe(object) {
+    const sections = [{
+        heading: 'Object',
+        fields: [
+            booleanField('visible', object, 'visible'),
+            vectorField('position', object.position),
+            vectorField('rotation (°)', object.rotation, DEGREES, 5),
+            vectorField('scale', object.scale),
+            ...(object.isMesh ? [booleanField('castShadow', object, 'castShadow'), booleanField('receiveShadow', object, 'receiveShadow')] : [])
+        ]
+    }];
+
+    if (object.isLight) {
+        const fields = [colorField('color', object.color), numberField('intensity', object, 'intensity', 0.1)];
+        if (object.groundColor) fields.push(colorField('groundColor', object.groundColor));
+        if (object.distance !== undefined) fields.push(numberField('distance', object, 'distance', 0.5));
+        if (object.decay !== undefined) fields.push(numberField('decay', object, 'decay', 0.1));
+        if (object.isSpotLight) {
+            fields.push({
+                label: 'angle (°)',
+                type: 'number',
+                step: 1,
+                get: () => object.angle * DEGREES,
+                set: (value) => {
+                    object.angle = value / DEGREES;
+                }
+            }, numberField('penumbra', object, 'penumbra'));
+        }
+        if (object.shadow) {
+            fields.push(booleanField('castShadow', object, 'castShadow'),
+                numberField('shadow bias', object.shadow, 'bias', 0.0005),
+                numberField('shadow normalBias', object.shadow, 'normalBias', 0.005));
+        }
+        sections.push({ heading: 'Light', fields });
+    }
+
+    const materials = object.material ? [].concat(object.material) : [];
+    materials.forEach(material => {
+        const fields = [];
+        const refresh = () => {
+            material.needsUpdate = true;
+        };
+        if (material.color) fields.push(colorField('color', material.color));
+        if (material.emissive) fields.push(colorField('emissive', material.emissive));
+        ['emissiveIntensity', 'roughness', 'metalness', 'envMapIntensity', 'opacity'].forEach(key => {
+            if (typeof material[key] === 'number') fields.push(numberField(key, material, key));
+        });
+        fields.push(booleanField('transparent', material, 'transparent', refresh));
+        if ('wireframe' in material) fields.push(booleanField('wireframe', material, 'wireframe'));
+        // Shader materials, such as the sky's, are steered by their uniforms
+        Object.keys(material.uniforms || {}).forEach(name => {
+            const uniform = material.uniforms[name];
+            if (typeof uniform.value === 'number') fields.push(numberField(name, uniform, 'value'));
+            else if (uniform.value && uniform.value.isColor) fields.push(colorField(name, uniform.value));
+            else if (uniform.value && uniform.value.isVector3) fields.push(vectorField(name, uniform.value));
+        });
+        sections.push({ heading: `Material ${material.name || material.type}`, fields });
+    });
+    return sections;
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+// options.onChange runs after any edit, e.g. to redraw a paused frame
+export function createSceneInspector(scene, options = {}) {
+    injectStyles();
+
+    const root = document.createElement('div');
+    root.id = 'sceneInspector';
+    root.innerHTML = `
+        <div class="inspector-tree"></div>
+        <div class="inspector-fields"></div>
+    `;
+    (options.parent || document.body).appendChild(root);
+    const tree = root.querySelector('.inspector-tree');
+    const panel = root.querySelector('.inspector-fields');
+
+    let selected = null;
+    let rows = []; // { field, inputs } for the selected object
+    let sinceRefresh = 0;
+
+    function changed() {
+        if (options.onChange) options.onChange();
+    }
+
+    function label(object) {
+        const text = document.createElement('span');
+        text.textContent = `${object.name || '(unnamed)'} `;
+        const type = document.createElement('span');
+        type.className = 'inspector-type';
+        type.textContent = object.type;
+        text.appendChild(type);
+        return text;
+    }
+
+    // Children are only listed once their parent is opened, which keeps the
+    // tree quick to build however big the scene
+    function node(object) {
+        if (!object.children.length) {
+            const leaf = document.createElement('div');
+            leaf.className = 'inspector-leaf';
+            leaf.appendChild(label(object));
+            leaf.addEventListener('click', () => select(object));
+            leaf.inspected = object;
+            return leaf;
+        }
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        const name = label(object);
+        summary.appendChild(name);
+        summary.inspected = object;
+        // Clicking the name selects; the marker opens and closes
+        name.addEventListener('click', (event) => {
+            event.preventDefault();
+            select(object);
+        });
+        details.appendChild(summary);
+        details.addEventListener('toggle', () => {
+            if (!details.open || details.children.length > 1) return;
+            object.children.forEach(child => details.appendChild(node(child)));
+            markSelected();
+        });
+        return details;
+    }
+
+    // Rebuild the tree, e.g. after things were added to the scene
+    function refresh() {
+        tree.textContent = '';
+        const top = node(scene);
+        top.open = true;
+        tree.appendChild(top);
+        if (selected && !selected.parent && selected !== scene) select(null);
+    }
+
+    function markSelected() {
+        tree.querySelectorAll('summary, .inspector-leaf').forEach(item => {
+            item.classList.toggle('selected', item.inspected === selected);
+        });
+    }
+
+    function createInputs(field) {
+        const row = document.createElement('label');
+        const name = document.createElement('span');
+        name.textContent = field.label;
+        row.appendChild(name);
+        let inputs;
+        if (field.type === 'vector') {
+            const group = document.createElement('span');
+            group.className = 'inspector-vector';
+            inputs = [0, 1, 2].map(() => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = field.step;
+                group.appendChild(input);
+                return input;
+            });
+            inputs.forEach(input => input.addEventListener('input', () => {
+                const values = inputs.map(item => Number(item.value));
+                if (values.every(Number.isFinite)) {
+                    field.set(values);
+                    changed();
+                }
+            }));
+            row.appendChild(group);
+        } else {
+            const input = document.createElement('input');
+            input.type = field.type === 'boolean' ? 'checkbox' : field.type;
+            if (field.step) input.step = field.step;
+            input.addEventListener(field.type === 'boolean' ? 'change' : 'input', () => {
+                if (field.type === 'boolean') field.set(input.checked);
+                else if (field.type === 'color') field.set(input.value);
+                else if (input.value !== '' && Number.isFinite(Number(input.value))) field.set(Number(input.value));
+                else return;
+                changed();
+            });
+            inputs = [input];
+            row.appendChild(input);
+        }
+        return { row, inputs };
+    }
+
+    // Copy values from the object into any field not being typed in
+    function readBack() {
+        rows.forEach(({ field, inputs }) => {
+            if (inputs.includes(document.activeElement)) return;
+            const value = field.get();
+            if (field.type === 'vector') inputs.forEach((input, i) => {
+                input.value = formatNumber(value[i]);
+            });
+            else if (field.type === 'boolean') inputs[0].checked = value;
+            else if (field.type === 'number') inputs[0].value = formatNumber(value);
+            else inputs[0].value = value;
+        });
+    }
+
+    function select(object) {
+        selected = object;
+        rows = [];
+        panel.textContent = '';
+        markSelected();
+        if (!object) {
+            panel.innerHTML = '<div class="inspector-empty">Pick something in the tree</div>';
+            return;
+        }
+        describe(object).forEach(section => {
+            if (!section.fields.length) return;
+            const heading = document.createElement('h3');
+            heading.textContent = section.heading;
+            panel.appendChild(heading);
+            section.fields.forEach(field => {
+                const { row, inputs } = createInputs(field);
+                rows.push({ field, inputs });
+                panel.appendChild(row);
+            });
+        });
+        readBack();
+    }
+
+    // Once a frame
+    function update(delta) {
+        sinceRefresh += delta;
+        if (sinceRefresh < REFRESH_INTERVAL || !root.offsetParent) return;
+        sinceRefresh = 0;
+        readBack();
+    }
+
+    refresh();
+    select(null);
+
+    return {
+        element: root,
+        refresh,
+        select,
+        update,
+        get selected() {
+            return selected;
+        }
+    };
+}
@@ -0,0 +1,89 @@
+// Persistent player settings.
+// Systems define the keys they own with a default value, then bind to them
+// to react whenever the value changes (including the initial value).
+
+const STORAGE_KEY = 'shredded.settings';
+
+export function createSettings(options = {}) {
+    const storage = options.storage !== undefined ? options.storage : window.localStorage;
+    const defaults = {};
+    const values = {};
+    const listeners = new Map(); // key -> Set of callbacks
+    let saved = {};
+
+    if (storage) {
+        try {
+            saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable settings', error);
+        }
+    }
+
+    // A full or unavailable storage (e.g. Safari private browsing) keeps the
+    // values for this session only
+    function save() {
+        if (!storage) return;
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(values));
+        } catch (error) {
+            console.warn('Could not save settings', error);
+        }
+    }
+
+    function define(key, defaultValue) {
+        defaults[key] = defaultValue;
+        if (!(key in values)) {
+            // Only keep saved values of the same type as the default
+            values[key] = saved[key] !== undefined && typeof saved[key] === typeof defaultValue ?
+                saved[key] : defaultValue;
+        }
+        return values[key];
+    }
+
+    function get(key) {
+        if (!(key in defaults)) throw new Error(`Unknown setting "${key}"`);
+        return values[key];
+    }
+
+    function set(key, value) {
+        if (!(key in defaults)) throw new Error(`Unknown setting "${key}"`);
+        if (values[key] === value) return;
+        values[key] = value;
+        save();
+        (listeners.get(key) || []).forEach(callback => callback(value, key));
+    }
+
+    // Call back now and on every change
+    function bind(key, callback) {
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        listeners.get(key).add(callback);
+        callback(get(key), key);
+        return () => listeners.get(key).delete(callback);
+    }
+
+    function reset(keys = Object.keys(defaults)) {
+        keys.forEach(key => set(key, defaults[key]));
+    }
+
+    // Plain copy of every value, e.g. for save files
+    function toJSON() {
+        return { ...values };
+    }
+
+    // Apply values from a plain object, ignoring unknown keys
+    function assign(newValues) {
+        Object.keys(newValues || {}).forEach(key => {
+            if (key in defaults && typeof newValues[key] === typeof defaults[key]) set(key, newValues[key]);
+        });
+    }
+
+    return {
+        define,
+        get,
+        set,
+        bind,
+        reset,
+        toJSON,
+        assign
+    };
+}
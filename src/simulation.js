@@ -0,0 +1,763 @@
+// The game world without the graphics: collision, the player, loose props
+// and breakable walls, doors, interaction, items, enemies, noise, health,
+// checkpoints and objectives, all advanced by a fixed-timestep game loop.
+// index.js feeds it controls and draws it; in Node it can be built straight
+// from a level file and stepped tick by tick:
+//
+//   const sim = createSimulation(expandLevel(validateLevel(json)));
+//   sim.controls.forward = 1;
+//   sim.step(60); // One simulated second
+//
+// Systems run each tick in priority order: time of day, player, physics,
+// doors, checkpoints, pickups, enemies, interaction. Anything else (the HUD,
+// rendering) registers with sim.loop the same way.
+
+import {
+    createCollisionWorld,
+    boxesOverlap
+} from './collision.js';
+import {
+    createPlayer
+} from './player.js';
+import {
+    createEventBus
+} from './events.js';
+import {
+    createDoorSystem
+} from './doors.js';
+import {
+    createInteractionSystem
+} from './interaction.js';
+import {
+    createNavGrid
+} from './navGrid.js';
+import {
+    createEnemy
+} from './enemy.js';
+import {
+    createTerminal
+} from './terminal.js';
+import {
+    createGameLoop
+} from './gameLoop.js';
+import {
+    createDayNightCycle
+} from './dayNight.js';
+import {
+    createObjectiveTracker
+} from './objectives.js';
+import {
+    createInventory
+} from './inventory.js';
+import {
+    createPhysicsWorld,
+    yawQuaternion
+} from './physics.js';
+
+export const SIMULATION_DEFAULTS = {
+    killPlaneY: -50, // Falling below this height ends the game
+    maxHealth: 100,
+    inventorySlots: 16,
+    pickupReach: 0.3, // How close the player's body has to come to take a pickup
+    carryMass: 20, // Heaviest prop the player can pick up
+    carryDistance: 1.6, // How far in front of the eyes a carried prop is held
+    carrySlack: 1.2, // A carried prop that snags this far behind is dropped
+    carryReachTime: 0.5, // Seconds a picked-up prop has to reach the hands
+    throwSpeed: 10
+};
+
+// layout is the expanded level from expandLevel(); options may also carry
+// LOOP_DEFAULTS overrides such as tickRate, and options.dayNight the
+// DAY_NIGHT_DEFAULTS overrides
+export function createSimulation(layout, options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    const loop = createGameLoop(options);
+
+    // Game events: doors, clues, lights and anything else scripted in level data
+    const events = createEventBus();
+    const emit = (event) => events.emit(event.type, event);
+
+    // Static colliders for every solid box in the level; loose props get
+    // physics bodies instead
+    const world = createCollisionWorld();
+    const boxColliders = new Map();
+    layout.boxes.forEach((box) => {
+        if (!box.solid || box.mass !== null) return;
+        boxColliders.set(box, world.add(box.min, box.max, {
+            levelBox: box
+        }));
+    });
+
+    const physics = createPhysicsWorld(world, {
+        emit
+    });
+    layout.boxes.forEach((box) => {
+        if (box.mass !== null) {
+            physics.addBody({
+                id: box.id,
+                size: box.size,
+                position: box.center,
+                orientation: yawQuaternion(0),
+                mass: box.mass,
+                userData: {
+                    levelBox: box
+                }
+            });
+        } else if (box.breakable && boxColliders.has(box)) {
+            physics.addBreakable(boxColliders.get(box), {
+                id: box.id,
+                strength: box.breakable.strength,
+                pieceSize: box.breakable.pieceSize,
+                userData: {
+                    levelBox: box
+                }
+            });
+        }
+    });
+
+    // Player character, placed at the level's first spawn point
+    const spawn = layout.spawns[0];
+    const player = createPlayer(world, {
+        spawn: spawn.position,
+        yaw: spawn.heading
+    });
+
+    // What the player wants to do this tick. forward and strafe are -1..1;
+    // interact and throw are single presses, cleared once handled.
+    const controls = {
+        forward: 0,
+        strafe: 0,
+        run: false,
+        jump: false,
+        interact: false,
+        throw: false
+    };
+
+    const sim = {
+        settings,
+        layout,
+        loop,
+        events,
+        emit,
+        world,
+        spawn,
+        player,
+        controls,
+        health: settings.maxHealth,
+        dead: false,
+        interactionTarget: null,
+        carried: null, // The physics body the player is holding
+        terminals: {}, // Created on first use and kept afterwards
+        pickupCounts: {}, // Pickup id -> how many are still lying there
+        revealedClues: [],
+        reachedCheckpoints: new Set()
+    };
+
+    // =========================
+    // Doors and Interaction
+    // =========================
+
+    // Doors slide open and closed but never close on the player
+    const doors = createDoorSystem(world, layout.doors, {
+        emit,
+        isBlocked: (box) => boxesOverlap(box, player.bodyBox())
+    });
+    doors.listen(events);
+
+    // Props with an `interact` block can be used by looking at them, and
+    // loose props light enough to lift can be picked up
+    const interaction = createInteractionSystem(world);
+    layout.boxes.forEach((box) => {
+        const body = box.mass !== null ? physics.getBody(box.id) : null;
+        if (box.prop && box.prop.interact) {
+            interaction.add({
+                id: box.id,
+                type: box.prop.interact.type,
+                min: box.min,
+                max: box.max,
+                prompt: box.prop.interact.prompt || 'Use',
+                data: box.prop.interact,
+                collider: body ? body.collider : boxColliders.get(box) || null
+            });
+        } else if (body && body.mass <= settings.carryMass) {
+            interaction.add({
+                id: box.id,
+                type: 'carry',
+                min: box.min,
+                max: box.max,
+                prompt: 'Pick up',
+                data: {
+                    body: box.id
+                },
+                collider: body.collider
+            });
+        }
+    });
+
+    // Usable doors are aimed at through their doorway, open or shut
+    layout.doors.forEach((definition) => {
+        if (!definition.usable) return;
+        const half = {
+            x: definition.size.x / 2,
+            y: definition.size.y / 2,
+            z: definition.size.z / 2
+        };
+        interaction.add({
+            id: definition.id,
+            type: 'door',
+            min: {
+                x: definition.center.x - half.x,
+                y: definition.center.y - half.y,
+                z: definition.center.z - half.z
+            },
+            max: {
+                x: definition.center.x + half.x,
+                y: definition.center.y + half.y,
+                z: definition.center.z + half.z
+            },
+            prompt: 'Open door',
+            data: {
+                door: definition.id
+            },
+            collider: doors.doors.get(definition.id).collider
+        });
+    });
+
+    // A locked door whose key the player carries can be unlocked
+    function canUnlock(door) {
+        return door.locked && Boolean(door.definition.key) && inventory.has(door.definition.key);
+    }
+
+    function promptFor(target) {
+        if (target.type === 'door') {
+            const door = doors.doors.get(target.data.door);
+            if (canUnlock(door)) return 'Unlock door';
+            return door.target === 1 ? 'Close door' : 'Open door';
+        }
+        return target.prompt;
+    }
+
+    function getTerminal(id) {
+        if (!sim.terminals[id]) {
+            sim.terminals[id] = createTerminal(layout.terminals[id], {
+                emit
+            });
+        }
+        return sim.terminals[id];
+    }
+
+    events.on('clue:reveal', (event) => {
+        if (sim.revealedClues.some(clue => clue.id === event.id)) return;
+        sim.revealedClues.push({
+            id: event.id,
+            text: event.text
+        });
+        emit({
+            type: 'clue:revealed',
+            id: event.id,
+            text: event.text
+        });
+    });
+
+    // Something needs an item the player does not have
+    function requireItem(item, target, message) {
+        if (inventory.has(item)) return true;
+        emit({
+            type: 'item:required',
+            item,
+            name: inventory.definition(item).name,
+            source: target.id,
+            message
+        });
+        return false;
+    }
+
+    function unlockWithKey(door) {
+        const key = door.definition.key;
+        doors.setLocked(door.id, false);
+        if (door.definition.consumeKey) inventory.remove(key);
+        emit({
+            type: 'door:unlocked',
+            door: door.id,
+            item: key
+        });
+    }
+
+    // Terminals need a screen, so using one only announces 'terminal:open'
+    function interact(target) {
+        const data = target.data;
+        if (data.requires && !requireItem(data.requires, target, data.missing)) return;
+        if (data.requires && data.consume) inventory.remove(data.requires);
+        if (target.type === 'terminal') {
+            emit({
+                type: 'terminal:open',
+                terminal: getTerminal(data.terminal),
+                id: data.terminal,
+                source: target.id
+            });
+        } else if (target.type === 'door') {
+            const door = doors.doors.get(data.door);
+            if (canUnlock(door)) unlockWithKey(door);
+            doors.toggle(data.door);
+        } else if (target.type === 'carry') {
+            pickUp(physics.getBody(data.body));
+        } else if (target.type === 'drop') {
+            drop();
+        } else {
+            (data.events || []).forEach(event => emit({
+                ...event,
+                source: target.id
+            }));
+            if (data.once) target.enabled = false;
+        }
+    }
+
+    // Where the player is looking, matching a camera with rotation order YXZ
+    function viewDirection() {
+        const cosPitch = Math.cos(player.pitch);
+        return {
+            x: -Math.sin(player.yaw) * cosPitch,
+            y: Math.sin(player.pitch),
+            z: -Math.cos(player.yaw) * cosPitch
+        };
+    }
+
+    // =========================
+    // Physics
+    // =========================
+
+    // While something is carried, interacting drops it
+    const DROP_TARGET = {
+        id: 'drop',
+        type: 'drop',
+        prompt: 'Drop',
+        data: {}
+    };
+
+    function holdPoint() {
+        const eye = player.eyePosition();
+        const direction = viewDirection();
+        return {
+            x: eye.x + direction.x * settings.carryDistance,
+            y: eye.y + direction.y * settings.carryDistance,
+            z: eye.z + direction.z * settings.carryDistance
+        };
+    }
+
+    // Seconds since the carried prop was picked up, or null once it reached
+    // the hold point; from then on it only drops if it snags
+    let carryTime = null;
+
+    function pickUp(body) {
+        if (!body || sim.carried) return;
+        physics.hold(body);
+        sim.carried = body;
+        carryTime = 0;
+        emit({
+            type: 'prop:picked',
+            id: body.id
+        });
+    }
+
+    // Let go of the carried prop, thrown along the view when velocity is given
+    function drop(velocity = null) {
+        const body = sim.carried;
+        if (!body) return;
+        sim.carried = null;
+        physics.release(body, velocity);
+        emit({
+            type: velocity ? 'prop:thrown' : 'prop:dropped',
+            id: body.id
+        });
+    }
+
+    function throwCarried() {
+        const direction = viewDirection();
+        drop({
+            x: player.velocity.x + direction.x * settings.throwSpeed,
+            y: player.velocity.y + direction.y * settings.throwSpeed,
+            z: player.velocity.z + direction.z * settings.throwSpeed
+        });
+    }
+
+    // The player and the guards shove whatever they walk into
+    function pushers() {
+        const list = enemies.map(enemy => ({
+            box: enemy.body.bodyBox(),
+            velocity: enemy.body.wishVelocity
+        }));
+        if (!sim.dead) {
+            list.push({
+                box: player.bodyBox(),
+                velocity: player.wishVelocity
+            });
+        }
+        return list;
+    }
+
+    function updatePhysics(dt) {
+        const carried = sim.carried;
+        if (carried) {
+            const target = holdPoint();
+            const lag = Math.hypot(target.x - carried.position.x, target.y - carried.position.y, target.z - carried.position.z);
+            if (carryTime !== null) {
+                carryTime += dt;
+                if (lag <= settings.carrySlack) carryTime = null;
+            }
+            const snagged = carryTime === null ? lag > settings.carrySlack : carryTime > settings.carryReachTime;
+            if (sim.dead || snagged) drop();
+            else physics.steer(carried, target, dt);
+        }
+        physics.step(dt, pushers());
+        // Interaction boxes follow the props that moved
+        physics.bodies.forEach(body => {
+            if (!body.sleeping && interaction.get(body.id)) interaction.setBounds(body.id, body.collider.min, body.collider.max);
+        });
+    }
+
+    // Rubble coming down is loud, and so is anything landing hard
+    events.on('physics:broken', (event) => {
+        emit({ type: 'noise', position: event.position, radius: 20 });
+    });
+    events.on('physics:impact', (event) => {
+        if (event.impulse >= 100) emit({ type: 'noise', position: event.position, radius: 10 });
+    });
+
+    // =========================
+    // Items
+    // =========================
+
+    const inventory = createInventory(layout.items || {}, {
+        emit,
+        slots: settings.inventorySlots
+    });
+
+    function resetPickups() {
+        layout.pickups.forEach(pickup => {
+            sim.pickupCounts[pickup.id] = pickup.count;
+        });
+    }
+    resetPickups();
+
+    // Walking into a pickup takes as many as fit. A full inventory is only
+    // reported once each time the player bumps into something.
+    const pickupsInReach = new Set();
+    function updatePickups() {
+        const reach = settings.pickupReach;
+        const body = player.bodyBox();
+        const grown = {
+            min: { x: body.min.x - reach, y: body.min.y - reach, z: body.min.z - reach },
+            max: { x: body.max.x + reach, y: body.max.y + reach, z: body.max.z + reach }
+        };
+        layout.pickups.forEach(pickup => {
+            const remaining = sim.pickupCounts[pickup.id];
+            if (remaining === 0 || sim.dead || !boxesOverlap(grown, pickup)) {
+                pickupsInReach.delete(pickup.id);
+                return;
+            }
+            const added = inventory.add(pickup.item, remaining);
+            if (added > 0) {
+                sim.pickupCounts[pickup.id] = remaining - added;
+                emit({
+                    type: 'item:picked',
+                    id: pickup.id,
+                    item: pickup.item,
+                    name: inventory.definition(pickup.item).name,
+                    count: added,
+                    position: { ...pickup.center }
+                });
+            } else if (!pickupsInReach.has(pickup.id)) {
+                emit({
+                    type: 'inventory:full',
+                    item: pickup.item
+                });
+            }
+            pickupsInReach.add(pickup.id);
+        });
+    }
+
+    function useItem(slot) {
+        return !sim.dead && inventory.use(slot);
+    }
+
+    // Items can heal through their use events
+    events.on('player:heal', (event) => {
+        if (sim.dead) return;
+        sim.health = Math.min(settings.maxHealth, sim.health + (event.amount || 0));
+    });
+
+    // =========================
+    // Enemies
+    // =========================
+
+    // Walkable cells on every floor and stair, planned around the static castle;
+    // doors move, so closed ones are ruled out per search instead. Enemies share
+    // the player's body size and step height.
+    const navGrid = createNavGrid(
+        world,
+        layout.boxes.filter(box => box.solid && (box.kind === 'floor' || box.kind === 'stairs')),
+        {
+            blocks: collider => Boolean(collider.userData.levelBox)
+        }
+    );
+
+    function closedDoorAt(node) {
+        const { agentRadius, agentHeight } = navGrid.settings;
+        const box = {
+            min: { x: node.x - agentRadius, y: node.y, z: node.z - agentRadius },
+            max: { x: node.x + agentRadius, y: node.y + agentHeight, z: node.z + agentRadius }
+        };
+        for (const door of doors.doors.values()) {
+            if (door.collider.enabled && boxesOverlap(box, door.collider)) return true;
+        }
+        return false;
+    }
+
+    const enemies = layout.enemies.map(definition => createEnemy(world, navGrid, {
+        ...definition.tuning,
+        id: definition.id,
+        spawn: definition.position,
+        heading: definition.heading,
+        waypoints: definition.waypoints,
+        emit,
+        pathBlocked: closedDoorAt
+    }));
+
+    // Extra guards, e.g. from the developer console, standing at position.
+    // They are not in the level, so reset() takes them away again.
+    let spawnedEnemies = 0;
+    function spawnEnemy(position, heading = 0) {
+        const enemy = createEnemy(world, navGrid, {
+            id: `spawned${++spawnedEnemies}`,
+            spawn: position,
+            heading,
+            emit,
+            pathBlocked: closedDoorAt
+        });
+        enemies.push(enemy);
+        return enemy;
+    }
+
+    // Noises carry to every enemy in range: footsteps, landings and doors
+    events.on('noise', (event) => {
+        enemies.forEach(enemy => enemy.hearNoise(event.position, event.radius));
+    });
+    events.on('door:opened', (event) => {
+        const door = doors.doors.get(event.door);
+        if (door) emit({ type: 'noise', position: door.center, radius: 15 });
+    });
+    player.onLand = (speed) => {
+        if (speed > 6) emit({ type: 'noise', position: { ...player.position }, radius: speed * 1.5 });
+    };
+
+    // Anything walking on the ground announces a 'footstep' every so often,
+    // for sound. Only the player's steps are loud enough to alert enemies.
+    const footstepTimers = new Map(); // id -> seconds until the next step
+    function updateFootsteps(id, body, dt) {
+        const timer = Math.max(0, (footstepTimers.get(id) || 0) - dt);
+        footstepTimers.set(id, timer);
+        const speed = Math.hypot(body.velocity.x, body.velocity.z);
+        if (!body.onGround || speed < 1 || timer > 0) return false;
+        footstepTimers.set(id, body.running ? 0.3 : 0.45);
+        emit({
+            type: 'footstep',
+            id,
+            position: { ...body.position },
+            running: body.running
+        });
+        return true;
+    }
+
+    function updateFootstepNoise(dt) {
+        if (!updateFootsteps('player', player, dt)) return;
+        emit({
+            type: 'noise',
+            position: { ...player.position },
+            radius: player.running ? 18 : 6
+        });
+    }
+
+    // =========================
+    // Health, Checkpoints and Objectives
+    // =========================
+
+    // Announces 'player:died' once; reset() brings the player back
+    function die(cause, message) {
+        if (sim.dead) return;
+        sim.dead = true;
+        emit({
+            type: 'player:died',
+            cause,
+            message
+        });
+    }
+
+    events.on('enemy:attack', (event) => {
+        if (sim.dead) return;
+        sim.health = Math.max(0, sim.health - event.damage);
+        if (sim.health === 0) die('enemy', 'A castle guard caught you.');
+    });
+
+    // Entering a checkpoint volume fires a checkpoint event; level events can
+    // fire them too, e.g. after solving a puzzle. Each is reached only once.
+    events.on('checkpoint', (event) => {
+        if (sim.reachedCheckpoints.has(event.id)) return;
+        sim.reachedCheckpoints.add(event.id);
+        emit({
+            type: 'checkpoint:reached',
+            id: event.id,
+            label: event.label
+        });
+    });
+
+    // Level objectives follow whatever the events above announce
+    const objectives = createObjectiveTracker(layout.objectives || [], {
+        emit
+    });
+    objectives.listen(events);
+
+    function updateCheckpoints() {
+        const body = player.bodyBox();
+        layout.checkpoints.forEach((checkpoint) => {
+            if (sim.reachedCheckpoints.has(checkpoint.id) || !boxesOverlap(body, checkpoint)) return;
+            emit({
+                type: 'checkpoint',
+                id: checkpoint.id,
+                label: checkpoint.label
+            });
+        });
+    }
+
+    // =========================
+    // Tick Systems
+    // =========================
+
+    // Time of day and weather
+    const dayNight = createDayNightCycle(options.dayNight);
+    loop.register({
+        name: 'environment',
+        priority: 5,
+        update: (dt) => dayNight.update(dt)
+    });
+
+    loop.register({
+        name: 'player',
+        priority: 10,
+        update: (dt) => {
+            player.update(dt, controls);
+            if (player.position.y < settings.killPlaneY) die('fell', 'You fell out of the castle.');
+        }
+    });
+    loop.register({
+        name: 'physics',
+        priority: 15,
+        update: updatePhysics
+    });
+    loop.register({
+        name: 'doors',
+        priority: 20,
+        update: (dt) => doors.update(dt)
+    });
+    loop.register({
+        name: 'checkpoints',
+        priority: 30,
+        update: updateCheckpoints
+    });
+    loop.register({
+        name: 'pickups',
+        priority: 35,
+        update: updatePickups
+    });
+    loop.register({
+        name: 'enemies',
+        priority: 40,
+        update: (dt) => {
+            updateFootstepNoise(dt);
+            const target = sim.dead ? null : {
+                position: player.position,
+                eye: player.eyePosition()
+            };
+            enemies.forEach(enemy => {
+                enemy.update(dt, target);
+                updateFootsteps(enemy.id, enemy.body, dt);
+            });
+        }
+    });
+    loop.register({
+        name: 'interaction',
+        priority: 50,
+        update: () => {
+            if (sim.carried && controls.throw) throwCarried();
+            sim.interactionTarget = sim.carried ? DROP_TARGET : interaction.findTarget(player.eyePosition(), viewDirection());
+            if (controls.interact && sim.interactionTarget) interact(sim.interactionTarget);
+            controls.interact = false;
+            controls.throw = false;
+        }
+    });
+
+    // Put everything back the way the level file describes it
+    const initialDoorState = doors.getState();
+    const initialPhysicsState = physics.getState();
+
+    function reset() {
+        dayNight.reset();
+        player.reset(spawn.position, spawn.heading);
+        sim.carried = null;
+        physics.setState(initialPhysicsState);
+        physics.bodies.forEach(body => {
+            if (interaction.get(body.id)) interaction.setBounds(body.id, body.collider.min, body.collider.max);
+        });
+        doors.setState(initialDoorState);
+        Object.keys(sim.terminals).forEach(id => delete sim.terminals[id]);
+        interaction.interactables.forEach(interactable => {
+            interactable.enabled = true;
+        });
+        inventory.reset();
+        resetPickups();
+        pickupsInReach.clear();
+        sim.revealedClues.length = 0;
+        sim.reachedCheckpoints.clear();
+        objectives.reset();
+        enemies.length = layout.enemies.length;
+        enemies.forEach(enemy => enemy.reset());
+        sim.health = settings.maxHealth;
+        sim.dead = false;
+        sim.interactionTarget = null;
+        Object.assign(controls, {
+            forward: 0,
+            strafe: 0,
+            run: false,
+            jump: false,
+            interact: false,
+            throw: false
+        });
+        footstepTimers.clear();
+    }
+
+    // Headless stepping: run ticks without rendering
+    function step(ticks = 1) {
+        loop.step(ticks);
+        return sim;
+    }
+
+    sim.dayNight = dayNight;
+    sim.doors = doors;
+    sim.physics = physics;
+    sim.pickUp = pickUp;
+    sim.drop = drop;
+    sim.objectives = objectives;
+    sim.inventory = inventory;
+    sim.useItem = useItem;
+    sim.interaction = interaction;
+    sim.navGrid = navGrid;
+    sim.enemies = enemies;
+    sim.spawnEnemy = spawnEnemy;
+    sim.promptFor = promptFor;
+    sim.getTerminal = getTerminal;
+    sim.interact = interact;
+    sim.viewDirection = viewDirection;
+    sim.die = die;
+    sim.reset = reset;
+    sim.step = step;
+    return sim;
+}
@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+
+// The sky dome, stars, moon and rain, plus the scene lights and fog they
+// colour. apply() takes a sample from the day/night cycle (dayNight.js) and
+// sets everything to match it, so the sky only changes when the cycle does.
+
+const vertexShader = `
+varying vec3 vWorldPosition;
+void main() {
+    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+}`;
+const fragmentShader = `
+uniform vec3 topColor;
+uniform vec3 bottomColor;
+uniform float offset;
+uniform float exponent;
+varying vec3 vWorldPosition;
+void main() {
+    float h = normalize( vWorldPosition + offset ).y;
+    gl_FragColor = vec4( mix( bottomColor, topColor, max( pow( max( h, 0.0 ), exponent ), 0.0 ) ), 1.0 );
+}`;
+
+const SKY_RADIUS = 500;
+const STAR_COUNT = 1500;
+const RAIN_DROPS = 2000;
+const RAIN_AREA = 40; // Width and depth of the box of rain kept around the camera
+const RAIN_HEIGHT = 24;
+const RAIN_SPEED = 18;
+const RAIN_STREAK = 0.7;
+
+function createStars() {
+    const positions = new Float32Array(STAR_COUNT * 3);
+    for (let i = 0; i < STAR_COUNT; i++) {
+        // Evenly over the upper hemisphere, a little below the horizon too
+        const y = Math.random() * 1.1 - 0.1;
+        const angle = Math.random() * Math.PI * 2;
+        const ring = Math.sqrt(1 - y * y);
+        positions[i * 3] = Math.cos(angle) * ring * SKY_RADIUS * 0.9;
+        positions[i * 3 + 1] = y * SKY_RADIUS * 0.9;
+        positions[i * 3 + 2] = Math.sin(angle) * ring * SKY_RADIUS * 0.9;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const stars = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: 0xffffff,
+        size: 1.5,
+        sizeAttenuation: false,
+        transparent: true,
+        depthWrite: false,
+        fog: false
+    }));
+    stars.name = 'stars';
+    return stars;
+}
+
+function createRain() {
+    // Each drop is a short streak; its place in the box is fixed and it is
+    // moved down by time and wrapped around the camera every frame
+    const offsets = new Float32Array(RAIN_DROPS * 3);
+    for (let i = 0; i < offsets.length; i += 3) {
+        offsets[i] = Math.random() * RAIN_AREA;
+        offsets[i + 1] = Math.random() * RAIN_HEIGHT;
+        offsets[i + 2] = Math.random() * RAIN_AREA;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(RAIN_DROPS * 6), 3));
+    const rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: 0xa0b0c8,
+        transparent: true,
+        depthWrite: false
+    }));
+    rain.name = 'rain';
+    rain.frustumCulled = false;
+    rain.userData.offsets = offsets;
+    return rain;
+}
+
+function wrap(value, size) {
+    return ((value % size) + size) % size;
+}
+
+// lights: { sunLight, hemiLight, ambientLight, fog }
+export function createSky(scene, lights) {
+    const { sunLight, hemiLight, ambientLight, fog } = lights;
+
+    const uniforms = {
+        topColor: {
+            value: new THREE.Color(0x1a0033)
+        },
+        bottomColor: {
+            value: new THREE.Color(0x000033)
+        },
+        offset: {
+            value: 33
+        },
+        exponent: {
+            value: 0.6
+        }
+    };
+    const dome = new THREE.Mesh(
+        new THREE.SphereGeometry(SKY_RADIUS, 32, 15),
+        new THREE.ShaderMaterial({
+            uniforms: uniforms,
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            side: THREE.BackSide
+        })
+    );
+    dome.name = 'sky';
+    scene.add(dome);
+
+    const stars = createStars();
+    dome.add(stars);
+
+    const moon = new THREE.Mesh(
+        new THREE.SphereGeometry(12, 24, 12),
+        new THREE.MeshBasicMaterial({
+            color: 0xdde3f0,
+            transparent: true,
+            fog: false
+        })
+    );
+    moon.name = 'moon';
+    dome.add(moon);
+
+    const rain = createRain();
+    scene.add(rain);
+
+    const ambientIntensity = ambientLight.intensity;
+
+    function updateRain(amount, camera, time) {
+        rain.visible = amount > 0.01;
+        if (!rain.visible) return;
+        rain.material.opacity = Math.min(1, amount * 0.8);
+        const count = Math.floor(RAIN_DROPS * amount);
+        rain.geometry.setDrawRange(0, count * 2);
+        const offsets = rain.userData.offsets;
+        const positions = rain.geometry.attributes.position.array;
+        const origin = camera.position;
+        const half = RAIN_AREA / 2;
+        for (let i = 0; i < count; i++) {
+            // Positions stay put in the world as the camera moves through them
+            const x = origin.x - half + wrap(offsets[i * 3] - origin.x, RAIN_AREA);
+            const y = origin.y - RAIN_HEIGHT / 2 + wrap(offsets[i * 3 + 1] - time * RAIN_SPEED - origin.y, RAIN_HEIGHT);
+            const z = origin.z - half + wrap(offsets[i * 3 + 2] - origin.z, RAIN_AREA);
+            const at = i * 6;
+            positions[at] = x;
+            positions[at + 1] = y;
+            positions[at + 2] = z;
+            positions[at + 3] = x + 0.1; // A little wind
+            positions[at + 4] = y + RAIN_STREAK;
+            positions[at + 5] = z;
+        }
+        rain.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // environment: a sample from the day/night cycle. options.camera is
+    // where the rain falls around, options.time animates it and
+    // options.sheltered hides it under a roof.
+    function apply(environment, { camera = null, time = 0, sheltered = false } = {}) {
+        uniforms.topColor.value.setHex(environment.skyTop);
+        uniforms.bottomColor.value.setHex(environment.skyBottom);
+
+        const light = environment.lightDirection;
+        sunLight.position.set(light.x * 200, light.y * 200, light.z * 200);
+        sunLight.color.setHex(environment.lightColor);
+        sunLight.intensity = environment.lightIntensity;
+        hemiLight.color.setHex(environment.hemiSky);
+        hemiLight.groundColor.setHex(environment.hemiGround);
+        hemiLight.intensity = environment.hemiIntensity;
+        ambientLight.intensity = ambientIntensity * (1 + environment.flash);
+
+        fog.color.setHex(environment.fogColor);
+        fog.density = environment.fogDensity;
+
+        stars.material.opacity = environment.stars;
+        stars.visible = environment.stars > 0.01;
+        const moonDirection = environment.moon;
+        moon.position.set(moonDirection.x, moonDirection.y, moonDirection.z).multiplyScalar(SKY_RADIUS * 0.85);
+        moon.material.opacity = environment.moonVisible;
+        moon.visible = environment.moonVisible > 0.01;
+
+        updateRain(camera && !sheltered ? environment.rain : 0, camera, time);
+    }
+
+    return {
+        dome,
+        uniforms,
+        stars,
+        moon,
+        rain,
+        apply
+    };
+}
@@ -0,0 +1,93 @@
+// Debug panel for the day/night cycle: jump to any time of day and force the
+// weather. Only created when the page is opened with ?debug.
+
+import {
+    WEATHER_STATES
+} from './dayNight.js';
+
+const styles = `
+#skyDebugPanel {
+    position: fixed;
+    top: 10px;
+    left: 10px;
+    z-index: 1800;
+    padding: 8px 10px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    font: 12px sans-serif;
+}
+
+#skyDebugPanel label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin: 4px 0;
+}
+
+#skyDebugPanel input[type="range"] {
+    width: 160px;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('skyDebugPanelStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'skyDebugPanelStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+function formatTime(hours) {
+    const minutes = Math.floor(hours * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// options.onChange runs after the time or weather has been forced, e.g. to
+// redraw a paused frame
+export function createSkyDebugPanel(cycle, options = {}) {
+    injectStyles();
+
+    const root = document.createElement('div');
+    root.id = 'skyDebugPanel';
+    root.innerHTML = `
+        <label>Time <input type="range" min="0" max="24" step="0.25"> <span></span></label>
+        <label>Weather <select></select></label>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    const slider = root.querySelector('input');
+    const readout = root.querySelector('span');
+    const select = root.querySelector('select');
+    Object.keys(WEATHER_STATES).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+
+    // Keep the panel out of the way of game input
+    root.addEventListener('keydown', event => event.stopPropagation());
+
+    slider.addEventListener('input', () => {
+        cycle.setTime(Number(slider.value));
+        if (options.onChange) options.onChange();
+    });
+    select.addEventListener('change', () => {
+        cycle.setWeather(select.value);
+        if (options.onChange) options.onChange();
+    });
+
+    // Follow the clock while it runs
+    function update() {
+        readout.textContent = formatTime(cycle.time);
+        if (document.activeElement !== slider) slider.value = cycle.time;
+        if (document.activeElement !== select) select.value = cycle.weather;
+    }
+    update();
+
+    return {
+        element: root,
+        update
+    };
+}
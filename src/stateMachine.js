@@ -0,0 +1,48 @@
+// Small finite state machine for the overall game flow.
+// States declare which states they may move to plus optional enter/exit
+// hooks; anything else is rejected so a stray call cannot, say, resume a
+// game that never started.
+
+export function createStateMachine(definition) {
+    const states = definition.states;
+    const listeners = new Set();
+    let current = null;
+
+    function can(next) {
+        if (!states[next]) return false;
+        if (current === null) return true;
+        return (states[current].to || []).includes(next);
+    }
+
+    function transition(next, detail = {}) {
+        if (!states[next]) throw new Error(`Unknown game state "${next}"`);
+        if (!can(next)) throw new Error(`Cannot go from "${current}" to "${next}"`);
+        const previous = current;
+        if (previous !== null && states[previous].exit) states[previous].exit(next, detail);
+        current = next;
+        if (states[next].enter) states[next].enter(previous, detail);
+        listeners.forEach(listener => listener(next, previous, detail));
+    }
+
+    function is(...names) {
+        return names.includes(current);
+    }
+
+    // Called with (state, previous, detail) after every transition
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    if (definition.initial) transition(definition.initial);
+
+    return {
+        transition,
+        can,
+        is,
+        onChange,
+        get current() {
+            return current;
+        }
+    };
+}
@@ -0,0 +1,317 @@
+// In-game terminal command interpreter.
+// Works over a virtual filesystem described in level data:
+//
+// {
+//   "hostname": "shredder", "user": "guest", "home": "/home/guest",
+//   "motd": ["line", ...],
+//   "filesystem": { "type": "dir", "children": { "name": node, ... } },
+//   "locks": { "id": { "code": "1234", "description": "...", "message": "...", "events": [event, ...] } }
+// }
+//
+// A node is { "type": "dir", "children": {...}, "lock"?: id } or
+// { "type": "file", "content": "text" | ["line", ...], "lock"?: id, "events"?: [...] }.
+// Events are { "type": "door:open", ... } objects handed to `emit` when a
+// file is read or a lock is opened, which is how the terminal reaches into
+// the game world. Nothing here touches the DOM.
+
+function defaultFail(path, message) {
+    throw new Error(`${path}: ${message}`);
+}
+
+// Throws through `fail(path, message)` so the level loader can report
+// problems with its own error type
+export function validateTerminal(terminal, path, fail = defaultFail) {
+    if (typeof terminal !== 'object' || terminal === null) fail(path, 'expected an object');
+    const locks = terminal.locks || {};
+    if (typeof locks !== 'object' || Array.isArray(locks)) fail(`${path}.locks`, 'expected an object');
+    Object.keys(locks).forEach(id => {
+        const lock = locks[id];
+        if (typeof lock !== 'object' || lock === null) fail(`${path}.locks.${id}`, 'expected an object');
+        if (typeof lock.code !== 'string' || lock.code.length === 0) {
+            fail(`${path}.locks.${id}.code`, 'expected a non-empty string');
+        }
+        validateEvents(lock.events, `${path}.locks.${id}.events`);
+    });
+
+    function validateEvents(events, at) {
+        if (events === undefined) return;
+        if (!Array.isArray(events)) fail(at, 'expected an array');
+        events.forEach((event, i) => {
+            if (typeof event !== 'object' || event === null || typeof event.type !== 'string') {
+                fail(`${at}[${i}]`, 'expected an event object with a "type"');
+            }
+        });
+    }
+
+    function validateNode(node, at) {
+        if (typeof node !== 'object' || node === null) fail(at, 'expected a file or directory object');
+        if (node.lock !== undefined && !locks[node.lock]) fail(`${at}.lock`, `unknown lock "${node.lock}"`);
+        if (node.type === 'dir') {
+            if (typeof node.children !== 'object' || node.children === null || Array.isArray(node.children)) {
+                fail(`${at}.children`, 'expected an object');
+            }
+            Object.keys(node.children).forEach(name => {
+                if (name.includes('/')) fail(`${at}.children`, `invalid name "${name}"`);
+                validateNode(node.children[name], `${at}.children.${name}`);
+            });
+        } else if (node.type === 'file') {
+            const content = node.content;
+            const valid = typeof content === 'string' ||
+                (Array.isArray(content) && content.every(line => typeof line === 'string'));
+            if (!valid) fail(`${at}.content`, 'expected a string or an array of strings');
+            validateEvents(node.events, `${at}.events`);
+        } else {
+            fail(`${at}.type`, 'expected "dir" or "file"');
+        }
+    }
+
+    validateNode(terminal.filesystem, `${path}.filesystem`);
+    if (terminal.filesystem.type !== 'dir') fail(`${path}.filesystem.type`, 'the filesystem root must be a directory');
+    return terminal;
+}
+
+export function createTerminal(definition, options = {}) {
+    const emit = options.emit || (() => {});
+    const unlocked = new Set(options.unlocked || []);
+    const readFiles = new Set(); // File events only fire on the first read
+    const hostname = definition.hostname || 'terminal';
+    const user = definition.user || 'guest';
+    const home = definition.home || '/';
+    const history = [];
+    let cwd = '/';
+
+    // Normalise a path against the working directory
+    function normalise(path, base = cwd) {
+        let full = path.startsWith('~') ? home + path.slice(1) : path;
+        if (!full.startsWith('/')) full = `${base}/${full}`;
+        const parts = [];
+        full.split('/').forEach(part => {
+            if (part === '' || part === '.') return;
+            if (part === '..') parts.pop();
+            else parts.push(part);
+        });
+        return `/${parts.join('/')}`;
+    }
+
+    function isLocked(node) {
+        return Boolean(node.lock) && !unlocked.has(node.lock);
+    }
+
+    // Find the node for a path, along with the first lock still closed on
+    // the way to it. Returns null when missing.
+    function resolve(path, base) {
+        let node = definition.filesystem;
+        let lock = isLocked(node) ? node.lock : null;
+        const parts = normalise(path, base).split('/').filter(Boolean);
+        for (const part of parts) {
+            if (node.type !== 'dir' || !Object.prototype.hasOwnProperty.call(node.children, part)) return null;
+            node = node.children[part];
+            if (!lock && isLocked(node)) lock = node.lock;
+        }
+        return {
+            node,
+            lock
+        };
+    }
+
+    function lines(content) {
+        return Array.isArray(content) ? content.slice() : content.split('\n');
+    }
+
+    function fireEvents(events, source) {
+        (events || []).forEach(event => emit({
+            ...event,
+            source
+        }));
+    }
+
+    const commands = {
+        help: {
+            usage: 'help',
+            description: 'list available commands',
+            run() {
+                return Object.keys(commands).map(name => `  ${commands[name].usage.padEnd(22)} ${commands[name].description}`);
+            }
+        },
+        ls: {
+            usage: 'ls [path]',
+            description: 'list directory contents',
+            run(args) {
+                const path = args[0] || '.';
+                const entry = resolve(path);
+                if (!entry) return [`ls: ${path}: no such file or directory`];
+                const node = entry.node;
+                if (node.type === 'file') return [path];
+                if (entry.lock) return [`ls: ${path}: permission denied (locked by "${entry.lock}")`];
+                const names = Object.keys(node.children).sort().map(name => {
+                    const child = node.children[name];
+                    const suffix = child.type === 'dir' ? '/' : '';
+                    return isLocked(child) ? `${name}${suffix}  [locked]` : `${name}${suffix}`;
+                });
+                return names.length ? names : ['(empty)'];
+            }
+        },
+        cd: {
+            usage: 'cd [path]',
+            description: 'change directory',
+            run(args) {
+                const path = args[0] || home;
+                const entry = resolve(path);
+                if (!entry) return [`cd: ${path}: no such directory`];
+                if (entry.node.type !== 'dir') return [`cd: ${path}: not a directory`];
+                if (entry.lock) return [`cd: ${path}: permission denied (locked by "${entry.lock}")`];
+                cwd = normalise(path);
+                return [];
+            }
+        },
+        pwd: {
+            usage: 'pwd',
+            description: 'print working directory',
+            run() {
+                return [cwd];
+            }
+        },
+        cat: {
+            usage: 'cat <file>',
+            description: 'print a file',
+            run(args) {
+                if (!args.length) return ['cat: missing file operand'];
+                const output = [];
+                args.forEach(path => {
+                    const entry = resolve(path);
+                    const node = entry && entry.node;
+                    if (!entry) output.push(`cat: ${path}: no such file`);
+                    else if (node.type === 'dir') output.push(`cat: ${path}: is a directory`);
+                    else if (entry.lock) output.push(`cat: ${path}: permission denied (locked by "${entry.lock}")`);
+                    else {
+                        output.push(...lines(node.content));
+                        const fullPath = normalise(path);
+                        if (!readFiles.has(fullPath)) {
+                            readFiles.add(fullPath);
+                            fireEvents(node.events, fullPath);
+                        }
+                    }
+                });
+                return output;
+            }
+        },
+        unlock: {
+            usage: 'unlock [lock] [code]',
+            description: 'list locks, or open one with its code',
+            run(args) {
+                const locks = definition.locks || {};
+                if (!args.length) {
+                    const ids = Object.keys(locks);
+                    if (!ids.length) return ['unlock: no locks on this system'];
+                    return ids.map(id => {
+                        const status = unlocked.has(id) ? 'open' : 'locked';
+                        return `  ${id.padEnd(12)} ${status.padEnd(7)} ${locks[id].description || ''}`;
+                    });
+                }
+                const [id, code] = args;
+                const lock = locks[id];
+                if (!lock) return [`unlock: ${id}: no such lock`];
+                if (unlocked.has(id)) return [`unlock: ${id}: already open`];
+                if (code === undefined) return [`unlock: ${id}: code required`];
+                if (code.toUpperCase() !== lock.code.toUpperCase()) {
+                    emit({
+                        type: 'terminal:denied',
+                        lock: id
+                    });
+                    return [`unlock: ${id}: access denied`];
+                }
+                unlocked.add(id);
+                fireEvents(lock.events, `lock:${id}`);
+                emit({
+                    type: 'terminal:unlocked',
+                    lock: id
+                });
+                return lock.message ? lines(lock.message) : [`unlock: ${id}: access granted`];
+            }
+        },
+        whoami: {
+            usage: 'whoami',
+            description: 'print the current user',
+            run() {
+                return [user];
+            }
+        },
+        echo: {
+            usage: 'echo [text]',
+            description: 'print text',
+            run(args) {
+                return [args.join(' ')];
+            }
+        },
+        history: {
+            usage: 'history',
+            description: 'list previous commands',
+            run() {
+                return history.map((line, i) => `  ${String(i + 1).padStart(3)}  ${line}`);
+            }
+        },
+        clear: {
+            usage: 'clear',
+            description: 'clear the screen',
+            run() {
+                return [];
+            }
+        },
+        exit: {
+            usage: 'exit',
+            description: 'log out of the terminal',
+            run() {
+                return ['logout'];
+            }
+        }
+    };
+
+    const homeEntry = resolve(home, '/');
+    if (homeEntry && homeEntry.node.type === 'dir' && !homeEntry.lock) cwd = normalise(home, '/');
+
+    function prompt() {
+        const shown = cwd === home ? '~' : cwd;
+        return `${user}@${hostname}:${shown}$`;
+    }
+
+    // Run one command line. Returns { output, clear, close }.
+    function execute(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return { output: [], clear: false, close: false };
+        history.push(trimmed);
+        const [name, ...args] = trimmed.split(/\s+/);
+        const command = commands[name];
+        if (!command) {
+            return {
+                output: [`${name}: command not found. Type 'help' for a list of commands.`],
+                clear: false,
+                close: false
+            };
+        }
+        return {
+            output: command.run(args),
+            clear: name === 'clear',
+            close: name === 'exit'
+        };
+    }
+
+    function motd() {
+        return definition.motd ? lines(definition.motd) : [];
+    }
+
+    return {
+        execute,
+        prompt,
+        motd,
+        commands,
+        get cwd() {
+            return cwd;
+        },
+        get unlocked() {
+            return Array.from(unlocked);
+        },
+        unlock(id) {
+            unlocked.add(id);
+        }
+    };
+}
@@ -0,0 +1,188 @@
+// DOM overlay for the in-game terminal: a scrolling output pane and a
+// prompt line driven by a terminal from terminal.js.
+
+const styles = `
+#terminalOverlay {
+    position: fixed;
+    inset: 0;
+    z-index: 2000;
+    display: none;
+    justify-content: center;
+    align-items: center;
+    background-color: rgba(0, 0, 0, 0.6);
+}
+
+#terminalOverlay.open {
+    display: flex;
+}
+
+#terminalWindow {
+    width: min(760px, 94vw);
+    height: min(480px, 80vh);
+    display: flex;
+    flex-direction: column;
+    background-color: #020a02;
+    border: 1px solid #1f5f1f;
+    border-radius: 6px;
+    box-shadow: 0 0 40px rgba(40, 255, 80, 0.15);
+    color: #4cff6a;
+    font: 14px/1.4 'Courier New', monospace;
+    text-shadow: 0 0 4px rgba(76, 255, 106, 0.6);
+}
+
+#terminalTitle {
+    display: flex;
+    justify-content: space-between;
+    padding: 6px 12px;
+    border-bottom: 1px solid #1f5f1f;
+    color: #2fbf47;
+    font-size: 12px;
+}
+
+#terminalOutput {
+    flex: 1;
+    overflow-y: auto;
+    padding: 10px 12px;
+    white-space: pre-wrap;
+    word-break: break-word;
+}
+
+#terminalInputLine {
+    display: flex;
+    gap: 8px;
+    padding: 8px 12px;
+    border-top: 1px solid #1f5f1f;
+}
+
+#terminalInput {
+    flex: 1;
+    background: transparent;
+    border: none;
+    outline: none;
+    color: inherit;
+    font: inherit;
+    text-shadow: inherit;
+    caret-color: #4cff6a;
+}
+
+@media (max-width: 600px) {
+    #terminalWindow {
+        font-size: 12px;
+        height: 70vh;
+    }
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('terminalOverlayStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'terminalOverlayStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+export function createTerminalOverlay(options = {}) {
+    injectStyles();
+
+    const root = document.createElement('div');
+    root.id = 'terminalOverlay';
+    root.innerHTML = `
+        <div id="terminalWindow" role="dialog" aria-label="Terminal">
+            <div id="terminalTitle"><span></span><span>ESC to log out</span></div>
+            <div id="terminalOutput"></div>
+            <label id="terminalInputLine">
+                <span id="terminalPrompt"></span>
+                <input id="terminalInput" type="text" autocomplete="off" autocapitalize="off" spellcheck="false">
+            </label>
+        </div>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    const title = root.querySelector('#terminalTitle span');
+    const output = root.querySelector('#terminalOutput');
+    const promptLabel = root.querySelector('#terminalPrompt');
+    const field = root.querySelector('#terminalInput');
+
+    let terminal = null;
+    let history = [];
+    let historyIndex = 0;
+
+    function print(lines) {
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            output.appendChild(row);
+        });
+        output.scrollTop = output.scrollHeight;
+    }
+
+    function open(nextTerminal, { name = 'terminal' } = {}) {
+        if (terminal === nextTerminal && isOpen()) return;
+        terminal = nextTerminal;
+        history = [];
+        historyIndex = 0;
+        output.textContent = '';
+        title.textContent = name;
+        print(terminal.motd());
+        promptLabel.textContent = terminal.prompt();
+        root.classList.add('open');
+        if (document.pointerLockElement) document.exitPointerLock();
+        field.value = '';
+        field.focus();
+        if (options.onOpen) options.onOpen();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+        root.classList.remove('open');
+        field.blur();
+        if (options.onClose) options.onClose();
+    }
+
+    function isOpen() {
+        return root.classList.contains('open');
+    }
+
+    field.addEventListener('keydown', (event) => {
+        // Keep typing out of the game's key handlers
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+            const line = field.value;
+            field.value = '';
+            print([`${terminal.prompt()} ${line}`]);
+            if (line.trim()) history.push(line);
+            historyIndex = history.length;
+            if (options.onCommand) options.onCommand(line);
+            const result = terminal.execute(line);
+            if (result.clear) output.textContent = '';
+            print(result.output);
+            promptLabel.textContent = terminal.prompt();
+            if (result.close) close();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            historyIndex += event.key === 'ArrowUp' ? -1 : 1;
+            historyIndex = Math.max(0, Math.min(history.length, historyIndex));
+            field.value = history[historyIndex] || '';
+        }
+    });
+    field.addEventListener('keyup', event => event.stopPropagation());
+
+    // Clicking anywhere in the window keeps focus on the prompt
+    root.addEventListener('mousedown', (event) => {
+        if (event.target !== field) {
+            event.preventDefault();
+            field.focus();
+        }
+    });
+
+    return {
+        element: root,
+        open,
+        close,
+        print,
+        isOpen
+    };
+}
@@ -0,0 +1,407 @@
+// Touch controls for mobile.
+// A floating analog thumbstick appears wherever a thumb lands on the left
+// half of the screen, dragging on the right half looks around, and a
+// cluster of action buttons sits in the bottom-right corner. Every touch is
+// tracked by pointer id, so several fingers can be down at once and a finger
+// can slide from one button onto another. Only the buttons catch pointers;
+// the stick and look follow touches on options.surface (the game's canvas),
+// so the mouse still reaches the page on machines that have both.
+
+export const DEFAULT_TOUCH_BUTTONS = [
+    {
+        action: 'jump',
+        label: 'Jump',
+        icon: 'icons/controls/jump.svg'
+    },
+    {
+        action: 'interact',
+        label: 'Use'
+    },
+    {
+        action: 'throw',
+        label: 'Throw'
+    },
+    {
+        action: 'sprint',
+        label: 'Run'
+    },
+    {
+        action: 'inventory',
+        label: 'Bag'
+    },
+    // Nothing else pauses without a keyboard or gamepad
+    {
+        action: 'pause',
+        label: 'Pause'
+    }
+];
+
+const styles = `
+/* Full-screen touch layer */
+#touchControls {
+    position: fixed;
+    inset: 0;
+    z-index: 1000;
+    pointer-events: none; /* Only the buttons take pointers */
+    touch-action: none;
+    user-select: none;
+    -webkit-user-select: none;
+    --touch-button-size: clamp(48px, 11vmin, 72px);
+    --touch-stick-size: clamp(100px, 26vmin, 160px);
+    --touch-margin: clamp(16px, 4vmin, 32px);
+}
+
+/* Floating thumbstick */
+#touchStick {
+    position: absolute;
+    width: var(--touch-stick-size);
+    height: var(--touch-stick-size);
+    margin-left: calc(var(--touch-stick-size) / -2);
+    margin-top: calc(var(--touch-stick-size) / -2);
+    border-radius: 50%;
+    background-color: rgba(0, 0, 0, 0.35);
+    box-shadow: inset 0 0 0 2px rgba(255, 255, 255, 0.25);
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 0.15s;
+}
+
+#touchStick.active {
+    opacity: 1;
+}
+
+#touchStickKnob {
+    position: absolute;
+    left: 50%;
+    top: 50%;
+    width: 44%;
+    height: 44%;
+    margin-left: -22%;
+    margin-top: -22%;
+    border-radius: 50%;
+    background-color: rgba(255, 255, 255, 0.45);
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3);
+}
+
+/* Idle hint where the stick usually sits */
+#touchStickHint {
+    position: absolute;
+    left: calc(var(--touch-margin) + env(safe-area-inset-left));
+    bottom: calc(var(--touch-margin) + env(safe-area-inset-bottom));
+    width: var(--touch-stick-size);
+    height: var(--touch-stick-size);
+    border-radius: 50%;
+    border: 2px dashed rgba(255, 255, 255, 0.2);
+    pointer-events: none;
+    transition: opacity 0.15s;
+}
+
+#touchControls.stick-active #touchStickHint {
+    opacity: 0;
+}
+
+/* Action button cluster */
+#touchButtons {
+    position: absolute;
+    right: calc(var(--touch-margin) + env(safe-area-inset-right));
+    bottom: calc(var(--touch-margin) + env(safe-area-inset-bottom));
+    display: grid;
+    grid-template-columns: repeat(2, var(--touch-button-size));
+    grid-auto-rows: var(--touch-button-size);
+    gap: calc(var(--touch-button-size) / 4);
+    direction: rtl; /* First button sits nearest the thumb */
+}
+
+.touch-button {
+    width: 100%;
+    height: 100%;
+    padding: 0;
+    background-color: rgba(0, 0, 0, 0.5); /* Dark semi-transparent background */
+    background-size: 60%; /* Uniform icon size */
+    background-repeat: no-repeat;
+    background-position: center;
+    border: none;
+    border-radius: 50%;
+    pointer-events: auto;
+    touch-action: none;
+    color: rgba(255, 255, 255, 0.85);
+    font: bold calc(var(--touch-button-size) / 5) sans-serif;
+    opacity: 0.9;
+    transition:
+        opacity 0.2s,
+        transform 0.1s,
+        box-shadow 0.2s,
+        filter 0.2s;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.3);
+}
+
+.touch-button.has-icon {
+    font-size: 0;
+}
+
+.touch-button.pressed {
+    opacity: 1;
+    transform: scale(0.95);
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
+    filter: brightness(1.1);
+}
+
+/* Portrait phones: lift the controls clear of the home indicator */
+@media (orientation: portrait) {
+    #touchButtons,
+    #touchStickHint {
+        bottom: calc(12vh + env(safe-area-inset-bottom));
+    }
+}
+
+/* Short landscape screens: stack the buttons in a single column */
+@media (orientation: landscape) and (max-height: 500px) {
+    #touchControls {
+        --touch-button-size: clamp(40px, 14vh, 60px);
+        --touch-stick-size: clamp(90px, 34vh, 140px);
+    }
+
+    #touchButtons {
+        grid-template-columns: var(--touch-button-size);
+        bottom: 50%;
+        transform: translateY(50%);
+    }
+}
+
+/* Tablets and larger screens */
+@media (min-width: 900px) and (min-height: 600px) {
+    #touchControls {
+        --touch-button-size: 72px;
+        --touch-stick-size: 170px;
+    }
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('touchControlsStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'touchControlsStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+// Phones and tablets: the main pointer is a finger. Touchscreen laptops
+// report their mouse or trackpad here, so they count as touch devices only
+// once a finger is used (see createTouchControls()).
+export function isTouchDevice() {
+    return window.matchMedia('(pointer: coarse)').matches;
+}
+
+// Whether the screen takes touches at all, as its main pointer or not
+export function hasTouchScreen() {
+    return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+}
+
+export function createTouchControls(input, options = {}) {
+    const buttons = options.buttons || DEFAULT_TOUCH_BUTTONS;
+    // Button icons are relative to this
+    const baseUrl = options.baseUrl || document.baseURI;
+    const lookSensitivity = options.lookSensitivity !== undefined ? options.lookSensitivity : 1.5;
+    // Stick deflection beyond this also holds the sprint action
+    const sprintThreshold = options.sprintThreshold !== undefined ? options.sprintThreshold : 0.95;
+
+    injectStyles();
+
+    const root = document.createElement('div');
+    root.id = 'touchControls';
+    root.innerHTML = `
+        <div id="touchStickHint"></div>
+        <div id="touchStick"><div id="touchStickKnob"></div></div>
+        <div id="touchButtons"></div>
+    `;
+    (options.parent || document.body).appendChild(root);
+
+    // Drags here steer and look; the page's mouse is left alone
+    const surface = options.surface || document.body;
+    surface.style.touchAction = 'none'; // No scrolling or zooming under the thumbs
+    // Hidden until a finger is seen, unless the main pointer is one
+    let active = options.active !== undefined ? options.active : isTouchDevice();
+    let shown = true;
+
+    const stick = root.querySelector('#touchStick');
+    const knob = root.querySelector('#touchStickKnob');
+    const buttonCluster = root.querySelector('#touchButtons');
+
+    buttons.forEach(definition => {
+        const button = document.createElement('button');
+        button.className = 'touch-button';
+        button.dataset.action = definition.action;
+        button.textContent = definition.label || definition.action;
+        button.setAttribute('aria-label', definition.label || definition.action);
+        if (definition.icon) {
+            button.classList.add('has-icon');
+            button.style.backgroundImage = `url("${new URL(definition.icon, baseUrl).href}")`;
+        }
+        buttonCluster.appendChild(button);
+    });
+
+    // pointerId -> { role: 'stick' | 'look' | 'button', ... }
+    const pointers = new Map();
+    const pressCounts = {};
+    // Actions the stick holds too (pushed all the way, it runs); the stick
+    // and the buttons keep their own values and the action gets the greater
+    const stickValues = {
+        sprint: 0
+    };
+    let stickPointer = null;
+
+    function setAction(action) {
+        input.setVirtual(action, Math.max(pressCounts[action] > 0 ? 1 : 0, stickValues[action] || 0));
+    }
+
+    function press(action, delta) {
+        pressCounts[action] = Math.max(0, (pressCounts[action] || 0) + delta);
+        setAction(action);
+        buttonCluster.querySelectorAll(`[data-action="${action}"]`).forEach(button => {
+            button.classList.toggle('pressed', pressCounts[action] > 0);
+        });
+    }
+
+    function buttonAt(x, y) {
+        const element = document.elementFromPoint(x, y);
+        const button = element && element.closest ? element.closest('.touch-button') : null;
+        return button && root.contains(button) ? button : null;
+    }
+
+    function stickRadius() {
+        return stick.offsetWidth / 2 || 60;
+    }
+
+    function setStick(dx, dy) {
+        const radius = stickRadius();
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > radius ? radius / distance : 1;
+        const x = dx * scale;
+        const y = dy * scale;
+        knob.style.transform = `translate(${x}px, ${y}px)`;
+        input.setVirtual('moveX', x / radius);
+        input.setVirtual('moveY', -y / radius);
+        stickValues.sprint = distance / radius >= sprintThreshold ? 1 : 0;
+        setAction('sprint');
+    }
+
+    function releaseStick() {
+        stickPointer = null;
+        stick.classList.remove('active');
+        root.classList.remove('stick-active');
+        knob.style.transform = '';
+        input.setVirtual('moveX', 0);
+        input.setVirtual('moveY', 0);
+        stickValues.sprint = 0;
+        setAction('sprint');
+    }
+
+    function onPointerDown(event) {
+        if (!active || !shown || pointers.has(event.pointerId)) return;
+        if (event.pointerType === 'mouse' && !options.allowMouse) return;
+        event.preventDefault();
+        const button = buttonAt(event.clientX, event.clientY);
+        if (button) {
+            pointers.set(event.pointerId, {
+                role: 'button',
+                action: button.dataset.action
+            });
+            press(button.dataset.action, 1);
+        } else if (event.clientX < window.innerWidth / 2 && stickPointer === null) {
+            // The stick floats to wherever the thumb lands
+            stickPointer = event.pointerId;
+            pointers.set(event.pointerId, {
+                role: 'stick',
+                originX: event.clientX,
+                originY: event.clientY
+            });
+            stick.style.left = `${event.clientX}px`;
+            stick.style.top = `${event.clientY}px`;
+            stick.classList.add('active');
+            root.classList.add('stick-active');
+            setStick(0, 0);
+        } else {
+            pointers.set(event.pointerId, {
+                role: 'look',
+                lastX: event.clientX,
+                lastY: event.clientY
+            });
+        }
+    }
+
+    function onPointerMove(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+        event.preventDefault();
+        if (pointer.role === 'stick') {
+            setStick(event.clientX - pointer.originX, event.clientY - pointer.originY);
+        } else if (pointer.role === 'look') {
+            input.addLookDelta(
+                (event.clientX - pointer.lastX) * lookSensitivity,
+                (event.clientY - pointer.lastY) * lookSensitivity
+            );
+            pointer.lastX = event.clientX;
+            pointer.lastY = event.clientY;
+        } else {
+            // Sliding across the cluster moves the press to the new button
+            const button = buttonAt(event.clientX, event.clientY);
+            const action = button ? button.dataset.action : null;
+            if (action === pointer.action) return;
+            if (pointer.action) press(pointer.action, -1);
+            if (action) press(action, 1);
+            pointer.action = action;
+        }
+    }
+
+    function onPointerUp(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+        pointers.delete(event.pointerId);
+        if (pointer.role === 'stick') releaseStick();
+        else if (pointer.role === 'button' && pointer.action) press(pointer.action, -1);
+    }
+
+    // Drop every touch, e.g. when a menu opens or the page loses focus
+    function reset() {
+        pointers.forEach((pointer, id) => onPointerUp({ pointerId: id }));
+    }
+
+    function setVisible(visible) {
+        shown = visible;
+        if (!visible) reset();
+        root.style.display = visible && active ? '' : 'none';
+    }
+
+    // The first finger on a touchscreen laptop brings the controls up, in
+    // time for that touch to steer
+    function onAnyPointerDown(event) {
+        if (active || event.pointerType !== 'touch') return;
+        active = true;
+        setVisible(shown);
+    }
+
+    window.addEventListener('pointerdown', onAnyPointerDown, true);
+    root.addEventListener('pointerdown', onPointerDown, {
+        passive: false
+    });
+    surface.addEventListener('pointerdown', onPointerDown, {
+        passive: false
+    });
+    window.addEventListener('pointermove', onPointerMove, {
+        passive: false
+    });
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+    window.addEventListener('blur', reset);
+    // Long presses would otherwise open the context menu on some browsers
+    root.addEventListener('contextmenu', event => event.preventDefault());
+
+    return {
+        element: root,
+        reset,
+        setVisible,
+        get active() {
+            return active;
+        }
+    };
+}
@@ -0,0 +1,137 @@
+// Room-and-portal visibility.
+// Every room of a level is a cell and the level's portals (doorways,
+// stairwells, windows) join pairs of them. Each frame the camera's cell is
+// found and the portals are followed outwards from it: a portal leads on
+// only while its door is open and it is in view, so the rooms reached are
+// the ones that could be seen. A room's shell (floors, walls, stairs,
+// doors) is also drawn when a room it touches is seen, since those are the
+// same surfaces from the other side, e.g. the floor of the room above.
+// Lights are kept on for the camera's cell and the rooms one open portal
+// away whichever way the camera faces, so turning round does not pop the
+// lighting nearby.
+// Outside every cell, in an outdoor one, or in a level with no portals,
+// everything is visible. Nothing here needs three.js; the caller decides
+// what counts as in view.
+
+export const VISIBILITY_DEFAULTS = {
+    maxDepth: 8, // Most portals followed out from the camera's cell
+    lightDepth: 1, // Open portals a room's lights shine through
+    touchMargin: 0.01 // Rooms this close count as touching
+};
+
+function contains(box, point) {
+    return point.x >= box.min.x && point.x <= box.max.x &&
+        point.y >= box.min.y && point.y <= box.max.y &&
+        point.z >= box.min.z && point.z <= box.max.z;
+}
+
+function touching(a, b, margin) {
+    return a.min.x <= b.max.x + margin && a.max.x >= b.min.x - margin &&
+        a.min.y <= b.max.y + margin && a.max.y >= b.min.y - margin &&
+        a.min.z <= b.max.z + margin && a.max.z >= b.min.z - margin;
+}
+
+function volume(box) {
+    return (box.max.x - box.min.x) * (box.max.y - box.min.y) * (box.max.z - box.min.z);
+}
+
+// layout is the expanded level (see levelFormat.js)
+export function createVisibility(layout, options = {}) {
+    const settings = { ...VISIBILITY_DEFAULTS, ...options };
+
+    // Room id -> { id, bounds, outdoor, portals, touching }
+    const cells = new Map();
+    layout.rooms.forEach(room => {
+        if (!room.bounds) return;
+        cells.set(room.id, {
+            id: room.id,
+            bounds: room.bounds,
+            outdoor: room.outdoor,
+            portals: [],
+            touching: new Set()
+        });
+    });
+    const portals = layout.portals.filter(portal => portal.rooms.every(id => cells.has(id)));
+    portals.forEach(portal => {
+        portal.rooms.forEach(id => cells.get(id).portals.push(portal));
+    });
+    cells.forEach(cell => {
+        cells.forEach(other => {
+            if (other !== cell && touching(cell.bounds, other.bounds, settings.touchMargin)) cell.touching.add(other.id);
+        });
+    });
+    // Smallest first, so a room inside another (a vault in a hall) wins
+    const bySize = [...cells.values()].sort((a, b) => volume(a.bounds) - volume(b.bounds));
+    const enabled = portals.length > 0;
+
+    // The innermost cell around a point, or null outside them all
+    function cellAt(point) {
+        return bySize.find(cell => contains(cell.bounds, point)) || null;
+    }
+
+    // Rooms reached from start through open portals that pass the test
+    function flood(start, maxDepth, isOpen, inView) {
+        const reached = new Set([start.id]);
+        let frontier = [start];
+        for (let depth = 0; depth < maxDepth && frontier.length; depth++) {
+            const next = [];
+            frontier.forEach(cell => {
+                cell.portals.forEach(portal => {
+                    const other = portal.rooms[0] === cell.id ? portal.rooms[1] : portal.rooms[0];
+                    if (reached.has(other)) return;
+                    if (portal.door && !isOpen(portal.door)) return;
+                    if (inView && !inView(portal)) return;
+                    reached.add(other);
+                    next.push(cells.get(other));
+                });
+            });
+            frontier = next;
+        }
+        return reached;
+    }
+
+    // What to draw from eye. tests: { inView(box), isOpen(doorId) } where
+    // inView gets a portal's { min, max } box and isOpen a door id.
+    // Returns { cell, all, visible, shells, lit }: the camera's cell id (or
+    // null), whether everything is to be drawn, and the room ids whose
+    // contents, shells and lights are.
+    function update(eye, tests = {}) {
+        const inView = tests.inView || (() => true);
+        const isOpen = tests.isOpen || (() => true);
+        const cell = enabled ? cellAt(eye) : null;
+        if (!cell || cell.outdoor) {
+            const everything = new Set(cells.keys());
+            return {
+                cell: cell ? cell.id : null,
+                all: true,
+                visible: everything,
+                shells: everything,
+                lit: everything
+            };
+        }
+        // Standing in a doorway sees both ways, even with the portal behind
+        const seen = portal => contains(portal, eye) || inView(portal);
+        const visible = flood(cell, settings.maxDepth, isOpen, seen);
+        const shells = new Set(visible);
+        visible.forEach(id => cells.get(id).touching.forEach(other => shells.add(other)));
+        // Rooms further off keep their lights on only while they are seen
+        const lit = flood(cell, settings.lightDepth, isOpen, null);
+        visible.forEach(id => lit.add(id));
+        return {
+            cell: cell.id,
+            all: false,
+            visible,
+            shells,
+            lit
+        };
+    }
+
+    return {
+        settings,
+        cells,
+        portals,
+        enabled,
+        cellAt,
+        update
+    };
+}
@@ -0,0 +1,124 @@
+// Debug view for room-and-portal visibility: an outline round every cell
+// and portal, coloured by what the last update decided, and a readout of the
+// camera's cell and how much is being drawn. Only created when the page is
+// opened with ?debug, and hidden until its checkbox is ticked.
+
+import * as THREE from 'three';
+
+const COLORS = {
+    current: 0xffdd33, // The camera's cell
+    visible: 0x33dd66, // Drawn and lit
+    shell: 0x3388ff, // Only its walls drawn, seen from next door
+    hidden: 0x663333,
+    portalOpen: 0x33ffff,
+    portalClosed: 0xff3388
+};
+
+const styles = `
+#visibilityDebug {
+    position: fixed;
+    left: 10px;
+    bottom: 10px;
+    z-index: 1800;
+    padding: 8px 10px;
+    border-radius: 4px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    font: 12px sans-serif;
+}
+
+#visibilityDebug label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+}
+
+#visibilityDebug div {
+    margin-top: 4px;
+    opacity: 0.8;
+}
+`;
+
+function injectStyles() {
+    if (document.getElementById('visibilityDebugStyles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'visibilityDebugStyles';
+    styleSheet.textContent = styles;
+    document.head.appendChild(styleSheet);
+}
+
+function createOutline(box, color) {
+    const helper = new THREE.Box3Helper(new THREE.Box3(
+        new THREE.Vector3(box.min.x, box.min.y, box.min.z),
+        new THREE.Vector3(box.max.x, box.max.y, box.max.z)
+    ), color);
+    // Seen through walls, on top of everything else
+    helper.material.depthTest = false;
+    helper.renderOrder = 1000;
+    return helper;
+}
+
+// options.isOpen(doorId) colours portals by their door; options.onChange
+// runs when the view is switched on or off, e.g. to redraw a paused frame
+export function createVisibilityDebug(scene, visibility, options = {}) {
+    injectStyles();
+
+    const group = new THREE.Group();
+    group.name = 'visibilityDebug';
+    group.visible = false;
+    scene.add(group);
+
+    const cellOutlines = new Map();
+    visibility.cells.forEach((cell, id) => {
+        const outline = createOutline(cell.bounds, COLORS.hidden);
+        cellOutlines.set(id, outline);
+        group.add(outline);
+    });
+    const portalOutlines = visibility.portals.map(portal => {
+        const outline = createOutline(portal, COLORS.portalOpen);
+        group.add(outline);
+        return { portal, outline };
+    });
+
+    const root = document.createElement('div');
+    root.id = 'visibilityDebug';
+    root.innerHTML = `
+        <label><input type="checkbox"> Show cells</label>
+        <div></div>
+    `;
+    (options.parent || document.body).appendChild(root);
+    const checkbox = root.querySelector('input');
+    const readout = root.querySelector('div');
+
+    // Keep the panel out of the way of game input
+    root.addEventListener('keydown', event => event.stopPropagation());
+    checkbox.addEventListener('change', () => {
+        group.visible = checkbox.checked;
+        if (options.onChange) options.onChange();
+    });
+
+    // result is what visibility.update() returned for this frame
+    function update(result) {
+        cellOutlines.forEach((outline, id) => {
+            let color = COLORS.hidden;
+            if (id === result.cell) color = COLORS.current;
+            else if (result.visible.has(id)) color = COLORS.visible;
+            else if (result.shells.has(id)) color = COLORS.shell;
+            outline.material.color.setHex(color);
+        });
+        portalOutlines.forEach(({ portal, outline }) => {
+            const open = !portal.door || !options.isOpen || options.isOpen(portal.door);
+            outline.material.color.setHex(open ? COLORS.portalOpen : COLORS.portalClosed);
+        });
+        const where = result.cell ? `In ${result.cell}` : 'Outside every cell';
+        readout.textContent = result.all ?
+            `${where}: drawing everything` :
+            `${where}: drawing ${result.visible.size} of ${visibility.cells.size} rooms, ${result.shells.size} shells, lights in ${result.lit.size}`;
+    }
+
+    return {
+        element: root,
+        group,
+        update
+    };
+}
@@ -0,0 +1,40 @@
+// Service worker: stores every file the game needs (listed in precache.js,
+// written by tools/writePrecache.js) on install, so the game can be
+// installed as an app and starts with no network.
+//
+// Requests are answered from the cache first and from the network only for
+// anything not in it. A new precache list brings a new version, which takes
+// over once every window running the old one has closed, and deletes the
+// old version's cache as it does.
+
+importScripts('precache.js');
+
+const CACHE_PREFIX = 'shredded-';
+const CACHE = `${CACHE_PREFIX}${self.PRECACHE.version}`;
+
+self.addEventListener('install', (event) => {
+    // Fetched past the HTTP cache so a new version never stores stale files
+    const requests = self.PRECACHE.files.map(file => new Request(file, {
+        cache: 'reload'
+    }));
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(requests)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    // The query string picks a level or seed; the page is the same file
+    event.respondWith(caches.open(CACHE)
+        .then(cache => cache.match(request, {
+            ignoreSearch: true
+        }))
+        .then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,66 @@
+// Plays recorded runs (exported from the game's Recordings menu) through
+// the simulation headlessly and checks that each ends where it did when it
+// was recorded: same place, health, checkpoints, objectives, items and
+// doors. Keep a few runs around and this catches changes to movement or
+// level logic that would stop them being finished the same way.
+//
+//   node tools/checkReplay.js run.json [more.json ...]
+//
+// Runs on levels/<name>.json or a castle generated from the recorded seed;
+// runs on a level play-tested from the editor cannot be checked, as that
+// level only ever lived in the browser. Exits with status 1 if any run
+// ends differently. Needs nothing beyond Node itself.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+    fileURLToPath
+} from 'node:url';
+import {
+    validateLevel,
+    expandLevel
+} from '../src/levelFormat.js';
+import {
+    generateCastle
+} from '../src/castleGenerator.js';
+import {
+    parseReplay,
+    replayHeadless,
+    replayDuration
+} from '../src/replay.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function loadLayout(recording) {
+    if (recording.seed !== null) return expandLevel(generateCastle(recording.seed));
+    if (recording.level === 'edited') throw new Error('Recorded on a level from the editor, which is not saved anywhere');
+    const file = path.join(ROOT, 'levels', `${recording.level}.json`);
+    return expandLevel(validateLevel(JSON.parse(await fs.readFile(file, 'utf8'))));
+}
+
+async function check(file) {
+    const recording = parseReplay(await fs.readFile(file, 'utf8'));
+    const { differences } = replayHeadless(await loadLayout(recording), recording);
+    const detail = `${recording.level}, ${replayDuration(recording).toFixed(1)} s`;
+    console.log(`${differences.length ? 'FAIL' : 'ok  '} ${file} (${detail})`);
+    differences.forEach(line => console.log(`     ${line}`));
+    return !differences.length;
+}
+
+const files = process.argv.slice(2);
+if (!files.length) {
+    console.error('Usage: node tools/checkReplay.js run.json [more.json ...]');
+    process.exit(1);
+}
+
+let passed = true;
+for (const file of files) {
+    try {
+        if (!await check(file)) passed = false;
+    } catch (error) {
+        console.log(`FAIL ${file} (${error.message})`);
+        passed = false;
+    }
+}
+console.log(passed ? 'All runs replayed the same' : 'Some runs replayed differently');
+process.exit(passed ? 0 : 1);
@@ -0,0 +1,56 @@
+// Checks that a touch-only session (no keyboard, no gamepad, no pointer
+// lock to lose) can still do everything the menus need: every on-screen
+// button names an action the input manager knows, and pressing the Pause
+// button reports 'pause' the way index.js reads it to open the pause menu,
+// both in play and while game input is switched off.
+//
+//   node tools/checkTouchControls.js
+//
+// Exits with status 1 if any check fails. Needs nothing beyond Node itself.
+
+import {
+    createInputManager
+} from '../src/input.js';
+import {
+    DEFAULT_TOUCH_BUTTONS
+} from '../src/touchControls.js';
+
+// Actions a touch-only player has no other way to trigger
+const REQUIRED_ACTIONS = ['pause', 'jump', 'interact', 'inventory'];
+
+const results = [];
+const check = (name, passed, detail = '') => {
+    results.push(passed);
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+};
+
+// No keys ever arrive and nothing is saved
+const input = createInputManager({
+    target: { addEventListener() {} },
+    storage: null
+});
+
+const unknown = DEFAULT_TOUCH_BUTTONS.filter(button => !input.actions[button.action]).map(button => button.action);
+check('every touch button drives a known action', unknown.length === 0, unknown.join(', '));
+
+const missing = REQUIRED_ACTIONS.filter(action => !DEFAULT_TOUCH_BUTTONS.some(button => button.action === action));
+check('touch buttons cover what only they can do', missing.length === 0, missing.length ? `missing ${missing.join(', ')}` : '');
+
+// Press and release the button as the touch layer does, a frame each
+function tap(action) {
+    input.setVirtual(action, 1);
+    input.update();
+    const pressed = input.wasPressed(action);
+    input.setVirtual(action, 0);
+    input.update();
+    return pressed;
+}
+
+input.setEnabled(true);
+check('the Pause button pauses a game in play', tap('pause'));
+input.setEnabled(false);
+check('the Pause button still reports while game input is off', tap('pause'));
+
+const passed = results.every(Boolean);
+console.log(passed ? 'All checks passed' : 'Some checks failed');
+process.exit(passed ? 0 : 1);
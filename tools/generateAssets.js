@@ -0,0 +1,387 @@
+// Writes the game's built-in assets: tileable PBR texture sets (colour,
+// normal and roughness maps) for stone, wood and metal, the computer
+// terminal model and the app icons the web app manifest names. Everything is
+// drawn from seeded noise, so running it again gives the same files.
+//
+//   node tools/generateAssets.js
+//
+// Needs nothing beyond Node itself.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import {
+    fileURLToPath
+} from 'node:url';
+import {
+    createRandom
+} from '../src/random.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ASSETS = path.join(ROOT, 'assets');
+const SIZE = 256; // Texture edge in pixels
+
+// =========================
+// PNG
+// =========================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// pixels: channels bytes per pixel, row by row (1 grey, 3 RGB)
+function encodePng(width, height, channels, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = channels === 1 ? 0 : 2; // Greyscale or truecolour
+    const rows = Buffer.alloc((width * channels + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rows[y * (width * channels + 1)] = 0; // No filter
+        pixels.copy(rows, y * (width * channels + 1) + 1, y * width * channels, (y + 1) * width * channels);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// =========================
+// Noise
+// =========================
+
+// Value noise that wraps every `period` lattice cells, so it tiles
+function createTilingNoise(seed) {
+    const random = createRandom(seed);
+    const lattice = Array.from({ length: 256 }, () => random());
+    const hash = (x, y) => lattice[(x * 73 + y * 151 + ((x * y) & 0xff)) & 0xff];
+    const smooth = t => t * t * (3 - 2 * t);
+
+    function noise(x, y, period) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const tx = smooth(x - x0);
+        const ty = smooth(y - y0);
+        const at = (ix, iy) => hash(((ix % period) + period) % period, ((iy % period) + period) % period);
+        const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+        const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+        return top + (bottom - top) * ty;
+    }
+
+    // Fractal sum of octaves over a tile of `base` cells; u and v are 0..1
+    return function fbm(u, v, base = 4, octaves = 4, stretch = 1) {
+        let total = 0;
+        let amplitude = 0.5;
+        let frequency = base;
+        for (let i = 0; i < octaves; i++) {
+            total += amplitude * noise(u * frequency, v * frequency * stretch, frequency);
+            amplitude /= 2;
+            frequency *= 2;
+        }
+        return total;
+    };
+}
+
+// =========================
+// Texture Sets
+// =========================
+
+// Each set fills height (0..1), colour (0..1 RGB) and roughness (0..1) per pixel
+function drawStone(seed) {
+    const fbm = createTilingNoise(seed);
+    const random = createRandom(seed + 1);
+    const rows = 4;
+    const blocksPerRow = 2;
+    const mortar = 0.02;
+    const shades = Array.from({ length: rows * blocksPerRow }, () => 0.85 + random() * 0.3);
+    return (u, v) => {
+        const row = Math.floor(v * rows);
+        const shifted = (u + (row % 2) * 0.5 / blocksPerRow) % 1;
+        const column = Math.floor(shifted * blocksPerRow);
+        const edgeU = Math.min(shifted * blocksPerRow - column, column + 1 - shifted * blocksPerRow) / blocksPerRow;
+        const edgeV = Math.min(v * rows - row, row + 1 - v * rows) / rows;
+        const edge = Math.min(edgeU, edgeV);
+        const grain = fbm(u, v, 8, 5);
+        const inMortar = edge < mortar;
+        const bevel = Math.min(1, (edge - mortar) / 0.02);
+        const shade = shades[row * blocksPerRow + column];
+        const grey = inMortar ? 0.35 + grain * 0.15 : (0.45 + grain * 0.35) * shade;
+        return {
+            height: inMortar ? 0.1 * grain : 0.6 + 0.4 * bevel * (0.7 + grain * 0.3),
+            color: [grey, grey * 0.97, grey * 0.93],
+            roughness: inMortar ? 1 : 0.8 + grain * 0.15
+        };
+    };
+}
+
+function drawWood(seed) {
+    const fbm = createTilingNoise(seed);
+    const random = createRandom(seed + 1);
+    const planks = 4;
+    const tones = Array.from({ length: planks }, () => 0.8 + random() * 0.35);
+    return (u, v) => {
+        const plank = Math.floor(v * planks);
+        const across = v * planks - plank;
+        const seam = across < 0.03 || across > 0.97;
+        const warp = fbm(u, v, 2, 3, 4);
+        const rings = 0.5 + 0.5 * Math.sin((across * 6 + warp * 6 + plank * 1.7) * Math.PI * 2);
+        const fibre = fbm(u, v, 4, 4, 16);
+        const tone = tones[plank] * (0.75 + rings * 0.2 + fibre * 0.15);
+        return {
+            height: seam ? 0 : 0.7 + rings * 0.1 + fibre * 0.2,
+            color: seam ? [0.08, 0.05, 0.03] : [0.42 * tone, 0.27 * tone, 0.15 * tone],
+            roughness: seam ? 1 : 0.65 + fibre * 0.2
+        };
+    };
+}
+
+function drawMetal(seed) {
+    const fbm = createTilingNoise(seed);
+    return (u, v) => {
+        // Brushed along u, with a seam round the edge of each plate
+        const brush = fbm(u, v, 2, 5, 32);
+        const spots = fbm(u, v, 4, 4);
+        const plateU = (u * 2) % 1;
+        const plateV = (v * 2) % 1;
+        const seam = Math.min(plateU, 1 - plateU, plateV, 1 - plateV) < 0.012;
+        // A rivet in each plate corner
+        const rivet = [[0.06, 0.06], [0.94, 0.06], [0.06, 0.94], [0.94, 0.94]]
+            .some(([x, y]) => Math.hypot(plateU - x, plateV - y) < 0.025);
+        const grey = seam ? 0.2 : 0.55 + brush * 0.25 - spots * 0.1;
+        return {
+            height: seam ? 0 : rivet ? 1 : 0.5 + brush * 0.05,
+            color: [grey, grey, grey * 1.03],
+            roughness: seam ? 0.9 : 0.3 + spots * 0.3 + brush * 0.1
+        };
+    };
+}
+
+// Sample a set over the tile and write its three maps
+function writeTextureSet(name, draw, normalStrength) {
+    const heights = new Float32Array(SIZE * SIZE);
+    const color = Buffer.alloc(SIZE * SIZE * 3);
+    const roughness = Buffer.alloc(SIZE * SIZE);
+    const byte = value => Math.max(0, Math.min(255, Math.round(value * 255)));
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const sample = draw((x + 0.5) / SIZE, (y + 0.5) / SIZE);
+            const i = y * SIZE + x;
+            heights[i] = sample.height;
+            color[i * 3] = byte(sample.color[0]);
+            color[i * 3 + 1] = byte(sample.color[1]);
+            color[i * 3 + 2] = byte(sample.color[2]);
+            roughness[i] = byte(sample.roughness);
+        }
+    }
+
+    // Tangent-space normals (OpenGL convention, green up) from the height
+    // slopes, wrapping at the edges so they tile too
+    const normal = Buffer.alloc(SIZE * SIZE * 3);
+    const height = (x, y) => heights[((y + SIZE) % SIZE) * SIZE + ((x + SIZE) % SIZE)];
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const dx = (height(x + 1, y) - height(x - 1, y)) * normalStrength;
+            const dy = (height(x, y + 1) - height(x, y - 1)) * normalStrength;
+            const length = Math.hypot(dx, dy, 1);
+            const i = (y * SIZE + x) * 3;
+            normal[i] = byte((-dx / length + 1) / 2);
+            normal[i + 1] = byte((dy / length + 1) / 2);
+            normal[i + 2] = byte((1 / length + 1) / 2);
+        }
+    }
+
+    const directory = path.join(ASSETS, 'textures');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, `${name}-color.png`), encodePng(SIZE, SIZE, 3, color));
+    fs.writeFileSync(path.join(directory, `${name}-normal.png`), encodePng(SIZE, SIZE, 3, normal));
+    fs.writeFileSync(path.join(directory, `${name}-roughness.png`), encodePng(SIZE, SIZE, 1, roughness));
+}
+
+// =========================
+// Models
+// =========================
+
+// A box as glTF-ready arrays: 4 vertices per face so each face has its normal
+function box(min, max) {
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    const faces = [
+        [[1, 0, 0], [[max[0], min[1], max[2]], [max[0], min[1], min[2]], [max[0], max[1], min[2]], [max[0], max[1], max[2]]]],
+        [[-1, 0, 0], [[min[0], min[1], min[2]], [min[0], min[1], max[2]], [min[0], max[1], max[2]], [min[0], max[1], min[2]]]],
+        [[0, 1, 0], [[min[0], max[1], max[2]], [max[0], max[1], max[2]], [max[0], max[1], min[2]], [min[0], max[1], min[2]]]],
+        [[0, -1, 0], [[min[0], min[1], min[2]], [max[0], min[1], min[2]], [max[0], min[1], max[2]], [min[0], min[1], max[2]]]],
+        [[0, 0, 1], [[min[0], min[1], max[2]], [max[0], min[1], max[2]], [max[0], max[1], max[2]], [min[0], max[1], max[2]]]],
+        [[0, 0, -1], [[max[0], min[1], min[2]], [min[0], min[1], min[2]], [min[0], max[1], min[2]], [max[0], max[1], min[2]]]]
+    ];
+    faces.forEach(([normal, corners]) => {
+        const base = positions.length / 3;
+        corners.forEach(corner => {
+            positions.push(...corner);
+            normals.push(...normal);
+        });
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    });
+    return { positions, normals, indices };
+}
+
+function mergeParts(parts) {
+    const merged = { positions: [], normals: [], indices: [] };
+    parts.forEach(part => {
+        const base = merged.positions.length / 3;
+        merged.positions.push(...part.positions);
+        merged.normals.push(...part.normals);
+        merged.indices.push(...part.indices.map(index => index + base));
+    });
+    return merged;
+}
+
+// A self-contained .gltf: primitives [{ geometry, material }] in one mesh,
+// with the buffer embedded as a data URI
+function buildGltf(name, primitives, materials) {
+    const chunks = [];
+    const bufferViews = [];
+    const accessors = [];
+    let byteLength = 0;
+
+    function addView(typed, target) {
+        const bytes = Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength);
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+        chunks.push(bytes);
+        byteLength += bytes.length;
+        const padding = (4 - (byteLength % 4)) % 4;
+        if (padding) {
+            chunks.push(Buffer.alloc(padding));
+            byteLength += padding;
+        }
+        return bufferViews.length - 1;
+    }
+
+    const meshPrimitives = primitives.map(({ geometry, material }) => {
+        const positions = new Float32Array(geometry.positions);
+        const min = [0, 1, 2].map(axis => Math.min(...geometry.positions.filter((_, i) => i % 3 === axis)));
+        const max = [0, 1, 2].map(axis => Math.max(...geometry.positions.filter((_, i) => i % 3 === axis)));
+        accessors.push({ bufferView: addView(positions, 34962), componentType: 5126, count: positions.length / 3, type: 'VEC3', min, max });
+        const position = accessors.length - 1;
+        const normals = new Float32Array(geometry.normals);
+        accessors.push({ bufferView: addView(normals, 34962), componentType: 5126, count: normals.length / 3, type: 'VEC3' });
+        const normal = accessors.length - 1;
+        const indices = new Uint16Array(geometry.indices);
+        accessors.push({ bufferView: addView(indices, 34963), componentType: 5123, count: indices.length, type: 'SCALAR' });
+        return {
+            attributes: { POSITION: position, NORMAL: normal },
+            indices: accessors.length - 1,
+            material
+        };
+    });
+
+    return {
+        asset: { version: '2.0', generator: 'tools/generateAssets.js' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ name, mesh: 0 }],
+        meshes: [{ name, primitives: meshPrimitives }],
+        materials,
+        accessors,
+        bufferViews,
+        buffers: [{
+            byteLength,
+            uri: `data:application/octet-stream;base64,${Buffer.concat(chunks).toString('base64')}`
+        }]
+    };
+}
+
+// The mainframe console, in a unit box with the screen facing +z
+function writeComputer() {
+    const casing = mergeParts([
+        box([-0.5, -0.5, -0.5], [0.5, 0.5, 0.3]),
+        // Bezel round the screen
+        box([-0.5, 0.4, 0.3], [0.5, 0.5, 0.45]),
+        box([-0.5, -0.5, 0.3], [0.5, -0.3, 0.45]),
+        box([-0.5, -0.3, 0.3], [-0.42, 0.4, 0.45]),
+        box([0.42, -0.3, 0.3], [0.5, 0.4, 0.45])
+    ]);
+    const screen = box([-0.42, -0.3, 0.3], [0.42, 0.4, 0.4]);
+    const lights = mergeParts([-0.35, -0.25, -0.15].map(x => box([x, -0.45, 0.45], [x + 0.05, -0.38, 0.47])));
+    const gltf = buildGltf('computer', [
+        { geometry: casing, material: 0 },
+        { geometry: screen, material: 1 },
+        { geometry: lights, material: 2 }
+    ], [{
+        name: 'casing',
+        pbrMetallicRoughness: { baseColorFactor: [0.22, 0.22, 0.24, 1], metallicFactor: 0.6, roughnessFactor: 0.5 }
+    }, {
+        name: 'screen',
+        pbrMetallicRoughness: { baseColorFactor: [0.02, 0.05, 0.03, 1], metallicFactor: 0, roughnessFactor: 0.2 },
+        emissiveFactor: [0.05, 0.6, 0.2]
+    }, {
+        name: 'lights',
+        pbrMetallicRoughness: { baseColorFactor: [0.1, 0.02, 0.02, 1], metallicFactor: 0, roughnessFactor: 0.5 },
+        emissiveFactor: [1, 0.15, 0.1]
+    }]);
+    const directory = path.join(ASSETS, 'models');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'computer.gltf'), `${JSON.stringify(gltf, null, 2)}\n`);
+}
+
+// =========================
+// App Icons
+// =========================
+
+// A castle silhouette with a lit window, on the menus' purple
+function writeAppIcon(size) {
+    const pixels = Buffer.alloc(size * size * 3);
+    const merlons = 5;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = (x + 0.5) / size;
+            const v = (y + 0.5) / size;
+            // Glow behind the castle, brightest at the centre
+            const glow = Math.max(0, 1 - Math.hypot(u - 0.5, v - 0.45) * 1.8);
+            let color = [0.07 + glow * 0.35, 0.03 + glow * 0.15, 0.12 + glow * 0.6];
+            const inWall = u > 0.2 && u < 0.8 && v > 0.42 && v < 0.85;
+            const merlon = Math.floor((u - 0.2) / 0.6 * (merlons * 2 - 1));
+            const inBattlement = u > 0.2 && u < 0.8 && v > 0.34 && v <= 0.42 && merlon % 2 === 0;
+            const inTower = u > 0.42 && u < 0.58 && v > 0.18 && v < 0.42;
+            const inGate = Math.hypot(u - 0.5, v - 0.72) < 0.08 || (u > 0.42 && u < 0.58 && v > 0.72 && v < 0.85);
+            const inWindow = u > 0.47 && u < 0.53 && v > 0.25 && v < 0.33;
+            if (inWindow) color = [0.2, 1, 0.4];
+            else if ((inWall || inBattlement || inTower) && !inGate) color = [0.02, 0.01, 0.04];
+            const i = (y * size + x) * 3;
+            color.forEach((channel, c) => {
+                pixels[i + c] = Math.max(0, Math.min(255, Math.round(channel * 255)));
+            });
+        }
+    }
+    const directory = path.join(ROOT, 'icons');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, `app-${size}.png`), encodePng(size, size, 3, pixels));
+}
+
+writeTextureSet('stone', drawStone(1987), 4);
+writeTextureSet('wood', drawWood(1066), 3);
+writeTextureSet('metal', drawMetal(1337), 6);
+writeComputer();
+writeAppIcon(192);
+writeAppIcon(512);
+console.log(`Assets written to ${ASSETS} and ${path.join(ROOT, 'icons')}`);
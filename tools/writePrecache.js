@@ -0,0 +1,53 @@
+// Writes precache.js, the list of files the service worker (sw.js) stores
+// for offline play, with a version taken from their contents. Run it after
+// changing, adding or removing any file the game loads:
+//
+//   node tools/writePrecache.js
+//
+// Needs nothing beyond Node itself.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+    fileURLToPath
+} from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// What the game loads: its pages and their scripts, then whole directories
+const FILES = ['index.html', 'index.js', 'editor.html', 'editor.js', 'manifest.webmanifest'];
+const DIRECTORIES = ['src', 'levels', 'sounds', 'icons', 'assets', 'vendor'];
+// Notes and licences in those directories that nothing fetches
+const SKIPPED = /(^|\/)(README\.md|LICENSE)$/;
+
+function walk(directory) {
+    return fs.readdirSync(path.join(ROOT, directory), { withFileTypes: true })
+        .flatMap(entry => {
+            const file = `${directory}/${entry.name}`;
+            return entry.isDirectory() ? walk(file) : [file];
+        });
+}
+
+const files = [...FILES, ...DIRECTORIES.flatMap(walk)]
+    .filter(file => !SKIPPED.test(file))
+    .sort();
+
+const hash = crypto.createHash('sha256');
+files.forEach(file => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+});
+const version = hash.digest('hex').slice(0, 12);
+
+const source = `// Written by tools/writePrecache.js; run it again rather than editing this.
+self.PRECACHE = {
+    version: '${version}',
+    files: [
+        './',
+${files.map(file => `        '${file}'`).join(',\n')}
+    ]
+};
+`;
+fs.writeFileSync(path.join(ROOT, 'precache.js'), source);
+console.log(`precache.js lists ${files.length} files, version ${version}`);